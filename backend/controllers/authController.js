@@ -11,13 +11,35 @@ const generateToken = (userId) => {
   return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
 };
 
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Request body without the password and PIN, for logging
+const withoutSecrets = ({ password, approvalPin, ...rest }) => rest;
+
+// The cashier picks the supervisor, so a PIN only has to be right for its own user
+async function hashApprovalPin(pin) {
+  if (!PIN_PATTERN.test(pin)) {
+    throw new Error('Approval PIN must be 4 to 8 digits');
+  }
+  return UserMethods.hashPassword(pin);
+}
+
+const parseDiscountPercent = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const percent = parseFloat(value);
+  if (isNaN(percent) || percent < 0 || percent > 100) {
+    throw new Error('Discount limit must be between 0 and 100%');
+  }
+  return percent;
+};
+
 // Register new user (Admin only)
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, role, assignedStore, assignedStoreId } = req.body;
+    const { name, email, password, role, assignedStore, assignedStoreId, maxDiscountPercent, approvalPin } = req.body;
     const userRepo = getUserRepository();
 
-    console.log('📝 Register request body:', req.body);
+    console.log('📝 Register request body:', withoutSecrets(req.body));
 
     // Check if user already exists
     const existingUser = await userRepo.findOne({ where: { email: email.toLowerCase() } });
@@ -36,7 +58,9 @@ exports.register = async (req, res) => {
       email: email.toLowerCase(),
       password: hashedPassword,
       role: role || 'cashier',
-      assignedStoreId: storeId
+      assignedStoreId: storeId,
+      maxDiscountPercent: parseDiscountPercent(maxDiscountPercent),
+      approvalPin: approvalPin ? await hashApprovalPin(approvalPin.toString()) : null
     });
 
     await userRepo.save(user);
@@ -207,12 +231,18 @@ exports.updateUser = async (req, res) => {
 
     console.log('🔄 UPDATE USER REQUEST:', {
       userId,
-      updates,
+      updates: withoutSecrets(updates),
       assignedStoreId: updates.assignedStoreId
     });
 
     // Don't allow password update through this endpoint
     delete updates.password;
+    const { approvalPin, removeApprovalPin } = updates;
+    delete updates.approvalPin;
+    delete updates.removeApprovalPin;
+    if (updates.maxDiscountPercent !== undefined) {
+      updates.maxDiscountPercent = parseDiscountPercent(updates.maxDiscountPercent);
+    }
 
     const user = await userRepo.findOne({
       where: { id: parseInt(userId) },
@@ -231,6 +261,15 @@ exports.updateUser = async (req, res) => {
 
     // Update user fields
     Object.assign(user, updates);
+
+    // A new approval PIN replaces the old one (and lifts a lockout); blank keeps it
+    if (approvalPin) {
+      user.approvalPin = await hashApprovalPin(approvalPin.toString());
+      user.approvalPinFailures = 0;
+      user.approvalPinLockedUntil = null;
+    } else if (removeApprovalPin) {
+      user.approvalPin = null;
+    }
     
     console.log('📝 AFTER ASSIGN:', {
       userEmail: user.email,
@@ -269,12 +308,14 @@ exports.updateUser = async (req, res) => {
 exports.getAllUsers = async (req, res) => {
   try {
     const userRepo = getUserRepository();
-    const users = await userRepo.find({
-      relations: ['assignedStore'],
-      order: { createdAt: 'DESC' }
-    });
-
-    const usersResponse = users.map(user => UserMethods.toJSON(user));
+    const users = await userRepo.createQueryBuilder('user')
+      .leftJoinAndSelect('user.assignedStore', 'assignedStore')
+      .addSelect('user.approvalPin')
+      .orderBy('user.createdAt', 'DESC')
+      .getMany();
+
+    // The PIN itself never leaves the server, only whether one is set
+    const usersResponse = users.map(user => ({ ...UserMethods.toJSON(user), hasApprovalPin: !!user.approvalPin }));
     
     res.json({ users: usersResponse });
   } catch (error) {
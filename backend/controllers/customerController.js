@@ -0,0 +1,257 @@
+const { AppDataSource } = require('../data-source');
+const prescriptions = require('../utils/prescription');
+const customers = require('../utils/customers');
+
+// Get repositories
+const getCustomerRepository = () => AppDataSource.getRepository('Customer');
+const getSaleRepository = () => AppDataSource.getRepository('Sale');
+
+const GSTIN_PATTERN = /^\d{2}[A-Z0-9]{13}$/;
+const PAGE_SIZE = 50;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Cashiers may only work with sales from their assigned store
+const canAccessStore = (user, storeId) => {
+  if (user.role !== 'cashier') return true;
+  return !!user.assignedStore && parseInt(user.assignedStore.id) === parseInt(storeId);
+};
+
+// A cashier may edit a customer who hasn't bought anywhere yet or has bought at their store
+async function canEditCustomer(user, customer) {
+  if (user.role !== 'cashier') return true;
+
+  const sales = await getSaleRepository().find({ where: { customerId: customer.id }, select: ['id', 'storeId'] });
+  return sales.length === 0 || sales.some(sale => canAccessStore(user, sale.storeId));
+}
+
+const parseCustomer = (body) => ({
+  name: (body.name || '').trim(),
+  phone: customers.normalizePhone(body.phone) || (body.phone || '').toString().trim(),
+  email: (body.email || '').trim(),
+  address: (body.address || '').trim(),
+  gstNumber: (body.gstNumber || '').trim().toUpperCase(),
+  state: body.state ? body.state.trim() : null
+});
+
+const validateCustomer = (data) => {
+  if (!data.name) {
+    throw new Error('Customer name is required');
+  }
+  if (!data.phone) {
+    throw new Error('Phone number is required');
+  }
+  if (!customers.normalizePhone(data.phone)) {
+    throw new Error(`${data.phone} is not a valid phone number`);
+  }
+  if (data.gstNumber && !GSTIN_PATTERN.test(data.gstNumber)) {
+    throw new Error('GSTIN must be 15 characters starting with the state code');
+  }
+};
+
+// A family can share a phone, but not two customers with the same name
+async function checkDuplicate(phone, name, customerId) {
+  const existing = customers.matchName(await customers.findByPhone(AppDataSource.manager, phone), name);
+  if (existing && existing.id !== customerId) {
+    throw new Error(`${existing.name} is already a customer on ${phone}`);
+  }
+}
+
+// Get customers, optionally searched by name / phone / GSTIN / email, a page at a time
+exports.getCustomers = async (req, res) => {
+  try {
+    const search = (req.query.search || '').trim();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const queryBuilder = getCustomerRepository().createQueryBuilder('customer');
+    if (search) {
+      // Phones are stored as +91..., so "098765" is also searched as its digits after the trunk 0
+      const digits = search.replace(/\D/g, '').replace(/^0+/, '');
+      const conditions = ['customer.name ILIKE :search', 'customer.phone ILIKE :search', 'customer.gstNumber ILIKE :search', 'customer.email ILIKE :search'];
+      if (digits) conditions.push('customer.phone LIKE :digits');
+      queryBuilder.where(`(${conditions.join(' OR ')})`, { search: `%${search}%`, digits: `%${digits}%` });
+    }
+
+    const [customerList, total] = await queryBuilder
+      .orderBy('customer.lastPurchaseDate', 'DESC', 'NULLS LAST')
+      .addOrderBy('customer.name', 'ASC')
+      .skip((page - 1) * PAGE_SIZE)
+      .take(PAGE_SIZE)
+      .getManyAndCount();
+
+    res.json({ customers: customerList, total, page, pages: Math.ceil(total / PAGE_SIZE) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Customers on a phone number (a family may share one), for the POS to pre-fill
+// returning customers
+exports.lookupCustomer = async (req, res) => {
+  try {
+    if (!req.query.phone) {
+      return res.status(400).json({ error: 'phone is required' });
+    }
+
+    const phone = customers.normalizePhone(req.query.phone);
+    res.json({ customers: phone ? await customers.findByPhone(AppDataSource.manager, phone) : [] });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Customer with their invoices, credit notes, prescriptions and lifetime value.
+// Cashiers only see invoices and credit notes from their store, and stats from those.
+exports.getCustomer = async (req, res) => {
+  try {
+    const customer = await getCustomerRepository().findOne({ where: { id: parseInt(req.params.customerId) } });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [allSales, allReturns, prescriptionList, samePhone] = await Promise.all([
+      getSaleRepository().find({
+        where: { customerId: customer.id },
+        relations: ['store', 'cashier', 'items'],
+        order: { saleDate: 'DESC' }
+      }),
+      AppDataSource.getRepository('SaleReturn').find({
+        where: { customerId: customer.id },
+        relations: ['sale'],
+        order: { returnDate: 'DESC' }
+      }),
+      AppDataSource.getRepository('Prescription').find({
+        where: { customerId: customer.id },
+        order: { testDate: 'DESC', id: 'DESC' }
+      }),
+      customers.findByPhone(AppDataSource.manager, customer.phone)
+    ]);
+
+    const sales = allSales.filter(sale => canAccessStore(req.user, sale.storeId));
+    const returns = allReturns.filter(saleReturn => canAccessStore(req.user, saleReturn.storeId));
+    const seesAllStores = sales.length === allSales.length && returns.length === allReturns.length;
+
+    const salesTotal = sales.reduce((sum, sale) => sum + parseFloat(sale.totalAmount), 0);
+    const refunded = roundAmount(returns.reduce((sum, saleReturn) => sum + parseFloat(saleReturn.totalAmount), 0));
+    // totalPurchases is kept net of credit notes, so it is the lifetime value
+    const lifetimeValue = seesAllStores
+      ? parseFloat(customer.totalPurchases) || 0
+      : Math.max(0, roundAmount(salesTotal - refunded));
+    const visits = sales.length;
+
+    res.json({
+      customer,
+      family: samePhone.filter(member => member.id !== customer.id),
+      stats: {
+        lifetimeValue,
+        visits,
+        averageBill: visits > 0 ? roundAmount(salesTotal / visits) : 0,
+        refunded,
+        firstPurchaseDate: visits > 0 ? sales[visits - 1].saleDate : null,
+        lastPurchaseDate: seesAllStores ? customer.lastPurchaseDate : (visits > 0 ? sales[0].saleDate : null)
+      },
+      sales,
+      returns,
+      prescriptions: prescriptionList.map(prescription => ({
+        ...prescription,
+        isExpired: prescriptions.isExpired(prescription)
+      }))
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Create customer
+exports.createCustomer = async (req, res) => {
+  try {
+    const data = parseCustomer(req.body);
+    validateCustomer(data);
+
+    await checkDuplicate(data.phone, data.name, null);
+
+    const customerRepo = getCustomerRepository();
+    const customer = await customerRepo.save(customerRepo.create(data));
+    console.log(`👤 Customer created: ${customer.name} (${customer.phone})`);
+    res.status(201).json({ message: 'Customer created successfully', customer });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update customer details (purchase totals are kept by sales and returns)
+exports.updateCustomer = async (req, res) => {
+  try {
+    const customerRepo = getCustomerRepository();
+    const customer = await customerRepo.findOne({ where: { id: parseInt(req.params.customerId) } });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    if (!(await canEditCustomer(req.user, customer))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const data = parseCustomer({ ...customer, ...req.body });
+    validateCustomer(data);
+    await checkDuplicate(data.phone, data.name, customer.id);
+
+    Object.assign(customer, data);
+    await customerRepo.save(customer);
+
+    res.json({ message: 'Customer updated successfully', customer });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete a customer who has never bought or had an eye test here (Admin only)
+exports.deleteCustomer = async (req, res) => {
+  try {
+    const customerRepo = getCustomerRepository();
+    const customer = await customerRepo.findOne({ where: { id: parseInt(req.params.customerId) } });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [saleCount, prescriptionCount, jobCount] = await Promise.all([
+      getSaleRepository().count({ where: { customerId: customer.id } }),
+      AppDataSource.getRepository('Prescription').count({ where: { customerId: customer.id } }),
+      AppDataSource.getRepository('JobOrder').count({ where: { customerId: customer.id } })
+    ]);
+    if (saleCount + prescriptionCount + jobCount > 0) {
+      return res.status(400).json({ error: `${customer.name} has sales, prescriptions or job orders and can't be deleted` });
+    }
+
+    await customerRepo.remove(customer);
+    res.json({ message: 'Customer deleted successfully' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Customers who look like the same person, for review before merging (Admin only)
+exports.getDuplicates = async (req, res) => {
+  try {
+    const groups = await customers.findDuplicates(AppDataSource.manager);
+    res.json({ groups });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Merge duplicate customers into this one (Admin only)
+exports.mergeCustomers = async (req, res) => {
+  try {
+    const result = await AppDataSource.transaction(manager =>
+      customers.merge(manager, req.params.customerId, req.body.duplicateIds)
+    );
+
+    console.log(`🔗 Merged ${result.merged.map(duplicate => duplicate.name).join(', ')} into ${result.customer.name} (${result.customer.phone})`);
+    res.json({ message: 'Customers merged successfully', ...result });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
@@ -1,23 +1,12 @@
+const { In } = require('typeorm');
 const { AppDataSource } = require('../data-source');
 const fs = require('fs');
 const path = require('path');
 const cache = require('../utils/cache');
-
-// Helper function to strip HTML tags from text
-function stripHtmlTags(html) {
-  if (!html) return '';
-  // Remove HTML tags
-  let text = html.replace(/<[^>]*>/g, '');
-  // Decode HTML entities
-  text = text.replace(/&nbsp;/g, ' ')
-             .replace(/&amp;/g, '&')
-             .replace(/&lt;/g, '<')
-             .replace(/&gt;/g, '>')
-             .replace(/&quot;/g, '"')
-             .replace(/&#39;/g, "'");
-  // Trim and clean multiple spaces
-  return text.trim().replace(/\s+/g, ' ');
-}
+const taxSlabs = require('../utils/taxSlab');
+const shopifyInventorySync = require('../utils/shopifyInventorySync');
+const stockMovements = require('../utils/stockMovements');
+const shopifyCatalog = require('../utils/shopifyCatalog');
 
 // Get repositories
 const getStoreRepository = () => AppDataSource.getRepository('Store');
@@ -25,6 +14,9 @@ const getUserRepository = () => AppDataSource.getRepository('User');
 const getProductRepository = () => AppDataSource.getRepository('Product');
 const getSaleRepository = () => AppDataSource.getRepository('Sale');
 const getSaleItemRepository = () => AppDataSource.getRepository('SaleItem');
+const getSalePaymentRepository = () => AppDataSource.getRepository('SalePayment');
+const getSaleReturnRepository = () => AppDataSource.getRepository('SaleReturn');
+const getSaleReturnItemRepository = () => AppDataSource.getRepository('SaleReturnItem');
 const getCustomerRepository = () => AppDataSource.getRepository('Customer');
 const getInventoryRepository = () => AppDataSource.getRepository('Inventory');
 
@@ -37,8 +29,9 @@ exports.createBackup = async (req, res) => {
     const stores = await getStoreRepository().find();
     const users = await getUserRepository().find({ select: ['id', 'name', 'email', 'role', 'assignedStoreId', 'isActive', 'createdAt', 'updatedAt'] }); // Exclude passwords
     const products = await getProductRepository().find({ relations: ['inventory'] });
-    const sales = await getSaleRepository().find({ relations: ['store', 'cashier', 'customer', 'items'] });
+    const sales = await getSaleRepository().find({ relations: ['store', 'cashier', 'customer', 'items', 'payments'] });
     const customers = await getCustomerRepository().find();
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
 
     const backupData = {
       metadata: {
@@ -55,7 +48,8 @@ exports.createBackup = async (req, res) => {
         users,
         products,
         sales,
-        customers
+        customers,
+        taxSlabs: slabs
       },
       statistics: {
         totalStores: stores.length,
@@ -147,7 +141,10 @@ exports.cleanupData = async (req, res) => {
   try {
     console.log('🧹 Starting data cleanup...');
     
+    const saleReturnItemRepo = getSaleReturnItemRepository();
+    const saleReturnRepo = getSaleReturnRepository();
     const saleItemRepo = getSaleItemRepository();
+    const salePaymentRepo = getSalePaymentRepository();
     const saleRepo = getSaleRepository();
     const customerRepo = getCustomerRepository();
     const inventoryRepo = getInventoryRepository();
@@ -155,10 +152,19 @@ exports.cleanupData = async (req, res) => {
     const userRepo = getUserRepository();
 
     // 🔥 CRITICAL: Delete in correct order to avoid FK constraint errors
-    // Order: SaleItems → Sales → Customers → Inventory → Products → Non-admin Users
+    // Order: Returns → SaleItems → Sales → Customers → Inventory → Products → Non-admin Users
     
-    // 1. Delete all sale items first (has FK to sales and products)
-    console.log('🗑️  Step 1/6: Deleting sale items...');
+    // 1. Delete returns (credit notes reference sale items) and then all sale items (has FK to sales and products)
+    console.log('🗑️  Step 1/6: Deleting returns and sale items...');
+    const allReturnItems = await saleReturnItemRepo.find();
+    if (allReturnItems.length > 0) {
+      await saleReturnItemRepo.remove(allReturnItems);
+    }
+    const allReturns = await saleReturnRepo.find();
+    if (allReturns.length > 0) {
+      await saleReturnRepo.remove(allReturns);
+      console.log(`✅ Deleted ${allReturns.length} returns`);
+    }
     const allSaleItems = await saleItemRepo.find();
     if (allSaleItems.length > 0) {
       await saleItemRepo.remove(allSaleItems);
@@ -167,8 +173,15 @@ exports.cleanupData = async (req, res) => {
       console.log('✅ No sale items to delete');
     }
     
-    // 2. Delete all sales (has FK to customers, stores, cashiers)
+    // 2. Delete all payments, sync conflicts and sales (has FK to customers, stores, cashiers)
     console.log('🗑️  Step 2/6: Deleting sales...');
+    const allPayments = await salePaymentRepo.find();
+    if (allPayments.length > 0) {
+      await salePaymentRepo.remove(allPayments);
+    }
+    await AppDataSource.getRepository('SaleConflict').clear();
+    await AppDataSource.getRepository('ShopifyOrder').clear();
+    await AppDataSource.getRepository('JobOrder').clear();
     const allSales = await saleRepo.find();
     if (allSales.length > 0) {
       await saleRepo.remove(allSales);
@@ -179,6 +192,8 @@ exports.cleanupData = async (req, res) => {
     
     // 3. Delete all customers
     console.log('🗑️  Step 3/6: Deleting customers...');
+    // Prescriptions belong to customers (sale items pointing at them are already gone)
+    await AppDataSource.getRepository('Prescription').createQueryBuilder().delete().execute();
     const allCustomers = await customerRepo.find();
     if (allCustomers.length > 0) {
       await customerRepo.remove(allCustomers);
@@ -189,6 +204,17 @@ exports.cleanupData = async (req, res) => {
     
     // 4. Delete all inventory (has FK to products and stores)
     console.log('🗑️  Step 4/6: Deleting inventory...');
+    await AppDataSource.getRepository('ShopifyInventoryAdjustment').clear();
+    await AppDataSource.getRepository('StockMovement').clear();
+    await AppDataSource.getRepository('LowStockDigest').clear();
+    await AppDataSource.getRepository('StocktakeItem').clear();
+    await AppDataSource.getRepository('Stocktake').createQueryBuilder().delete().execute();
+    await AppDataSource.getRepository('StockTransferItem').clear();
+    await AppDataSource.getRepository('StockTransfer').createQueryBuilder().delete().execute();
+    await AppDataSource.getRepository('GoodsReceiptItem').clear();
+    await AppDataSource.getRepository('GoodsReceipt').createQueryBuilder().delete().execute();
+    await AppDataSource.getRepository('PurchaseOrderItem').createQueryBuilder().delete().execute();
+    await AppDataSource.getRepository('PurchaseOrder').createQueryBuilder().delete().execute();
     const allInventory = await inventoryRepo.find();
     if (allInventory.length > 0) {
       await inventoryRepo.remove(allInventory);
@@ -211,6 +237,10 @@ exports.cleanupData = async (req, res) => {
     console.log('🗑️  Step 6/6: Deleting non-admin users...');
     const nonAdminUsers = await userRepo.find({ where: { role: 'cashier' } });
     if (nonAdminUsers.length > 0) {
+      // Sync runs and promotions are kept, without the cashier who started or created them
+      const cashierIds = nonAdminUsers.map(user => user.id);
+      await AppDataSource.getRepository('SyncRun').update({ triggeredById: In(cashierIds) }, { triggeredById: null });
+      await AppDataSource.getRepository('Promotion').update({ createdById: In(cashierIds) }, { createdById: null });
       await userRepo.remove(nonAdminUsers);
       console.log(`✅ Deleted ${nonAdminUsers.length} non-admin users`);
     } else {
@@ -227,6 +257,7 @@ exports.cleanupData = async (req, res) => {
     res.json({
       message: 'Data cleanup completed successfully',
       deleted: {
+        returns: allReturns.length,
         saleItems: allSaleItems.length,
         sales: allSales.length,
         customers: allCustomers.length,
@@ -285,6 +316,17 @@ async function createDemoData(req, res) {
     
     // 1. Delete ALL inventory first (has FK to products AND stores)
     try {
+      await AppDataSource.getRepository('ShopifyInventoryAdjustment').clear();
+      await AppDataSource.getRepository('StockMovement').clear();
+      await AppDataSource.getRepository('LowStockDigest').clear();
+      await AppDataSource.getRepository('StocktakeItem').clear();
+      await AppDataSource.getRepository('Stocktake').createQueryBuilder().delete().execute();
+      await AppDataSource.getRepository('StockTransferItem').clear();
+      await AppDataSource.getRepository('StockTransfer').createQueryBuilder().delete().execute();
+      await AppDataSource.getRepository('GoodsReceiptItem').clear();
+      await AppDataSource.getRepository('GoodsReceipt').createQueryBuilder().delete().execute();
+      await AppDataSource.getRepository('PurchaseOrderItem').createQueryBuilder().delete().execute();
+      await AppDataSource.getRepository('PurchaseOrder').createQueryBuilder().delete().execute();
       const existingInventory = await inventoryRepo.find();
       if (existingInventory.length > 0) {
         await inventoryRepo.remove(existingInventory);
@@ -354,8 +396,11 @@ async function createDemoData(req, res) {
     const styles = ['Classic', 'Modern', 'Retro', 'Aviator', 'Wayfarer', 'Round', 'Square'];
     
     const createdProducts = [];
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
     for (let i = 0; i < 100; i++) {
       const category = categories[Math.floor(Math.random() * categories.length)];
+      const hsnCode = taxSlabs.matchHsnCode(slabs, [category]);
+      const taxRate = taxSlabs.getRate(slabs, hsnCode);
       const brand = brands[Math.floor(Math.random() * brands.length)];
       const style = styles[Math.floor(Math.random() * styles.length)];
       
@@ -364,7 +409,8 @@ async function createDemoData(req, res) {
         sku: `SKU-${Date.now()}-${i}`,
         category,
         price: Math.floor(Math.random() * 10000) + 1000,
-        taxRate: category === 'sunglass' ? 18 : 5,
+        hsnCode,
+        ...(taxRate !== null && { taxRate }),
         description: `Premium ${style} ${category} by ${brand}`,
         image: `https://placehold.co/300x200/e0e0e0/666666?text=${encodeURIComponent(brand + ' ' + style)}`,
         shopifyProductId: `demo-product-${i}`,
@@ -491,25 +537,8 @@ exports.refreshData = async (req, res) => {
     const createdStores = [];
     
     for (const location of shopifyLocations) {
-      const address = {
-        street: location.address1 || '',
-        city: location.city || '',
-        state: location.province || '',
-        zipCode: location.zip || '',
-        country: location.country || ''
-      };
-
-      // 🔥 CRITICAL: Set ALL Shopify locations as active in POS, regardless of Shopify's active status
-      // This ensures we sync inventory from all locations
-      const storeData = {
-        name: location.name,
-        location: `${location.city || 'Store'}, ${location.country || ''}`,
-        address,
-        phone: location.phone || '',
-        email: `${location.name.toLowerCase().replace(/\s+/g, '-')}@store.com`,
-        shopifyLocationId: location.id.toString(),
-        isActive: true  // Always active in POS to capture all inventory
-      };
+      // 🔥 CRITICAL: ALL Shopify locations are active in POS, regardless of Shopify's active status
+      const storeData = shopifyCatalog.toStoreData(location);
 
       // 🔥 UPSERT: Find existing store or create new
       let store = await storeRepo.findOne({ 
@@ -556,6 +585,7 @@ exports.refreshData = async (req, res) => {
     
     let withInventoryId = 0;
     let withoutInventoryId = 0;
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
     
     for (const shopifyProduct of shopifyProducts) {
       for (const variant of shopifyProduct.variants) {
@@ -586,30 +616,17 @@ exports.refreshData = async (req, res) => {
             console.warn(`⚠️  Variant ${variant.id} (${shopifyProduct.title}) has NO inventory_item_id!`);
           }
           
-          // Clean product name by stripping HTML tags
-          const cleanTitle = stripHtmlTags(shopifyProduct.title);
-          const cleanVariantTitle = stripHtmlTags(variant.title);
-          
-          const productData = {
-            name: cleanVariantTitle === 'Default Title' 
-              ? cleanTitle 
-              : `${cleanTitle} - ${cleanVariantTitle}`,
-            sku: variant.sku || `SKU-${variant.id}`,
-            category: shopifyProduct.product_type || 'Uncategorized',
-            price: parseFloat(variant.price) || 0,
-            description: shopifyProduct.body_html || '',
-            image: shopifyProduct.image?.src || '',
-            shopifyProductId: shopifyProduct.id.toString(),
-            shopifyVariantId: variant.id.toString(),
-            inventoryItemId: inventoryItemId ? inventoryItemId.toString() : null,
-            taxRate: shopifyProduct.product_type?.toLowerCase().includes('sunglass') ? 18 : 5,
-            isActive: true
-          };
-
           const existingProduct = await productRepo.findOne({
             where: { shopifyVariantId: variant.id.toString() }
           });
 
+          // Clean name (HTML stripped), HSN and slab rate
+          const productData = shopifyCatalog.toProductData(shopifyProduct, variant, {
+            inventoryItemId,
+            existingProduct,
+            slabs
+          });
+
           if (existingProduct) {
             Object.assign(existingProduct, productData);
             await productRepo.save(existingProduct);
@@ -701,6 +718,9 @@ exports.refreshData = async (req, res) => {
       }
       
       console.log(`📊 Organized inventory for ${inventoryMap.size} locations`);
+
+      // POS stock changes still queued for Shopify aren't in these levels yet
+      const pendingDeltas = await shopifyInventorySync.getPendingDeltas();
       
       // 🔥 DIAGNOSTIC: Show what locations we have in the map
       console.log('📋 Location IDs in inventory map:', Array.from(inventoryMap.keys()));
@@ -717,29 +737,17 @@ exports.refreshData = async (req, res) => {
           console.log(`📦 Updating ${locationInventory.size} inventory items for ${store.name}...`);
           let storeUpdated = 0;
           
-          for (const [inventoryItemId, quantity] of locationInventory.entries()) {
+          for (const [inventoryItemId, shopifyQuantity] of locationInventory.entries()) {
             const product = productMap.get(inventoryItemId);
             
             if (product) {
               try {
-                let inventory = await inventoryRepo.findOne({
-                  where: {
-                    productId: product.id,
-                    storeId: store.id
-                  }
-                });
-
-                if (inventory) {
-                  inventory.quantity = quantity;
-                } else {
-                  inventory = inventoryRepo.create({
-                    productId: product.id,
-                    storeId: store.id,
-                    quantity
-                  });
-                }
-
-                await inventoryRepo.save(inventory);
+                const quantity = shopifyQuantity + (pendingDeltas.get(`${product.id}_${store.id}`) || 0);
+                await AppDataSource.transaction(manager => stockMovements.setQuantity(manager, {
+                  productId: product.id,
+                  storeId: store.id,
+                  quantity
+                }, { type: 'shopify_sync', userId: req.user.id, note: 'Full refresh from Shopify' }));
                 syncResults.inventory.updated++;
                 storeUpdated++;
               } catch (error) {
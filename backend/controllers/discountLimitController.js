@@ -0,0 +1,52 @@
+const { AppDataSource } = require('../data-source');
+const discountLimits = require('../utils/discountLimits');
+
+// Get discount limits by role and store
+exports.getDiscountLimits = async (req, res) => {
+  try {
+    const limits = await discountLimits.getLimits(AppDataSource.manager);
+    res.json({ limits });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Set discount limits ({ limits: [{ role, storeId, maxPercent }] })
+exports.updateDiscountLimits = async (req, res) => {
+  try {
+    const { limits } = req.body;
+
+    if (!Array.isArray(limits)) {
+      return res.status(400).json({ error: 'limits must be an array' });
+    }
+
+    const saved = await AppDataSource.transaction(manager =>
+      discountLimits.setLimits(manager, limits, req.user.id)
+    );
+
+    console.log(`✅ Discount limits updated by ${req.user.name}`);
+    res.json({ message: 'Discount limits updated', limits: saved });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Supervisors who can approve a discount of `requestedPercent` at the store, so the
+// cashier can pick who enters their PIN
+exports.getApprovers = async (req, res) => {
+  try {
+    const storeId = req.user.role === 'admin' ? req.query.storeId : req.user.assignedStoreId;
+    if (!storeId) {
+      return res.status(400).json({ error: 'storeId is required' });
+    }
+
+    const approvers = await discountLimits.getApprovers(AppDataSource.manager, {
+      storeId,
+      requestedPercent: parseFloat(req.query.requestedPercent) || 0,
+      cashierId: req.user.id
+    });
+    res.json({ approvers });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
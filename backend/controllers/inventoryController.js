@@ -1,5 +1,8 @@
 const { AppDataSource } = require('../data-source');
 const shopifyService = require('../utils/shopify');
+const shopifyInventorySync = require('../utils/shopifyInventorySync');
+const stockMovements = require('../utils/stockMovements');
+const lowStock = require('../utils/lowStock');
 
 // Get repositories
 const getProductRepository = () => AppDataSource.getRepository('Product');
@@ -11,7 +14,6 @@ exports.syncInventoryFromShopify = async (req, res) => {
   try {
     const storeRepo = getStoreRepository();
     const productRepo = getProductRepository();
-    const inventoryRepo = getInventoryRepository();
 
     // Get stores with Shopify location IDs
     const stores = await storeRepo
@@ -79,35 +81,26 @@ exports.syncInventoryFromShopify = async (req, res) => {
         inventoryMap.get(locationId).set(level.inventory_item_id, level.available || 0);
       }
 
+      // POS stock changes still queued for Shopify aren't in these levels yet
+      const pendingDeltas = await shopifyInventorySync.getPendingDeltas();
+
       // Update inventory for each store
       for (const store of stores) {
         const locationInventory = inventoryMap.get(store.shopifyLocationId);
         
         if (locationInventory) {
-          for (const [inventoryItemId, quantity] of locationInventory.entries()) {
+          for (const [inventoryItemId, shopifyQuantity] of locationInventory.entries()) {
             const product = productMap.get(inventoryItemId);
             
             if (product) {
               try {
-                // Find or create inventory entry
-                let inventory = await inventoryRepo.findOne({
-                  where: {
-                    productId: product.id,
-                    storeId: store.id
-                  }
-                });
+                const quantity = shopifyQuantity + (pendingDeltas.get(`${product.id}_${store.id}`) || 0);
 
-                if (inventory) {
-                  inventory.quantity = quantity;
-                } else {
-                  inventory = inventoryRepo.create({
-                    productId: product.id,
-                    storeId: store.id,
-                    quantity
-                  });
-                }
-
-                await inventoryRepo.save(inventory);
+                await AppDataSource.transaction(manager => stockMovements.setQuantity(manager, {
+                  productId: product.id,
+                  storeId: store.id,
+                  quantity
+                }, { type: 'shopify_sync', userId: req.user.id }));
                 syncResults.updated++;
               } catch (error) {
                 syncResults.errors.push({
@@ -199,7 +192,9 @@ exports.getInventorySummary = async (req, res) => {
           storeStats.outOfStockItems++;
         }
         
-        if (quantity > 0 && quantity < 5) {
+        // At or below the reorder level where one is set, otherwise fewer than 5
+        const isLow = inv.reorderLevel === null ? quantity < 5 : quantity <= inv.reorderLevel;
+        if (quantity > 0 && isLow) {
           storeStats.lowStockItems++;
         }
       }
@@ -341,3 +336,148 @@ exports.checkShopifyProductsForStore = async (req, res) => {
     res.status(400).json({ error: error.message });
   }
 };
+
+// Stock ledger, newest first, filtered by product, store, movement type and date
+exports.getStockMovements = async (req, res) => {
+  try {
+    const { productId, storeId, type, startDate, endDate, page = 1, limit = 100 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+
+    const queryBuilder = AppDataSource.getRepository('StockMovement')
+      .createQueryBuilder('movement')
+      .leftJoin('movement.product', 'product')
+      .addSelect(['product.id', 'product.name', 'product.sku'])
+      .leftJoin('movement.store', 'store')
+      .addSelect(['store.id', 'store.name'])
+      .leftJoin('movement.user', 'user')
+      .addSelect(['user.id', 'user.name']);
+
+    if (productId) {
+      queryBuilder.andWhere('movement.productId = :productId', { productId: parseInt(productId) });
+    }
+    if (storeId) {
+      queryBuilder.andWhere('movement.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+    if (type) {
+      queryBuilder.andWhere('movement.type = :type', { type });
+    }
+    if (startDate) {
+      queryBuilder.andWhere('movement.createdAt >= :startDate', { startDate: new Date(startDate) });
+    }
+    if (endDate) {
+      // A plain date covers the whole day
+      const end = new Date(endDate);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) end.setHours(23, 59, 59, 999);
+      queryBuilder.andWhere('movement.createdAt <= :endDate', { endDate: end });
+    }
+
+    const [movements, total] = await queryBuilder
+      .orderBy('movement.createdAt', 'DESC')
+      .addOrderBy('movement.id', 'DESC')
+      .skip((pageNum - 1) * limitNum)
+      .take(limitNum)
+      .getManyAndCount();
+
+    res.json({
+      movements,
+      types: stockMovements.getTypes(),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Stock changes queued for Shopify (the inventory push outbox)
+exports.getShopifyOutbox = async (req, res) => {
+  try {
+    const { status, storeId } = req.query;
+
+    const queryBuilder = AppDataSource.getRepository('ShopifyInventoryAdjustment')
+      .createQueryBuilder('adjustment')
+      .leftJoinAndSelect('adjustment.product', 'product')
+      .leftJoinAndSelect('adjustment.store', 'store')
+      .orderBy('adjustment.createdAt', 'DESC')
+      .take(200);
+
+    if (status && status !== 'all') {
+      queryBuilder.andWhere('adjustment.status = :status', { status });
+    }
+
+    if (storeId) {
+      queryBuilder.andWhere('adjustment.storeId = :storeId', { storeId });
+    }
+
+    const adjustments = await queryBuilder.getMany();
+    const summary = await shopifyInventorySync.getSummary();
+
+    res.json({ adjustments, summary });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Put one failed/skipped adjustment back in the queue
+exports.retryShopifyAdjustment = async (req, res) => {
+  try {
+    const requeued = await shopifyInventorySync.retry([parseInt(req.params.adjustmentId)]);
+
+    if (requeued === 0) {
+      return res.status(404).json({ error: 'No failed or skipped adjustment with that ID' });
+    }
+
+    res.json({ message: 'Adjustment queued for retry', requeued });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Put every failed/skipped adjustment back in the queue
+exports.retryFailedShopifyAdjustments = async (req, res) => {
+  try {
+    const requeued = await shopifyInventorySync.retry();
+    res.json({ message: `${requeued} adjustment(s) queued for retry`, requeued });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Products at or below their reorder level, with what to bring in and from where
+exports.getLowStock = async (req, res) => {
+  try {
+    const { storeId, category } = req.query;
+
+    const report = await lowStock.getReport(AppDataSource.manager, { storeId, category });
+    res.json(report);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Set reorder levels: { levels: [{ productId, storeId, reorderLevel, reorderQuantity }] }
+exports.updateReorderLevels = async (req, res) => {
+  try {
+    const inventory = await AppDataSource.transaction(manager =>
+      lowStock.setLevels(manager, req.body.levels));
+
+    res.json({ message: `Reorder levels saved for ${inventory.length} product(s)`, inventory });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// The most recent daily low stock digest
+exports.getLowStockDigest = async (req, res) => {
+  try {
+    const digest = await lowStock.getLatestDigest();
+    res.json({ digest });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
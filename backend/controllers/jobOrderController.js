@@ -0,0 +1,215 @@
+const { AppDataSource } = require('../data-source');
+const invoiceGenerator = require('../utils/invoice');
+const jobOrders = require('../utils/jobOrders');
+
+// Get repositories
+const getJobOrderRepository = () => AppDataSource.getRepository('JobOrder');
+
+// Cashiers may only work with jobs from their assigned store
+const canAccessStore = (user, storeId) => {
+  if (user.role !== 'cashier') return true;
+  return !!user.assignedStore && parseInt(user.assignedStore.id) === parseInt(storeId);
+};
+
+const withOverdue = (job) => ({ ...job, isOverdue: jobOrders.isOverdue(job) });
+
+const findJob = (jobId) => getJobOrderRepository().findOne({
+  where: { id: parseInt(jobId) },
+  relations: ['sale', 'sale.items', 'store', 'customer', 'prescription', 'createdBy']
+});
+
+// Job board: open jobs by due date (delivered ones on request), filtered by
+// store, status, overdue and invoice / job number / customer search
+exports.getJobOrders = async (req, res) => {
+  try {
+    const { storeId, status, overdue, search, includeDelivered } = req.query;
+
+    const queryBuilder = getJobOrderRepository().createQueryBuilder('job')
+      .leftJoinAndSelect('job.sale', 'sale')
+      .leftJoinAndSelect('job.store', 'store')
+      .leftJoinAndSelect('job.customer', 'customer');
+
+    // Role-based filtering
+    if (req.user.role === 'cashier' && req.user.assignedStore) {
+      queryBuilder.where('job.storeId = :storeId', { storeId: req.user.assignedStore.id });
+    } else if (storeId) {
+      queryBuilder.where('job.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+
+    if (status) {
+      queryBuilder.andWhere('job.status = :status', { status });
+    } else if (includeDelivered !== 'true') {
+      queryBuilder.andWhere('job.status != :delivered', { delivered: 'delivered' });
+    }
+
+    if (overdue === 'true') {
+      queryBuilder.andWhere('job.dueDate < :today', { today: jobOrders.today() })
+        .andWhere('job.status != :delivered', { delivered: 'delivered' });
+    }
+
+    if (search) {
+      queryBuilder.andWhere(
+        '(job.jobNumber ILIKE :search OR sale.invoiceNumber ILIKE :search OR customer.name ILIKE :search OR customer.phone ILIKE :search)',
+        { search: `%${search}%` }
+      );
+    }
+
+    const jobs = await queryBuilder
+      .orderBy('job.dueDate', 'ASC')
+      .addOrderBy('job.id', 'ASC')
+      .take(200)
+      .getMany();
+
+    res.json({ jobOrders: jobs.map(withOverdue), statuses: jobOrders.getStatuses() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get single job order
+exports.getJobOrder = async (req, res) => {
+  try {
+    const job = await findJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job order not found' });
+    }
+
+    if (!canAccessStore(req.user, job.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ jobOrder: withOverdue(job) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Open a job for a sale made without one (sales with lenses or an Rx get one automatically)
+exports.createJobOrder = async (req, res) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    const { saleId, dueDate, labName, labReference, notes } = req.body;
+
+    const sale = await queryRunner.manager.getRepository('Sale').findOne({
+      where: { id: parseInt(saleId) },
+      relations: ['store', 'customer', 'items']
+    });
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+    if (!canAccessStore(req.user, sale.storeId)) {
+      await queryRunner.rollbackTransaction();
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const prescriptionItem = sale.items.find(item => item.prescriptionId);
+    const job = await jobOrders.createForSale(queryRunner.manager, sale, sale.store, {
+      user: req.user,
+      prescriptionId: prescriptionItem ? prescriptionItem.prescriptionId : null,
+      dueDate,
+      labName,
+      labReference,
+      notes
+    });
+
+    await queryRunner.commitTransaction();
+
+    const notification = await jobOrders.notifyCustomer(AppDataSource.manager, job, {
+      customer: sale.customer,
+      store: sale.store
+    });
+
+    res.status(201).json({ message: 'Job order created successfully', jobOrder: withOverdue(job), notification });
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    res.status(400).json({ error: error.message });
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Update due date, lab and notes
+exports.updateJobOrder = async (req, res) => {
+  try {
+    const job = await findJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job order not found' });
+    }
+
+    if (!canAccessStore(req.user, job.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { dueDate, labName, labReference, notes } = req.body;
+    if (dueDate !== undefined) job.dueDate = jobOrders.parseDueDate(dueDate, job.sale.saleDate);
+    if (labName !== undefined) job.labName = labName || null;
+    if (labReference !== undefined) job.labReference = labReference || null;
+    if (notes !== undefined) job.notes = notes || '';
+
+    await getJobOrderRepository().save(job);
+
+    res.json({ message: 'Job order updated successfully', jobOrder: withOverdue(job) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Move a job to another step and tell the customer when there's news for them
+exports.updateJobStatus = async (req, res) => {
+  try {
+    const job = await findJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job order not found' });
+    }
+
+    if (!canAccessStore(req.user, job.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { status, note, labName, labReference } = req.body;
+    jobOrders.changeStatus(job, status, { user: req.user, note });
+
+    // The lab details are usually known when the job is sent out
+    if (labName !== undefined) job.labName = labName || null;
+    if (labReference !== undefined) job.labReference = labReference || null;
+
+    await getJobOrderRepository().save(job);
+    console.log(`🛠️ Job order ${job.jobNumber} is now ${status}`);
+
+    const notification = await jobOrders.notifyCustomer(AppDataSource.manager, job, {
+      customer: job.customer,
+      store: job.store
+    });
+
+    res.json({ message: 'Job status updated successfully', jobOrder: withOverdue(job), notification });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Generate job card
+exports.generateJobCard = async (req, res) => {
+  try {
+    const job = await findJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job order not found' });
+    }
+
+    if (!canAccessStore(req.user, job.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const filePath = await invoiceGenerator.generateJobCard(job, job.sale, job.store, job.customer);
+    res.download(filePath, `${job.jobNumber}.pdf`);
+  } catch (error) {
+    console.error('❌ Job card generation error:', error);
+    res.status(400).json({ error: error.message || 'Failed to generate job card' });
+  }
+};
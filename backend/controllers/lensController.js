@@ -0,0 +1,79 @@
+const { AppDataSource } = require('../data-source');
+const lensCatalog = require('../utils/lensCatalog');
+const taxSlabs = require('../utils/taxSlab');
+
+// Get repositories
+const getLensOptionRepository = () => AppDataSource.getRepository('LensOption');
+
+const parseOption = (body) => ({
+  kind: body.kind,
+  code: (body.code || '').toString().trim().toLowerCase(),
+  name: (body.name || '').trim(),
+  material: body.material ? body.material.trim() : null,
+  price: parseFloat(body.price),
+  designPrices: body.designPrices && Object.keys(body.designPrices).length > 0 ? body.designPrices : null,
+  designs: Array.isArray(body.designs) && body.designs.length > 0 ? body.designs : null,
+  hsnCode: body.hsnCode ? body.hsnCode.toString().trim() : null,
+  sortOrder: parseInt(body.sortOrder) || 0,
+  isActive: body.isActive !== false
+});
+
+// Lens catalog for the POS configurator, with today's GST rate for each lens HSN
+// so the till can show the tax before the sale prices it. Admins can ask for
+// inactive options too.
+exports.getLensOptions = async (req, res) => {
+  try {
+    const includeInactive = req.query.all === 'true' && req.user.role === 'admin';
+    const options = await lensCatalog.getOptions(AppDataSource.manager, { includeInactive });
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
+
+    const taxRates = {};
+    for (const hsnCode of lensCatalog.getHsnCodes(options)) {
+      taxRates[hsnCode] = lensCatalog.getTaxRate(slabs, hsnCode, new Date());
+    }
+
+    res.json({ options, taxRates });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Create lens option (Admin only)
+exports.createLensOption = async (req, res) => {
+  try {
+    const data = parseOption(req.body);
+    lensCatalog.validateOption(data);
+
+    const optionRepo = getLensOptionRepository();
+    if (await optionRepo.findOne({ where: { code: data.code } })) {
+      return res.status(400).json({ error: `A lens option with code ${data.code} already exists` });
+    }
+
+    const option = await optionRepo.save(optionRepo.create(data));
+    res.status(201).json({ message: 'Lens option created successfully', option });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update lens option (Admin only). Past sales keep the prices they were billed at.
+exports.updateLensOption = async (req, res) => {
+  try {
+    const optionRepo = getLensOptionRepository();
+    const option = await optionRepo.findOne({ where: { id: parseInt(req.params.optionId) } });
+
+    if (!option) {
+      return res.status(404).json({ error: 'Lens option not found' });
+    }
+
+    const data = parseOption({ ...option, ...req.body, kind: option.kind, code: option.code });
+    lensCatalog.validateOption(data);
+
+    Object.assign(option, data);
+    await optionRepo.save(option);
+
+    res.json({ message: 'Lens option updated successfully', option });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
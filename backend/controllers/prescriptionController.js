@@ -0,0 +1,89 @@
+const { AppDataSource } = require('../data-source');
+const prescriptions = require('../utils/prescription');
+const customers = require('../utils/customers');
+
+// Get repositories
+const getPrescriptionRepository = () => AppDataSource.getRepository('Prescription');
+const getCustomerRepository = () => AppDataSource.getRepository('Customer');
+
+const withExpiry = (prescription) => ({
+  ...prescription,
+  isExpired: prescriptions.isExpired(prescription)
+});
+
+// A customer's prescriptions, latest eye test first. Looked up by customerId or
+// by phone (the POS only knows the phone number until the sale is made), with the
+// name to pick out one of a family sharing the phone.
+exports.getPrescriptions = async (req, res) => {
+  try {
+    const { customerId, phone, name } = req.query;
+
+    let customer = null;
+    if (customerId) {
+      customer = await getCustomerRepository().findOne({ where: { id: parseInt(customerId) } });
+    } else if (phone) {
+      const normalized = customers.normalizePhone(phone);
+      customer = normalized ? customers.matchName(await customers.findByPhone(AppDataSource.manager, normalized), name) : null;
+    } else {
+      return res.status(400).json({ error: 'customerId or phone is required' });
+    }
+
+    if (!customer) {
+      return res.json({ customer: null, prescriptions: [] });
+    }
+
+    const list = await getPrescriptionRepository().find({
+      where: { customerId: customer.id },
+      order: { testDate: 'DESC', id: 'DESC' }
+    });
+
+    res.json({
+      customer: { id: customer.id, name: customer.name, phone: customer.phone },
+      prescriptions: list.map(withExpiry)
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get single prescription
+exports.getPrescription = async (req, res) => {
+  try {
+    const prescription = await getPrescriptionRepository().findOne({
+      where: { id: parseInt(req.params.prescriptionId) },
+      relations: ['customer']
+    });
+
+    if (!prescription) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    res.json({ prescription: withExpiry(prescription) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Record a prescription for an existing customer
+exports.createPrescription = async (req, res) => {
+  try {
+    const { customerId, ...data } = req.body;
+
+    const customer = await getCustomerRepository().findOne({ where: { id: parseInt(customerId) } });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const prescriptionRepo = getPrescriptionRepository();
+    const prescription = await prescriptionRepo.save(prescriptionRepo.create({
+      ...prescriptions.normalize(data),
+      customerId: customer.id,
+      createdById: req.user.id
+    }));
+
+    console.log(`👓 Prescription recorded for ${customer.name} (${customer.phone})`);
+    res.status(201).json({ message: 'Prescription saved', prescription: withExpiry(prescription) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
@@ -1,11 +1,59 @@
 const { AppDataSource } = require('../data-source');
-const { Like } = require('typeorm');
+const { Like, In } = require('typeorm');
 const shopifyService = require('../utils/shopify');
+const taxSlabs = require('../utils/taxSlab');
+const invoiceGenerator = require('../utils/invoice');
+const stockMovements = require('../utils/stockMovements');
 
 // Get repositories
 const getProductRepository = () => AppDataSource.getRepository('Product');
 const getInventoryRepository = () => AppDataSource.getRepository('Inventory');
 
+// Product as the POS sees it: inventory limited to the store (if given), with
+// quantities as numbers and that store's quantity (or the total) on top
+const transformProduct = (product, filterStoreId) => {
+  let inventoryToShow = product.inventory || [];
+  
+  // Filter inventory based on store (if specified)
+  if (filterStoreId) {
+    inventoryToShow = inventoryToShow.filter(inv => inv.storeId === filterStoreId);
+  }
+  
+  // Transform inventory to ensure quantities are numbers, not strings
+  inventoryToShow = inventoryToShow.map(inv => ({
+    ...inv,
+    quantity: parseInt(inv.quantity) || 0,
+    storeId: parseInt(inv.storeId),
+    productId: parseInt(inv.productId)
+  }));
+  
+  // Get store-specific quantity for sorting
+  const storeQuantity = filterStoreId 
+    ? (inventoryToShow.find(inv => inv.storeId === filterStoreId)?.quantity || 0)
+    : inventoryToShow.reduce((sum, inv) => sum + inv.quantity, 0);
+  
+  return {
+    _id: product.id,
+    id: product.id,
+    name: product.name,
+    sku: product.sku,
+    barcode: product.barcode,
+    category: product.category,
+    price: parseFloat(product.price),
+    hsnCode: product.hsnCode,
+    taxRate: product.taxRate,
+    description: product.description,
+    image: product.image,
+    shopifyProductId: product.shopifyProductId,
+    shopifyVariantId: product.shopifyVariantId,
+    isActive: product.isActive,
+    inventory: inventoryToShow,
+    quantity: storeQuantity, // Store-specific quantity for sorting/display
+    createdAt: product.createdAt,
+    updatedAt: product.updatedAt
+  };
+};
+
 // Create product
 exports.createProduct = async (req, res) => {
   try {
@@ -65,8 +113,8 @@ exports.getAllProducts = async (req, res) => {
 
     if (search) {
       queryBuilder.andWhere(
-        '(LOWER(product.name) LIKE LOWER(:search) OR LOWER(product.sku) LIKE LOWER(:search))',
-        { search: `%${search}%` }
+        '(LOWER(product.name) LIKE LOWER(:search) OR LOWER(product.sku) LIKE LOWER(:search) OR product.barcode = :barcode)',
+        { search: `%${search}%`, barcode: search.trim() }
       );
     }
 
@@ -79,8 +127,8 @@ exports.getAllProducts = async (req, res) => {
     }
     if (search) {
       totalQuery.andWhere(
-        '(LOWER(product.name) LIKE LOWER(:search) OR LOWER(product.sku) LIKE LOWER(:search))',
-        { search: `%${search}%` }
+        '(LOWER(product.name) LIKE LOWER(:search) OR LOWER(product.sku) LIKE LOWER(:search) OR product.barcode = :barcode)',
+        { search: `%${search}%`, barcode: search.trim() }
       );
     }
     
@@ -93,46 +141,7 @@ exports.getAllProducts = async (req, res) => {
       .getMany();
 
     // Transform products and filter inventory by store
-    const transformedProducts = allProducts.map(product => {
-      let inventoryToShow = product.inventory || [];
-      
-      // Filter inventory based on store (if specified)
-      if (filterStoreId) {
-        inventoryToShow = inventoryToShow.filter(inv => inv.storeId === filterStoreId);
-      }
-      
-      // Transform inventory to ensure quantities are numbers, not strings
-      inventoryToShow = inventoryToShow.map(inv => ({
-        ...inv,
-        quantity: parseInt(inv.quantity) || 0,
-        storeId: parseInt(inv.storeId),
-        productId: parseInt(inv.productId)
-      }));
-      
-      // Get store-specific quantity for sorting
-      const storeQuantity = filterStoreId 
-        ? (inventoryToShow.find(inv => inv.storeId === filterStoreId)?.quantity || 0)
-        : inventoryToShow.reduce((sum, inv) => sum + inv.quantity, 0);
-      
-      return {
-        _id: product.id,
-        id: product.id,
-        name: product.name,
-        sku: product.sku,
-        category: product.category,
-        price: parseFloat(product.price),
-        taxRate: product.taxRate,
-        description: product.description,
-        image: product.image,
-        shopifyProductId: product.shopifyProductId,
-        shopifyVariantId: product.shopifyVariantId,
-        isActive: product.isActive,
-        inventory: inventoryToShow,
-        quantity: storeQuantity, // Store-specific quantity for sorting/display
-        createdAt: product.createdAt,
-        updatedAt: product.updatedAt
-      };
-    });
+    const transformedProducts = allProducts.map(product => transformProduct(product, filterStoreId));
 
     // Sort by store-specific quantity (in stock first), then by creation date
     transformedProducts.sort((a, b) => {
@@ -193,6 +202,75 @@ exports.getProduct = async (req, res) => {
   }
 };
 
+// Look up a scanned code: the product's barcode, or its SKU for items labelled
+// from the SKU. Cashiers get their store's stock, admins the ?storeId they pass.
+exports.getProductByBarcode = async (req, res) => {
+  try {
+    const code = req.params.code.trim();
+    const { storeId } = req.query;
+
+    const filterStoreId = req.user.role === 'cashier' && req.user.assignedStore
+      ? parseInt(req.user.assignedStore.id)
+      : (storeId ? parseInt(storeId) : null);
+
+    const matches = await getProductRepository().createQueryBuilder('product')
+      .leftJoinAndSelect('product.inventory', 'inventory')
+      .where('product.isActive = :isActive', { isActive: true })
+      .andWhere('(product.barcode = :code OR product.sku = :code)', { code })
+      .getMany();
+
+    // A real barcode wins over a SKU that happens to look the same
+    const byBarcode = matches.filter(product => product.barcode === code);
+    const products = byBarcode.length > 0 ? byBarcode : matches;
+
+    if (products.length === 0) {
+      return res.status(404).json({ error: `No product with barcode ${code}` });
+    }
+    if (products.length > 1) {
+      return res.status(409).json({
+        error: `Barcode ${code} is on more than one product (${products.map(product => product.sku).join(', ')})`
+      });
+    }
+
+    res.json({ product: transformProduct(products[0], filterStoreId) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Barcode label sheet for the selected products
+exports.generateLabels = async (req, res) => {
+  try {
+    const { productIds, copies = 1 } = req.body;
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      return res.status(400).json({ error: 'Select at least one product' });
+    }
+
+    const copiesNum = parseInt(copies);
+    if (!(copiesNum >= 1 && copiesNum <= 100)) {
+      return res.status(400).json({ error: 'Copies must be between 1 and 100' });
+    }
+
+    const ids = productIds.map(id => parseInt(id));
+    // A product picked twice gets its labels twice, but is only found once
+    const uniqueIds = [...new Set(ids)];
+    const found = await getProductRepository().findBy({ id: In(uniqueIds) });
+    if (found.length !== uniqueIds.length) {
+      return res.status(404).json({ error: 'Some of the selected products were not found' });
+    }
+
+    // Keep the order they were picked in
+    const products = ids.map(id => found.find(product => product.id === id));
+
+    const filePath = await invoiceGenerator.generateLabels(products, { copies: copiesNum });
+    res.download(filePath, 'labels.pdf');
+  } catch (error) {
+    console.error('❌ Label generation error:', error);
+    res.status(400).json({ error: error.message || 'Failed to generate labels' });
+  }
+};
+
 // Update product
 exports.updateProduct = async (req, res) => {
   try {
@@ -209,6 +287,16 @@ exports.updateProduct = async (req, res) => {
     }
 
     Object.assign(product, req.body);
+
+    // A new HSN brings its current slab rate with it
+    if (req.body.hsnCode !== undefined) {
+      product.hsnCode = req.body.hsnCode || null;
+      const slabRate = taxSlabs.getRate(await taxSlabs.getSlabs(AppDataSource.manager), product.hsnCode);
+      if (slabRate !== null) {
+        product.taxRate = slabRate;
+      }
+    }
+
     await productRepo.save(product);
 
     res.json({ message: 'Product updated successfully', product });
@@ -244,10 +332,9 @@ exports.deleteProduct = async (req, res) => {
 exports.updateInventory = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { storeId, quantity } = req.body;
+    const { storeId, quantity, note } = req.body;
     
     const productRepo = getProductRepository();
-    const inventoryRepo = getInventoryRepository();
 
     const product = await productRepo.findOne({
       where: { id: parseInt(productId) }
@@ -257,25 +344,21 @@ exports.updateInventory = async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Find or create inventory entry
-    let inventory = await inventoryRepo.findOne({
-      where: { 
-        productId: parseInt(productId),
-        storeId: parseInt(storeId)
-      }
-    });
-
-    if (inventory) {
-      inventory.quantity = quantity;
-    } else {
-      inventory = inventoryRepo.create({
-        productId: parseInt(productId),
-        storeId: parseInt(storeId),
-        quantity
-      });
+    const newQuantity = parseInt(quantity);
+    if (isNaN(newQuantity)) {
+      return res.status(400).json({ error: 'Quantity must be a whole number' });
     }
 
-    await inventoryRepo.save(inventory);
+    // Set the stock and record the change in the ledger together
+    const inventory = await AppDataSource.transaction(manager => stockMovements.setQuantity(manager, {
+      productId: product.id,
+      storeId: parseInt(storeId),
+      quantity: newQuantity
+    }, {
+      type: 'manual_adjustment',
+      userId: req.user.id,
+      note: note || null
+    }));
 
     res.json({ message: 'Inventory updated successfully', inventory });
   } catch (error) {
@@ -291,6 +374,7 @@ exports.syncFromShopify = async (req, res) => {
     const shopifyProducts = await shopifyService.getProducts();
     const syncResults = { created: 0, updated: 0, errors: [] };
     const productRepo = getProductRepository();
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
 
     console.log(`📦 Processing ${shopifyProducts.length} products from Shopify...`);
 
@@ -317,23 +401,31 @@ exports.syncFromShopify = async (req, res) => {
           taxRate = 18;
         }
 
+        // Check if product exists
+        const existingProduct = await productRepo.findOne({
+          where: { shopifyProductId: shopifyProduct.id.toString() }
+        });
+
+        // HSN from product type / tags; keep one set by hand if nothing matches.
+        // Its slab rate replaces the category default.
+        const hsnCode = taxSlabs.matchHsnCode(slabs, [productType, ...tags.split(',')]) ||
+          existingProduct?.hsnCode || null;
+        const slabRate = taxSlabs.getRate(slabs, hsnCode);
+
         const productData = {
           name: shopifyProduct.title,
           sku: variant.sku || `SHOPIFY-${variant.id}`,
+          barcode: variant.barcode || null,
           category,
           price: parseFloat(variant.price),
-          taxRate,
+          hsnCode,
+          taxRate: slabRate !== null ? slabRate : taxRate,
           description: shopifyProduct.body_html || '',
           image: shopifyProduct.image?.src || '',
           shopifyProductId: shopifyProduct.id.toString(),
           shopifyVariantId: variant.id.toString()
         };
 
-        // Check if product exists
-        const existingProduct = await productRepo.findOne({
-          where: { shopifyProductId: shopifyProduct.id.toString() }
-        });
-
         if (existingProduct) {
           Object.assign(existingProduct, productData);
           await productRepo.save(existingProduct);
@@ -0,0 +1,75 @@
+const { AppDataSource } = require('../data-source');
+const promotions = require('../utils/promotions');
+
+// Get repositories
+const getPromotionRepository = () => AppDataSource.getRepository('Promotion');
+
+async function checkCouponCode(promotionRepo, couponCode, promotionId) {
+  if (!couponCode) return;
+  const existing = await promotionRepo.findOne({ where: { couponCode } });
+  if (existing && existing.id !== promotionId) {
+    throw new Error(`Coupon code ${couponCode} is already used by ${existing.name}`);
+  }
+}
+
+// Get promotions (inactive ones on request), with whether each is running right now
+exports.getPromotions = async (req, res) => {
+  try {
+    const { all, storeId } = req.query;
+
+    const promotionList = await getPromotionRepository().find({
+      where: all === 'true' ? {} : { isActive: true },
+      order: { createdAt: 'DESC' }
+    });
+
+    const now = new Date();
+    res.json({
+      promotions: promotionList
+        .filter(promotion => !storeId || !promotion.storeIds || promotion.storeIds.includes(parseInt(storeId)))
+        .map(promotion => ({
+          ...promotion,
+          isRunning: promotions.isRunning(promotion, storeId, now)
+        }))
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Create promotion
+exports.createPromotion = async (req, res) => {
+  try {
+    const data = promotions.normalize(req.body);
+
+    const promotionRepo = getPromotionRepository();
+    await checkCouponCode(promotionRepo, data.couponCode, null);
+
+    const promotion = await promotionRepo.save(promotionRepo.create({ ...data, createdById: req.user.id }));
+    console.log(`🏷️ Promotion created: ${promotion.name}${promotion.couponCode ? ` (coupon ${promotion.couponCode})` : ''}`);
+    res.status(201).json({ message: 'Promotion created successfully', promotion });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update promotion. Deactivate rather than delete: sales record the promotions they got.
+exports.updatePromotion = async (req, res) => {
+  try {
+    const promotionRepo = getPromotionRepository();
+    const promotion = await promotionRepo.findOne({ where: { id: parseInt(req.params.promotionId) } });
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const data = promotions.normalize({ ...promotion, ...req.body });
+    await checkCouponCode(promotionRepo, data.couponCode, promotion.id);
+
+    Object.assign(promotion, data);
+    await promotionRepo.save(promotion);
+
+    res.json({ message: 'Promotion updated successfully', promotion });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,181 @@
+const { AppDataSource } = require('../data-source');
+const purchaseOrders = require('../utils/purchaseOrders');
+
+// Get repositories
+const getPurchaseOrderRepository = () => AppDataSource.getRepository('PurchaseOrder');
+
+const ORDER_RELATIONS = ['supplier', 'store', 'items', 'receipts', 'receipts.items', 'receipts.receivedBy', 'createdBy', 'approvedBy'];
+
+const findOrder = (manager, orderId) => manager.getRepository('PurchaseOrder').findOne({
+  where: { id: parseInt(orderId) },
+  relations: ORDER_RELATIONS
+});
+
+// Keep the user records on the order and its receipts to a name
+const serialize = (order) => {
+  const person = user => (user ? { id: user.id, name: user.name } : null);
+  return {
+    ...order,
+    items: [...(order.items || [])].sort((a, b) => a.id - b.id),
+    receipts: [...(order.receipts || [])]
+      .sort((a, b) => a.id - b.id)
+      .map(receipt => ({ ...receipt, receivedBy: person(receipt.receivedBy) })),
+    createdBy: person(order.createdBy),
+    approvedBy: person(order.approvedBy)
+  };
+};
+
+// Run a step on a locked purchase order in one transaction
+const withOrder = async (orderId, step) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    // Lock the order row so two deliveries can't be booked against it at once
+    const locked = await queryRunner.manager.getRepository('PurchaseOrder').findOne({
+      where: { id: parseInt(orderId) },
+      lock: { mode: 'pessimistic_write' }
+    });
+    if (!locked) {
+      throw new Error('Purchase order not found');
+    }
+
+    const order = await findOrder(queryRunner.manager, locked.id);
+    const result = await step(queryRunner.manager, order);
+    await queryRunner.commitTransaction();
+
+    return { order: await findOrder(AppDataSource.manager, order.id), result };
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    throw error;
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Purchase order list, newest first, filtered by store, supplier, status and PO number search
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const { storeId, supplierId, status, search } = req.query;
+
+    const queryBuilder = getPurchaseOrderRepository().createQueryBuilder('po')
+      .leftJoinAndSelect('po.supplier', 'supplier')
+      .leftJoinAndSelect('po.store', 'store')
+      .leftJoinAndSelect('po.items', 'items');
+
+    if (storeId) {
+      queryBuilder.andWhere('po.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+    if (supplierId) {
+      queryBuilder.andWhere('po.supplierId = :supplierId', { supplierId: parseInt(supplierId) });
+    }
+    if (status) {
+      queryBuilder.andWhere('po.status = :status', { status });
+    }
+    if (search) {
+      queryBuilder.andWhere('(po.poNumber ILIKE :search OR supplier.name ILIKE :search)', { search: `%${search}%` });
+    }
+
+    const orders = await queryBuilder
+      .orderBy('po.createdAt', 'DESC')
+      .addOrderBy('items.id', 'ASC')
+      .take(200)
+      .getMany();
+
+    res.json({ purchaseOrders: orders.map(serialize), statuses: purchaseOrders.getStatuses() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get single purchase order with its goods receipts
+exports.getPurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(AppDataSource.manager, req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    res.json({ purchaseOrder: serialize(order) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Draft a purchase order
+exports.createPurchaseOrder = async (req, res) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    const order = await purchaseOrders.create(queryRunner.manager, req.body, req.user);
+    await queryRunner.commitTransaction();
+
+    const created = await findOrder(AppDataSource.manager, order.id);
+    res.status(201).json({ message: 'Purchase order created successfully', purchaseOrder: serialize(created) });
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    res.status(400).json({ error: error.message });
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Edit a draft (only notes and the Shopify push once approved)
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, expectedDate, items, notes, pushToShopify } = req.body;
+
+    const { order } = await withOrder(req.params.orderId, (manager, order) =>
+      purchaseOrders.update(manager, order, { supplierId, expectedDate, items, notes, pushToShopify }));
+
+    res.json({ message: 'Purchase order updated successfully', purchaseOrder: serialize(order) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Approve a draft so goods can be received against it
+exports.approvePurchaseOrder = async (req, res) => {
+  try {
+    const { order } = await withOrder(req.params.orderId, (manager, order) =>
+      purchaseOrders.approve(manager, order, req.user));
+
+    res.json({ message: 'Purchase order approved', purchaseOrder: serialize(order) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Book a delivery as a goods receipt (GRN):
+// { items: [{ itemId, quantity, unitCost }], supplierInvoiceNumber, notes, close }
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    const { items, supplierInvoiceNumber, notes, close } = req.body;
+
+    const { order, result } = await withOrder(req.params.orderId, (manager, order) =>
+      purchaseOrders.receive(manager, order, { items, supplierInvoiceNumber, notes, close: !!close }, req.user));
+
+    const message = result.receipt
+      ? `Goods receipt ${result.receipt.grnNumber} recorded`
+      : 'Purchase order closed';
+    res.json({ message, purchaseOrder: serialize(order), goodsReceipt: result.receipt });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Cancel an order nothing has been received against
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const { order } = await withOrder(req.params.orderId, (manager, order) =>
+      purchaseOrders.cancel(manager, order));
+
+    res.json({ message: 'Purchase order cancelled', purchaseOrder: serialize(order) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
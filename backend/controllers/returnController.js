@@ -0,0 +1,397 @@
+const { AppDataSource } = require('../data-source');
+const invoiceGenerator = require('../utils/invoice');
+const documentNumber = require('../utils/documentNumber');
+const gst = require('../utils/gst');
+const shopifyInventorySync = require('../utils/shopifyInventorySync');
+const shopifyOrderSync = require('../utils/shopifyOrderSync');
+const stockMovements = require('../utils/stockMovements');
+
+// Get repositories
+const getSaleRepository = () => AppDataSource.getRepository('Sale');
+const getSaleReturnRepository = () => AppDataSource.getRepository('SaleReturn');
+
+const REFUND_METHODS = ['cash', 'upi', 'card', 'store_credit', 'other'];
+
+// Round to paise so stored amounts match what is printed on the credit note
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Cashiers may only work with sales from their assigned store
+const canAccessStore = (user, storeId) => {
+  if (user.role !== 'cashier') return true;
+  return !!user.assignedStore && parseInt(user.assignedStore.id) === parseInt(storeId);
+};
+
+// Create a return (full or partial) against an existing sale
+exports.createReturn = async (req, res) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    const { saleId } = req.params;
+    const { items, reason, refundMethod, notes } = req.body;
+
+    const saleRepo = queryRunner.manager.getRepository('Sale');
+    const saleItemRepo = queryRunner.manager.getRepository('SaleItem');
+    const returnRepo = queryRunner.manager.getRepository('SaleReturn');
+    const returnItemRepo = queryRunner.manager.getRepository('SaleReturnItem');
+    const inventoryRepo = queryRunner.manager.getRepository('Inventory');
+    const customerRepo = queryRunner.manager.getRepository('Customer');
+    const storeRepo = queryRunner.manager.getRepository('Store');
+
+    // Lock the sale row so concurrent returns against the same invoice are serialised
+    const sale = await saleRepo.findOne({
+      where: { id: parseInt(saleId) },
+      lock: { mode: 'pessimistic_write' }
+    });
+
+    if (!sale) {
+      await queryRunner.rollbackTransaction();
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!canAccessStore(req.user, sale.storeId)) {
+      await queryRunner.rollbackTransaction();
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Split-tender sales have no single method to default to, so fall back to cash
+    const method = refundMethod || (REFUND_METHODS.includes(sale.paymentMethod) ? sale.paymentMethod : 'cash');
+    if (!REFUND_METHODS.includes(method)) {
+      throw new Error(`Invalid refund method: ${method}`);
+    }
+
+    console.log(`↩️ Processing return against sale: ${sale.invoiceNumber} (ID: ${sale.id})`);
+
+    const saleItems = await saleItemRepo.find({ where: { saleId: sale.id } });
+
+    // Work out how much of each line has already been returned, and refunded
+    const previousReturns = await returnRepo.find({
+      where: { saleId: sale.id },
+      relations: ['items']
+    });
+
+    const returnedQuantities = new Map();
+    const refunded = new Map(); // saleItemId -> { amount, tax }
+    for (const previousReturn of previousReturns) {
+      for (const returnedItem of previousReturn.items) {
+        const soFar = returnedQuantities.get(returnedItem.saleItemId) || 0;
+        returnedQuantities.set(returnedItem.saleItemId, soFar + parseInt(returnedItem.quantity));
+
+        const refundedSoFar = refunded.get(returnedItem.saleItemId) || { amount: 0, tax: 0 };
+        refunded.set(returnedItem.saleItemId, {
+          amount: refundedSoFar.amount + parseFloat(returnedItem.totalAmount),
+          tax: refundedSoFar.tax + parseFloat(returnedItem.taxAmount)
+        });
+      }
+    }
+
+    // No items means "return everything that is still returnable"
+    const requestedItems = Array.isArray(items) && items.length > 0
+      ? items
+      : saleItems.map(saleItem => ({
+          saleItemId: saleItem.id,
+          quantity: parseInt(saleItem.quantity) - (returnedQuantities.get(saleItem.id) || 0)
+        })).filter(item => item.quantity > 0);
+
+    if (requestedItems.length === 0) {
+      throw new Error('All items on this sale have already been returned');
+    }
+
+    const returnLines = [];
+    const movements = [];
+    let totalTax = 0;
+    let totalAmount = 0;
+
+    for (const requested of requestedItems) {
+      const saleItem = saleItems.find(item => item.id === parseInt(requested.saleItemId));
+      if (!saleItem) {
+        throw new Error(`Sale item not found on this sale: ${requested.saleItemId}`);
+      }
+
+      const quantity = parseInt(requested.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error(`Invalid return quantity for ${saleItem.name}`);
+      }
+
+      const soldQuantity = parseInt(saleItem.quantity);
+      const alreadyReturned = returnedQuantities.get(saleItem.id) || 0;
+      const returnable = soldQuantity - alreadyReturned;
+
+      if (quantity > returnable) {
+        throw new Error(`Cannot return ${quantity} of ${saleItem.name}. Returnable: ${returnable}`);
+      }
+
+      // Refund the same per-unit amount (and tax) that was billed on the original invoice.
+      // The last units take whatever is left on the line, so the paise lost rounding
+      // earlier partial refunds come back and the line is refunded in full.
+      const lineRefunded = refunded.get(saleItem.id) || { amount: 0, tax: 0 };
+      const isLastOfLine = quantity === returnable;
+      const lineAmount = isLastOfLine
+        ? roundAmount(parseFloat(saleItem.totalAmount) - lineRefunded.amount)
+        : roundAmount((parseFloat(saleItem.totalAmount) / soldQuantity) * quantity);
+      const lineTax = isLastOfLine
+        ? roundAmount(parseFloat(saleItem.taxAmount) - lineRefunded.tax)
+        : roundAmount((parseFloat(saleItem.taxAmount) / soldQuantity) * quantity);
+      // Lenses are cut to the customer's Rx, so only stocked products go back on the shelf
+      const restock = requested.restock !== false && !!saleItem.productId;
+
+      returnLines.push({
+        saleItemId: saleItem.id,
+        productId: saleItem.productId,
+        name: saleItem.name,
+        sku: saleItem.sku,
+        quantity,
+        unitPrice: saleItem.unitPrice,
+        discount: saleItem.discount,
+        discountedPrice: saleItem.discountedPrice,
+        hsnCode: saleItem.hsnCode,
+        taxRate: saleItem.taxRate,
+        taxAmount: lineTax,
+        ...gst.splitTax(lineTax, sale.isInterState), // Reverse tax the same way it was charged
+        totalAmount: lineAmount,
+        restocked: restock
+      });
+
+      returnedQuantities.set(saleItem.id, alreadyReturned + quantity);
+      refunded.set(saleItem.id, { amount: lineRefunded.amount + lineAmount, tax: lineRefunded.tax + lineTax });
+      totalTax += lineTax;
+      totalAmount += lineAmount;
+
+      // Put the stock back at the store that made the sale
+      if (restock) {
+        let inventory = await inventoryRepo.findOne({
+          where: {
+            productId: saleItem.productId,
+            storeId: sale.storeId
+          }
+        });
+
+        const oldQty = inventory ? parseInt(inventory.quantity) : 0;
+        if (inventory) {
+          inventory.quantity = oldQty + quantity;
+          console.log(`✅ Restocked ${quantity} units of product ${saleItem.productId} (${oldQty} → ${inventory.quantity})`);
+        } else {
+          inventory = inventoryRepo.create({
+            productId: saleItem.productId,
+            storeId: sale.storeId,
+            quantity
+          });
+          console.log(`✨ Created inventory record for product ${saleItem.productId} with ${quantity} returned units`);
+        }
+
+        await inventoryRepo.save(inventory);
+        movements.push({ productId: saleItem.productId, storeId: sale.storeId, quantityBefore: oldQty, quantityAfter: inventory.quantity });
+      }
+    }
+
+    // The sale was rounded to the rupee; the return that takes back the last of it
+    // refunds the round off too, so the credit notes add up to what was paid
+    const closesSale = saleItems.every(saleItem => (returnedQuantities.get(saleItem.id) || 0) >= parseInt(saleItem.quantity));
+    const roundOff = closesSale ? roundAmount(parseFloat(sale.roundOff || 0)) : 0;
+    totalAmount += roundOff;
+
+    const store = await storeRepo.findOne({ where: { id: sale.storeId } });
+    const creditNoteNumber = await documentNumber.next(queryRunner.manager, store, 'credit_note');
+
+    const saleReturn = returnRepo.create({
+      creditNoteNumber,
+      saleId: sale.id,
+      storeId: sale.storeId,
+      customerId: sale.customerId,
+      processedById: req.user.id,
+      reason: reason || '',
+      refundMethod: method,
+      totalTax: roundAmount(totalTax),
+      roundOff,
+      totalAmount: roundAmount(totalAmount),
+      notes: notes || ''
+    });
+
+    await returnRepo.save(saleReturn);
+
+    for (const line of returnLines) {
+      const returnItem = returnItemRepo.create({
+        ...line,
+        saleReturnId: saleReturn.id
+      });
+      await returnItemRepo.save(returnItem);
+    }
+
+    await stockMovements.record(queryRunner.manager, movements, {
+      type: 'return',
+      referenceType: 'sale_return',
+      referenceId: saleReturn.id,
+      referenceNumber: creditNoteNumber,
+      userId: req.user.id
+    });
+
+    // Restocked items go back on Shopify too
+    await shopifyInventorySync.enqueue(queryRunner.manager, returnLines
+      .filter(line => line.restocked)
+      .map(line => ({
+        productId: line.productId,
+        storeId: sale.storeId,
+        delta: line.quantity,
+        reason: 'return',
+        referenceId: saleReturn.id
+      })));
+
+    // Shopify's copy of the sale doesn't know about the refund
+    await shopifyOrderSync.flag(queryRunner.manager, sale.id, `Credit note ${creditNoteNumber} refunded ₹${roundAmount(totalAmount).toFixed(2)}`);
+
+    // Refunds reduce the customer's lifetime purchases
+    const customer = await customerRepo.findOne({ where: { id: sale.customerId } });
+    if (customer) {
+      const remaining = parseFloat(customer.totalPurchases) - roundAmount(totalAmount);
+      customer.totalPurchases = Math.max(0, roundAmount(remaining));
+      await customerRepo.save(customer);
+    }
+
+    await queryRunner.commitTransaction();
+
+    console.log(`✅ Credit note ${creditNoteNumber} issued for ₹${roundAmount(totalAmount)} against ${sale.invoiceNumber}`);
+
+    const completeReturn = await getSaleReturnRepository().findOne({
+      where: { id: saleReturn.id },
+      relations: ['sale', 'store', 'customer', 'processedBy', 'items']
+    });
+
+    res.status(201).json({
+      message: 'Return processed successfully',
+      saleReturn: completeReturn
+    });
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    console.error('❌ Return creation error:', error);
+    res.status(400).json({ error: error.message });
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Get all returns for a single sale
+exports.getSaleReturns = async (req, res) => {
+  try {
+    const { saleId } = req.params;
+
+    const sale = await getSaleRepository().findOne({ where: { id: parseInt(saleId) } });
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!canAccessStore(req.user, sale.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const returns = await getSaleReturnRepository().find({
+      where: { saleId: sale.id },
+      relations: ['processedBy', 'items'],
+      order: { returnDate: 'DESC' }
+    });
+
+    res.json({ returns });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get all returns (with filters)
+exports.getAllReturns = async (req, res) => {
+  try {
+    const { storeId, startDate, endDate } = req.query;
+
+    let queryBuilder = getSaleReturnRepository().createQueryBuilder('saleReturn')
+      .leftJoinAndSelect('saleReturn.sale', 'sale')
+      .leftJoinAndSelect('saleReturn.store', 'store')
+      .leftJoinAndSelect('saleReturn.customer', 'customer')
+      .leftJoinAndSelect('saleReturn.processedBy', 'processedBy')
+      .leftJoinAndSelect('saleReturn.items', 'items');
+
+    // Role-based filtering
+    if (req.user.role === 'cashier' && req.user.assignedStore) {
+      queryBuilder.where('saleReturn.storeId = :storeId', { storeId: req.user.assignedStore.id });
+    } else if (storeId) {
+      queryBuilder.where('saleReturn.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+
+    if (startDate) {
+      queryBuilder.andWhere('saleReturn.returnDate >= :startDate', { startDate: new Date(startDate) });
+    }
+
+    if (endDate) {
+      queryBuilder.andWhere('saleReturn.returnDate <= :endDate', { endDate: new Date(endDate) });
+    }
+
+    const returns = await queryBuilder
+      .orderBy('saleReturn.returnDate', 'DESC')
+      .take(100)
+      .getMany();
+
+    res.json({ returns });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get single return
+exports.getReturn = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+
+    const saleReturn = await getSaleReturnRepository().findOne({
+      where: { id: parseInt(returnId) },
+      relations: ['sale', 'store', 'customer', 'processedBy', 'items']
+    });
+
+    if (!saleReturn) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    if (!canAccessStore(req.user, saleReturn.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ saleReturn });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Generate credit note PDF
+exports.generateCreditNote = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+
+    console.log(`📄 Generating credit note for return ID: ${returnId}`);
+
+    const saleReturn = await getSaleReturnRepository().findOne({
+      where: { id: parseInt(returnId) },
+      relations: ['sale', 'store', 'customer', 'items']
+    });
+
+    if (!saleReturn) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    if (!canAccessStore(req.user, saleReturn.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const filePath = await invoiceGenerator.generateCreditNote(
+      saleReturn,
+      saleReturn.sale,
+      saleReturn.store,
+      saleReturn.customer
+    );
+
+    console.log(`✅ Credit note generated: ${filePath}`);
+    res.download(filePath, `${saleReturn.creditNoteNumber}.pdf`);
+  } catch (error) {
+    console.error('❌ Credit note generation error:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to generate credit note',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
@@ -0,0 +1,70 @@
+const { AppDataSource } = require('../data-source');
+
+// Get repositories
+const getSaleConflictRepository = () => AppDataSource.getRepository('SaleConflict');
+
+// Get sync conflicts from offline sales (open ones by default)
+exports.getAllConflicts = async (req, res) => {
+  try {
+    const { status = 'open', storeId, type } = req.query;
+
+    const queryBuilder = getSaleConflictRepository().createQueryBuilder('conflict')
+      .leftJoinAndSelect('conflict.sale', 'sale')
+      .leftJoinAndSelect('conflict.store', 'store')
+      .leftJoinAndSelect('conflict.cashier', 'cashier')
+      .leftJoinAndSelect('conflict.resolvedBy', 'resolvedBy');
+
+    if (status !== 'all') {
+      queryBuilder.where('conflict.status = :status', { status });
+    }
+
+    if (storeId) {
+      queryBuilder.andWhere('conflict.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+
+    if (type) {
+      queryBuilder.andWhere('conflict.type = :type', { type });
+    }
+
+    const conflicts = await queryBuilder
+      .orderBy('conflict.createdAt', 'DESC')
+      .take(200)
+      .getMany();
+
+    const openCount = await getSaleConflictRepository().count({ where: { status: 'open' } });
+
+    res.json({ conflicts, openCount });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Mark a conflict as reviewed
+exports.resolveConflict = async (req, res) => {
+  try {
+    const { conflictId } = req.params;
+    const { resolutionNote } = req.body;
+    const conflictRepo = getSaleConflictRepository();
+
+    const conflict = await conflictRepo.findOne({ where: { id: parseInt(conflictId) } });
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+
+    if (conflict.status === 'resolved') {
+      return res.status(400).json({ error: 'Conflict is already resolved' });
+    }
+
+    conflict.status = 'resolved';
+    conflict.resolutionNote = resolutionNote || '';
+    conflict.resolvedById = req.user.id;
+    conflict.resolvedAt = new Date();
+    await conflictRepo.save(conflict);
+
+    console.log(`✅ Sale conflict ${conflict.id} (${conflict.type}) resolved by ${req.user.email}`);
+
+    res.json({ message: 'Conflict resolved successfully', conflict });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
@@ -1,5 +1,19 @@
 const { AppDataSource } = require('../data-source');
 const invoiceGenerator = require('../utils/invoice');
+const documentNumber = require('../utils/documentNumber');
+const gst = require('../utils/gst');
+const taxSlabs = require('../utils/taxSlab');
+const shopifyInventorySync = require('../utils/shopifyInventorySync');
+const shopifyOrderSync = require('../utils/shopifyOrderSync');
+const stockMovements = require('../utils/stockMovements');
+const prescriptions = require('../utils/prescription');
+const lensCatalog = require('../utils/lensCatalog');
+const jobOrders = require('../utils/jobOrders');
+const receipts = require('../utils/receipt');
+const promotions = require('../utils/promotions');
+const discountLimits = require('../utils/discountLimits');
+const customers = require('../utils/customers');
+const pricing = require('../../shared/pricing');
 
 // Get repositories
 const getSaleRepository = () => AppDataSource.getRepository('Sale');
@@ -7,40 +21,252 @@ const getSaleItemRepository = () => AppDataSource.getRepository('SaleItem');
 const getProductRepository = () => AppDataSource.getRepository('Product');
 const getCustomerRepository = () => AppDataSource.getRepository('Customer');
 const getStoreRepository = () => AppDataSource.getRepository('Store');
-const getInventoryRepository = () => AppDataSource.getRepository('Inventory');
-
-// Helper function to generate store-specific invoice number
-async function generateInvoiceNumber(storeId) {
-  const storeRepo = getStoreRepository();
-  const saleRepo = getSaleRepository();
-  
-  const store = await storeRepo.findOne({ where: { id: storeId } });
-  if (!store) {
-    throw new Error('Store not found for invoice generation');
+
+// Helper function to generate store-specific invoice number.
+// Runs on the createSale transaction so the per-store, per-financial-year
+// sequence row stays locked until the sale commits.
+async function generateInvoiceNumber(manager, store, date = new Date()) {
+  return documentNumber.next(manager, store, 'invoice', date);
+}
+
+const PAYMENT_METHODS = ['cash', 'upi', 'card', 'other'];
+
+// Round to paise for money comparisons
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Helper function to validate tenders against the sale total.
+// Only cash may exceed what is due; the excess is returned as change.
+// Falls back to a single tender of `paymentMethod` when no split is given.
+function buildPayments(payments, totalAmount, paymentMethod) {
+  const total = roundAmount(totalAmount);
+
+  if (!Array.isArray(payments) || payments.length === 0) {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      throw new Error(`Invalid payment method: ${paymentMethod}`);
+    }
+    return {
+      payments: [{ method: paymentMethod, amount: total, tenderedAmount: total, reference: null }],
+      changeAmount: 0,
+      paymentMethod
+    };
+  }
+
+  const tenders = payments.map((payment) => {
+    const amount = roundAmount(parseFloat(payment.amount));
+    if (!PAYMENT_METHODS.includes(payment.method)) {
+      throw new Error(`Invalid payment method: ${payment.method}`);
+    }
+    if (!(amount > 0)) {
+      throw new Error(`Invalid ${payment.method} payment amount: ${payment.amount}`);
+    }
+    return { method: payment.method, tendered: amount, reference: payment.reference || null };
+  });
+
+  const tenderedTotal = roundAmount(tenders.reduce((sum, tender) => sum + tender.tendered, 0));
+  const nonCashTotal = roundAmount(tenders
+    .filter(tender => tender.method !== 'cash')
+    .reduce((sum, tender) => sum + tender.tendered, 0));
+
+  if (tenderedTotal < total) {
+    throw new Error(`Payments (₹${tenderedTotal.toFixed(2)}) do not cover the sale total (₹${total.toFixed(2)})`);
+  }
+  if (nonCashTotal > total) {
+    throw new Error(`Non-cash payments (₹${nonCashTotal.toFixed(2)}) exceed the sale total (₹${total.toFixed(2)})`);
   }
 
-  // Generate store prefix from store name
-  let storePrefix = store.name.toUpperCase().substring(0, 4);
-  storePrefix = `${storePrefix}VOYA`;
+  // Give change out of the cash tenders so the applied amounts sum to the total
+  const changeAmount = roundAmount(tenderedTotal - total);
+  let changeRemaining = changeAmount;
 
-  // Count existing invoices for this store
-  const storeInvoiceCount = await saleRepo.count({
-    where: {
-      storeId: storeId
+  const applied = tenders.map((tender) => {
+    let amount = tender.tendered;
+    if (tender.method === 'cash' && changeRemaining > 0) {
+      const fromThisTender = Math.min(changeRemaining, amount);
+      amount = roundAmount(amount - fromThisTender);
+      changeRemaining = roundAmount(changeRemaining - fromThisTender);
     }
+    return { method: tender.method, amount, tenderedAmount: tender.tendered, reference: tender.reference };
+  }).filter(payment => payment.amount > 0);
+
+  const methods = [...new Set(applied.map(payment => payment.method))];
+
+  return {
+    payments: applied,
+    changeAmount,
+    paymentMethod: methods.length === 1 ? methods[0] : 'split'
+  };
+}
+
+const findSaleByIdempotencyKey = (idempotencyKey) => getSaleRepository().findOne({
+  where: { idempotencyKey },
+  relations: ['store', 'cashier', 'customer', 'items', 'payments']
+});
+
+// How long after it was made a queued offline sale can still be billed as made
+const OFFLINE_SALE_WINDOW_HOURS = 72;
+
+// When a queued offline sale was made; never later than now. Older sales, and ones
+// from the previous financial year, wait for an admin rather than being numbered
+// into a year that may already be closed.
+function getOfflineSaleDate(offlineCreatedAt) {
+  const now = new Date();
+  const date = new Date(offlineCreatedAt);
+  if (!offlineCreatedAt || isNaN(date.getTime())) {
+    throw new Error('Invalid offline sale time');
+  }
+  if (date > now) return now;
+
+  if (now - date > OFFLINE_SALE_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw new Error(`Offline sale made ${date.toISOString()} is more than ${OFFLINE_SALE_WINDOW_HOURS} hours old and needs an admin to record it`);
+  }
+  const financialYear = documentNumber.getFinancialYear(date);
+  if (financialYear !== documentNumber.getFinancialYear(now)) {
+    throw new Error(`Offline sale was made in FY ${financialYear}, which has ended, and needs an admin to record it`);
+  }
+  return date;
+}
+
+// One open conflict per rejected offline sale, however often the POS retries it
+async function recordRejectedSale(req, error) {
+  const conflictRepo = AppDataSource.getRepository('SaleConflict');
+  const { idempotencyKey, storeId } = req.body;
+
+  const existing = await conflictRepo.findOne({
+    where: { idempotencyKey, type: 'rejected', status: 'open' }
   });
+  if (existing) return existing;
+
+  return conflictRepo.save(conflictRepo.create({
+    idempotencyKey,
+    storeId: parseInt(storeId) || null,
+    cashierId: req.user.id,
+    type: 'rejected',
+    message: error.message,
+    details: req.body
+  }));
+}
 
-  // Generate invoice number
-  const sequenceNumber = (storeInvoiceCount + 1).toString().padStart(4, '0');
-  const invoiceNumber = `${storePrefix}${sequenceNumber}`;
-  
-  console.log(`📄 Generated invoice number: ${invoiceNumber} for store: ${store.name}`);
-  
-  return invoiceNumber;
+// Sale line for the lenses fitted to a frame line: its own HSN and GST rate,
+// priced from the lens catalog (undiscounted, tax-inclusive like product MRPs)
+function buildLensLine(lens, quantity, { slabs, date, prescriptionId }) {
+  return pricing.priceLine({
+    productId: null,
+    lineType: 'lens',
+    name: lens.name,
+    sku: lens.sku,
+    quantity,
+    unitPrice: lens.price,
+    discount: 0,
+    hsnCode: lens.hsnCode,
+    taxRate: lensCatalog.getTaxRate(slabs, lens.hsnCode, date),
+    lensConfig: lens.config,
+    prescriptionId
+  });
 }
 
-// Create new sale
-exports.createSale = async (req, res) => {
+// A stored lens line again, for a sale edit that leaves the lenses as they were.
+// Its options may since have been repriced or taken out of the catalog.
+function keepLensLine(storedLine, quantity, { prescriptionId }) {
+  return pricing.priceLine({
+    productId: null,
+    lineType: 'lens',
+    name: storedLine.name,
+    sku: storedLine.sku,
+    quantity,
+    unitPrice: parseFloat(storedLine.unitPrice),
+    discount: 0,
+    hsnCode: storedLine.hsnCode,
+    taxRate: parseFloat(storedLine.taxRate),
+    lensConfig: storedLine.lensConfig,
+    prescriptionId
+  });
+}
+
+// Same design, index and coatings as a stored lens line
+function isSameLens(selection, lensConfig) {
+  const stored = lensCatalog.toSelection(lensConfig);
+  const coatings = [...new Set(selection.coatings || [])].sort();
+  return selection.design === stored.design &&
+    selection.index === stored.index &&
+    coatings.join(',') === [...stored.coatings].sort().join(',');
+}
+
+// Sale line for a product at its MRP less the cashier's discount, given per unit
+// in ₹ or as a percentage (`discountType`). TAX-INCLUSIVE PRICING: GST is
+// extracted from the amount charged (see shared/pricing.js).
+function buildProductLine(product, item, { slabs, date, prescriptionId }) {
+  // HSN and GST rate in force on the sale date, snapshotted on the line
+  const { hsnCode, taxRate } = taxSlabs.getProductTax(slabs, product, date);
+
+  try {
+    return pricing.priceLine({
+      productId: product.id,
+      name: product.name,
+      sku: product.sku,
+      quantity: item.quantity,
+      unitPrice: parseFloat(product.price), // MRP (includes tax)
+      discount: item.discount || 0,
+      discountType: item.discountType || 'amount',
+      hsnCode,
+      taxRate,
+      prescriptionId
+    });
+  } catch (error) {
+    throw new Error(`${product.name}: ${error.message}`);
+  }
+}
+
+// Promotions, then the bill discount and round off; each line's GST is split for the
+// place of supply once its amount is final
+function priceSaleLines(lines, { promotionDiscounts, billDiscount, isInterState }) {
+  const priced = pricing.priceCart(lines, { promotionDiscounts, billDiscount });
+  return {
+    ...priced,
+    lines: priced.lines.map(line => ({ ...line, ...gst.splitTax(line.taxAmount, isInterState) }))
+  };
+}
+
+// Save sale lines in order; a lens line points at the frame line it follows
+async function saveSaleItems(saleItemRepo, saleId, lines) {
+  let frameItem = null;
+  for (const line of lines) {
+    const saleItem = await saleItemRepo.save(saleItemRepo.create({
+      ...line,
+      saleId,
+      ...(line.lineType === 'lens' && frameItem && { parentItemId: frameItem.id })
+    }));
+    if (line.lineType !== 'lens') frameItem = saleItem;
+  }
+}
+
+// Rx for the eyeglass lines: one of the customer's saved prescriptions (`{ id }`)
+// or a new one captured at the counter
+async function resolvePrescription(manager, prescriptionData, customer, { userId, isOfflineSale }) {
+  const prescriptionRepo = manager.getRepository('Prescription');
+
+  if (prescriptionData.id) {
+    const prescription = await prescriptionRepo.findOne({
+      where: { id: parseInt(prescriptionData.id), customerId: customer.id }
+    });
+    if (!prescription) {
+      throw new Error('Prescription not found for this customer');
+    }
+    if (!isOfflineSale && prescriptions.isExpired(prescription)) {
+      throw new Error(`Prescription expired on ${prescription.expiryDate}. Please record a new one`);
+    }
+    return prescription;
+  }
+
+  return prescriptionRepo.save(prescriptionRepo.create({
+    ...prescriptions.normalize(prescriptionData),
+    customerId: customer.id,
+    createdById: userId
+  }));
+}
+
+// Record a sale. `offline` is set only for sales the POS queued while it couldn't
+// reach the server and replays through POST /sales/offline.
+const recordSale = async (req, res, { offline }) => {
   const queryRunner = AppDataSource.createQueryRunner();
   await queryRunner.connect();
   await queryRunner.startTransaction();
@@ -51,9 +277,39 @@ exports.createSale = async (req, res) => {
       items,
       customerInfo,
       paymentMethod,
-      notes
+      payments,
+      notes,
+      idempotencyKey,
+      provisionalInvoiceNumber,
+      offlineCreatedAt,
+      expectedTotal,
+      prescription: prescriptionData,
+      jobOrder: jobOrderData,
+      couponCode,
+      billDiscount,
+      approverId,
+      approvalPin
     } = req.body;
 
+    // A retried or re-synced sale returns the sale already recorded for its key
+    if (idempotencyKey) {
+      const existingSale = await findSaleByIdempotencyKey(idempotencyKey);
+      if (existingSale) {
+        await queryRunner.rollbackTransaction();
+        console.log(`♻️ Sale for idempotency key ${idempotencyKey} already recorded: ${existingSale.invoiceNumber}`);
+        return res.json({ message: 'Sale already recorded', sale: existingSale, duplicate: true });
+      }
+    }
+
+    // Sales queued while the POS was offline already happened at the counter, so
+    // they are recorded at the time they were made and problems go to admin review
+    const isOfflineSale = offline;
+    if (isOfflineSale && !idempotencyKey) {
+      throw new Error('Offline sales need an idempotency key');
+    }
+    const saleDate = isOfflineSale ? getOfflineSaleDate(offlineCreatedAt) : new Date();
+    const conflicts = [];
+
     // Validate store
     const storeRepo = queryRunner.manager.getRepository('Store');
     const store = await storeRepo.findOne({ where: { id: parseInt(storeId) } });
@@ -61,30 +317,32 @@ exports.createSale = async (req, res) => {
       throw new Error('Store not found');
     }
 
-    // Find or create customer
+    // Find or create customer. Offline sales already happened, so a number that
+    // can't be normalized is kept as typed rather than losing the sale.
     const customerRepo = queryRunner.manager.getRepository('Customer');
-    let customer = await customerRepo.findOne({ where: { phone: customerInfo.phone } });
-    
-    if (!customer) {
-      customer = customerRepo.create(customerInfo);
-      await customerRepo.save(customer);
-    } else {
-      // Update customer info if provided
-      customer.name = customerInfo.name || customer.name;
-      customer.email = customerInfo.email || customer.email;
-      customer.address = customerInfo.address || customer.address;
-      customer.gstNumber = customerInfo.gstNumber || customer.gstNumber;
-      await customerRepo.save(customer);
-    }
-
-    // Process sale items and calculate totals
-    const saleItems = [];
-    let subtotal = 0;
-    let totalDiscount = 0;
-    let totalTax = 0;
+    const phone = customers.normalizePhone(customerInfo.phone) || (isOfflineSale ? (customerInfo.phone || '').toString().trim() : null);
+    if (!phone) {
+      throw new Error(`${customerInfo.phone || 'Customer phone'} is not a valid phone number`);
+    }
+    const customer = await customers.findOrCreateForSale(queryRunner.manager, customerInfo, phone);
+
+    const prescription = prescriptionData
+      ? await resolvePrescription(queryRunner.manager, prescriptionData, customer, { userId: req.user.id, isOfflineSale })
+      : null;
+
+    // Place of supply decides CGST + SGST (same state) vs IGST (other state)
+    const supply = gst.determinePlaceOfSupply(store, customer);
+    console.log(`🧾 Place of supply: ${gst.formatPlaceOfSupply(supply.placeOfSupply)} (${supply.isInterState ? 'IGST' : 'CGST + SGST'})`);
+
+    // Process sale items
+    const lines = [];
+    const movements = [];
+    const categories = new Map(); // productId -> category, for category-scoped promotions
 
     const productRepo = queryRunner.manager.getRepository('Product');
     const inventoryRepo = queryRunner.manager.getRepository('Inventory');
+    const slabs = await taxSlabs.getSlabs(queryRunner.manager);
+    const lensOptions = items.some(item => item.lens) ? await lensCatalog.getOptions(queryRunner.manager) : [];
 
     for (const item of items) {
       const product = await productRepo.findOne({ where: { id: parseInt(item.productId) } });
@@ -93,64 +351,108 @@ exports.createSale = async (req, res) => {
       }
 
       // Check inventory
-      const inventory = await inventoryRepo.findOne({
+      let inventory = await inventoryRepo.findOne({
         where: {
           productId: parseInt(item.productId),
           storeId: parseInt(storeId)
         }
       });
 
-      if (!inventory || inventory.quantity < item.quantity) {
-        throw new Error(`Insufficient inventory for ${product.name}`);
-      }
+      const available = inventory ? inventory.quantity : 0;
+      if (available < item.quantity) {
+        if (!isOfflineSale) {
+          throw new Error(`Insufficient inventory for ${product.name}`);
+        }
 
-      // Calculate item totals with TAX-INCLUSIVE PRICING
-      const unitPrice = parseFloat(product.price); // MRP (includes tax)
-      const discount = item.discount || 0;
-      
-      // MRP for all quantities
-      const itemMRP = unitPrice * item.quantity;
-      const itemDiscount = discount * item.quantity;
-      
-      // Discounted MRP (still tax-inclusive)
-      const discountedMRP = itemMRP - itemDiscount;
-      
-      // Extract tax from tax-inclusive price
-      // Formula: Base = Price / (1 + TaxRate/100), Tax = Price - Base
-      const taxMultiplier = 1 + (product.taxRate / 100);
-      const baseAmount = discountedMRP / taxMultiplier;
-      const taxAmount = discountedMRP - baseAmount;
-      
-      // Discounted price per unit (tax-inclusive)
-      const discountedPrice = unitPrice - discount;
-
-      saleItems.push({
-        productId: product.id,
-        name: product.name,
-        sku: product.sku,
-        quantity: item.quantity,
-        unitPrice, // MRP per unit
-        discount,
-        discountedPrice, // Discounted MRP per unit
-        taxRate: product.taxRate,
-        taxAmount, // Extracted tax
-        totalAmount: discountedMRP // Final amount (tax-inclusive)
-      });
+        // Offline stock was already handed over; record it and let stock go negative
+        conflicts.push({
+          type: 'insufficient_stock',
+          message: `${product.name} (${product.sku}): sold ${item.quantity} offline with ${available} in stock`,
+          details: { productId: product.id, sku: product.sku, sold: item.quantity, available }
+        });
+        if (!inventory) {
+          inventory = inventoryRepo.create({ productId: product.id, storeId: parseInt(storeId), quantity: 0 });
+        }
+      }
 
-      subtotal += itemMRP; // MRP total
-      totalDiscount += itemDiscount;
-      totalTax += taxAmount; // Extracted tax
+      lines.push(buildProductLine(product, item, {
+        slabs,
+        date: saleDate,
+        prescriptionId: prescription && prescriptions.requiresPrescription(product) ? prescription.id : null
+      }));
+      categories.set(product.id, product.category);
+
+      // Lenses fitted to this frame, priced here rather than trusting the POS
+      if (item.lens) {
+        if (!lensCatalog.canTakeLens(product)) {
+          throw new Error(`Lenses can't be fitted to ${product.name}`);
+        }
+        const lensLine = buildLensLine(lensCatalog.configure(lensOptions, item.lens), item.quantity, {
+          slabs,
+          date: saleDate,
+          prescriptionId: prescription ? prescription.id : null
+        });
+        lines.push(lensLine);
+      }
 
       // Update inventory
+      const quantityBefore = inventory.quantity;
       inventory.quantity -= item.quantity;
       await inventoryRepo.save(inventory);
+      movements.push({ productId: product.id, storeId: inventory.storeId, quantityBefore, quantityAfter: inventory.quantity });
+    }
+
+    // Promotions running at the store when the sale was made, and the coupon if one
+    // was entered (locked so its last redemption can only be taken once)
+    const promotion = await promotions.price(queryRunner.manager, lines, {
+      storeId: store.id,
+      date: saleDate,
+      categories,
+      couponCode,
+      lock: true
+    });
+    // An offline sale is still recorded without the coupon; the price check below flags the difference
+    if (promotion.couponError && !isOfflineSale) {
+      throw new Error(promotion.couponError);
+    }
+    promotion.applied.forEach(applied => console.log(`🏷️ ${applied.name}: -₹${applied.amount.toFixed(2)}`));
+
+    // Then the bill discount, spread over the lines, and round off to the rupee
+    const {
+      lines: saleItems,
+      subtotal,
+      totalDiscount,
+      promotionDiscount,
+      billDiscount: billDiscountAmount,
+      totalTax,
+      roundOff,
+      totalAmount
+    } = priceSaleLines(lines, { promotionDiscounts: promotion.discounts, billDiscount, isInterState: supply.isInterState });
+
+    // Discounts over the cashier's limit need a supervisor's PIN. Offline sales are
+    // queued without one, so an over-limit one is turned away for admin review.
+    const discountApprover = await discountLimits.authorize(queryRunner.manager, {
+      user: req.user,
+      storeId: store.id,
+      lines: saleItems,
+      approval: approvalPin ? { approverId, approvalPin } : null
+    });
+
+    // Offline carts were priced from cached products, which may be out of date
+    if (isOfflineSale && expectedTotal !== undefined &&
+        roundAmount(parseFloat(expectedTotal)) !== roundAmount(totalAmount)) {
+      conflicts.push({
+        type: 'price_mismatch',
+        message: `POS charged ₹${roundAmount(parseFloat(expectedTotal)).toFixed(2)} offline, current prices total ₹${roundAmount(totalAmount).toFixed(2)}`,
+        details: { expectedTotal: parseFloat(expectedTotal), totalAmount: roundAmount(totalAmount) }
+      });
     }
 
-    // Total is subtotal - discount (tax already included in prices)
-    const totalAmount = subtotal - totalDiscount;
+    // Validate tenders before allocating an invoice number
+    const tender = buildPayments(payments, totalAmount, paymentMethod);
 
-    // Generate invoice number
-    const invoiceNumber = await generateInvoiceNumber(parseInt(storeId));
+    // Generate invoice number (in the financial year the sale was made)
+    const invoiceNumber = await generateInvoiceNumber(queryRunner.manager, store, saleDate);
 
     // Create sale
     const saleRepo = queryRunner.manager.getRepository('Sale');
@@ -161,24 +463,88 @@ exports.createSale = async (req, res) => {
       customerId: customer.id,
       subtotal,
       totalDiscount,
+      promotionDiscount,
+      appliedPromotions: promotion.applied.length > 0 ? promotion.applied : null,
+      couponCode: promotion.coupon ? promotion.coupon.couponCode : null,
+      billDiscount: billDiscountAmount,
+      discountApprovedById: discountApprover ? discountApprover.id : null,
       totalTax,
+      roundOff,
       totalAmount,
-      paymentMethod,
+      paymentMethod: tender.paymentMethod,
+      changeAmount: tender.changeAmount,
+      placeOfSupply: supply.placeOfSupply,
+      isInterState: supply.isInterState,
+      saleDate,
+      idempotencyKey: idempotencyKey || null,
+      provisionalInvoiceNumber: isOfflineSale ? provisionalInvoiceNumber || null : null,
       notes: notes || ''
     });
 
     await saleRepo.save(sale);
 
-    // Create sale items
-    const saleItemRepo = queryRunner.manager.getRepository('SaleItem');
-    for (const item of saleItems) {
-      const saleItem = saleItemRepo.create({
-        ...item,
-        saleId: sale.id
-      });
-      await saleItemRepo.save(saleItem);
+    if (promotion.coupon) {
+      await promotions.redeem(queryRunner.manager, promotion.coupon);
+    }
+
+    // Record anything an admin needs to look at for this offline sale
+    if (conflicts.length > 0) {
+      const conflictRepo = queryRunner.manager.getRepository('SaleConflict');
+      for (const conflict of conflicts) {
+        await conflictRepo.save(conflictRepo.create({
+          ...conflict,
+          idempotencyKey,
+          saleId: sale.id,
+          storeId: sale.storeId,
+          cashierId: req.user.id
+        }));
+      }
+      console.warn(`⚠️ Offline sale ${invoiceNumber} synced with ${conflicts.length} conflict(s) for review`);
+    }
+
+    // Record each tender
+    const paymentRepo = queryRunner.manager.getRepository('SalePayment');
+    for (const payment of tender.payments) {
+      await paymentRepo.save(paymentRepo.create({ ...payment, saleId: sale.id }));
     }
 
+    if (tender.changeAmount > 0) {
+      console.log(`💵 Cash change due: ₹${tender.changeAmount.toFixed(2)}`);
+    }
+
+    // Create sale items
+    await saveSaleItems(queryRunner.manager.getRepository('SaleItem'), sale.id, saleItems);
+
+    // Spectacles that go to the lab are tracked as a job until handed over
+    const jobOrder = jobOrders.needsJob(saleItems)
+      ? await jobOrders.createForSale(queryRunner.manager, sale, store, {
+        ...jobOrderData,
+        user: req.user,
+        prescriptionId: prescription ? prescription.id : null
+      })
+      : null;
+
+    // Ledger entries for the stock the sale took
+    await stockMovements.record(queryRunner.manager, movements, {
+      type: 'sale',
+      referenceType: 'sale',
+      referenceId: sale.id,
+      referenceNumber: invoiceNumber,
+      userId: req.user.id
+    });
+
+    // Queue the stock change for Shopify (pushed by the background worker)
+    await shopifyInventorySync.enqueue(queryRunner.manager, saleItems.map(item => ({
+      productId: item.productId,
+      storeId: sale.storeId,
+      delta: -item.quantity,
+      reason: 'sale',
+      referenceId: sale.id
+    })));
+
+    // Mirror the sale as a Shopify order if the store opted in
+    await shopifyOrderSync.enqueue(queryRunner.manager, sale, store);
+
     // Update customer stats
     customer.totalPurchases = parseFloat(customer.totalPurchases) + totalAmount;
     customer.lastPurchaseDate = new Date();
@@ -187,26 +553,138 @@ exports.createSale = async (req, res) => {
     // Commit transaction
     await queryRunner.commitTransaction();
 
+    // Let the customer know the order is placed (without holding up the sale)
+    if (jobOrder) {
+      jobOrders.notifyCustomer(AppDataSource.manager, jobOrder, { customer, store });
+    }
+
     // Load full sale data for response
     const completeSale = await getSaleRepository().findOne({
       where: { id: sale.id },
-      relations: ['store', 'cashier', 'customer', 'items']
+      relations: ['store', 'cashier', 'customer', 'items', 'payments']
     });
 
     res.status(201).json({
       message: 'Sale created successfully',
-      sale: completeSale
+      sale: completeSale,
+      conflicts: conflicts.length,
+      ...(jobOrder && { jobOrder })
     });
   } catch (error) {
     // Rollback transaction on error
     await queryRunner.rollbackTransaction();
+
+    const { idempotencyKey } = req.body;
+
+    // Lost a race with another request for the same key: that one recorded the sale
+    if (idempotencyKey && error.code === '23505') {
+      const existingSale = await findSaleByIdempotencyKey(idempotencyKey);
+      if (existingSale) {
+        return res.json({ message: 'Sale already recorded', sale: existingSale, duplicate: true });
+      }
+    }
+
+    // Over the cashier's limit: the POS asks for a supervisor's PIN and tries again
+    if (error.approval && !offline) {
+      return res.status(403).json({ error: error.message, approvalRequired: true, ...error.approval });
+    }
+
     console.error('Sale creation error:', error);
+
+    // An offline sale that cannot be recorded is parked for admin review so the
+    // POS can stop retrying it
+    if (offline && idempotencyKey) {
+      try {
+        await recordRejectedSale(req, error);
+        return res.status(409).json({ error: error.message, conflict: true });
+      } catch (conflictError) {
+        console.error('Failed to record sale conflict:', conflictError);
+      }
+    }
+
     res.status(400).json({ error: error.message });
   } finally {
     await queryRunner.release();
   }
 };
 
+// Create new sale
+exports.createSale = (req, res) => recordSale(req, res, { offline: false });
+
+// Replay a sale the POS queued while offline
+exports.syncOfflineSale = (req, res) => recordSale(req, res, { offline: true });
+
+// Price a cart the way createSale will (line and bill discounts, promotions, coupon
+// and round off) so the POS shows what will be billed. Stock isn't checked or reserved here.
+exports.quoteSale = async (req, res) => {
+  try {
+    const { storeId, items, couponCode, billDiscount, customerInfo } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+
+    const store = await getStoreRepository().findOne({ where: { id: parseInt(storeId) } });
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const saleDate = new Date();
+    const supply = gst.determinePlaceOfSupply(store, customerInfo);
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
+    const lensOptions = items.some(item => item.lens) ? await lensCatalog.getOptions(AppDataSource.manager) : [];
+
+    const lines = [];
+    const categories = new Map();
+    for (const item of items) {
+      const product = await getProductRepository().findOne({ where: { id: parseInt(item.productId) } });
+      if (!product) {
+        return res.status(404).json({ error: `Product not found: ${item.productId}` });
+      }
+
+      lines.push(buildProductLine(product, item, { slabs, date: saleDate, prescriptionId: null }));
+      categories.set(product.id, product.category);
+
+      if (item.lens && lensCatalog.canTakeLens(product)) {
+        lines.push(buildLensLine(lensCatalog.configure(lensOptions, item.lens), item.quantity, {
+          slabs,
+          date: saleDate,
+          prescriptionId: null
+        }));
+      }
+    }
+
+    const promotion = await promotions.price(AppDataSource.manager, lines, {
+      storeId: store.id,
+      date: saleDate,
+      categories,
+      couponCode
+    });
+    const priced = priceSaleLines(lines, { promotionDiscounts: promotion.discounts, billDiscount, isInterState: supply.isInterState });
+    const maxDiscountPercent = await discountLimits.getLimit(AppDataSource.manager, req.user, store.id);
+    const requestedDiscountPercent = discountLimits.getRequestedPercent(priced.lines);
+
+    res.json({
+      items: priced.lines,
+      subtotal: priced.subtotal,
+      totalDiscount: priced.totalDiscount,
+      promotionDiscount: priced.promotionDiscount,
+      billDiscount: priced.billDiscount,
+      totalTax: priced.totalTax,
+      roundOff: priced.roundOff,
+      totalAmount: priced.totalAmount,
+      appliedPromotions: promotion.applied,
+      couponCode: promotion.coupon ? promotion.coupon.couponCode : null,
+      couponError: promotion.couponError,
+      // Checkout will ask for a supervisor's PIN when the discount is over the limit
+      maxDiscountPercent,
+      requiresApproval: maxDiscountPercent !== null && requestedDiscountPercent > maxDiscountPercent
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
 // Get all sales (with filters)
 exports.getAllSales = async (req, res) => {
   try {
@@ -216,6 +694,7 @@ exports.getAllSales = async (req, res) => {
     let queryBuilder = saleRepo.createQueryBuilder('sale')
       .leftJoinAndSelect('sale.store', 'store')
       .leftJoinAndSelect('sale.cashier', 'cashier')
+      .leftJoinAndSelect('sale.discountApprovedBy', 'discountApprovedBy')
       .leftJoinAndSelect('sale.customer', 'customer')
       .leftJoinAndSelect('sale.items', 'items');
 
@@ -257,7 +736,7 @@ exports.getSale = async (req, res) => {
     
     const sale = await saleRepo.findOne({
       where: { id: parseInt(saleId) },
-      relations: ['store', 'cashier', 'customer', 'items', 'items.product']
+      relations: ['store', 'cashier', 'discountApprovedBy', 'customer', 'items', 'items.product', 'items.prescription', 'payments']
     });
 
     if (!sale) {
@@ -286,7 +765,7 @@ exports.generateInvoice = async (req, res) => {
     
     const sale = await saleRepo.findOne({
       where: { id: parseInt(saleId) },
-      relations: ['store', 'customer', 'items', 'items.product']  // ✅ Load product info
+      relations: ['store', 'customer', 'items', 'items.product', 'items.prescription', 'payments']  // ✅ Load product info
     });
 
     if (!sale) {
@@ -329,30 +808,77 @@ exports.generateInvoice = async (req, res) => {
   }
 };
 
+// Till receipt for a thermal printer: a narrow PDF or raw ESC/POS bytes, in
+// the store's format and paper width unless the request asks for others
+exports.generateReceipt = async (req, res) => {
+  try {
+    const { saleId } = req.params;
+
+    const sale = await getSaleRepository().findOne({
+      where: { id: parseInt(saleId) },
+      relations: ['store', 'cashier', 'customer', 'items', 'payments']
+    });
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    // Check access
+    if (req.user.role === 'cashier' &&
+        req.user.assignedStore &&
+        sale.storeId !== req.user.assignedStore.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const format = req.query.format || sale.store.receiptFormat || 'pdf';
+    const paperWidth = parseInt(req.query.width) || sale.store.receiptPaperWidth || 80;
+    receipts.validateSettings({ receiptFormat: format, receiptPaperWidth: paperWidth });
+
+    const lines = receipts.build(sale, sale.store, sale.customer, paperWidth);
+
+    if (format === 'escpos') {
+      res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${sale.invoiceNumber}.bin"`
+      });
+      return res.send(receipts.toEscPos(lines, paperWidth));
+    }
+
+    const filePath = await receipts.generatePdf(lines, sale, paperWidth);
+    res.download(filePath, `${sale.invoiceNumber}-receipt.pdf`);
+  } catch (error) {
+    console.error('❌ Receipt generation error:', error);
+    res.status(400).json({ error: error.message || 'Failed to generate receipt' });
+  }
+};
+
 // Get sales statistics
 exports.getSalesStats = async (req, res) => {
   try {
     const { storeId, startDate, endDate } = req.query;
     const saleRepo = getSaleRepository();
-    
-    let queryBuilder = saleRepo.createQueryBuilder('sale');
 
-    // Role-based filtering
-    if (req.user.role === 'cashier' && req.user.assignedStore) {
-      queryBuilder.where('sale.storeId = :storeId', { storeId: req.user.assignedStore.id });
-    } else if (storeId) {
-      queryBuilder.where('sale.storeId = :storeId', { storeId: parseInt(storeId) });
-    }
+    // Same filters for the sale totals and the per-item tax split
+    const applyFilters = (queryBuilder) => {
+      // Role-based filtering
+      if (req.user.role === 'cashier' && req.user.assignedStore) {
+        queryBuilder.where('sale.storeId = :storeId', { storeId: req.user.assignedStore.id });
+      } else if (storeId) {
+        queryBuilder.where('sale.storeId = :storeId', { storeId: parseInt(storeId) });
+      }
 
-    if (startDate) {
-      queryBuilder.andWhere('sale.saleDate >= :startDate', { startDate: new Date(startDate) });
-    }
+      if (startDate) {
+        queryBuilder.andWhere('sale.saleDate >= :startDate', { startDate: new Date(startDate) });
+      }
 
-    if (endDate) {
-      queryBuilder.andWhere('sale.saleDate <= :endDate', { endDate: new Date(endDate) });
-    }
+      if (endDate) {
+        queryBuilder.andWhere('sale.saleDate <= :endDate', { endDate: new Date(endDate) });
+      }
+
+      return queryBuilder;
+    };
 
-    const result = await queryBuilder
+    const result = await applyFilters(saleRepo.createQueryBuilder('sale'))
       .select('COUNT(sale.id)', 'totalSales')
       .addSelect('SUM(sale.totalAmount)', 'totalRevenue')
       .addSelect('SUM(sale.totalDiscount)', 'totalDiscount')
@@ -360,11 +886,21 @@ exports.getSalesStats = async (req, res) => {
       .addSelect('AVG(sale.totalAmount)', 'avgSaleAmount')
       .getRawOne();
 
+    // Items saved before the split was stored were all intra-state (equal CGST/SGST)
+    const taxSplit = await applyFilters(getSaleItemRepository().createQueryBuilder('item').innerJoin('item.sale', 'sale'))
+      .select('SUM(COALESCE(item.cgstAmount, item.taxAmount / 2))', 'totalCgst')
+      .addSelect('SUM(COALESCE(item.sgstAmount, item.taxAmount / 2))', 'totalSgst')
+      .addSelect('SUM(COALESCE(item.igstAmount, 0))', 'totalIgst')
+      .getRawOne();
+
     const stats = {
       totalSales: parseInt(result.totalSales) || 0,
       totalRevenue: parseFloat(result.totalRevenue) || 0,
       totalDiscount: parseFloat(result.totalDiscount) || 0,
       totalTax: parseFloat(result.totalTax) || 0,
+      totalCgst: roundAmount(parseFloat(taxSplit.totalCgst) || 0),
+      totalSgst: roundAmount(parseFloat(taxSplit.totalSgst) || 0),
+      totalIgst: roundAmount(parseFloat(taxSplit.totalIgst) || 0),
       avgSaleAmount: parseFloat(result.avgSaleAmount) || 0
     };
 
@@ -382,7 +918,7 @@ exports.updateSale = async (req, res) => {
 
   try {
     const { saleId } = req.params;
-    const { items } = req.body; // Array of { productId, quantity, discount }
+    const { items, payments, billDiscount, approverId, approvalPin } = req.body; // items: Array of { productId, quantity, discount, discountType }
     
     // Only admins can edit sales
     if (req.user.role !== 'admin') {
@@ -405,12 +941,32 @@ exports.updateSale = async (req, res) => {
       return res.status(404).json({ error: 'Sale not found' });
     }
 
+    // A credit note has been issued against this invoice, so its lines can no longer change
+    const returnCount = await queryRunner.manager.getRepository('SaleReturn').count({ where: { saleId: sale.id } });
+    if (returnCount > 0) {
+      await queryRunner.rollbackTransaction();
+      return res.status(400).json({ error: 'Cannot edit a sale that has returns against it' });
+    }
+
     console.log(`✏️  Editing sale: ${sale.invoiceNumber} (ID: ${sale.id})`);
 
+    // Keep the original place of supply; sales made before it was recorded get it worked out now
+    if (!sale.placeOfSupply) {
+      const store = await queryRunner.manager.getRepository('Store').findOne({ where: { id: sale.storeId } });
+      const customer = await queryRunner.manager.getRepository('Customer').findOne({ where: { id: sale.customerId } });
+      const supply = gst.determinePlaceOfSupply(store, customer);
+      sale.placeOfSupply = supply.placeOfSupply;
+      sale.isInterState = supply.isInterState;
+    }
+
     // Step 1: Restore inventory for old items
     const inventoryRepoTxn = queryRunner.manager.getRepository('Inventory');
+    // Stock per product before the edit and after it, for the ledger
+    const stockLevels = new Map();
     
     for (const oldItem of sale.items) {
+      if (!oldItem.productId) continue; // Lens lines aren't stocked
+
       const inventory = await inventoryRepoTxn.findOne({
         where: {
           productId: oldItem.productId,
@@ -423,6 +979,8 @@ exports.updateSale = async (req, res) => {
         const restoreQty = parseInt(oldItem.quantity);
         inventory.quantity = oldQty + restoreQty;
         await inventoryRepoTxn.save(inventory);
+        const level = stockLevels.get(oldItem.productId) || { quantityBefore: oldQty };
+        stockLevels.set(oldItem.productId, { ...level, quantityAfter: inventory.quantity });
         console.log(`✅ Restored ${restoreQty} units of product ${oldItem.productId} (${oldQty} → ${inventory.quantity})`);
       }
     }
@@ -433,11 +991,19 @@ exports.updateSale = async (req, res) => {
       console.log(`✅ Deleted ${sale.items.length} old sale items`);
     }
 
+    // Eyeglass lines keep the prescription the sale was made to
+    const prescriptionId = sale.items.map(item => item.prescriptionId).find(Boolean) || null;
+
+    // Lens lines as sold, with the frame they were fitted to
+    const storedLenses = sale.items
+      .filter(item => item.lineType === 'lens' && item.lensConfig)
+      .map(line => ({ line, frameProductId: sale.items.find(item => item.id === line.parentItemId)?.productId }));
+
     // Step 3: Create new sale items and deduct inventory
-    const newSaleItems = [];
-    let subtotal = 0;
-    let totalDiscount = 0;
-    let totalTax = 0;
+    const lines = [];
+    const categories = new Map();
+    const slabs = await taxSlabs.getSlabs(queryRunner.manager);
+    let lensOptions = null;
 
     for (const item of items) {
       const product = await productRepo.findOne({ where: { id: parseInt(item.productId) } });
@@ -465,59 +1031,156 @@ exports.updateSale = async (req, res) => {
         throw new Error(`Insufficient inventory for ${product.name}. Available: ${availableQuantity}, Needed: ${item.quantity}`);
       }
 
-      // Calculate item totals with TAX-INCLUSIVE PRICING
-      const unitPrice = parseFloat(product.price);
-      const discount = item.discount || 0;
-      
-      const itemMRP = unitPrice * item.quantity;
-      const itemDiscount = discount * item.quantity;
-      const discountedMRP = itemMRP - itemDiscount;
-      
-      const taxMultiplier = 1 + (product.taxRate / 100);
-      const baseAmount = discountedMRP / taxMultiplier;
-      const taxAmount = discountedMRP - baseAmount;
-      const discountedPrice = unitPrice - discount;
-
-      newSaleItems.push({
-        saleId: sale.id,
-        productId: product.id,
-        name: product.name,
-        sku: product.sku,
-        quantity: item.quantity,
-        unitPrice,
-        discount,
-        discountedPrice,
-        taxRate: product.taxRate,
-        taxAmount,
-        totalAmount: discountedMRP
-      });
-
-      subtotal += itemMRP;
-      totalDiscount += itemDiscount;
-      totalTax += taxAmount;
+      // Rate in force on the original sale date
+      lines.push(buildProductLine(product, item, {
+        slabs,
+        date: sale.saleDate,
+        prescriptionId: prescriptions.requiresPrescription(product) ? prescriptionId : null
+      }));
+      categories.set(product.id, product.category);
+
+      // Lenses left as they were keep the line they were sold on; changed lenses
+      // are priced from the current catalog
+      if (item.lens) {
+        if (!lensCatalog.canTakeLens(product)) {
+          throw new Error(`Lenses can't be fitted to ${product.name}`);
+        }
+        const storedIndex = storedLenses.findIndex(stored =>
+          stored.frameProductId === product.id && isSameLens(item.lens, stored.line.lensConfig));
+
+        if (storedIndex !== -1) {
+          const [stored] = storedLenses.splice(storedIndex, 1);
+          lines.push(keepLensLine(stored.line, item.quantity, { prescriptionId }));
+        } else {
+          lensOptions = lensOptions || await lensCatalog.getOptions(queryRunner.manager);
+          lines.push(buildLensLine(lensCatalog.configure(lensOptions, item.lens), item.quantity, {
+            slabs,
+            date: sale.saleDate,
+            prescriptionId
+          }));
+        }
+      }
 
       // Update inventory - deduct new quantity
       inventory.quantity = availableQuantity - item.quantity;
       await inventoryRepoTxn.save(inventory);
+      const level = stockLevels.get(product.id) || { quantityBefore: availableQuantity };
+      stockLevels.set(product.id, { ...level, quantityAfter: inventory.quantity });
       console.log(`✅ Deducted ${item.quantity} units of ${product.name} (${availableQuantity} → ${inventory.quantity})`);
     }
 
+    // Queue the net stock change per product for Shopify and record it in the ledger
+    const stockChanges = new Map();
+    for (const oldItem of sale.items) {
+      stockChanges.set(oldItem.productId, (stockChanges.get(oldItem.productId) || 0) + parseInt(oldItem.quantity));
+    }
+    for (const newItem of lines) {
+      stockChanges.set(newItem.productId, (stockChanges.get(newItem.productId) || 0) - parseInt(newItem.quantity));
+    }
+    await shopifyInventorySync.enqueue(queryRunner.manager, [...stockChanges].map(([productId, delta]) => ({
+      productId,
+      storeId: sale.storeId,
+      delta,
+      reason: 'sale_edit',
+      referenceId: sale.id
+    })));
+    await stockMovements.record(queryRunner.manager, [...stockLevels].map(([productId, level]) => ({
+      productId,
+      storeId: sale.storeId,
+      ...level
+    })), {
+      type: 'sale_edit',
+      referenceType: 'sale',
+      referenceId: sale.id,
+      referenceNumber: sale.invoiceNumber,
+      userId: req.user.id
+    });
+
+    // Promotions as they ran on the sale date; the sale's coupon is already redeemed
+    const promotion = await promotions.price(queryRunner.manager, lines, {
+      storeId: sale.storeId,
+      date: new Date(sale.saleDate),
+      categories,
+      couponCode: sale.couponCode,
+      redeemed: true
+    });
+    if (sale.couponCode && !promotion.coupon) {
+      console.log(`🏷️ Coupon ${sale.couponCode} no longer applies: ${promotion.couponError}`);
+      await promotions.release(queryRunner.manager, sale.couponCode);
+      sale.couponCode = null;
+    }
+
+    // The bill discount stays at what it was in ₹ unless a new one is given
+    const {
+      lines: newSaleItems,
+      subtotal,
+      totalDiscount,
+      promotionDiscount,
+      billDiscount: billDiscountAmount,
+      totalTax,
+      roundOff,
+      totalAmount
+    } = priceSaleLines(lines, {
+      promotionDiscounts: promotion.discounts,
+      billDiscount: billDiscount !== undefined ? billDiscount : { type: 'amount', value: sale.billDiscount },
+      isInterState: sale.isInterState
+    });
+
+    // Edited discounts are held to the editor's limit too
+    const discountApprover = await discountLimits.authorize(queryRunner.manager, {
+      user: req.user,
+      storeId: sale.storeId,
+      lines: newSaleItems,
+      approval: approvalPin ? { approverId, approvalPin } : null
+    });
+    if (discountApprover) {
+      sale.discountApprovedById = discountApprover.id;
+    }
+
     // Step 4: Update sale totals first
-    const totalAmount = subtotal - totalDiscount;
+    const paymentRepo = queryRunner.manager.getRepository('SalePayment');
+    const oldPayments = await paymentRepo.find({ where: { saleId: sale.id } });
+    const totalChanged = roundAmount(totalAmount) !== roundAmount(parseFloat(sale.totalAmount));
+
+    // Re-record tenders when new ones are given or the total moved under a single tender
+    let tender = null;
+    if (Array.isArray(payments) && payments.length > 0) {
+      tender = buildPayments(payments, totalAmount, sale.paymentMethod);
+    } else if (totalChanged) {
+      if (oldPayments.length > 1) {
+        throw new Error('Sale total changed. Please re-enter the split payment amounts');
+      }
+      tender = buildPayments(null, totalAmount, oldPayments[0]?.method || sale.paymentMethod);
+    }
+
     sale.subtotal = subtotal;
     sale.totalDiscount = totalDiscount;
+    sale.promotionDiscount = promotionDiscount;
+    sale.appliedPromotions = promotion.applied.length > 0 ? promotion.applied : null;
+    sale.billDiscount = billDiscountAmount;
     sale.totalTax = totalTax;
+    sale.roundOff = roundOff;
     sale.totalAmount = totalAmount;
+    if (tender) {
+      sale.paymentMethod = tender.paymentMethod;
+      sale.changeAmount = tender.changeAmount;
+    }
     await saleRepo.save(sale);
+
+    if (tender) {
+      if (oldPayments.length > 0) {
+        await paymentRepo.remove(oldPayments);
+      }
+      for (const payment of tender.payments) {
+        await paymentRepo.save(paymentRepo.create({ ...payment, saleId: sale.id }));
+      }
+    }
     
     // Step 5: Save new sale items (after sale is updated)
-    for (const itemData of newSaleItems) {
-      const saleItem = saleItemRepo.create({
-        ...itemData,
-        saleId: sale.id // Explicitly ensure saleId is set
-      });
-      await saleItemRepo.save(saleItem);
-    }
+    await saveSaleItems(saleItemRepo, sale.id, newSaleItems);
+
+    // An order already in Shopify still shows the sale as it was
+    await shopifyOrderSync.flag(queryRunner.manager, sale.id, `Sale edited, total now ₹${roundAmount(totalAmount).toFixed(2)}`, { edited: true });
 
     console.log(`✅ Updated sale totals - Total: ${totalAmount}`);
 
@@ -527,7 +1190,7 @@ exports.updateSale = async (req, res) => {
     // Load complete updated sale
     const updatedSale = await getSaleRepository().findOne({
       where: { id: sale.id },
-      relations: ['store', 'cashier', 'customer', 'items', 'items.product']
+      relations: ['store', 'cashier', 'customer', 'items', 'items.product', 'payments']
     });
 
     res.json({ 
@@ -536,6 +1199,9 @@ exports.updateSale = async (req, res) => {
     });
   } catch (error) {
     await queryRunner.rollbackTransaction();
+    if (error.approval) {
+      return res.status(403).json({ error: error.message, approvalRequired: true, ...error.approval });
+    }
     console.error('❌ Sale update error:', error);
     res.status(400).json({ error: error.message });
   } finally {
@@ -594,6 +1260,7 @@ exports.getCashierPerformance = async (req, res) => {
 
     // Get recent 5 sales
     const recentSales = filteredSales.slice(0, 5).map(sale => ({
+      id: sale.id,
       invoiceNumber: sale.invoiceNumber,
       saleDate: sale.saleDate,
       totalAmount: sale.totalAmount,
@@ -617,14 +1284,18 @@ exports.getCashierPerformance = async (req, res) => {
 
 // Delete sale
 exports.deleteSale = async (req, res) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
   try {
     const { saleId } = req.params;
     console.log(`🗑️ Starting delete for sale ID: ${saleId}`);
 
-    // Get repositories (without transaction for simplicity)
-    const saleRepo = getSaleRepository();
-    const saleItemRepo = getSaleItemRepository();
-    const inventoryRepo = getInventoryRepository();
+    const manager = queryRunner.manager;
+    const saleRepo = manager.getRepository('Sale');
+    const saleItemRepo = manager.getRepository('SaleItem');
+    const inventoryRepo = manager.getRepository('Inventory');
 
     // Get sale with items
     const sale = await saleRepo.findOne({
@@ -634,14 +1305,25 @@ exports.deleteSale = async (req, res) => {
 
     if (!sale) {
       console.log(`❌ Sale not found: ${saleId}`);
+      await queryRunner.rollbackTransaction();
       return res.status(404).json({ error: 'Sale not found' });
     }
 
+    // Returned items already went back to stock through their credit notes
+    const returnCount = await manager.getRepository('SaleReturn').count({ where: { saleId: sale.id } });
+    if (returnCount > 0) {
+      await queryRunner.rollbackTransaction();
+      return res.status(400).json({ error: 'Cannot delete a sale that has returns against it' });
+    }
+
     console.log(`📦 Found sale: ${sale.invoiceNumber} with ${sale.items.length} items`);
     console.log(`📍 Store ID: ${sale.storeId}`);
 
     // Restore inventory for each item
+    const movements = [];
     for (const item of sale.items) {
+      if (!item.productId) continue; // Lens lines aren't stocked
+
       console.log(`↩️ Restoring ${item.quantity} units of product ${item.productId} to store ${sale.storeId}`);
       
       const inventory = await inventoryRepo.findOne({
@@ -657,6 +1339,7 @@ exports.deleteSale = async (req, res) => {
         
         inventory.quantity = newQuantity;
         await inventoryRepo.save(inventory);
+        movements.push({ productId: item.productId, storeId: sale.storeId, quantityBefore: oldQuantity, quantityAfter: newQuantity });
         
         console.log(`✅ Inventory restored: ${oldQuantity} → ${newQuantity}`);
       } else {
@@ -664,15 +1347,47 @@ exports.deleteSale = async (req, res) => {
       }
     }
 
-    // Delete sale items first (foreign key constraint)
+    // The ledger keeps the invoice number after the sale itself is gone
+    await stockMovements.record(manager, movements, {
+      type: 'sale_delete',
+      referenceType: 'sale',
+      referenceId: sale.id,
+      referenceNumber: sale.invoiceNumber,
+      userId: req.user.id
+    });
+
+    // Give the stock back in Shopify as well
+    await shopifyInventorySync.enqueue(manager, sale.items.map(item => ({
+      productId: item.productId,
+      storeId: sale.storeId,
+      delta: parseInt(item.quantity),
+      reason: 'sale_delete',
+      referenceId: sale.id
+    })));
+
+    // Delete payments, sync conflicts, job orders and sale items first (foreign key constraint)
+    await manager.getRepository('SalePayment').delete({ saleId: parseInt(saleId) });
+    await manager.getRepository('SaleConflict').delete({ saleId: parseInt(saleId) });
+    await manager.getRepository('JobOrder').delete({ saleId: parseInt(saleId) });
+    // Its Shopify order is kept (without the sale) and flagged for an admin to cancel
+    const shopifyOrder = await shopifyOrderSync.flag(manager, sale.id, `Sale ${sale.invoiceNumber} deleted`);
+    if (shopifyOrder) {
+      shopifyOrder.saleId = null;
+      await manager.getRepository('ShopifyOrder').save(shopifyOrder);
+    }
     console.log(`🗑️ Deleting ${sale.items.length} sale items...`);
     await saleItemRepo.delete({ saleId: parseInt(saleId) });
     console.log(`✅ Sale items deleted`);
 
+    // The coupon can be used again
+    await promotions.release(manager, sale.couponCode);
+
     // Delete the sale
     console.log(`🗑️ Deleting sale record...`);
     await saleRepo.delete({ id: parseInt(saleId) });
     console.log(`✅ Sale record deleted`);
+
+    await queryRunner.commitTransaction();
     
     console.log(`✅ Sale ${sale.invoiceNumber} deleted successfully and inventory restored`);
     res.json({ 
@@ -681,9 +1396,12 @@ exports.deleteSale = async (req, res) => {
     });
 
   } catch (error) {
+    await queryRunner.rollbackTransaction();
     console.error('❌ Error deleting sale:', error);
     console.error('Error message:', error.message);
     console.error('Error stack:', error.stack);
     res.status(500).json({ error: error.message || 'Failed to delete sale' });
+  } finally {
+    await queryRunner.release();
   }
 };
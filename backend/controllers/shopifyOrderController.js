@@ -0,0 +1,76 @@
+const { AppDataSource } = require('../data-source');
+const shopifyOrderSync = require('../utils/shopifyOrderSync');
+
+// Get repositories
+const getShopifyOrderRepository = () => AppDataSource.getRepository('ShopifyOrder');
+
+// Get sales queued for / recorded as Shopify orders
+exports.getAllShopifyOrders = async (req, res) => {
+  try {
+    const { status = 'all', storeId } = req.query;
+
+    const queryBuilder = getShopifyOrderRepository().createQueryBuilder('shopifyOrder')
+      .leftJoinAndSelect('shopifyOrder.sale', 'sale')
+      .leftJoinAndSelect('shopifyOrder.store', 'store');
+
+    if (status !== 'all') {
+      queryBuilder.where('shopifyOrder.status = :status', { status });
+    }
+
+    if (storeId) {
+      queryBuilder.andWhere('shopifyOrder.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+
+    const orders = await queryBuilder
+      .orderBy('shopifyOrder.createdAt', 'DESC')
+      .take(200)
+      .getMany();
+
+    const summary = await shopifyOrderSync.getSummary();
+
+    res.json({ orders, summary });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Send one failed sale again
+exports.retryShopifyOrder = async (req, res) => {
+  try {
+    const requeued = await shopifyOrderSync.retry([parseInt(req.params.shopifyOrderId)]);
+
+    if (requeued === 0) {
+      return res.status(404).json({ error: 'No failed Shopify order with that ID' });
+    }
+
+    res.json({ message: 'Sale queued for retry', requeued });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Send every failed sale again
+exports.retryFailedShopifyOrders = async (req, res) => {
+  try {
+    const requeued = await shopifyOrderSync.retry();
+    res.json({ message: `${requeued} sale(s) queued for retry`, requeued });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Mark a flagged order as dealt with in Shopify
+exports.resolveShopifyOrder = async (req, res) => {
+  try {
+    const order = await shopifyOrderSync.resolve(parseInt(req.params.shopifyOrderId));
+
+    if (!order) {
+      return res.status(404).json({ error: 'No Shopify order needing attention with that ID' });
+    }
+
+    console.log(`✅ Shopify order ${order.shopifyOrderName || order.id} resolved by ${req.user.email}`);
+    res.json({ message: 'Shopify order marked as resolved', order });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
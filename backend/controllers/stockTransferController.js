@@ -0,0 +1,208 @@
+const { AppDataSource } = require('../data-source');
+const invoiceGenerator = require('../utils/invoice');
+const stockTransfers = require('../utils/stockTransfers');
+
+// Get repositories
+const getStockTransferRepository = () => AppDataSource.getRepository('StockTransfer');
+
+const TRANSFER_RELATIONS = ['fromStore', 'toStore', 'items', 'items.product', 'createdBy', 'dispatchedBy', 'receivedBy'];
+
+const findTransfer = (manager, transferId) => manager.getRepository('StockTransfer').findOne({
+  where: { id: parseInt(transferId) },
+  relations: TRANSFER_RELATIONS
+});
+
+// Keep the user records on the transfer to a name
+const serialize = (transfer) => {
+  const person = user => (user ? { id: user.id, name: user.name } : null);
+  return {
+    ...transfer,
+    items: [...(transfer.items || [])].sort((a, b) => a.id - b.id),
+    createdBy: person(transfer.createdBy),
+    dispatchedBy: person(transfer.dispatchedBy),
+    receivedBy: person(transfer.receivedBy)
+  };
+};
+
+// Run a stock-changing step on a locked transfer in one transaction
+const withTransfer = async (transferId, step) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    // Lock the transfer row so two people can't dispatch or receive it at once
+    const locked = await queryRunner.manager.getRepository('StockTransfer').findOne({
+      where: { id: parseInt(transferId) },
+      lock: { mode: 'pessimistic_write' }
+    });
+    if (!locked) {
+      throw new Error('Stock transfer not found');
+    }
+
+    const transfer = await findTransfer(queryRunner.manager, locked.id);
+
+    await step(queryRunner.manager, transfer);
+    await queryRunner.commitTransaction();
+
+    return findTransfer(AppDataSource.manager, transfer.id);
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    throw error;
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Transfer list, newest first, filtered by store (either end), status and number search
+exports.getStockTransfers = async (req, res) => {
+  try {
+    const { storeId, status, search } = req.query;
+
+    const queryBuilder = getStockTransferRepository().createQueryBuilder('transfer')
+      .leftJoinAndSelect('transfer.fromStore', 'fromStore')
+      .leftJoinAndSelect('transfer.toStore', 'toStore')
+      .leftJoinAndSelect('transfer.items', 'items');
+
+    if (storeId) {
+      queryBuilder.andWhere('(transfer.fromStoreId = :storeId OR transfer.toStoreId = :storeId)', { storeId: parseInt(storeId) });
+    }
+    if (status) {
+      queryBuilder.andWhere('transfer.status = :status', { status });
+    }
+    if (search) {
+      queryBuilder.andWhere('transfer.transferNumber ILIKE :search', { search: `%${search}%` });
+    }
+
+    const transfers = await queryBuilder
+      .orderBy('transfer.createdAt', 'DESC')
+      .addOrderBy('items.id', 'ASC')
+      .take(200)
+      .getMany();
+
+    res.json({ stockTransfers: transfers.map(serialize), statuses: stockTransfers.getStatuses() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get single stock transfer
+exports.getStockTransfer = async (req, res) => {
+  try {
+    const transfer = await findTransfer(AppDataSource.manager, req.params.transferId);
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Stock transfer not found' });
+    }
+
+    res.json({ stockTransfer: serialize(transfer) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Draft a transfer; with dispatch, send it straight away
+exports.createStockTransfer = async (req, res) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    const { fromStoreId, toStoreId, items, notes, dispatch } = req.body;
+
+    const transfer = await stockTransfers.create(queryRunner.manager, { fromStoreId, toStoreId, items, notes }, req.user);
+    if (dispatch) {
+      await stockTransfers.dispatch(queryRunner.manager, transfer, req.user);
+    }
+
+    await queryRunner.commitTransaction();
+
+    const created = await findTransfer(AppDataSource.manager, transfer.id);
+    res.status(201).json({ message: 'Stock transfer created successfully', stockTransfer: serialize(created) });
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    res.status(400).json({ error: error.message });
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Change the notes, or the lines while the transfer is still a draft
+exports.updateStockTransfer = async (req, res) => {
+  try {
+    const { items, notes } = req.body;
+
+    const transfer = await withTransfer(req.params.transferId, async (manager, transfer) => {
+      if (items !== undefined) {
+        await stockTransfers.replaceItems(manager, transfer, items);
+      }
+      if (notes !== undefined) {
+        transfer.notes = notes || '';
+        await manager.getRepository('StockTransfer').save(transfer);
+      }
+    });
+
+    res.json({ message: 'Stock transfer updated successfully', stockTransfer: serialize(transfer) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Send the goods: stock leaves the sending store
+exports.dispatchStockTransfer = async (req, res) => {
+  try {
+    const transfer = await withTransfer(req.params.transferId, (manager, transfer) =>
+      stockTransfers.dispatch(manager, transfer, req.user));
+
+    res.json({ message: 'Stock transfer dispatched', stockTransfer: serialize(transfer) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Book a delivery into the receiving store: { items: [{ itemId, quantity, note }], close }
+exports.receiveStockTransfer = async (req, res) => {
+  try {
+    const { items, close } = req.body;
+
+    const transfer = await withTransfer(req.params.transferId, (manager, transfer) =>
+      stockTransfers.receive(manager, transfer, items, { user: req.user, close: !!close }));
+
+    const message = transfer.status === 'received' ? 'Stock transfer received' : 'Partial receipt recorded';
+    res.json({ message, stockTransfer: serialize(transfer) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Cancel a draft, or call back a transfer before anything has been received
+exports.cancelStockTransfer = async (req, res) => {
+  try {
+    const transfer = await withTransfer(req.params.transferId, (manager, transfer) =>
+      stockTransfers.cancel(manager, transfer, req.user));
+
+    res.json({ message: 'Stock transfer cancelled', stockTransfer: serialize(transfer) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Generate delivery challan
+exports.generateChallan = async (req, res) => {
+  try {
+    const transfer = await findTransfer(AppDataSource.manager, req.params.transferId);
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Stock transfer not found' });
+    }
+    if (transfer.status === 'draft' || transfer.status === 'cancelled') {
+      return res.status(400).json({ error: 'A delivery challan is only issued once the transfer is dispatched' });
+    }
+
+    const filePath = await invoiceGenerator.generateDeliveryChallan(serialize(transfer));
+    res.download(filePath, `${transfer.transferNumber}.pdf`);
+  } catch (error) {
+    console.error('❌ Delivery challan generation error:', error);
+    res.status(400).json({ error: error.message || 'Failed to generate delivery challan' });
+  }
+};
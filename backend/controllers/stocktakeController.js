@@ -0,0 +1,207 @@
+const { AppDataSource } = require('../data-source');
+const stocktakes = require('../utils/stocktakes');
+
+// Get repositories
+const getStocktakeRepository = () => AppDataSource.getRepository('Stocktake');
+
+const STOCKTAKE_RELATIONS = ['store', 'items', 'startedBy', 'postedBy'];
+
+// Cashiers may only count their assigned store
+const canAccessStore = (user, storeId) => {
+  if (user.role !== 'cashier') return true;
+  return !!user.assignedStore && parseInt(user.assignedStore.id) === parseInt(storeId);
+};
+
+const findStocktake = (manager, stocktakeId) => manager.getRepository('Stocktake').findOne({
+  where: { id: parseInt(stocktakeId) },
+  relations: STOCKTAKE_RELATIONS
+});
+
+// Keep the user records on the stocktake to a name and the lines in shelf order
+const serialize = (stocktake) => {
+  const person = user => (user ? { id: user.id, name: user.name } : null);
+  return {
+    ...stocktake,
+    items: [...(stocktake.items || [])].sort((a, b) => (a.name || '').localeCompare(b.name || '') || a.id - b.id),
+    startedBy: person(stocktake.startedBy),
+    postedBy: person(stocktake.postedBy)
+  };
+};
+
+// Run a step on a locked stocktake in one transaction
+const withStocktake = async (req, step) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    // Lock the stocktake row so scans from two tablets don't overwrite each other
+    const locked = await queryRunner.manager.getRepository('Stocktake').findOne({
+      where: { id: parseInt(req.params.stocktakeId) },
+      lock: { mode: 'pessimistic_write' }
+    });
+    if (!locked) {
+      throw Object.assign(new Error('Stocktake not found'), { status: 404 });
+    }
+    if (!canAccessStore(req.user, locked.storeId)) {
+      throw Object.assign(new Error('Access denied'), { status: 403 });
+    }
+
+    const stocktake = await findStocktake(queryRunner.manager, locked.id);
+    const result = await step(queryRunner.manager, stocktake);
+    await queryRunner.commitTransaction();
+
+    return result;
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    throw error;
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Stocktake list, newest first, with how far each count has got
+exports.getStocktakes = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const storeId = req.user.role === 'cashier'
+      ? req.user.assignedStore?.id
+      : req.query.storeId;
+
+    if (req.user.role === 'cashier' && !storeId) {
+      return res.json({ stocktakes: [], statuses: stocktakes.getStatuses(), reasonCodes: stocktakes.getReasonCodes() });
+    }
+
+    const queryBuilder = getStocktakeRepository().createQueryBuilder('stocktake')
+      .leftJoinAndSelect('stocktake.store', 'store')
+      .loadRelationCountAndMap('stocktake.itemCount', 'stocktake.items')
+      .loadRelationCountAndMap('stocktake.countedCount', 'stocktake.items', 'item', qb =>
+        qb.andWhere('item.countedQuantity IS NOT NULL'));
+
+    if (storeId) {
+      queryBuilder.andWhere('stocktake.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+    if (status) {
+      queryBuilder.andWhere('stocktake.status = :status', { status });
+    }
+
+    const list = await queryBuilder
+      .orderBy('stocktake.createdAt', 'DESC')
+      .take(100)
+      .getMany();
+
+    res.json({ stocktakes: list, statuses: stocktakes.getStatuses(), reasonCodes: stocktakes.getReasonCodes() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get single stocktake with its count sheet
+exports.getStocktake = async (req, res) => {
+  try {
+    const stocktake = await findStocktake(AppDataSource.manager, req.params.stocktakeId);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+    if (!canAccessStore(req.user, stocktake.storeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ stocktake: serialize(stocktake), reasonCodes: stocktakes.getReasonCodes() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Open a count and freeze the expected quantities: { storeId, scope, category, notes }
+exports.createStocktake = async (req, res) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    const { storeId, scope, category, notes } = req.body;
+
+    const stocktake = await stocktakes.start(queryRunner.manager, { storeId, scope, category, notes }, req.user);
+    await queryRunner.commitTransaction();
+
+    const created = await findStocktake(AppDataSource.manager, stocktake.id);
+    res.status(201).json({ message: `Stocktake ${stocktake.stocktakeNumber} started`, stocktake: serialize(created) });
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    res.status(400).json({ error: error.message });
+  } finally {
+    await queryRunner.release();
+  }
+};
+
+// Enter counts: { counts: [{ itemId, countedQuantity, reasonCode }] }. Returns the changed lines.
+exports.updateCounts = async (req, res) => {
+  try {
+    const items = await withStocktake(req, (manager, stocktake) =>
+      stocktakes.setCounts(manager, stocktake, req.body.counts));
+
+    res.json({ message: 'Counts saved', items });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Add a scanned product to the count: { code, quantity }. Returns the line.
+exports.scanItem = async (req, res) => {
+  try {
+    const { code, quantity } = req.body;
+
+    const item = await withStocktake(req, (manager, stocktake) =>
+      stocktakes.scan(manager, stocktake, { code, quantity }));
+
+    res.json({ item });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Expected vs counted, in units and value
+exports.getVariance = async (req, res) => {
+  try {
+    const stocktake = await findStocktake(AppDataSource.manager, req.params.stocktakeId);
+
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    const { items, ...details } = serialize(stocktake);
+    const { lines, summary } = stocktakes.getVariance({ ...details, items });
+    res.json({ stocktake: details, lines, summary, reasonCodes: stocktakes.getReasonCodes() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Post the approved differences to stock: { itemIds, reasonCode }
+exports.postStocktake = async (req, res) => {
+  try {
+    const { itemIds, reasonCode } = req.body;
+
+    const stocktake = await withStocktake(req, (manager, stocktake) =>
+      stocktakes.post(manager, stocktake, { itemIds, reasonCode }, req.user));
+
+    const posted = await findStocktake(AppDataSource.manager, stocktake.id);
+    res.json({ message: `Stocktake ${stocktake.stocktakeNumber} posted to stock`, stocktake: serialize(posted) });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Abandon a count without changing stock
+exports.cancelStocktake = async (req, res) => {
+  try {
+    const stocktake = await withStocktake(req, (manager, stocktake) =>
+      stocktakes.cancel(manager, stocktake));
+
+    res.json({ message: `Stocktake ${stocktake.stocktakeNumber} cancelled` });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
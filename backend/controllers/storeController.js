@@ -1,19 +1,50 @@
+const { Not } = require('typeorm');
 const { AppDataSource } = require('../data-source');
 const shopifyService = require('../utils/shopify');
 const cache = require('../utils/cache');
+const documentNumber = require('../utils/documentNumber');
+const receipts = require('../utils/receipt');
+const gst = require('../utils/gst');
 
 // Get repositories
 const getStoreRepository = () => AppDataSource.getRepository('Store');
 const getProductRepository = () => AppDataSource.getRepository('Product');
 const getInventoryRepository = () => AppDataSource.getRepository('Inventory');
 
+// Store codes go into document numbers, so no two stores may share one
+const checkStoreCode = async (code, storeId = null) => {
+  documentNumber.validateStoreCode(code);
+  if (!code) return;
+
+  const existing = await getStoreRepository().findOne({ where: { code: code.toString().toUpperCase() } });
+  if (existing && existing.id !== storeId) {
+    throw new Error(`Store code ${code.toString().toUpperCase()} is already used by ${existing.name}`);
+  }
+};
+
+// A saved store's document numbers must not be able to come out the same as another store's
+const checkNumbering = async (manager, store) => {
+  const otherStores = await manager.getRepository('Store').find({ where: { id: Not(store.id) } });
+  documentNumber.checkStores(store, otherStores);
+};
+
 // Create new store
 exports.createStore = async (req, res) => {
   try {
-    const storeRepo = getStoreRepository();
-    const store = storeRepo.create(req.body);
-    await storeRepo.save(store);
-    
+    await checkStoreCode(req.body.code);
+    documentNumber.validateFormat(req.body.invoiceNumberFormat, 'invoice');
+    documentNumber.validateFormat(req.body.creditNoteNumberFormat, 'credit_note');
+    receipts.validateSettings(req.body);
+    gst.validateGstin(req.body.gstin);
+
+    // Saved first so a store without a code has the ID its numbers use
+    const store = await AppDataSource.transaction(async (manager) => {
+      const storeRepo = manager.getRepository('Store');
+      const created = await storeRepo.save(storeRepo.create(req.body));
+      await checkNumbering(manager, created);
+      return created;
+    });
+
     res.status(201).json({
       message: 'Store created successfully',
       store
@@ -69,7 +100,14 @@ exports.updateStore = async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
 
+    await checkStoreCode(req.body.code, store.id);
+    documentNumber.validateFormat(req.body.invoiceNumberFormat, 'invoice');
+    documentNumber.validateFormat(req.body.creditNoteNumberFormat, 'credit_note');
+    receipts.validateSettings(req.body);
+    gst.validateGstin(req.body.gstin);
+
     Object.assign(store, req.body);
+    await checkNumbering(AppDataSource.manager, store);
     await storeRepo.save(store);
 
     res.json({ message: 'Store updated successfully', store });
@@ -146,6 +184,7 @@ exports.getStoreInventory = async (req, res) => {
         sku: inv.product.sku,
         category: inv.product.category,
         price: parseFloat(inv.product.price),
+        hsnCode: inv.product.hsnCode,
         taxRate: inv.product.taxRate,
         description: inv.product.description,
         image: inv.product.image,
@@ -0,0 +1,93 @@
+const { AppDataSource } = require('../data-source');
+
+// Get repositories
+const getSupplierRepository = () => AppDataSource.getRepository('Supplier');
+
+const GSTIN_PATTERN = /^\d{2}[A-Z0-9]{13}$/;
+
+const parseSupplier = (body) => ({
+  name: (body.name || '').trim(),
+  contactName: body.contactName ? body.contactName.trim() : null,
+  phone: body.phone ? body.phone.toString().trim() : null,
+  email: (body.email || '').trim(),
+  gstNumber: (body.gstNumber || '').trim().toUpperCase(),
+  address: (body.address || '').trim(),
+  paymentTerms: body.paymentTerms ? body.paymentTerms.trim() : null,
+  isActive: body.isActive !== false
+});
+
+const validateSupplier = (data) => {
+  if (!data.name) {
+    throw new Error('Supplier name is required');
+  }
+  if (data.gstNumber && !GSTIN_PATTERN.test(data.gstNumber)) {
+    throw new Error('GSTIN must be 15 characters starting with the state code');
+  }
+};
+
+// Get suppliers (inactive ones on request), optionally filtered by name / phone / GSTIN
+exports.getSuppliers = async (req, res) => {
+  try {
+    const { search, all } = req.query;
+
+    const queryBuilder = getSupplierRepository().createQueryBuilder('supplier');
+    if (all !== 'true') {
+      queryBuilder.where('supplier.isActive = :isActive', { isActive: true });
+    }
+    if (search) {
+      queryBuilder.andWhere(
+        '(supplier.name ILIKE :search OR supplier.phone ILIKE :search OR supplier.gstNumber ILIKE :search)',
+        { search: `%${search}%` }
+      );
+    }
+
+    const suppliers = await queryBuilder.orderBy('supplier.name', 'ASC').getMany();
+    res.json({ suppliers });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Create supplier
+exports.createSupplier = async (req, res) => {
+  try {
+    const data = parseSupplier(req.body);
+    validateSupplier(data);
+
+    const supplierRepo = getSupplierRepository();
+    if (await supplierRepo.findOne({ where: { name: data.name } })) {
+      return res.status(400).json({ error: `A supplier named ${data.name} already exists` });
+    }
+
+    const supplier = await supplierRepo.save(supplierRepo.create(data));
+    res.status(201).json({ message: 'Supplier created successfully', supplier });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update supplier. Deactivate rather than delete: past orders point at it.
+exports.updateSupplier = async (req, res) => {
+  try {
+    const supplierRepo = getSupplierRepository();
+    const supplier = await supplierRepo.findOne({ where: { id: parseInt(req.params.supplierId) } });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const data = parseSupplier({ ...supplier, ...req.body });
+    validateSupplier(data);
+
+    if (data.name !== supplier.name && await supplierRepo.findOne({ where: { name: data.name } })) {
+      return res.status(400).json({ error: `A supplier named ${data.name} already exists` });
+    }
+
+    Object.assign(supplier, data);
+    await supplierRepo.save(supplier);
+
+    res.json({ message: 'Supplier updated successfully', supplier });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
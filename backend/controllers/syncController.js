@@ -0,0 +1,78 @@
+const { AppDataSource } = require('../data-source');
+const catalogSync = require('../utils/catalogSync');
+
+// Get repositories
+const getSyncRunRepository = () => AppDataSource.getRepository('SyncRun');
+
+// Start a background catalog sync from Shopify (or return the one already running)
+exports.startSync = async (req, res) => {
+  try {
+    const mode = req.body.mode === 'full' ? 'full' : 'incremental';
+    const { syncRun, alreadyRunning } = await catalogSync.start({ mode, userId: req.user.id });
+
+    res.status(alreadyRunning ? 200 : 202).json({
+      message: alreadyRunning ? 'A sync is already running' : 'Sync started',
+      syncRun,
+      alreadyRunning
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Recent sync runs, newest first
+exports.getSyncRuns = async (req, res) => {
+  try {
+    const syncRuns = await getSyncRunRepository().find({
+      relations: ['triggeredBy'],
+      order: { id: 'DESC' },
+      take: parseInt(req.query.limit) || 10
+    });
+
+    res.json({
+      syncRuns: syncRuns.map(run => ({
+        ...run,
+        triggeredBy: run.triggeredBy ? { id: run.triggeredBy.id, name: run.triggeredBy.name } : null
+      }))
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Progress of one run (polled by the admin sync page)
+exports.getSyncRun = async (req, res) => {
+  try {
+    const syncRun = await getSyncRunRepository().findOne({ where: { id: parseInt(req.params.runId) } });
+
+    if (!syncRun) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+
+    res.json({ syncRun });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Continue a failed run from where it stopped
+exports.resumeSyncRun = async (req, res) => {
+  try {
+    const runRepo = getSyncRunRepository();
+    const syncRun = await runRepo.findOne({ where: { id: parseInt(req.params.runId) } });
+
+    if (!syncRun) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    if (syncRun.status !== 'failed') {
+      return res.status(400).json({ error: 'Only failed runs can be resumed' });
+    }
+    if (await runRepo.count({ where: { status: 'running' } }) > 0) {
+      return res.status(409).json({ error: 'Another sync is running' });
+    }
+
+    res.status(202).json({ message: 'Sync resumed', syncRun: await catalogSync.resume(syncRun) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,114 @@
+const { AppDataSource } = require('../data-source');
+const cache = require('../utils/cache');
+const taxSlabs = require('../utils/taxSlab');
+
+// Get repositories
+const getTaxSlabRepository = () => AppDataSource.getRepository('TaxSlab');
+
+// Accepts matchTerms as an array or a comma separated string
+const parseSlab = (body) => {
+  const terms = Array.isArray(body.matchTerms)
+    ? body.matchTerms
+    : (body.matchTerms || '').split(',');
+
+  return {
+    hsnCode: (body.hsnCode || '').toString().trim(),
+    description: (body.description || '').trim(),
+    taxRate: parseInt(body.taxRate),
+    effectiveFrom: (body.effectiveFrom || '').toString().substring(0, 10),
+    matchTerms: terms.map(term => term.trim().toLowerCase()).filter(Boolean)
+  };
+};
+
+// Products show today's rate in the POS, so refresh them (and cached inventory)
+const applyRate = async (hsnCode) => {
+  const updated = await taxSlabs.applyCurrentRate(AppDataSource.manager, hsnCode);
+  cache.clear();
+  console.log(`🏷️ Applied current rate for HSN ${hsnCode} to ${updated} products`);
+};
+
+// Get all tax slabs
+exports.getAllTaxSlabs = async (req, res) => {
+  try {
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
+    res.json({ slabs });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Create tax slab (a new HSN, or a dated rate change for an existing one)
+exports.createTaxSlab = async (req, res) => {
+  try {
+    const data = parseSlab(req.body);
+    taxSlabs.validate(data);
+
+    const slabRepo = getTaxSlabRepository();
+    const existing = await slabRepo.findOne({
+      where: { hsnCode: data.hsnCode, effectiveFrom: data.effectiveFrom }
+    });
+    if (existing) {
+      return res.status(400).json({ error: `HSN ${data.hsnCode} already has a slab from ${data.effectiveFrom}` });
+    }
+
+    const slab = slabRepo.create(data);
+    await slabRepo.save(slab);
+    await applyRate(slab.hsnCode);
+
+    res.status(201).json({
+      message: 'Tax slab created successfully',
+      slab
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Update tax slab
+exports.updateTaxSlab = async (req, res) => {
+  try {
+    const { slabId } = req.params;
+    const slabRepo = getTaxSlabRepository();
+
+    const slab = await slabRepo.findOne({ where: { id: parseInt(slabId) } });
+    if (!slab) {
+      return res.status(404).json({ error: 'Tax slab not found' });
+    }
+
+    const data = parseSlab({ ...slab, ...req.body });
+    taxSlabs.validate(data);
+
+    const previousHsnCode = slab.hsnCode;
+    Object.assign(slab, data);
+    await slabRepo.save(slab);
+
+    await applyRate(slab.hsnCode);
+    if (previousHsnCode !== slab.hsnCode) {
+      await applyRate(previousHsnCode);
+    }
+
+    res.json({ message: 'Tax slab updated successfully', slab });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete tax slab. Sales keep the HSN and rate they were billed with.
+exports.deleteTaxSlab = async (req, res) => {
+  try {
+    const { slabId } = req.params;
+    const slabRepo = getTaxSlabRepository();
+
+    const slab = await slabRepo.findOne({ where: { id: parseInt(slabId) } });
+    if (!slab) {
+      return res.status(404).json({ error: 'Tax slab not found' });
+    }
+
+    await slabRepo.remove(slab);
+    await applyRate(slab.hsnCode);
+
+    res.json({ message: 'Tax slab deleted successfully' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
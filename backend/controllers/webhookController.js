@@ -0,0 +1,173 @@
+const { AppDataSource } = require('../data-source');
+const shopifyService = require('../utils/shopify');
+const shopifyCatalog = require('../utils/shopifyCatalog');
+const shopifyInventorySync = require('../utils/shopifyInventorySync');
+const taxSlabs = require('../utils/taxSlab');
+const cache = require('../utils/cache');
+
+// Get repositories
+const getProductRepository = () => AppDataSource.getRepository('Product');
+const getStoreRepository = () => AppDataSource.getRepository('Store');
+
+const WEBHOOK_TOPICS = [
+  'products/create',
+  'products/update',
+  'products/delete',
+  'inventory_levels/update',
+  'locations/create',
+  'locations/update'
+];
+
+// products/create, products/update: upsert one POS product per variant
+const upsertProduct = async (shopifyProduct) => {
+  const productRepo = getProductRepository();
+  const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
+  const results = { created: 0, updated: 0, deactivated: 0 };
+  const variantIds = [];
+
+  for (const variant of shopifyProduct.variants || []) {
+    const outcome = await shopifyCatalog.upsertVariant(productRepo, shopifyProduct, variant, slabs);
+    results[outcome]++;
+    variantIds.push(variant.id.toString());
+  }
+
+  // Variants removed in Shopify stay in the table (past sales point at them) but stop selling
+  const queryBuilder = productRepo.createQueryBuilder()
+    .update()
+    .set({ isActive: false })
+    .where('shopifyProductId = :shopifyProductId', { shopifyProductId: shopifyProduct.id.toString() })
+    .andWhere('isActive = :isActive', { isActive: true });
+  if (variantIds.length > 0) {
+    queryBuilder.andWhere('shopifyVariantId NOT IN (:...variantIds)', { variantIds });
+  }
+  results.deactivated = (await queryBuilder.execute()).affected || 0;
+
+  cache.deleteByPrefix('inventory:store:');
+  console.log(`🪝 Product ${shopifyProduct.id} (${shopifyProduct.title}): ${results.created} created, ${results.updated} updated, ${results.deactivated} deactivated`);
+  return results;
+};
+
+// products/delete: the payload only carries the ID
+const deleteProduct = async ({ id }) => {
+  const result = await getProductRepository().update(
+    { shopifyProductId: id.toString() },
+    { isActive: false }
+  );
+
+  cache.deleteByPrefix('inventory:store:');
+  console.log(`🪝 Product ${id} deleted in Shopify, deactivated ${result.affected || 0} POS product(s)`);
+  return { deactivated: result.affected || 0 };
+};
+
+// inventory_levels/update: set one product's stock at one store
+const updateInventoryLevel = async (level) => {
+  const product = await getProductRepository().findOne({
+    where: { inventoryItemId: level.inventory_item_id.toString() }
+  });
+  const store = await getStoreRepository().findOne({
+    where: { shopifyLocationId: level.location_id.toString() }
+  });
+
+  if (!product || !store) {
+    console.log(`🪝 Inventory level for item ${level.inventory_item_id} at location ${level.location_id} ignored (${!product ? 'unknown product' : 'unknown store'})`);
+    return { ignored: true };
+  }
+
+  // Shopify doesn't deliver webhooks in order; a level older than the one
+  // already applied is ignored
+  const quantity = await AppDataSource.transaction(manager => shopifyInventorySync.applyLevel(manager, {
+    productId: product.id,
+    storeId: store.id,
+    available: level.available,
+    updatedAt: level.updated_at
+  }, { type: 'shopify_sync', note: 'Shopify webhook' }));
+
+  if (quantity === null) {
+    console.log(`🪝 Inventory level for ${product.sku} at ${store.name} from ${level.updated_at} ignored (a newer one was applied)`);
+    return { productId: product.id, storeId: store.id, ignored: true, stale: true };
+  }
+
+  cache.delete(`inventory:store:${store.id}`);
+  console.log(`🪝 Stock of ${product.sku} at ${store.name} set to ${quantity}`);
+  return { productId: product.id, storeId: store.id, quantity };
+};
+
+// locations/create, locations/update
+const upsertLocation = async (location) => {
+  const storeRepo = getStoreRepository();
+  const storeData = shopifyCatalog.toStoreData(location);
+
+  let store = await storeRepo.findOne({ where: { shopifyLocationId: storeData.shopifyLocationId } });
+  const created = !store;
+
+  if (store) {
+    Object.assign(store, storeData);
+  } else {
+    store = storeRepo.create(storeData);
+  }
+  await storeRepo.save(store);
+
+  console.log(`🪝 Store ${store.name} ${created ? 'created' : 'updated'} from Shopify location ${location.id}`);
+  return { storeId: store.id, created };
+};
+
+const HANDLERS = {
+  'products/create': upsertProduct,
+  'products/update': upsertProduct,
+  'products/delete': deleteProduct,
+  'inventory_levels/update': updateInventoryLevel,
+  'locations/create': upsertLocation,
+  'locations/update': upsertLocation
+};
+
+// Receive a (signature-verified) Shopify webhook
+exports.handleShopifyWebhook = async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const handler = HANDLERS[topic];
+
+  if (!handler) {
+    // Acknowledge anyway so Shopify doesn't keep retrying a topic we don't use
+    return res.json({ topic, ignored: true });
+  }
+
+  try {
+    const result = await handler(req.body);
+    res.json({ topic, ...result });
+  } catch (error) {
+    // Any non-2xx makes Shopify retry the delivery later
+    console.error(`❌ Shopify webhook ${topic} failed:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Subscribe this server to the webhook topics it handles (Admin only)
+exports.registerShopifyWebhooks = async (req, res) => {
+  try {
+    const address = req.body.address || process.env.SHOPIFY_WEBHOOK_ADDRESS;
+
+    if (!address) {
+      return res.status(400).json({ error: 'Webhook address is required (e.g. https://pos.example.com/api/webhooks/shopify)' });
+    }
+
+    const existing = await shopifyService.getWebhooks();
+    const results = [];
+
+    for (const topic of WEBHOOK_TOPICS) {
+      if (existing.some(webhook => webhook.topic === topic && webhook.address === address)) {
+        results.push({ topic, status: 'exists' });
+        continue;
+      }
+
+      try {
+        await shopifyService.createWebhook(topic, address);
+        results.push({ topic, status: 'created' });
+      } catch (error) {
+        results.push({ topic, status: 'failed', error: error.message });
+      }
+    }
+
+    res.json({ message: 'Shopify webhooks registered', address, results });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
@@ -37,6 +37,10 @@ module.exports = new EntitySchema({
         from: (value) => value,
       },
     },
+    state: {
+      type: 'varchar',
+      nullable: true, // Used for place of supply when there is no GSTIN
+    },
     totalPurchases: {
       type: 'decimal',
       precision: 10,
@@ -0,0 +1,53 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'DiscountLimit',
+  tableName: 'discount_limits',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    role: {
+      type: 'enum',
+      enum: ['admin', 'cashier'],
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: true, // null = every store without its own limit
+    },
+    maxPercent: {
+      type: 'decimal',
+      precision: 5,
+      scale: 2,
+      nullable: false, // Highest discount off MRP the role can give without approval
+    },
+    updatedById: {
+      type: 'int',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+      onDelete: 'CASCADE',
+    },
+  },
+  indices: [
+    {
+      columns: ['role', 'storeId'],
+    },
+  ],
+});
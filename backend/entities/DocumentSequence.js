@@ -0,0 +1,52 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'DocumentSequence',
+  tableName: 'document_sequences',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    documentType: {
+      type: 'enum',
+      enum: ['invoice', 'credit_note', 'job_order', 'stock_transfer', 'purchase_order', 'goods_receipt', 'stocktake'],
+      nullable: false,
+    },
+    financialYear: {
+      type: 'varchar',
+      length: 7,
+      nullable: false, // e.g. 2025-26 (April to March)
+    },
+    lastNumber: {
+      type: 'int',
+      default: 0,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+  },
+  indices: [
+    {
+      columns: ['storeId', 'documentType', 'financialYear'],
+      unique: true,
+    },
+  ],
+});
@@ -0,0 +1,75 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'GoodsReceipt',
+  tableName: 'goods_receipts',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    grnNumber: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    purchaseOrderId: {
+      type: 'int',
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    supplierInvoiceNumber: {
+      type: 'varchar',
+      nullable: true,
+    },
+    totalCost: {
+      type: 'decimal',
+      precision: 12,
+      scale: 2,
+      default: 0,
+    },
+    notes: {
+      type: 'text',
+      default: '',
+    },
+    receivedById: {
+      type: 'int',
+      nullable: false,
+    },
+    receivedAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+  },
+  relations: {
+    purchaseOrder: {
+      type: 'many-to-one',
+      target: 'PurchaseOrder',
+      joinColumn: { name: 'purchaseOrderId' },
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+    items: {
+      type: 'one-to-many',
+      target: 'GoodsReceiptItem',
+      inverseSide: 'goodsReceipt',
+    },
+    receivedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'receivedById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['purchaseOrderId'],
+    },
+  ],
+});
@@ -0,0 +1,52 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'GoodsReceiptItem',
+  tableName: 'goods_receipt_items',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    goodsReceiptId: {
+      type: 'int',
+      nullable: false,
+    },
+    purchaseOrderItemId: {
+      type: 'int',
+      nullable: false,
+    },
+    productId: {
+      type: 'int',
+      nullable: false,
+    },
+    quantity: {
+      type: 'int',
+      nullable: false,
+    },
+    unitCost: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false, // Cost per unit on the supplier's bill
+    },
+  },
+  relations: {
+    goodsReceipt: {
+      type: 'many-to-one',
+      target: 'GoodsReceipt',
+      joinColumn: { name: 'goodsReceiptId' },
+    },
+    purchaseOrderItem: {
+      type: 'many-to-one',
+      target: 'PurchaseOrderItem',
+      joinColumn: { name: 'purchaseOrderItemId' },
+    },
+    product: {
+      type: 'many-to-one',
+      target: 'Product',
+      joinColumn: { name: 'productId' },
+    },
+  },
+});
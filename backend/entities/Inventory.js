@@ -21,6 +21,18 @@ module.exports = new EntitySchema({
       type: 'int',
       default: 0,
     },
+    reorderLevel: {
+      type: 'int',
+      nullable: true, // Low stock at or below this; null = not tracked
+    },
+    reorderQuantity: {
+      type: 'int',
+      nullable: true, // Usual quantity to bring in; null = top up to twice the reorder level
+    },
+    shopifyUpdatedAt: {
+      type: 'timestamp',
+      nullable: true, // updated_at of the last Shopify inventory level webhook applied
+    },
     createdAt: {
       type: 'timestamp',
       createDate: true,
@@ -0,0 +1,111 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'JobOrder',
+  tableName: 'job_orders',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    jobNumber: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    saleId: {
+      type: 'int',
+      unique: true,
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    customerId: {
+      type: 'int',
+      nullable: false,
+    },
+    prescriptionId: {
+      type: 'int',
+      nullable: true,
+    },
+    status: {
+      type: 'enum',
+      enum: ['ordered', 'at_lab', 'received', 'fitted', 'delivered'],
+      default: 'ordered',
+    },
+    dueDate: {
+      type: 'date',
+      nullable: false,
+    },
+    labName: {
+      type: 'varchar',
+      nullable: true,
+    },
+    labReference: {
+      type: 'varchar',
+      nullable: true, // The lab's own order / envelope number
+    },
+    notes: {
+      type: 'text',
+      default: '',
+    },
+    history: {
+      type: 'simple-json',
+      nullable: true, // [{ status, at, userId, userName, note, notification }]
+    },
+    createdById: {
+      type: 'int',
+      nullable: false,
+    },
+    deliveredAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    sale: {
+      type: 'many-to-one',
+      target: 'Sale',
+      joinColumn: { name: 'saleId' },
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+    customer: {
+      type: 'many-to-one',
+      target: 'Customer',
+      joinColumn: { name: 'customerId' },
+    },
+    prescription: {
+      type: 'many-to-one',
+      target: 'Prescription',
+      joinColumn: { name: 'prescriptionId' },
+    },
+    createdBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'createdById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['storeId', 'status'],
+    },
+    {
+      columns: ['dueDate'],
+    },
+  ],
+});
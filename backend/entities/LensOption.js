@@ -0,0 +1,71 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LensOption',
+  tableName: 'lens_options',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    kind: {
+      type: 'enum',
+      enum: ['design', 'index', 'coating'],
+      nullable: false,
+    },
+    code: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    name: {
+      type: 'varchar',
+      nullable: false,
+    },
+    material: {
+      type: 'varchar',
+      nullable: true, // Lens material for index options (e.g. polycarbonate)
+    },
+    price: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // Per pair, tax-inclusive like product MRPs
+    },
+    designPrices: {
+      type: 'simple-json',
+      nullable: true, // { [designCode]: price } overrides for particular designs
+    },
+    designs: {
+      type: 'simple-json',
+      nullable: true, // Design codes this option can be combined with; null = all
+    },
+    hsnCode: {
+      type: 'varchar',
+      length: 8,
+      nullable: true, // Overrides the lens HSN (index options, e.g. glass lenses)
+    },
+    sortOrder: {
+      type: 'int',
+      default: 0,
+    },
+    isActive: {
+      type: 'boolean',
+      default: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  indices: [
+    {
+      columns: ['kind'],
+    },
+  ],
+});
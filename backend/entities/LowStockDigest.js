@@ -0,0 +1,45 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LowStockDigest',
+  tableName: 'low_stock_digests',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    digestDate: {
+      type: 'date',
+      unique: true, // One digest a day, however many servers run the job
+    },
+    itemCount: {
+      type: 'int',
+      default: 0,
+    },
+    outOfStockCount: {
+      type: 'int',
+      default: 0,
+    },
+    byStore: {
+      type: 'simple-json',
+      nullable: true, // [{ storeId, storeName, items, outOfStock }]
+    },
+    message: {
+      type: 'text',
+      nullable: false,
+    },
+    recipients: {
+      type: 'varchar',
+      nullable: true, // Numbers in LOW_STOCK_DIGEST_TO it was sent to
+    },
+    deliveryError: {
+      type: 'text',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+  },
+});
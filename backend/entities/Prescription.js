@@ -0,0 +1,140 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'Prescription',
+  tableName: 'prescriptions',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    customerId: {
+      type: 'int',
+      nullable: false,
+    },
+    rightSph: {
+      type: 'decimal',
+      precision: 5,
+      scale: 2,
+      nullable: true,
+    },
+    rightCyl: {
+      type: 'decimal',
+      precision: 5,
+      scale: 2,
+      nullable: true,
+    },
+    rightAxis: {
+      type: 'int',
+      nullable: true,
+    },
+    rightAdd: {
+      type: 'decimal',
+      precision: 4,
+      scale: 2,
+      nullable: true,
+    },
+    rightPd: {
+      type: 'decimal',
+      precision: 4,
+      scale: 1,
+      nullable: true, // Monocular PD in mm
+    },
+    rightPrism: {
+      type: 'decimal',
+      precision: 4,
+      scale: 2,
+      nullable: true,
+    },
+    rightPrismBase: {
+      type: 'enum',
+      enum: ['BI', 'BO', 'BU', 'BD'],
+      nullable: true,
+    },
+    leftSph: {
+      type: 'decimal',
+      precision: 5,
+      scale: 2,
+      nullable: true,
+    },
+    leftCyl: {
+      type: 'decimal',
+      precision: 5,
+      scale: 2,
+      nullable: true,
+    },
+    leftAxis: {
+      type: 'int',
+      nullable: true,
+    },
+    leftAdd: {
+      type: 'decimal',
+      precision: 4,
+      scale: 2,
+      nullable: true,
+    },
+    leftPd: {
+      type: 'decimal',
+      precision: 4,
+      scale: 1,
+      nullable: true, // Monocular PD in mm
+    },
+    leftPrism: {
+      type: 'decimal',
+      precision: 4,
+      scale: 2,
+      nullable: true,
+    },
+    leftPrismBase: {
+      type: 'enum',
+      enum: ['BI', 'BO', 'BU', 'BD'],
+      nullable: true,
+    },
+    prescriber: {
+      type: 'varchar',
+      nullable: true,
+    },
+    testDate: {
+      type: 'date',
+      nullable: false,
+    },
+    expiryDate: {
+      type: 'date',
+      nullable: true,
+    },
+    notes: {
+      type: 'text',
+      default: '',
+    },
+    createdById: {
+      type: 'int',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    customer: {
+      type: 'many-to-one',
+      target: 'Customer',
+      joinColumn: { name: 'customerId' },
+    },
+    createdBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'createdById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['customerId'],
+    },
+  ],
+});
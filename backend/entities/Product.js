@@ -18,6 +18,10 @@ module.exports = new EntitySchema({
       unique: true,
       nullable: false,
     },
+    barcode: {
+      type: 'varchar',
+      nullable: true, // EAN/UPC printed on the item; labels fall back to the SKU
+    },
     category: {
       type: 'enum',
       enum: ['frame', 'eyeglass', 'sunglass', 'accessory'],
@@ -29,10 +33,21 @@ module.exports = new EntitySchema({
       scale: 2,
       nullable: false,
     },
+    costPrice: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: true, // Cost per unit on the latest goods receipt
+    },
     taxRate: {
       type: 'int',
       default: 18,
     },
+    hsnCode: {
+      type: 'varchar',
+      length: 8,
+      nullable: true,
+    },
     description: {
       type: 'text',
       default: '',
@@ -73,5 +88,10 @@ module.exports = new EntitySchema({
       inverseSide: 'product',
     },
   },
+  indices: [
+    {
+      columns: ['barcode'],
+    },
+  ],
 });
 
@@ -0,0 +1,128 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'Promotion',
+  tableName: 'promotions',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    name: {
+      type: 'varchar',
+      nullable: false, // Shown on the invoice, e.g. "Monsoon 10% off"
+    },
+    type: {
+      type: 'enum',
+      enum: ['percentage', 'flat', 'buy_x_get_y'],
+      nullable: false,
+    },
+    value: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // % off, ₹ off, or % off the free units of a buy X get Y
+    },
+    maxDiscount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: true, // Cap on a percentage offer
+    },
+    buyQuantity: {
+      type: 'int',
+      nullable: true,
+    },
+    getQuantity: {
+      type: 'int',
+      nullable: true,
+    },
+    scope: {
+      type: 'enum',
+      enum: ['all', 'category', 'sku'],
+      default: 'all',
+    },
+    categories: {
+      type: 'simple-json',
+      nullable: true, // Product categories when scope is 'category'
+    },
+    skus: {
+      type: 'simple-json',
+      nullable: true, // SKUs when scope is 'sku'
+    },
+    minBillAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: true,
+    },
+    storeIds: {
+      type: 'simple-json',
+      nullable: true, // null = every store
+    },
+    startsAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    endsAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    daysOfWeek: {
+      type: 'simple-json',
+      nullable: true, // 0 (Sunday) - 6; null = every day
+    },
+    startTime: {
+      type: 'varchar',
+      length: 5,
+      nullable: true, // 'HH:MM' happy-hour window, store time
+    },
+    endTime: {
+      type: 'varchar',
+      length: 5,
+      nullable: true,
+    },
+    couponCode: {
+      type: 'varchar',
+      unique: true,
+      nullable: true, // Only applied when the cashier enters the code
+    },
+    usageLimit: {
+      type: 'int',
+      nullable: true, // Coupon redemptions allowed; null = unlimited
+    },
+    usedCount: {
+      type: 'int',
+      default: 0,
+    },
+    isActive: {
+      type: 'boolean',
+      default: true,
+    },
+    createdById: {
+      type: 'int',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    createdBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'createdById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['isActive'],
+    },
+  ],
+});
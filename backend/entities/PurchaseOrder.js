@@ -0,0 +1,113 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'PurchaseOrder',
+  tableName: 'purchase_orders',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    poNumber: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    supplierId: {
+      type: 'int',
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false, // Store the goods are delivered to
+    },
+    status: {
+      type: 'enum',
+      enum: ['draft', 'approved', 'partially_received', 'received', 'cancelled'],
+      default: 'draft',
+    },
+    expectedDate: {
+      type: 'date',
+      nullable: true,
+    },
+    totalAmount: {
+      type: 'decimal',
+      precision: 12,
+      scale: 2,
+      default: 0, // Ordered quantity x unit cost
+    },
+    pushToShopify: {
+      type: 'boolean',
+      default: true, // Queue received stock for the store's Shopify location
+    },
+    notes: {
+      type: 'text',
+      default: '',
+    },
+    createdById: {
+      type: 'int',
+      nullable: false,
+    },
+    approvedById: {
+      type: 'int',
+      nullable: true,
+    },
+    approvedAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    closedAt: {
+      type: 'timestamp',
+      nullable: true, // Fully received, or closed short
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    supplier: {
+      type: 'many-to-one',
+      target: 'Supplier',
+      joinColumn: { name: 'supplierId' },
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+    items: {
+      type: 'one-to-many',
+      target: 'PurchaseOrderItem',
+      inverseSide: 'purchaseOrder',
+    },
+    receipts: {
+      type: 'one-to-many',
+      target: 'GoodsReceipt',
+      inverseSide: 'purchaseOrder',
+    },
+    createdBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'createdById' },
+    },
+    approvedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'approvedById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['storeId', 'status'],
+    },
+    {
+      columns: ['supplierId'],
+    },
+  ],
+});
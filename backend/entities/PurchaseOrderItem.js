@@ -0,0 +1,55 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'PurchaseOrderItem',
+  tableName: 'purchase_order_items',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    purchaseOrderId: {
+      type: 'int',
+      nullable: false,
+    },
+    productId: {
+      type: 'int',
+      nullable: false,
+    },
+    name: {
+      type: 'varchar',
+      nullable: true,
+    },
+    sku: {
+      type: 'varchar',
+      nullable: true,
+    },
+    quantity: {
+      type: 'int',
+      nullable: false, // Units ordered
+    },
+    receivedQuantity: {
+      type: 'int',
+      default: 0,
+    },
+    unitCost: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false, // Agreed cost per unit
+    },
+  },
+  relations: {
+    purchaseOrder: {
+      type: 'many-to-one',
+      target: 'PurchaseOrder',
+      joinColumn: { name: 'purchaseOrderId' },
+    },
+    product: {
+      type: 'many-to-one',
+      target: 'Product',
+      joinColumn: { name: 'productId' },
+    },
+  },
+});
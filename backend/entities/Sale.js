@@ -38,12 +38,42 @@ module.exports = new EntitySchema({
       scale: 2,
       default: 0,
     },
+    promotionDiscount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // Part of totalDiscount that came from promotions
+    },
+    appliedPromotions: {
+      type: 'simple-json',
+      nullable: true, // [{ promotionId, name, type, couponCode, amount }] as applied at the counter
+    },
+    couponCode: {
+      type: 'varchar',
+      nullable: true,
+    },
+    billDiscount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // Part of totalDiscount taken off the whole bill, spread over the lines
+    },
+    discountApprovedById: {
+      type: 'int',
+      nullable: true, // Supervisor whose PIN allowed a discount over the cashier's limit
+    },
     totalTax: {
       type: 'decimal',
       precision: 10,
       scale: 2,
       nullable: false,
     },
+    roundOff: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // Added to the lines' total to reach the nearest rupee
+    },
     totalAmount: {
       type: 'decimal',
       precision: 10,
@@ -52,13 +82,37 @@ module.exports = new EntitySchema({
     },
     paymentMethod: {
       type: 'enum',
-      enum: ['cash', 'upi', 'card', 'other'],
-      nullable: false,
+      enum: ['cash', 'upi', 'card', 'other', 'split'],
+      nullable: false, // 'split' when paid with more than one tender (see payments)
+    },
+    changeAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0,
+    },
+    placeOfSupply: {
+      type: 'varchar',
+      length: 2,
+      nullable: true, // GST state code
+    },
+    isInterState: {
+      type: 'boolean',
+      default: false, // IGST instead of CGST + SGST
     },
     saleDate: {
       type: 'timestamp',
       default: () => 'CURRENT_TIMESTAMP',
     },
+    idempotencyKey: {
+      type: 'varchar',
+      unique: true,
+      nullable: true, // Generated by the POS so a retried or queued sale is only recorded once
+    },
+    provisionalInvoiceNumber: {
+      type: 'varchar',
+      nullable: true, // Number printed on the receipt while the POS was offline
+    },
     notes: {
       type: 'text',
       default: '',
@@ -88,11 +142,31 @@ module.exports = new EntitySchema({
       target: 'Customer',
       joinColumn: { name: 'customerId' },
     },
+    discountApprovedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'discountApprovedById' },
+    },
     items: {
       type: 'one-to-many',
       target: 'SaleItem',
       inverseSide: 'sale',
     },
+    payments: {
+      type: 'one-to-many',
+      target: 'SalePayment',
+      inverseSide: 'sale',
+    },
+    returns: {
+      type: 'one-to-many',
+      target: 'SaleReturn',
+      inverseSide: 'sale',
+    },
+    conflicts: {
+      type: 'one-to-many',
+      target: 'SaleConflict',
+      inverseSide: 'sale',
+    },
   },
   indices: [
     {
@@ -0,0 +1,97 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'SaleConflict',
+  tableName: 'sale_conflicts',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    idempotencyKey: {
+      type: 'varchar',
+      nullable: true,
+    },
+    saleId: {
+      type: 'int',
+      nullable: true, // Empty when the sale could not be recorded at all
+    },
+    storeId: {
+      type: 'int',
+      nullable: true,
+    },
+    cashierId: {
+      type: 'int',
+      nullable: true,
+    },
+    type: {
+      type: 'enum',
+      enum: ['insufficient_stock', 'price_mismatch', 'discount_over_limit', 'rejected'],
+      nullable: false,
+    },
+    message: {
+      type: 'text',
+      nullable: false,
+    },
+    details: {
+      type: 'simple-json',
+      nullable: true, // Stock levels, totals, or the rejected sale payload
+    },
+    status: {
+      type: 'enum',
+      enum: ['open', 'resolved'],
+      default: 'open',
+    },
+    resolutionNote: {
+      type: 'text',
+      nullable: true,
+    },
+    resolvedById: {
+      type: 'int',
+      nullable: true,
+    },
+    resolvedAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    sale: {
+      type: 'many-to-one',
+      target: 'Sale',
+      joinColumn: { name: 'saleId' },
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+    cashier: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'cashierId' },
+    },
+    resolvedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'resolvedById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['status'],
+    },
+    {
+      columns: ['idempotencyKey'],
+    },
+  ],
+});
@@ -15,7 +15,20 @@ module.exports = new EntitySchema({
     },
     productId: {
       type: 'int',
-      nullable: false,
+      nullable: true, // Null on lens lines, which aren't stocked products
+    },
+    lineType: {
+      type: 'enum',
+      enum: ['product', 'lens'],
+      default: 'product',
+    },
+    parentItemId: {
+      type: 'int',
+      nullable: true, // Frame line a lens line was fitted to
+    },
+    lensConfig: {
+      type: 'simple-json',
+      nullable: true, // Lens design, index and coatings with the prices they were billed at
     },
     name: {
       type: 'varchar',
@@ -41,12 +54,29 @@ module.exports = new EntitySchema({
       scale: 2,
       default: 0,
     },
+    promotionDiscount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // This line's share of the promotions on the sale, on top of the discount
+    },
+    billDiscount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // This line's share of the bill discount
+    },
     discountedPrice: {
       type: 'decimal',
       precision: 10,
       scale: 2,
       nullable: false,
     },
+    hsnCode: {
+      type: 'varchar',
+      length: 8,
+      nullable: true, // HSN used at sale time, kept so the invoice reprints unchanged
+    },
     taxRate: {
       type: 'int',
       nullable: false,
@@ -57,12 +87,34 @@ module.exports = new EntitySchema({
       scale: 2,
       nullable: false,
     },
+    cgstAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: true,
+    },
+    sgstAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: true,
+    },
+    igstAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: true,
+    },
     totalAmount: {
       type: 'decimal',
       precision: 10,
       scale: 2,
       nullable: false,
     },
+    prescriptionId: {
+      type: 'int',
+      nullable: true, // Rx the lenses on this line were made to
+    },
   },
   relations: {
     sale: {
@@ -75,6 +127,11 @@ module.exports = new EntitySchema({
       target: 'Product',
       joinColumn: { name: 'productId' },
     },
+    prescription: {
+      type: 'many-to-one',
+      target: 'Prescription',
+      joinColumn: { name: 'prescriptionId' },
+    },
   },
 });
 
@@ -0,0 +1,54 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'SalePayment',
+  tableName: 'sale_payments',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    saleId: {
+      type: 'int',
+      nullable: false,
+    },
+    method: {
+      type: 'enum',
+      enum: ['cash', 'upi', 'card', 'other'],
+      nullable: false,
+    },
+    amount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false, // Amount applied to the sale
+    },
+    tenderedAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false, // Amount handed over (cash can exceed amount; the rest is change)
+    },
+    reference: {
+      type: 'varchar',
+      nullable: true, // UPI transaction ID, card last 4 digits, etc.
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+  },
+  relations: {
+    sale: {
+      type: 'many-to-one',
+      target: 'Sale',
+      joinColumn: { name: 'saleId' },
+    },
+  },
+  indices: [
+    {
+      columns: ['saleId'],
+    },
+  ],
+});
@@ -0,0 +1,113 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'SaleReturn',
+  tableName: 'sale_returns',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    creditNoteNumber: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    saleId: {
+      type: 'int',
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    customerId: {
+      type: 'int',
+      nullable: false,
+    },
+    processedById: {
+      type: 'int',
+      nullable: false,
+    },
+    reason: {
+      type: 'text',
+      default: '',
+    },
+    refundMethod: {
+      type: 'enum',
+      enum: ['cash', 'upi', 'card', 'store_credit', 'other'],
+      nullable: false,
+    },
+    totalTax: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false,
+    },
+    roundOff: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0, // The sale's round off, given back by the return that closes it out
+    },
+    totalAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false,
+    },
+    returnDate: {
+      type: 'timestamp',
+      default: () => 'CURRENT_TIMESTAMP',
+    },
+    notes: {
+      type: 'text',
+      default: '',
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    sale: {
+      type: 'many-to-one',
+      target: 'Sale',
+      joinColumn: { name: 'saleId' },
+      inverseSide: 'returns',
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+    customer: {
+      type: 'many-to-one',
+      target: 'Customer',
+      joinColumn: { name: 'customerId' },
+    },
+    processedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'processedById' },
+    },
+    items: {
+      type: 'one-to-many',
+      target: 'SaleReturnItem',
+      inverseSide: 'saleReturn',
+    },
+  },
+  indices: [
+    {
+      columns: ['saleId'],
+    },
+    {
+      columns: ['storeId', 'returnDate'],
+    },
+  ],
+});
@@ -0,0 +1,115 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'SaleReturnItem',
+  tableName: 'sale_return_items',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    saleReturnId: {
+      type: 'int',
+      nullable: false,
+    },
+    saleItemId: {
+      type: 'int',
+      nullable: false,
+    },
+    productId: {
+      type: 'int',
+      nullable: true, // Null for lens lines
+    },
+    name: {
+      type: 'varchar',
+      nullable: true,
+    },
+    sku: {
+      type: 'varchar',
+      nullable: true,
+    },
+    quantity: {
+      type: 'int',
+      nullable: false,
+    },
+    unitPrice: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false,
+    },
+    discount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0,
+    },
+    discountedPrice: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false,
+    },
+    hsnCode: {
+      type: 'varchar',
+      length: 8,
+      nullable: true, // Copied from the original sale line
+    },
+    taxRate: {
+      type: 'int',
+      nullable: false,
+    },
+    taxAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false,
+    },
+    cgstAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0,
+    },
+    sgstAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0,
+    },
+    igstAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      default: 0,
+    },
+    totalAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false,
+    },
+    restocked: {
+      type: 'boolean',
+      default: true,
+    },
+  },
+  relations: {
+    saleReturn: {
+      type: 'many-to-one',
+      target: 'SaleReturn',
+      joinColumn: { name: 'saleReturnId' },
+    },
+    saleItem: {
+      type: 'many-to-one',
+      target: 'SaleItem',
+      joinColumn: { name: 'saleItemId' },
+    },
+    product: {
+      type: 'many-to-one',
+      target: 'Product',
+      joinColumn: { name: 'productId' },
+    },
+  },
+});
@@ -0,0 +1,83 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'ShopifyInventoryAdjustment',
+  tableName: 'shopify_inventory_adjustments',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    productId: {
+      type: 'int',
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    delta: {
+      type: 'int',
+      nullable: false, // Change to Shopify's available quantity (negative for sales)
+    },
+    reason: {
+      type: 'enum',
+      enum: ['sale', 'return', 'sale_edit', 'sale_delete', 'transfer_out', 'transfer_in', 'transfer_cancel', 'purchase_receipt', 'stocktake'],
+      nullable: false,
+    },
+    referenceId: {
+      type: 'int',
+      nullable: true, // Sale, return, stock transfer, goods receipt or stocktake that caused the change
+    },
+    status: {
+      type: 'enum',
+      enum: ['pending', 'processing', 'done', 'failed', 'skipped'],
+      default: 'pending',
+    },
+    attempts: {
+      type: 'int',
+      default: 0,
+    },
+    lastError: {
+      type: 'text',
+      nullable: true,
+    },
+    nextAttemptAt: {
+      type: 'timestamp',
+      default: () => 'CURRENT_TIMESTAMP',
+    },
+    processedAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    product: {
+      type: 'many-to-one',
+      target: 'Product',
+      joinColumn: { name: 'productId' },
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+  },
+  indices: [
+    {
+      columns: ['status', 'nextAttemptAt'],
+    },
+    {
+      columns: ['productId', 'storeId'],
+    },
+  ],
+});
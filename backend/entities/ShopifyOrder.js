@@ -0,0 +1,84 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'ShopifyOrder',
+  tableName: 'shopify_orders',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    saleId: {
+      type: 'int',
+      nullable: true, // Null once the sale is deleted
+      unique: true, // One Shopify order per sale, however often it is retried
+    },
+    invoiceNumber: {
+      type: 'varchar',
+      nullable: true, // Kept for orders whose sale has been deleted
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    shopifyOrderId: {
+      type: 'varchar',
+      nullable: true,
+    },
+    shopifyOrderName: {
+      type: 'varchar',
+      nullable: true, // e.g. #1042
+    },
+    status: {
+      type: 'enum',
+      enum: ['pending', 'processing', 'synced', 'failed', 'needs_attention'],
+      default: 'pending',
+    },
+    attentionReason: {
+      type: 'text',
+      nullable: true, // What changed in the POS since the order was sent
+    },
+    attempts: {
+      type: 'int',
+      default: 0,
+    },
+    lastError: {
+      type: 'text',
+      nullable: true,
+    },
+    nextAttemptAt: {
+      type: 'timestamp',
+      default: () => 'CURRENT_TIMESTAMP',
+    },
+    syncedAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    sale: {
+      type: 'many-to-one',
+      target: 'Sale',
+      joinColumn: { name: 'saleId' },
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+  },
+  indices: [
+    {
+      columns: ['status', 'nextAttemptAt'],
+    },
+  ],
+});
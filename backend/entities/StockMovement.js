@@ -0,0 +1,87 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'StockMovement',
+  tableName: 'stock_movements',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    productId: {
+      type: 'int',
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    type: {
+      type: 'enum',
+      enum: ['sale', 'return', 'sale_edit', 'sale_delete', 'transfer_out', 'transfer_in', 'transfer_cancel', 'purchase_receipt', 'stocktake', 'manual_adjustment', 'shopify_sync'],
+      nullable: false,
+    },
+    quantityBefore: {
+      type: 'int',
+      nullable: false,
+    },
+    quantityAfter: {
+      type: 'int',
+      nullable: false,
+    },
+    quantityChange: {
+      type: 'int',
+      nullable: false, // quantityAfter - quantityBefore
+    },
+    referenceType: {
+      type: 'varchar',
+      nullable: true, // sale, sale_return, stock_transfer, goods_receipt, stocktake or sync_run
+    },
+    referenceId: {
+      type: 'int',
+      nullable: true, // Not a foreign key: deleted sales keep their movements
+    },
+    referenceNumber: {
+      type: 'varchar',
+      nullable: true, // Invoice, credit note, transfer, GRN or stocktake number at the time
+    },
+    userId: {
+      type: 'int',
+      nullable: true, // Null for changes pulled from Shopify in the background
+    },
+    note: {
+      type: 'varchar',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+  },
+  relations: {
+    product: {
+      type: 'many-to-one',
+      target: 'Product',
+      joinColumn: { name: 'productId' },
+    },
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+    user: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'userId' },
+    },
+  },
+  indices: [
+    {
+      columns: ['productId', 'storeId', 'createdAt'],
+    },
+    {
+      columns: ['storeId', 'createdAt'],
+    },
+  ],
+});
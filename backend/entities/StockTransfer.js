@@ -0,0 +1,103 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'StockTransfer',
+  tableName: 'stock_transfers',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    transferNumber: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    fromStoreId: {
+      type: 'int',
+      nullable: false,
+    },
+    toStoreId: {
+      type: 'int',
+      nullable: false,
+    },
+    status: {
+      type: 'enum',
+      enum: ['draft', 'in_transit', 'partially_received', 'received', 'cancelled'],
+      default: 'draft',
+    },
+    notes: {
+      type: 'text',
+      default: '',
+    },
+    createdById: {
+      type: 'int',
+      nullable: false,
+    },
+    dispatchedById: {
+      type: 'int',
+      nullable: true,
+    },
+    dispatchedAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    receivedById: {
+      type: 'int',
+      nullable: true, // Whoever booked the last receipt
+    },
+    receivedAt: {
+      type: 'timestamp',
+      nullable: true, // Set when the transfer is closed
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    fromStore: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'fromStoreId' },
+    },
+    toStore: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'toStoreId' },
+    },
+    items: {
+      type: 'one-to-many',
+      target: 'StockTransferItem',
+      inverseSide: 'transfer',
+    },
+    createdBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'createdById' },
+    },
+    dispatchedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'dispatchedById' },
+    },
+    receivedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'receivedById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['fromStoreId', 'status'],
+    },
+    {
+      columns: ['toStoreId', 'status'],
+    },
+  ],
+});
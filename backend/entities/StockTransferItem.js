@@ -0,0 +1,53 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'StockTransferItem',
+  tableName: 'stock_transfer_items',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    transferId: {
+      type: 'int',
+      nullable: false,
+    },
+    productId: {
+      type: 'int',
+      nullable: false,
+    },
+    name: {
+      type: 'varchar',
+      nullable: true,
+    },
+    sku: {
+      type: 'varchar',
+      nullable: true,
+    },
+    quantity: {
+      type: 'int',
+      nullable: false, // Units sent
+    },
+    receivedQuantity: {
+      type: 'int',
+      default: 0,
+    },
+    discrepancyNote: {
+      type: 'text',
+      nullable: true, // Why fewer units arrived (damaged, missing, ...)
+    },
+  },
+  relations: {
+    transfer: {
+      type: 'many-to-one',
+      target: 'StockTransfer',
+      joinColumn: { name: 'transferId' },
+    },
+    product: {
+      type: 'many-to-one',
+      target: 'Product',
+      joinColumn: { name: 'productId' },
+    },
+  },
+});
@@ -0,0 +1,91 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'Stocktake',
+  tableName: 'stocktakes',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    stocktakeNumber: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    storeId: {
+      type: 'int',
+      nullable: false,
+    },
+    scope: {
+      type: 'enum',
+      enum: ['full', 'category'],
+      default: 'full',
+    },
+    category: {
+      type: 'varchar',
+      nullable: true, // Only for category counts
+    },
+    status: {
+      type: 'enum',
+      enum: ['counting', 'posted', 'cancelled'],
+      default: 'counting',
+    },
+    reasonCode: {
+      type: 'varchar',
+      nullable: true, // Reason for lines posted without their own
+    },
+    notes: {
+      type: 'text',
+      default: '',
+    },
+    startedById: {
+      type: 'int',
+      nullable: false,
+    },
+    postedById: {
+      type: 'int',
+      nullable: true,
+    },
+    postedAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true, // Expected quantities are frozen at this point
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    store: {
+      type: 'many-to-one',
+      target: 'Store',
+      joinColumn: { name: 'storeId' },
+    },
+    items: {
+      type: 'one-to-many',
+      target: 'StocktakeItem',
+      inverseSide: 'stocktake',
+    },
+    startedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'startedById' },
+    },
+    postedBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'postedById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['storeId', 'status'],
+    },
+  ],
+});
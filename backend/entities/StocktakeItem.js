@@ -0,0 +1,91 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'StocktakeItem',
+  tableName: 'stocktake_items',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    stocktakeId: {
+      type: 'int',
+      nullable: false,
+    },
+    productId: {
+      type: 'int',
+      nullable: false,
+    },
+    name: {
+      type: 'varchar',
+      nullable: true,
+    },
+    sku: {
+      type: 'varchar',
+      nullable: true,
+    },
+    barcode: {
+      type: 'varchar',
+      nullable: true, // For matching scans
+    },
+    expectedQuantity: {
+      type: 'int',
+      nullable: false, // Stock on record when the count started
+    },
+    countedQuantity: {
+      type: 'int',
+      nullable: true, // Null until the line is counted
+    },
+    countedAt: {
+      type: 'timestamp',
+      nullable: true, // When the count was last entered or scanned
+    },
+    movedBeforeCount: {
+      type: 'int',
+      default: 0, // Stock change between the count starting and the line being counted
+    },
+    unitCost: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: true, // Product cost price when the count started
+    },
+    unitPrice: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      nullable: false, // MRP when the count started
+    },
+    reasonCode: {
+      type: 'varchar',
+      nullable: true,
+    },
+    adjustedQuantity: {
+      type: 'int',
+      nullable: true, // Change posted to the store's stock
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    stocktake: {
+      type: 'many-to-one',
+      target: 'Stocktake',
+      joinColumn: { name: 'stocktakeId' },
+    },
+    product: {
+      type: 'many-to-one',
+      target: 'Product',
+      joinColumn: { name: 'productId' },
+    },
+  },
+  indices: [
+    {
+      columns: ['stocktakeId', 'productId'],
+      unique: true,
+    },
+  ],
+});
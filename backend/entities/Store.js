@@ -17,6 +17,25 @@ module.exports = new EntitySchema({
       type: 'varchar',
       nullable: false,
     },
+    gstin: {
+      type: 'varchar',
+      length: 15,
+      nullable: true, // Printed on its invoices and receipts; the default GSTIN when blank
+      transformer: {
+        to: (value) => (value ? value.toUpperCase() : null),
+        from: (value) => value,
+      },
+    },
+    code: {
+      type: 'varchar',
+      length: 4,
+      nullable: true,
+      unique: true, // {STORE} in document numbers; the store ID is used when blank
+      transformer: {
+        to: (value) => (value ? value.toUpperCase() : null),
+        from: (value) => value,
+      },
+    },
     address: {
       type: 'jsonb',
       nullable: true,
@@ -33,10 +52,31 @@ module.exports = new EntitySchema({
         from: (value) => value,
       },
     },
+    invoiceNumberFormat: {
+      type: 'varchar',
+      nullable: true, // Falls back to INVOICE_NUMBER_FORMAT
+    },
+    creditNoteNumberFormat: {
+      type: 'varchar',
+      nullable: true, // Falls back to CREDIT_NOTE_NUMBER_FORMAT
+    },
     shopifyLocationId: {
       type: 'varchar',
       nullable: true,
     },
+    shopifyOrderSync: {
+      type: 'boolean',
+      default: false, // Mirror this store's sales to Shopify as orders
+    },
+    receiptFormat: {
+      type: 'enum',
+      enum: ['pdf', 'escpos'],
+      default: 'pdf', // How the till prints receipts: print dialog or raw to a thermal printer
+    },
+    receiptPaperWidth: {
+      type: 'int',
+      default: 80, // Thermal paper width in mm (58 or 80)
+    },
     isActive: {
       type: 'boolean',
       default: true,
@@ -0,0 +1,69 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'Supplier',
+  tableName: 'suppliers',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    name: {
+      type: 'varchar',
+      unique: true,
+      nullable: false,
+    },
+    contactName: {
+      type: 'varchar',
+      nullable: true,
+    },
+    phone: {
+      type: 'varchar',
+      nullable: true,
+    },
+    email: {
+      type: 'varchar',
+      default: '',
+      transformer: {
+        to: (value) => value?.toLowerCase() || '',
+        from: (value) => value,
+      },
+    },
+    gstNumber: {
+      type: 'varchar',
+      default: '',
+      transformer: {
+        to: (value) => value?.toUpperCase() || '',
+        from: (value) => value,
+      },
+    },
+    address: {
+      type: 'text',
+      default: '',
+    },
+    paymentTerms: {
+      type: 'varchar',
+      nullable: true, // E.g. "30 days credit"
+    },
+    isActive: {
+      type: 'boolean',
+      default: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    purchaseOrders: {
+      type: 'one-to-many',
+      target: 'PurchaseOrder',
+      inverseSide: 'supplier',
+    },
+  },
+});
@@ -0,0 +1,92 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'SyncRun',
+  tableName: 'sync_runs',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    mode: {
+      type: 'enum',
+      enum: ['full', 'incremental'],
+      default: 'incremental',
+    },
+    status: {
+      type: 'enum',
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    stage: {
+      type: 'enum',
+      enum: ['stores', 'products', 'inventory'],
+      default: 'stores',
+    },
+    updatedAtMin: {
+      type: 'timestamp',
+      nullable: true, // Only pull what changed in Shopify since this time (incremental runs)
+    },
+    cursor: {
+      type: 'simple-json',
+      nullable: true, // Where the current stage resumes: { sinceId } or { storeIndex, pageInfo }
+    },
+    storesSynced: {
+      type: 'int',
+      default: 0,
+    },
+    productsCreated: {
+      type: 'int',
+      default: 0,
+    },
+    productsUpdated: {
+      type: 'int',
+      default: 0,
+    },
+    inventoryUpdated: {
+      type: 'int',
+      default: 0,
+    },
+    errorCount: {
+      type: 'int',
+      default: 0,
+    },
+    errors: {
+      type: 'simple-json',
+      nullable: true, // First errors only, errorCount has the total
+    },
+    triggeredById: {
+      type: 'int',
+      nullable: true,
+    },
+    startedAt: {
+      type: 'timestamp',
+      default: () => 'CURRENT_TIMESTAMP',
+    },
+    finishedAt: {
+      type: 'timestamp',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  relations: {
+    triggeredBy: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'triggeredById' },
+    },
+  },
+  indices: [
+    {
+      columns: ['status'],
+    },
+  ],
+});
@@ -0,0 +1,48 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'TaxSlab',
+  tableName: 'tax_slabs',
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+    },
+    hsnCode: {
+      type: 'varchar',
+      length: 8,
+      nullable: false,
+    },
+    description: {
+      type: 'varchar',
+      default: '',
+    },
+    taxRate: {
+      type: 'int',
+      nullable: false,
+    },
+    effectiveFrom: {
+      type: 'date',
+      nullable: false, // Rate applies to sales on or after this date
+    },
+    matchTerms: {
+      type: 'simple-array',
+      nullable: true, // Shopify product types / tags that map to this HSN
+    },
+    createdAt: {
+      type: 'timestamp',
+      createDate: true,
+    },
+    updatedAt: {
+      type: 'timestamp',
+      updateDate: true,
+    },
+  },
+  indices: [
+    {
+      columns: ['hsnCode', 'effectiveFrom'],
+      unique: true,
+    },
+  ],
+});
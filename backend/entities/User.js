@@ -37,6 +37,25 @@ module.exports = new EntitySchema({
       type: 'int',
       nullable: true,
     },
+    maxDiscountPercent: {
+      type: 'decimal',
+      precision: 5,
+      scale: 2,
+      nullable: true, // Personal discount limit, instead of the role's
+    },
+    approvalPin: {
+      type: 'varchar',
+      nullable: true,
+      select: false, // Hashed; users with one can approve over-limit discounts at the counter
+    },
+    approvalPinFailures: {
+      type: 'int',
+      default: 0, // Wrong PINs entered in a row
+    },
+    approvalPinLockedUntil: {
+      type: 'timestamp',
+      nullable: true, // Set after too many wrong PINs; no approvals until then
+    },
     isActive: {
       type: 'boolean',
       default: true,
@@ -73,7 +92,7 @@ class UserMethods {
   }
 
   static toJSON(user) {
-    const { password, ...userWithoutPassword } = user;
+    const { password, approvalPin, ...userWithoutPassword } = user;
     
     // Ensure assignedStore has proper id field for frontend compatibility
     if (userWithoutPassword.assignedStore) {
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Verify a Shopify webhook: X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256 of the
+// raw request body, keyed with the app's webhook secret. Needs the body as a Buffer
+// (express.raw), so this router must be mounted before express.json().
+exports.verifyShopifyWebhook = (req, res, next) => {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('❌ Shopify webhook received but SHOPIFY_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ error: 'Webhooks are not configured' });
+  }
+
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256') || '';
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  if (received.length !== digest.length || !crypto.timingSafeEqual(received, digest)) {
+    console.warn(`⚠️ Rejected Shopify webhook with invalid signature (${req.get('X-Shopify-Topic') || 'no topic'})`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    req.body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON payload' });
+  }
+
+  next();
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Cashiers look up and register customers at the counter
+router.get('/', customerController.getCustomers);
+router.get('/lookup', customerController.lookupCustomer);
+router.get('/duplicates', isAdmin, customerController.getDuplicates);
+router.get('/:customerId', customerController.getCustomer);
+router.post('/', customerController.createCustomer);
+router.put('/:customerId', customerController.updateCustomer);
+router.delete('/:customerId', isAdmin, customerController.deleteCustomer);
+router.post('/:customerId/merge', isAdmin, customerController.mergeCustomers);
+
+module.exports = router;
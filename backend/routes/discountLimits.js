@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const discountLimitController = require('../controllers/discountLimitController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Discount limits by role and store (Admin only)
+router.get('/', isAdmin, discountLimitController.getDiscountLimits);
+router.put('/', isAdmin, discountLimitController.updateDiscountLimits);
+
+// Supervisors a cashier can ask to approve an over-limit discount
+router.get('/approvers', discountLimitController.getApprovers);
+
+module.exports = router;
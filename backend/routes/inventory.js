@@ -15,5 +15,18 @@ router.get('/summary', inventoryController.getInventorySummary);
 // Check Shopify products for a specific store
 router.get('/check-shopify', inventoryController.checkShopifyProductsForStore);
 
+// Stock movement ledger (Admin only)
+router.get('/movements', isAdmin, inventoryController.getStockMovements);
+
+// Reorder levels and the low stock report (Admin only)
+router.get('/low-stock', isAdmin, inventoryController.getLowStock);
+router.get('/low-stock/digest', isAdmin, inventoryController.getLowStockDigest);
+router.put('/reorder-levels', isAdmin, inventoryController.updateReorderLevels);
+
+// Stock changes waiting to be pushed to Shopify (Admin only)
+router.get('/shopify-outbox', isAdmin, inventoryController.getShopifyOutbox);
+router.post('/shopify-outbox/retry-failed', isAdmin, inventoryController.retryFailedShopifyAdjustments);
+router.post('/shopify-outbox/:adjustmentId/retry', isAdmin, inventoryController.retryShopifyAdjustment);
+
 module.exports = router;
 
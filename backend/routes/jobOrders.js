@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const jobOrderController = require('../controllers/jobOrderController');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Job board (cashiers see and move jobs for their store)
+router.get('/', jobOrderController.getJobOrders);
+router.get('/:jobId', jobOrderController.getJobOrder);
+router.post('/', jobOrderController.createJobOrder);
+router.put('/:jobId', jobOrderController.updateJobOrder);
+router.post('/:jobId/status', jobOrderController.updateJobStatus);
+
+// Generate job card
+router.get('/:jobId/job-card', jobOrderController.generateJobCard);
+
+module.exports = router;
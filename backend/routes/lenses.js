@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const lensController = require('../controllers/lensController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Lens catalog (cashiers use it in the POS configurator)
+router.get('/', lensController.getLensOptions);
+
+// Admin only routes
+router.post('/', isAdmin, lensController.createLensOption);
+router.put('/:optionId', isAdmin, lensController.updateLensOption);
+
+module.exports = router;
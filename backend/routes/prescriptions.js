@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const prescriptionController = require('../controllers/prescriptionController');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Cashiers capture and look up prescriptions at the counter
+router.get('/', prescriptionController.getPrescriptions);
+router.get('/:prescriptionId', prescriptionController.getPrescription);
+router.post('/', prescriptionController.createPrescription);
+
+module.exports = router;
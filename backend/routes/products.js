@@ -8,6 +8,7 @@ router.use(authenticate);
 
 // Get all products (cashiers can view)
 router.get('/', productController.getAllProducts);
+router.get('/by-barcode/:code', productController.getProductByBarcode);
 router.get('/:productId', productController.getProduct);
 
 // Admin only routes
@@ -16,6 +17,7 @@ router.put('/:productId', isAdmin, productController.updateProduct);
 router.delete('/:productId', isAdmin, productController.deleteProduct);
 router.put('/:productId/inventory', isAdmin, productController.updateInventory);
 router.post('/sync/shopify', isAdmin, productController.syncFromShopify);
+router.post('/labels', isAdmin, productController.generateLabels);
 
 module.exports = router;
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Promotions and coupons (Admin only)
+router.get('/', isAdmin, promotionController.getPromotions);
+router.post('/', isAdmin, promotionController.createPromotion);
+router.put('/:promotionId', isAdmin, promotionController.updatePromotion);
+
+module.exports = router;
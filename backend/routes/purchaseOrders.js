@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Purchase orders and goods receipts (Admin only)
+router.get('/', isAdmin, purchaseOrderController.getPurchaseOrders);
+router.get('/:orderId', isAdmin, purchaseOrderController.getPurchaseOrder);
+router.post('/', isAdmin, purchaseOrderController.createPurchaseOrder);
+router.put('/:orderId', isAdmin, purchaseOrderController.updatePurchaseOrder);
+router.post('/:orderId/approve', isAdmin, purchaseOrderController.approvePurchaseOrder);
+router.post('/:orderId/receive', isAdmin, purchaseOrderController.receivePurchaseOrder);
+router.post('/:orderId/cancel', isAdmin, purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
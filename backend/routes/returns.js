@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const { authenticate } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get returns (filtered by role and permissions)
+router.get('/', returnController.getAllReturns);
+router.get('/:returnId', returnController.getReturn);
+
+// Generate credit note
+router.get('/:returnId/credit-note', returnController.generateCreditNote);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const saleConflictController = require('../controllers/saleConflictController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Admin only routes
+router.get('/', isAdmin, saleConflictController.getAllConflicts);
+router.put('/:conflictId/resolve', isAdmin, saleConflictController.resolveConflict);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const saleController = require('../controllers/saleController');
+const returnController = require('../controllers/returnController');
 const { authenticate, isAdmin } = require('../middleware/auth');
 
 // All routes require authentication
@@ -9,6 +10,12 @@ router.use(authenticate);
 // Create sale (cashiers can create for their store)
 router.post('/', saleController.createSale);
 
+// Replay a sale the POS queued while it was offline
+router.post('/offline', saleController.syncOfflineSale);
+
+// Price a cart with the promotions and coupon that would apply (called live by the POS)
+router.post('/quote', saleController.quoteSale);
+
 // Get sales (filtered by role and permissions)
 router.get('/', saleController.getAllSales);
 router.get('/stats', saleController.getSalesStats);
@@ -17,6 +24,11 @@ router.get('/:saleId', saleController.getSale);
 
 // Generate invoice
 router.get('/:saleId/invoice', saleController.generateInvoice);
+router.get('/:saleId/receipt', saleController.generateReceipt);
+
+// Returns against a sale (cashiers can process returns for their store)
+router.post('/:saleId/returns', returnController.createReturn);
+router.get('/:saleId/returns', returnController.getSaleReturns);
 
 // Update/Edit sale (Admin only)
 router.put('/:saleId', isAdmin, saleController.updateSale);
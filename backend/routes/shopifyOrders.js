@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const shopifyOrderController = require('../controllers/shopifyOrderController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Admin only routes
+router.get('/', isAdmin, shopifyOrderController.getAllShopifyOrders);
+router.post('/retry-failed', isAdmin, shopifyOrderController.retryFailedShopifyOrders);
+router.post('/:shopifyOrderId/retry', isAdmin, shopifyOrderController.retryShopifyOrder);
+router.post('/:shopifyOrderId/resolve', isAdmin, shopifyOrderController.resolveShopifyOrder);
+
+module.exports = router;
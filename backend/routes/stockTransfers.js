@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const stockTransferController = require('../controllers/stockTransferController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Inter-store stock transfers (Admin only)
+router.get('/', isAdmin, stockTransferController.getStockTransfers);
+router.get('/:transferId', isAdmin, stockTransferController.getStockTransfer);
+router.post('/', isAdmin, stockTransferController.createStockTransfer);
+router.put('/:transferId', isAdmin, stockTransferController.updateStockTransfer);
+router.post('/:transferId/dispatch', isAdmin, stockTransferController.dispatchStockTransfer);
+router.post('/:transferId/receive', isAdmin, stockTransferController.receiveStockTransfer);
+router.post('/:transferId/cancel', isAdmin, stockTransferController.cancelStockTransfer);
+
+// Generate delivery challan
+router.get('/:transferId/challan', isAdmin, stockTransferController.generateChallan);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const stocktakeController = require('../controllers/stocktakeController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Counting (cashiers at their own store)
+router.get('/', stocktakeController.getStocktakes);
+router.get('/:stocktakeId', stocktakeController.getStocktake);
+router.put('/:stocktakeId/counts', stocktakeController.updateCounts);
+router.post('/:stocktakeId/scan', stocktakeController.scanItem);
+
+// Starting, reviewing and posting (Admin only)
+router.post('/', isAdmin, stocktakeController.createStocktake);
+router.get('/:stocktakeId/variance', isAdmin, stocktakeController.getVariance);
+router.post('/:stocktakeId/post', isAdmin, stocktakeController.postStocktake);
+router.post('/:stocktakeId/cancel', isAdmin, stocktakeController.cancelStocktake);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Suppliers (Admin only)
+router.get('/', isAdmin, supplierController.getSuppliers);
+router.post('/', isAdmin, supplierController.createSupplier);
+router.put('/:supplierId', isAdmin, supplierController.updateSupplier);
+
+module.exports = router;
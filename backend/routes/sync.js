@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const syncController = require('../controllers/syncController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Admin only routes
+router.post('/runs', isAdmin, syncController.startSync);
+router.get('/runs', isAdmin, syncController.getSyncRuns);
+router.get('/runs/:runId', isAdmin, syncController.getSyncRun);
+router.post('/runs/:runId/resume', isAdmin, syncController.resumeSyncRun);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const taxSlabController = require('../controllers/taxSlabController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get all tax slabs (cashiers can view)
+router.get('/', taxSlabController.getAllTaxSlabs);
+
+// Admin only routes
+router.post('/', isAdmin, taxSlabController.createTaxSlab);
+router.put('/:slabId', isAdmin, taxSlabController.updateTaxSlab);
+router.delete('/:slabId', isAdmin, taxSlabController.deleteTaxSlab);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { verifyShopifyWebhook } = require('../middleware/shopifyWebhook');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// Shopify signs the raw body, so it is read as a Buffer and parsed after verification
+router.post('/shopify', express.raw({ type: 'application/json', limit: '5mb' }), verifyShopifyWebhook, webhookController.handleShopifyWebhook);
+
+// Subscribe to the topics above (Admin only)
+router.post('/shopify/register', express.json(), authenticate, isAdmin, webhookController.registerShopifyWebhooks);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+require('reflect-metadata');
+require('dotenv').config();
+const { AppDataSource } = require('../data-source');
+const taxSlabs = require('../utils/taxSlab');
+
+// One-off for databases from before HSN codes: give products without an HSN the
+// one for their category and stamp old sale/return lines with the HSN their
+// invoices printed. Products' own tax rates aren't changed. Safe to run again.
+//
+//   node scripts/backfillHsnCodes.js
+
+async function backfillHsnCodes() {
+  try {
+    await AppDataSource.initialize();
+    console.log('✅ Connected to PostgreSQL');
+
+    await taxSlabs.ensureDefaults(AppDataSource.manager);
+    const result = await AppDataSource.transaction(manager => taxSlabs.backfillHsnCodes(manager));
+
+    Object.entries(result.products).forEach(([category, { hsnCode, count }]) => {
+      console.log(`🏷️ Assigned HSN ${hsnCode} to ${count} ${category} products`);
+    });
+    console.log(`🧾 ${result.saleLines} old sale and return lines given an HSN`);
+
+    if (result.rateMismatches.length > 0) {
+      console.log(`⚠️  ${result.rateMismatches.length} products kept a tax rate that differs from their HSN's slab (sales bill at the slab rate):`);
+      result.rateMismatches.forEach(product => console.log(`   ${product.sku}: ${product.taxRate}% (slab ${product.slabRate}%)`));
+    }
+
+    await AppDataSource.destroy();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling HSN codes:', error);
+    process.exit(1);
+  }
+}
+
+backfillHsnCodes();
@@ -0,0 +1,37 @@
+require('reflect-metadata');
+require('dotenv').config();
+const { AppDataSource } = require('../data-source');
+const customers = require('../utils/customers');
+
+// Rewrite customers' phone numbers in E.164 (+919876543210), so customers
+// saved before normalization are matched at the till and show up in the duplicate
+// report. The server does this at startup; run this to do it now and see the
+// duplicates it turns up. Safe to run again.
+//
+//   node scripts/normalizeCustomerPhones.js
+
+async function normalizeCustomerPhones() {
+  try {
+    await AppDataSource.initialize();
+    console.log('✅ Connected to PostgreSQL');
+
+    const result = await AppDataSource.transaction(manager => customers.normalizePhones(manager));
+    console.log(`📞 ${result.updated} phone numbers normalized, ${result.unchanged} already in E.164`);
+
+    if (result.invalid.length > 0) {
+      console.log(`⚠️  ${result.invalid.length} numbers couldn't be read and were left as they are:`);
+      result.invalid.forEach(customer => console.log(`   #${customer.id} ${customer.name}: "${customer.phone}"`));
+    }
+
+    const groups = await customers.findDuplicates(AppDataSource.manager);
+    console.log(`🔎 ${groups.length} possible duplicate groups to review under Admin → Customers → Duplicates`);
+
+    await AppDataSource.destroy();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error normalizing phone numbers:', error);
+    process.exit(1);
+  }
+}
+
+normalizeCustomerPhones();
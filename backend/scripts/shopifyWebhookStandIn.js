@@ -0,0 +1,150 @@
+require('reflect-metadata');
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+const { AppDataSource } = require('../data-source');
+
+// Local stand-in for Shopify: posts signed webhook payloads to a running backend
+// and checks the rows they should have written. Uses IDs no real shop has and
+// removes what it created at the end.
+//
+//   node scripts/shopifyWebhookStandIn.js [http://localhost:5000/api/webhooks/shopify]
+
+const WEBHOOK_URL = process.argv[2] || `http://localhost:${process.env.PORT || 5000}/api/webhooks/shopify`;
+const SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+const LOCATION_ID = 990000001;
+const PRODUCT_ID = 990000002;
+const VARIANT_ID = 990000003;
+const SECOND_VARIANT_ID = 990000004;
+const INVENTORY_ITEM_ID = 990000005;
+
+const location = {
+  id: LOCATION_ID,
+  name: 'Webhook Test Store',
+  address1: '1 Test Street',
+  city: 'Jaipur',
+  province: 'Rajasthan',
+  zip: '302001',
+  country: 'India',
+  phone: '',
+  active: true
+};
+
+const product = {
+  id: PRODUCT_ID,
+  title: 'Webhook Test Frame',
+  body_html: '<p>Test frame</p>',
+  product_type: 'Eyeglass Frame',
+  tags: 'frame',
+  image: null,
+  variants: [
+    { id: VARIANT_ID, title: 'Black', sku: 'WH-TEST-BLK', price: '1499.00', inventory_item_id: INVENTORY_ITEM_ID },
+    { id: SECOND_VARIANT_ID, title: 'Brown', sku: 'WH-TEST-BRN', price: '1499.00', inventory_item_id: INVENTORY_ITEM_ID + 1 }
+  ]
+};
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const post = async (topic, payload, { secret } = {}) => {
+  const body = JSON.stringify(payload);
+  const response = await axios.post(WEBHOOK_URL, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Hmac-Sha256': sign(body, secret),
+      'X-Shopify-Webhook-Id': crypto.randomUUID()
+    },
+    validateStatus: () => true
+  });
+  return response;
+};
+
+let failures = 0;
+const check = (description, passed, detail = '') => {
+  console.log(`${passed ? '✅' : '❌'} ${description}${detail ? ` (${detail})` : ''}`);
+  if (!passed) failures++;
+};
+
+async function runStandIn() {
+  if (!SECRET) {
+    console.error('❌ SHOPIFY_WEBHOOK_SECRET must be set (the same value the backend uses)');
+    process.exit(1);
+  }
+
+  await AppDataSource.initialize();
+  const storeRepo = AppDataSource.getRepository('Store');
+  const productRepo = AppDataSource.getRepository('Product');
+  const inventoryRepo = AppDataSource.getRepository('Inventory');
+  const movementRepo = AppDataSource.getRepository('StockMovement');
+
+  console.log(`\n🧪 Posting signed webhooks to ${WEBHOOK_URL}\n`);
+
+  try {
+    let response = await post('products/update', product, { secret: 'not-the-secret' });
+    check('Bad signature is rejected', response.status === 401, `HTTP ${response.status}`);
+
+    response = await post('locations/create', location);
+    const store = await storeRepo.findOne({ where: { shopifyLocationId: String(LOCATION_ID) } });
+    check('locations/create adds the store', response.status === 200 && !!store, `HTTP ${response.status}`);
+
+    response = await post('locations/update', { ...location, name: 'Webhook Test Store Renamed' });
+    const renamedStore = await storeRepo.findOne({ where: { shopifyLocationId: String(LOCATION_ID) } });
+    check('locations/update renames the same store', renamedStore?.name === 'Webhook Test Store Renamed' && renamedStore?.id === store?.id);
+
+    response = await post('products/create', product);
+    const variants = await productRepo.find({ where: { shopifyProductId: String(PRODUCT_ID) } });
+    check('products/create adds one product per variant', response.status === 200 && variants.length === 2, `${variants.length} rows`);
+
+    response = await post('inventory_levels/update', {
+      inventory_item_id: INVENTORY_ITEM_ID,
+      location_id: LOCATION_ID,
+      available: 7,
+      updated_at: new Date().toISOString()
+    });
+    const blackVariant = await productRepo.findOne({ where: { shopifyVariantId: String(VARIANT_ID) } });
+    const inventory = blackVariant && store && await inventoryRepo.findOne({
+      where: { productId: blackVariant.id, storeId: store.id }
+    });
+    check('inventory_levels/update sets the stock', inventory?.quantity === 7, `quantity ${inventory?.quantity}`);
+
+    response = await post('products/update', {
+      ...product,
+      variants: [{ ...product.variants[0], price: '1299.00' }]
+    });
+    const updatedVariant = await productRepo.findOne({ where: { shopifyVariantId: String(VARIANT_ID) } });
+    const removedVariant = await productRepo.findOne({ where: { shopifyVariantId: String(SECOND_VARIANT_ID) } });
+    check('products/update changes the price', parseFloat(updatedVariant?.price) === 1299, `price ${updatedVariant?.price}`);
+    check('products/update deactivates a removed variant', removedVariant?.isActive === false);
+
+    response = await post('products/delete', { id: PRODUCT_ID });
+    const remaining = await productRepo.find({ where: { shopifyProductId: String(PRODUCT_ID), isActive: true } });
+    check('products/delete deactivates the products', response.status === 200 && remaining.length === 0);
+  } finally {
+    // Remove the test rows. The stock ledger points at the products and the store,
+    // so its rows go first.
+    const testProducts = await productRepo.find({ where: { shopifyProductId: String(PRODUCT_ID) } });
+    const testStore = await storeRepo.findOne({ where: { shopifyLocationId: String(LOCATION_ID) } });
+    for (const testProduct of testProducts) {
+      await movementRepo.delete({ productId: testProduct.id });
+      await inventoryRepo.delete({ productId: testProduct.id });
+    }
+    if (testProducts.length > 0) {
+      await productRepo.remove(testProducts);
+    }
+    if (testStore) {
+      await movementRepo.delete({ storeId: testStore.id });
+      await inventoryRepo.delete({ storeId: testStore.id });
+      await storeRepo.remove(testStore);
+    }
+    await AppDataSource.destroy();
+  }
+
+  console.log(failures === 0 ? '\n✅ All webhook checks passed\n' : `\n❌ ${failures} webhook check(s) failed\n`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+runStandIn().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -8,7 +8,23 @@ const authRoutes = require('./routes/auth');
 const storeRoutes = require('./routes/stores');
 const productRoutes = require('./routes/products');
 const saleRoutes = require('./routes/sales');
+const returnRoutes = require('./routes/returns');
+const taxSlabRoutes = require('./routes/taxSlabs');
+const saleConflictRoutes = require('./routes/saleConflicts');
 const inventoryRoutes = require('./routes/inventory');
+const shopifyOrderRoutes = require('./routes/shopifyOrders');
+const webhookRoutes = require('./routes/webhooks');
+const syncRoutes = require('./routes/sync');
+const prescriptionRoutes = require('./routes/prescriptions');
+const lensRoutes = require('./routes/lenses');
+const jobOrderRoutes = require('./routes/jobOrders');
+const stockTransferRoutes = require('./routes/stockTransfers');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stocktakeRoutes = require('./routes/stocktakes');
+const promotionRoutes = require('./routes/promotions');
+const discountLimitRoutes = require('./routes/discountLimits');
+const customerRoutes = require('./routes/customers');
 const dataManagementRoutes = require('./routes/dataManagement');
 const diagnosticRoutes = require('./routes/diagnostic');
 
@@ -48,6 +64,33 @@ app.use((req, res, next) => {
 AppDataSource.initialize()
   .then(async () => {
     console.log('✅ PostgreSQL connected via TypeORM');
+
+    // Default HSN tax slabs
+    try {
+      await require('./utils/taxSlab').ensureDefaults(AppDataSource.manager);
+    } catch (error) {
+      console.error('❌ Failed to set up tax slabs:', error.message);
+    }
+
+    // Starter lens catalog and the lens HSN slab
+    try {
+      await require('./utils/lensCatalog').ensureDefaults(AppDataSource.manager);
+    } catch (error) {
+      console.error('❌ Failed to set up lens catalog:', error.message);
+    }
+
+    // Customer phones saved before numbers were kept in E.164
+    try {
+      const phones = await AppDataSource.transaction(manager => require('./utils/customers').normalizePhones(manager));
+      if (phones.updated > 0) {
+        console.log(`📞 ${phones.updated} customer phone number(s) normalized`);
+      }
+      if (phones.invalid.length > 0) {
+        console.log(`⚠️ ${phones.invalid.length} customer phone number(s) couldn't be read: ${phones.invalid.map(customer => `#${customer.id}`).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to normalize customer phones:', error.message);
+    }
     
     // Auto-seed database if no admin user exists
     const userRepo = AppDataSource.getRepository('User');
@@ -108,12 +151,26 @@ AppDataSource.initialize()
         console.log('💡 You can manually sync stores from the admin panel');
       }
     }
+
+    // Push queued POS stock changes and orders to Shopify in the background
+    require('./utils/shopifyInventorySync').start();
+    require('./utils/shopifyOrderSync').start();
+
+    // Save and send the daily low stock digest
+    require('./utils/lowStock').start();
+
+    // Finish a catalog sync the last process was in the middle of
+    require('./utils/catalogSync').resumeInterrupted()
+      .catch(error => console.error('❌ Failed to resume catalog sync:', error.message));
   })
   .catch((error) => {
     console.error('❌ TypeORM initialization error:', error);
     process.exit(1);
   });
 
+// Webhooks need the raw body to check Shopify's signature, so they go before the JSON parser
+app.use('/api/webhooks', webhookRoutes);
+
 // Parse JSON and URL-encoded bodies
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -129,7 +186,22 @@ app.use('/api/auth', authRoutes);
 app.use('/api/stores', storeRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/sales', saleRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/tax-slabs', taxSlabRoutes);
+app.use('/api/sale-conflicts', saleConflictRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/shopify-orders', shopifyOrderRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/lenses', lensRoutes);
+app.use('/api/job-orders', jobOrderRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/discount-limits', discountLimitRoutes);
+app.use('/api/customers', customerRoutes);
 app.use('/api/data-management', dataManagementRoutes);
 app.use('/api/diagnostic', diagnosticRoutes); // Diagnostic tools for debugging
 
@@ -165,7 +237,23 @@ app.get('/', (req, res) => {
       products: '/api/products',
       stores: '/api/stores',
       sales: '/api/sales',
+      returns: '/api/returns',
+      taxSlabs: '/api/tax-slabs',
+      saleConflicts: '/api/sale-conflicts',
       inventory: '/api/inventory',
+      shopifyOrders: '/api/shopify-orders',
+      webhooks: '/api/webhooks',
+      sync: '/api/sync',
+      prescriptions: '/api/prescriptions',
+      lenses: '/api/lenses',
+      jobOrders: '/api/job-orders',
+      stockTransfers: '/api/stock-transfers',
+      suppliers: '/api/suppliers',
+      purchaseOrders: '/api/purchase-orders',
+      stocktakes: '/api/stocktakes',
+      promotions: '/api/promotions',
+      discountLimits: '/api/discount-limits',
+      customers: '/api/customers',
       dataManagement: '/api/data-management'
     }
   });
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const documentNumber = require('../utils/documentNumber');
+
+const store = (id, code, invoiceNumberFormat = null) => ({ id, name: code || `Store ${id}`, code, invoiceNumberFormat });
+
+// Just enough of a manager for next(): one sequence row, already at `lastNumber`
+const sequenceManager = (lastNumber) => ({
+  getRepository: () => ({
+    createQueryBuilder: () => ({
+      insert() { return this; },
+      values() { return this; },
+      orIgnore() { return this; },
+      execute: async () => {}
+    }),
+    findOne: async () => ({ lastNumber }),
+    save: async (row) => row
+  })
+});
+
+describe('document numbers', () => {
+  it('refuses an invoice format that makes numbers longer than GST allows', () => {
+    assert.throws(() => documentNumber.validateFormat('{STORE}/INV/{FY_FULL}/{SEQ}', 'invoice'), /GST allows at most 16/);
+    assert.doesNotThrow(() => documentNumber.validateFormat('{STORE}/INV/{FY_FULL}/{SEQ}', 'job_order'));
+  });
+
+  it('refuses an invoice number that outgrows 16 characters', async () => {
+    const main = store(1, 'MAIN');
+
+    assert.equal(await documentNumber.next(sequenceManager(9998), main, 'invoice', new Date('2026-06-01')), 'MAINVOYA26279999');
+    await assert.rejects(documentNumber.next(sequenceManager(9999), main, 'invoice', new Date('2026-06-01')), /longer than the 16 characters/);
+  });
+
+  it('refuses formats that let two stores give out the same number', () => {
+    // ABX + 25260001 and AB + X + 25260001
+    assert.throws(() => documentNumber.checkStores(store(1, 'AB', '{STORE}X{FY}{SEQ}'), [store(2, 'ABX', '{STORE}{FY}{SEQ}')]), /same as ABX's/);
+  });
+
+  it('allows stores on the default formats', () => {
+    assert.doesNotThrow(() => documentNumber.checkStores(store(1, 'A'), [store(2, 'AB'), store(3, null), store(4, null)]));
+  });
+});
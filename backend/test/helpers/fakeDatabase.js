@@ -0,0 +1,53 @@
+// In-memory stand-in for the TypeORM repositories a test touches. Rows are plain
+// objects kept per entity name; findOne/find match on equal `where` values.
+const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+const createFakeDatabase = (tables = {}) => {
+  const rows = {};
+  const nextIds = {};
+  Object.entries(tables).forEach(([name, entries]) => {
+    rows[name] = entries.map(entry => ({ ...entry }));
+    nextIds[name] = rows[name].reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+  });
+
+  const getRepository = (name) => {
+    if (!rows[name]) {
+      rows[name] = [];
+      nextIds[name] = 1;
+    }
+
+    const saveOne = (entity) => {
+      if (!entity.id) {
+        entity.id = nextIds[name]++;
+      }
+      const index = rows[name].findIndex(row => row.id === entity.id);
+      if (index === -1) {
+        rows[name].push({ ...entity });
+      } else {
+        rows[name][index] = { ...entity };
+      }
+      return entity;
+    };
+
+    return {
+      create: (data) => ({ ...data }),
+      findOne: async ({ where }) => {
+        const row = rows[name].find(candidate => matches(candidate, where));
+        return row ? { ...row } : null;
+      },
+      find: async ({ where } = {}) => rows[name].filter(row => matches(row, where)).map(row => ({ ...row })),
+      save: async (entity) => (Array.isArray(entity) ? entity.map(saveOne) : saveOne(entity))
+    };
+  };
+
+  const manager = { getRepository };
+
+  return {
+    rows,
+    manager,
+    getRepository,
+    transaction: async (work) => work(manager)
+  };
+};
+
+module.exports = { createFakeDatabase };
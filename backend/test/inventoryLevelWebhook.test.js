@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { AppDataSource } = require('../data-source');
+const shopifyInventorySync = require('../utils/shopifyInventorySync');
+const webhookController = require('../controllers/webhookController');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const PRODUCT = { id: 7, sku: 'RB-3025', inventoryItemId: '4401' };
+const STORE = { id: 2, name: 'Indiranagar', shopifyLocationId: '9901' };
+
+// Run the webhook handler the way the router does, after verification
+const deliver = async (level) => {
+  const response = { statusCode: 200 };
+  const res = {
+    status: (code) => {
+      response.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      response.body = body;
+      return res;
+    }
+  };
+  const req = { get: (header) => (header === 'X-Shopify-Topic' ? 'inventory_levels/update' : undefined), body: level };
+
+  await webhookController.handleShopifyWebhook(req, res);
+  return response;
+};
+
+const level = (available, updatedAt) => ({
+  inventory_item_id: 4401,
+  location_id: 9901,
+  available,
+  updated_at: updatedAt
+});
+
+describe('inventory_levels/update webhook', () => {
+  let db;
+  let unsentDeltas;
+
+  beforeEach(() => {
+    db = createFakeDatabase({
+      Product: [PRODUCT],
+      Store: [STORE],
+      Inventory: [{ id: 1, productId: PRODUCT.id, storeId: STORE.id, quantity: 10, shopifyUpdatedAt: new Date('2026-10-19T10:00:00+05:30') }],
+      StockMovement: []
+    });
+    unsentDeltas = new Map();
+
+    mock.method(AppDataSource, 'getRepository', db.getRepository);
+    mock.method(AppDataSource, 'transaction', db.transaction);
+    mock.method(shopifyInventorySync, 'getUnsentDeltas', async () => unsentDeltas);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sets the stock to Shopify\'s level and records the change', async () => {
+    const response = await deliver(level(6, '2026-10-19T10:05:00+05:30'));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.quantity, 6);
+
+    const [inventory] = db.rows.Inventory;
+    assert.equal(inventory.quantity, 6);
+    assert.equal(inventory.shopifyUpdatedAt.toISOString(), '2026-10-19T04:35:00.000Z');
+
+    const [movement] = db.rows.StockMovement;
+    assert.equal(movement.type, 'shopify_sync');
+    assert.equal(movement.quantityBefore, 10);
+    assert.equal(movement.quantityAfter, 6);
+  });
+
+  it('adds POS changes that haven\'t been sent to Shopify yet', async () => {
+    unsentDeltas.set(`${PRODUCT.id}_${STORE.id}`, -2);
+
+    const response = await deliver(level(6, '2026-10-19T10:05:00+05:30'));
+
+    assert.equal(response.body.quantity, 4);
+    assert.equal(db.rows.Inventory[0].quantity, 4);
+  });
+
+  it('ignores a level older than the one already applied', async () => {
+    const response = await deliver(level(25, '2026-10-19T09:59:00+05:30'));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.stale, true);
+    assert.equal(db.rows.Inventory[0].quantity, 10);
+    assert.equal(db.rows.StockMovement.length, 0);
+  });
+
+  it('creates the stock row for a product new to the store', async () => {
+    db.rows.Inventory.length = 0;
+
+    const response = await deliver(level(3, '2026-10-19T10:05:00+05:30'));
+
+    assert.equal(response.body.quantity, 3);
+    assert.equal(db.rows.Inventory.length, 1);
+    assert.equal(db.rows.Inventory[0].quantity, 3);
+  });
+
+  it('ignores levels for products it doesn\'t sell', async () => {
+    const response = await deliver({ ...level(3, '2026-10-19T10:05:00+05:30'), inventory_item_id: 1234 });
+
+    assert.deepEqual(response.body, { topic: 'inventory_levels/update', ignored: true });
+    assert.equal(db.rows.Inventory[0].quantity, 10);
+  });
+});
+
+describe('shopifyInventorySync.getUnsentDeltas', () => {
+  it('counts queued and failed adjustments but not ones being pushed', async () => {
+    let statuses;
+    const queryBuilder = {
+      select: () => queryBuilder,
+      addSelect: () => queryBuilder,
+      where: (condition, parameters) => {
+        statuses = parameters.statuses;
+        return queryBuilder;
+      },
+      groupBy: () => queryBuilder,
+      addGroupBy: () => queryBuilder,
+      getRawMany: async () => [{ productId: 7, storeId: 2, delta: '-3' }]
+    };
+    const manager = { getRepository: () => ({ createQueryBuilder: () => queryBuilder }) };
+
+    const deltas = await shopifyInventorySync.getUnsentDeltas(manager);
+
+    assert.deepEqual(statuses, ['pending', 'failed']);
+    assert.equal(deltas.get('7_2'), -3);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const webhookRoutes = require('../routes/webhooks');
+
+const SECRET = 'test-webhook-secret';
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+describe('Shopify webhook signature', () => {
+  let server;
+  let baseUrl;
+  let savedSecret;
+
+  before(async () => {
+    savedSecret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    process.env.SHOPIFY_WEBHOOK_SECRET = SECRET;
+
+    const app = express();
+    app.use('/api/webhooks', webhookRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks/shopify`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    if (savedSecret === undefined) {
+      delete process.env.SHOPIFY_WEBHOOK_SECRET;
+    } else {
+      process.env.SHOPIFY_WEBHOOK_SECRET = savedSecret;
+    }
+  });
+
+  // A topic the server doesn't handle, so a verified delivery never reaches the database
+  const deliver = (body, signature) => fetch(baseUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': 'orders/create',
+      'X-Shopify-Hmac-Sha256': signature
+    },
+    body
+  });
+
+  it('accepts a delivery signed with the webhook secret', async () => {
+    const body = JSON.stringify({ id: 1 });
+    const response = await deliver(body, sign(body));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { topic: 'orders/create', ignored: true });
+  });
+
+  it('rejects a delivery signed with another secret', async () => {
+    const body = JSON.stringify({ id: 1 });
+    const response = await deliver(body, sign(body, 'someone-else'));
+
+    assert.equal(response.status, 401);
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const signature = sign(JSON.stringify({ id: 1 }));
+    const response = await deliver(JSON.stringify({ id: 2 }), signature);
+
+    assert.equal(response.status, 401);
+  });
+
+  it('rejects a delivery without a signature', async () => {
+    const response = await deliver(JSON.stringify({ id: 1 }), '');
+
+    assert.equal(response.status, 401);
+  });
+
+  it('refuses deliveries while no secret is configured', async () => {
+    delete process.env.SHOPIFY_WEBHOOK_SECRET;
+    const body = JSON.stringify({ id: 1 });
+    const response = await deliver(body, sign(body));
+    process.env.SHOPIFY_WEBHOOK_SECRET = SECRET;
+
+    assert.equal(response.status, 503);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const shopifyInventorySync = require('../utils/shopifyInventorySync');
+const stocktakes = require('../utils/stocktakes');
+const { createFakeDatabase } = require('./helpers/fakeDatabase');
+
+const ADMIN = { id: 1 };
+const PRODUCT_ID = 7;
+const STORE_ID = 2;
+
+describe('posting a stocktake', () => {
+  let db;
+  let stocktake;
+
+  beforeEach(() => {
+    // Counted from 10 on record
+    db = createFakeDatabase({
+      Inventory: [{ id: 1, productId: PRODUCT_ID, storeId: STORE_ID, quantity: 10 }],
+      StockMovement: [],
+      StocktakeItem: [{ id: 1, stocktakeId: 1, productId: PRODUCT_ID, name: 'Aviator', sku: 'RB-3025', expectedQuantity: 10, countedQuantity: null, unitCost: 1200, unitPrice: 2500 }],
+      Stocktake: [{ id: 1, stocktakeNumber: 'KRMSTK25-260001', storeId: STORE_ID, status: 'counting' }]
+    });
+    stocktake = { ...db.rows.Stocktake[0], items: db.rows.StocktakeItem.map(item => ({ ...item })) };
+
+    mock.method(shopifyInventorySync, 'enqueue', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // A sale while the count runs, the way saleController takes stock off
+  const sellOne = () => {
+    db.rows.Inventory[0].quantity -= 1;
+  };
+
+  const count = (quantity) => stocktakes.setCounts(db.manager, stocktake, [{ itemId: 1, countedQuantity: quantity }]);
+
+  it('doesn\'t take off again a sale made before the line was counted', async () => {
+    sellOne();
+    await count(9);
+
+    const { lines } = stocktakes.getVariance(stocktake);
+    assert.equal(lines[0].expectedAtCount, 9);
+    assert.equal(lines[0].variance, 0);
+
+    await stocktakes.post(db.manager, stocktake, {}, ADMIN);
+
+    assert.equal(db.rows.Inventory[0].quantity, 9);
+    assert.equal(db.rows.StockMovement.length, 0);
+  });
+
+  it('keeps a sale made after the line was counted', async () => {
+    await count(10);
+    sellOne();
+
+    await stocktakes.post(db.manager, stocktake, {}, ADMIN);
+
+    assert.equal(db.rows.Inventory[0].quantity, 9);
+    assert.equal(db.rows.StockMovement.length, 0);
+  });
+
+  it('posts a shortage found on top of a sale during the count', async () => {
+    sellOne();
+    await count(8);
+
+    await stocktakes.post(db.manager, stocktake, { reasonCode: 'lost' }, ADMIN);
+
+    assert.equal(db.rows.Inventory[0].quantity, 8);
+    const [movement] = db.rows.StockMovement;
+    assert.equal(movement.quantityBefore, 9);
+    assert.equal(movement.quantityAfter, 8);
+    assert.equal(stocktake.items[0].adjustedQuantity, -1);
+  });
+});
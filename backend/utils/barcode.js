@@ -0,0 +1,128 @@
+// Code 128 symbols as bar/space widths, indexed by symbol value (103-105 are the
+// start codes for sets A/B/C, 106 is the stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+// EAN-13 digit encodings (L and G on the left half, R on the right) and the
+// L/G parity of the left half, which carries the first digit
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Quiet zone either side of the bars, in modules
+const QUIET_ZONE = 10;
+
+// Barcodes for product labels: EAN-13 for retail codes (12-digit UPC-A codes are
+// EAN-13 with a leading zero), Code 128 for everything else, such as SKUs
+class BarcodeService {
+  eanCheckDigit(digits) {
+    const sum = digits.split('').reduce((total, digit, index) =>
+      total + parseInt(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return (10 - (sum % 10)) % 10;
+  }
+
+  // The value as a valid EAN-13, or null
+  toEan13(value) {
+    const code = String(value || '').trim();
+    if (!/^\d{12,13}$/.test(code)) return null;
+
+    const ean = code.length === 12 ? `0${code}` : code;
+    return this.eanCheckDigit(ean.slice(0, 12)) === parseInt(ean[12]) ? ean : null;
+  }
+
+  // Bars as a string of modules, '1' for a dark module and '0' for a light one
+  encodeEan13(ean) {
+    const parity = EAN_PARITY[parseInt(ean[0])];
+    let modules = '101';
+    for (let i = 1; i <= 6; i++) {
+      const digit = parseInt(ean[i]);
+      modules += parity[i - 1] === 'L' ? EAN_L[digit] : EAN_G[digit];
+    }
+    modules += '01010';
+    for (let i = 7; i <= 12; i++) {
+      modules += EAN_R[parseInt(ean[i])];
+    }
+    return modules + '101';
+  }
+
+  // Code set C (digit pairs) for even-length numbers, set B for printable ASCII
+  encodeCode128(value) {
+    const useSetC = /^(\d{2})+$/.test(value);
+    const symbols = [useSetC ? START_C : START_B];
+
+    if (useSetC) {
+      for (let i = 0; i < value.length; i += 2) {
+        symbols.push(parseInt(value.slice(i, i + 2)));
+      }
+    } else {
+      for (const char of value) {
+        const code = char.charCodeAt(0);
+        if (code < 32 || code > 126) {
+          throw new Error(`"${value}" has characters that can't go in a barcode`);
+        }
+        symbols.push(code - 32);
+      }
+    }
+
+    const checksum = symbols.reduce((total, symbol, index) => total + symbol * Math.max(index, 1), 0) % 103;
+    symbols.push(checksum, STOP);
+
+    return symbols.map(symbol => CODE128_PATTERNS[symbol]
+      .split('')
+      .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(parseInt(width)))
+      .join('')).join('');
+  }
+
+  encode(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+      throw new Error('Nothing to encode in the barcode');
+    }
+
+    const ean = this.toEan13(text);
+    if (ean) {
+      return { format: 'ean13', text: ean, modules: this.encodeEan13(ean) };
+    }
+    return { format: 'code128', text, modules: this.encodeCode128(text) };
+  }
+
+  // Draw a barcode with its human-readable text underneath, scaled to fit the
+  // width. Returns the y below the text.
+  draw(doc, value, x, y, { width, height }) {
+    const barcode = this.encode(value);
+    const moduleWidth = width / (barcode.modules.length + 2 * QUIET_ZONE);
+    const left = x + QUIET_ZONE * moduleWidth;
+
+    doc.save().fillColor('#000');
+    let run = 0;
+    for (let i = 0; i <= barcode.modules.length; i++) {
+      if (barcode.modules[i] === '1') {
+        run++;
+      } else if (run > 0) {
+        doc.rect(left + (i - run) * moduleWidth, y, run * moduleWidth, height).fill();
+        run = 0;
+      }
+    }
+    doc.restore();
+
+    doc.font('Helvetica').fontSize(7).text(barcode.text, x, y + height + 1, { width, align: 'center', lineBreak: false });
+    return y + height + 9;
+  }
+}
+
+module.exports = new BarcodeService();
@@ -65,6 +65,15 @@ class Cache {
     console.log(`🗑️  Cache DELETE: ${key}`);
   }
 
+  // Delete every entry whose key starts with prefix (e.g. 'inventory:store:')
+  deleteByPrefix(prefix) {
+    for (const key of Array.from(this.cache.keys())) {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+      }
+    }
+  }
+
   // Clear all cache
   clear() {
     for (const timer of this.timers.values()) {
@@ -0,0 +1,241 @@
+const { AppDataSource } = require('../data-source');
+const shopifyService = require('./shopify');
+const shopifyCatalog = require('./shopifyCatalog');
+const shopifyInventorySync = require('./shopifyInventorySync');
+const taxSlabs = require('./taxSlab');
+const cache = require('./cache');
+
+const PRODUCT_PAGE_SIZE = 250;
+const MAX_STORED_ERRORS = 50;
+// Start incremental pulls a little before the last run began to cover clock skew
+const OVERLAP_MS = 5 * 60 * 1000;
+
+const getSyncRunRepository = () => AppDataSource.getRepository('SyncRun');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Background Shopify catalog sync (stores → products → inventory). Progress and
+// a resume cursor are saved on the SyncRun after every page, so a run survives
+// request timeouts and picks up where it stopped after a restart.
+class CatalogSync {
+  constructor() {
+    this.activeRunId = null;
+  }
+
+  // Start a run unless one is in progress. Incremental runs only pull what
+  // changed since the last completed run; the first run is always full.
+  async start({ mode = 'incremental', userId = null } = {}) {
+    const runRepo = getSyncRunRepository();
+
+    const running = await runRepo.findOne({ where: { status: 'running' }, order: { id: 'DESC' } });
+    if (running) {
+      if (this.activeRunId !== running.id) {
+        this.execute(running); // Left over from a restart
+      }
+      return { syncRun: running, alreadyRunning: true };
+    }
+
+    let updatedAtMin = null;
+    if (mode === 'incremental') {
+      const lastCompleted = await runRepo.findOne({ where: { status: 'completed' }, order: { startedAt: 'DESC' } });
+      if (lastCompleted) {
+        updatedAtMin = new Date(new Date(lastCompleted.startedAt).getTime() - OVERLAP_MS);
+      } else {
+        mode = 'full';
+      }
+    }
+
+    const syncRun = await runRepo.save(runRepo.create({ mode, updatedAtMin, triggeredById: userId }));
+    console.log(`🔄 Catalog sync #${syncRun.id} started (${mode}${updatedAtMin ? ` since ${updatedAtMin.toISOString()}` : ''})`);
+
+    this.execute(syncRun);
+    return { syncRun, alreadyRunning: false };
+  }
+
+  // Continue a failed run from its cursor
+  async resume(syncRun) {
+    syncRun.status = 'running';
+    syncRun.finishedAt = null;
+    await getSyncRunRepository().save(syncRun);
+
+    console.log(`🔄 Catalog sync #${syncRun.id} resumed at ${syncRun.stage}`);
+    this.execute(syncRun);
+    return syncRun;
+  }
+
+  // Called on startup: carry on with a run the last process didn't finish
+  async resumeInterrupted() {
+    if (!process.env.SHOPIFY_SHOP_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) return;
+
+    const running = await getSyncRunRepository().findOne({ where: { status: 'running' }, order: { id: 'DESC' } });
+    if (running) {
+      console.log(`🔄 Resuming interrupted catalog sync #${running.id} at ${running.stage}`);
+      this.execute(running);
+    }
+  }
+
+  async execute(syncRun) {
+    if (this.activeRunId) return;
+    this.activeRunId = syncRun.id;
+
+    try {
+      if (syncRun.stage === 'stores') {
+        await this.syncStores(syncRun);
+        await this.nextStage(syncRun, 'products');
+      }
+      if (syncRun.stage === 'products') {
+        await this.syncProducts(syncRun);
+        await this.nextStage(syncRun, 'inventory');
+      }
+      if (syncRun.stage === 'inventory') {
+        await this.syncInventory(syncRun);
+      }
+
+      syncRun.status = 'completed';
+      syncRun.cursor = null;
+      console.log(`✅ Catalog sync #${syncRun.id} completed: ${syncRun.productsCreated} created, ${syncRun.productsUpdated} updated, ${syncRun.inventoryUpdated} stock levels`);
+    } catch (error) {
+      syncRun.status = 'failed';
+      this.addError(syncRun, syncRun.stage, error.message);
+      console.error(`❌ Catalog sync #${syncRun.id} failed at ${syncRun.stage}:`, error.message);
+    } finally {
+      syncRun.finishedAt = new Date();
+      await getSyncRunRepository().save(syncRun);
+      cache.deleteByPrefix('inventory:store:');
+      this.activeRunId = null;
+    }
+  }
+
+  async nextStage(syncRun, stage) {
+    syncRun.stage = stage;
+    syncRun.cursor = null;
+    await getSyncRunRepository().save(syncRun);
+  }
+
+  addError(syncRun, item, message) {
+    syncRun.errorCount += 1;
+    const errors = syncRun.errors || [];
+    if (errors.length < MAX_STORED_ERRORS) {
+      syncRun.errors = [...errors, { item, error: message }];
+    }
+  }
+
+  async syncStores(syncRun) {
+    const storeRepo = AppDataSource.getRepository('Store');
+    const locations = await shopifyService.getLocations();
+
+    for (const location of locations) {
+      const storeData = shopifyCatalog.toStoreData(location);
+      let store = await storeRepo.findOne({ where: { shopifyLocationId: storeData.shopifyLocationId } });
+
+      if (store) {
+        Object.assign(store, storeData);
+      } else {
+        store = storeRepo.create(storeData);
+      }
+      await storeRepo.save(store);
+    }
+
+    syncRun.storesSynced = locations.length;
+  }
+
+  async syncProducts(syncRun) {
+    const runRepo = getSyncRunRepository();
+    const productRepo = AppDataSource.getRepository('Product');
+    const slabs = await taxSlabs.getSlabs(AppDataSource.manager);
+    let sinceId = syncRun.cursor?.sinceId || 0;
+
+    while (true) {
+      const products = await shopifyService.getProductsPage({
+        sinceId,
+        updatedAtMin: syncRun.updatedAtMin,
+        limit: PRODUCT_PAGE_SIZE
+      });
+      if (products.length === 0) break;
+
+      for (const shopifyProduct of products) {
+        for (const variant of shopifyProduct.variants || []) {
+          try {
+            const outcome = await shopifyCatalog.upsertVariant(productRepo, shopifyProduct, variant, slabs);
+            if (outcome === 'created') {
+              syncRun.productsCreated += 1;
+            } else {
+              syncRun.productsUpdated += 1;
+            }
+          } catch (error) {
+            this.addError(syncRun, `${shopifyProduct.title} (${variant.sku || variant.id})`, error.message);
+          }
+        }
+      }
+
+      sinceId = products[products.length - 1].id;
+      syncRun.cursor = { sinceId };
+      await runRepo.save(syncRun);
+      console.log(`📦 Catalog sync #${syncRun.id}: products up to ID ${sinceId} done`);
+
+      if (products.length < PRODUCT_PAGE_SIZE) break;
+      await delay(500); // Stay under Shopify's rate limit
+    }
+  }
+
+  async syncInventory(syncRun) {
+    const runRepo = getSyncRunRepository();
+
+    const stores = await AppDataSource.getRepository('Store')
+      .createQueryBuilder('store')
+      .where('store.shopifyLocationId IS NOT NULL')
+      .orderBy('store.id', 'ASC')
+      .getMany();
+
+    const products = await AppDataSource.getRepository('Product')
+      .createQueryBuilder('product')
+      .select(['product.id', 'product.inventoryItemId'])
+      .where('product.inventoryItemId IS NOT NULL')
+      .getMany();
+    const productsByItemId = new Map(products.map(product => [product.inventoryItemId, product]));
+
+    const { storeIndex = 0, pageInfo = null } = syncRun.cursor || {};
+
+    for (let index = storeIndex; index < stores.length; index++) {
+      const store = stores[index];
+      let nextPageInfo = index === storeIndex ? pageInfo : null;
+
+      do {
+        const page = await shopifyService.getLocationInventoryPage(store.shopifyLocationId, {
+          updatedAtMin: syncRun.updatedAtMin,
+          pageInfo: nextPageInfo
+        });
+
+        for (const level of page.levels) {
+          const product = productsByItemId.get(level.inventory_item_id.toString());
+          if (!product) continue;
+
+          try {
+            // A level older than one a webhook has applied since is skipped
+            const quantity = await AppDataSource.transaction(manager => shopifyInventorySync.applyLevel(manager, {
+              productId: product.id,
+              storeId: store.id,
+              available: level.available,
+              updatedAt: level.updated_at
+            }, { type: 'shopify_sync', referenceType: 'sync_run', referenceId: syncRun.id, userId: syncRun.triggeredById }));
+            if (quantity !== null) syncRun.inventoryUpdated += 1;
+          } catch (error) {
+            this.addError(syncRun, `Stock of item ${level.inventory_item_id} at ${store.name}`, error.message);
+          }
+        }
+
+        nextPageInfo = page.nextPageInfo;
+        syncRun.cursor = nextPageInfo
+          ? { storeIndex: index, pageInfo: nextPageInfo }
+          : { storeIndex: index + 1, pageInfo: null };
+        await runRepo.save(syncRun);
+
+        if (nextPageInfo) await delay(500);
+      } while (nextPageInfo);
+
+      console.log(`📦 Catalog sync #${syncRun.id}: stock for ${store.name} done`);
+    }
+  }
+}
+
+module.exports = new CatalogSync();
@@ -0,0 +1,266 @@
+const { In } = require('typeorm');
+
+// Numbers typed without a country code are Indian (10 digits, or 11 with the trunk 0)
+const DEFAULT_COUNTRY_CODE = '91';
+// Names this similar (0–1) are listed as possible duplicates
+const SAME_NAME = 0.8;
+// Records that point at a customer, re-pointed when customers are merged
+const CUSTOMER_RECORDS = ['Sale', 'SaleReturn', 'Prescription', 'JobOrder'];
+const HONORIFICS = ['mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'smt', 'sri', 'kumari'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Edit distance between two strings
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Customers are kept with E.164 phone numbers (+919876543210), so "+91 98765 43210",
+// "098765 43210" and "9876543210" are one number. A family can share a phone, so a
+// customer is the phone together with the name.
+class CustomerService {
+  // E.164 form of a phone number as typed, or null if it can't be one
+  normalizePhone(phone) {
+    const raw = (phone || '').toString().trim();
+    let digits = raw.replace(/\D/g, '');
+
+    if (!raw.startsWith('+')) {
+      if (digits.startsWith('00')) {
+        digits = digits.slice(2); // International prefix
+      } else {
+        digits = digits.replace(/^0/, '');
+        if (digits.length === 10) digits = DEFAULT_COUNTRY_CODE + digits;
+      }
+    }
+
+    return digits.length >= 11 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  // Name for comparing: lower case, letters only, without Mr / Mrs / Dr and the like
+  nameKey(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !HONORIFICS.includes(word))
+      .join(' ');
+  }
+
+  // 1 for the same name, 0 for nothing alike. Word order doesn't matter ("Sharma Rahul").
+  nameSimilarity(a, b) {
+    const keyA = this.nameKey(a);
+    const keyB = this.nameKey(b);
+    if (!keyA || !keyB) return 0;
+
+    const ratio = (x, y) => 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+    const sorted = (key) => key.split(' ').sort().join(' ');
+    return Math.max(ratio(keyA, keyB), ratio(sorted(keyA), sorted(keyB)));
+  }
+
+  // The customer among those sharing a phone who goes by exactly this name (ignoring
+  // case, punctuation and Mr / Mrs / Dr). A near miss may be another family member,
+  // so it isn't matched: the cashier picks the customer instead.
+  matchName(candidates, name) {
+    const key = this.nameKey(name);
+    if (!key) return null;
+    return candidates.find(candidate => this.nameKey(candidate.name) === key) || null;
+  }
+
+  // Everyone on this phone number, most recent buyer first
+  async findByPhone(manager, phone) {
+    return manager.getRepository('Customer')
+      .createQueryBuilder('customer')
+      .where('customer.phone = :phone', { phone })
+      .orderBy('customer.lastPurchaseDate', 'DESC', 'NULLS LAST')
+      .addOrderBy('customer.id', 'ASC')
+      .getMany();
+  }
+
+  // The customer a sale is for: the one the cashier picked from the phone's customers
+  // (customerInfo.customerId), else the person on the phone with exactly this name,
+  // else a new customer (a family member sharing the number). Their name is never
+  // overwritten, only details that were given are updated.
+  async findOrCreateForSale(manager, customerInfo, phone) {
+    const customerRepo = manager.getRepository('Customer');
+    const { customerId, ...details } = customerInfo;
+    let customer;
+
+    if (customerId) {
+      customer = await customerRepo.findOne({ where: { id: parseInt(customerId) } });
+      if (!customer || customer.phone !== phone) {
+        throw new Error('The chosen customer is not on this phone number');
+      }
+    } else {
+      customer = this.matchName(await this.findByPhone(manager, phone), details.name);
+    }
+
+    if (!customer) {
+      return customerRepo.save(customerRepo.create({ ...details, phone }));
+    }
+
+    customer.email = customerInfo.email || customer.email;
+    customer.address = customerInfo.address || customer.address;
+    customer.gstNumber = customerInfo.gstNumber || customer.gstNumber;
+    customer.state = customerInfo.state || customer.state;
+    return customerRepo.save(customer);
+  }
+
+  // Groups of customers who look like the same person: the same phone with a similar
+  // name, or the same email. The suggested customer to keep comes first in each group.
+  async findDuplicates(manager) {
+    const customers = await manager.getRepository('Customer').find({ order: { id: 'ASC' } });
+
+    // Only customers sharing a phone or an email are compared
+    const blocks = new Map();
+    const addToBlock = (key, customer) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(customer);
+    };
+    for (const customer of customers) {
+      const phone = this.normalizePhone(customer.phone);
+      if (phone) addToBlock(`phone:${phone}`, customer);
+      if (customer.email) addToBlock(`email:${customer.email.toLowerCase()}`, customer);
+    }
+
+    // Union the matching pairs into groups
+    const parent = new Map();
+    const find = (id) => {
+      while (parent.get(id) !== id) id = parent.get(id);
+      return id;
+    };
+    const reasons = new Map(); // group root -> Set of reasons, filled in once grouping is done
+    const pairs = [];
+
+    for (const [key, members] of blocks) {
+      if (members.length < 2) continue;
+      const field = key.startsWith('phone:') ? 'phone' : 'email';
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const similarName = this.nameSimilarity(members[i].name, members[j].name) >= SAME_NAME;
+          // Family members share phones, so a shared phone alone isn't a duplicate
+          if (field === 'phone' && !similarName) continue;
+          pairs.push({ a: members[i].id, b: members[j].id, reasons: similarName ? [field, 'name'] : [field] });
+        }
+      }
+    }
+
+    for (const pair of pairs) {
+      if (!parent.has(pair.a)) parent.set(pair.a, pair.a);
+      if (!parent.has(pair.b)) parent.set(pair.b, pair.b);
+      parent.set(find(pair.a), find(pair.b));
+    }
+    for (const pair of pairs) {
+      const root = find(pair.a);
+      if (!reasons.has(root)) reasons.set(root, new Set());
+      pair.reasons.forEach(reason => reasons.get(root).add(reason));
+    }
+
+    const groups = new Map();
+    for (const customer of customers) {
+      if (!parent.has(customer.id)) continue;
+      const root = find(customer.id);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(customer);
+    }
+
+    // Keep the customer who has bought the most, then the oldest record
+    return [...groups.entries()].map(([root, members]) => ({
+      reasons: [...reasons.get(root)],
+      customers: members.sort((a, b) => (parseFloat(b.totalPurchases) - parseFloat(a.totalPurchases)) || (a.id - b.id))
+    }));
+  }
+
+  // Lifetime purchases (sales less credit notes) and last purchase, from the records
+  async recomputeTotals(manager, customer) {
+    const sales = await manager.getRepository('Sale')
+      .createQueryBuilder('sale')
+      .select('COALESCE(SUM(sale.totalAmount), 0)', 'total')
+      .addSelect('MAX(sale.saleDate)', 'lastPurchaseDate')
+      .where('sale.customerId = :customerId', { customerId: customer.id })
+      .getRawOne();
+    const refunds = await manager.getRepository('SaleReturn')
+      .createQueryBuilder('saleReturn')
+      .select('COALESCE(SUM(saleReturn.totalAmount), 0)', 'total')
+      .where('saleReturn.customerId = :customerId', { customerId: customer.id })
+      .getRawOne();
+
+    customer.totalPurchases = Math.max(0, roundAmount(parseFloat(sales.total) - parseFloat(refunds.total)));
+    customer.lastPurchaseDate = sales.lastPurchaseDate || null;
+    return customer;
+  }
+
+  // Merge duplicates into one customer: their sales, credit notes, prescriptions and
+  // job orders move over, details the customer is missing are taken from them, and
+  // the duplicates are deleted
+  async merge(manager, customerId, duplicateIds) {
+    const customerRepo = manager.getRepository('Customer');
+    const ids = [...new Set((duplicateIds || []).map(id => parseInt(id)))].filter(id => id && id !== parseInt(customerId));
+    if (ids.length === 0) {
+      throw new Error('Choose the customers to merge');
+    }
+
+    const customer = await customerRepo.findOne({ where: { id: parseInt(customerId) } });
+    const duplicates = await customerRepo.find({ where: { id: In(ids) }, order: { id: 'ASC' } });
+    if (!customer || duplicates.length !== ids.length) {
+      throw new Error('Customer not found');
+    }
+
+    const moved = {};
+    for (const entity of CUSTOMER_RECORDS) {
+      const result = await manager.getRepository(entity).update({ customerId: In(ids) }, { customerId: customer.id });
+      moved[entity] = result.affected || 0;
+    }
+
+    for (const field of ['email', 'address', 'gstNumber', 'state']) {
+      if (!customer[field]) {
+        const source = duplicates.find(duplicate => duplicate[field]);
+        if (source) customer[field] = source[field];
+      }
+    }
+
+    const merged = duplicates.map(duplicate => ({ id: duplicate.id, name: duplicate.name, phone: duplicate.phone }));
+
+    await this.recomputeTotals(manager, customer);
+    await customerRepo.save(customer);
+    await customerRepo.remove(duplicates);
+
+    return { customer, merged, moved };
+  }
+
+  // Rewrite stored phone numbers in E.164. Numbers that can't be read are left as
+  // they are and listed.
+  async normalizePhones(manager) {
+    const customerRepo = manager.getRepository('Customer');
+    const customers = await customerRepo.find({ order: { id: 'ASC' } });
+    const result = { updated: 0, unchanged: 0, invalid: [] };
+
+    for (const customer of customers) {
+      const phone = this.normalizePhone(customer.phone);
+      if (!phone) {
+        result.invalid.push({ id: customer.id, name: customer.name, phone: customer.phone });
+      } else if (phone === customer.phone) {
+        result.unchanged++;
+      } else {
+        await customerRepo.update(customer.id, { phone });
+        result.updated++;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new CustomerService();
@@ -0,0 +1,165 @@
+const { IsNull, Not } = require('typeorm');
+const { AppDataSource } = require('../data-source');
+const { UserMethods } = require('../entities/User');
+
+const ROLES = ['admin', 'cashier'];
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+// Every failed approval gets the same answer, so the till can't learn whose PIN it guessed
+const APPROVAL_FAILED = 'Approval failed';
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+// Discount limits: the highest manual discount (as a percentage of MRP) a user can
+// give without approval. A user's own limit wins, then their role's limit at the
+// store, then their role's limit for every store; with none set there is no limit.
+// Promotions don't count, they are worked out by the server.
+class DiscountLimitService {
+  async getLimit(manager, user, storeId) {
+    if (user.maxDiscountPercent !== null && user.maxDiscountPercent !== undefined) {
+      return parseFloat(user.maxDiscountPercent);
+    }
+
+    const limits = await manager.getRepository('DiscountLimit').find({ where: { role: user.role } });
+    const limit = limits.find(entry => entry.storeId === parseInt(storeId)) ||
+      limits.find(entry => entry.storeId === null);
+    return limit ? parseFloat(limit.maxPercent) : null;
+  }
+
+  // Largest manual discount (the line's own plus its share of the bill discount) on
+  // the sale's product lines, as a percentage of MRP
+  getRequestedPercent(lines) {
+    return lines.reduce((highest, line) => {
+      if (!line.productId || !(line.unitPrice > 0)) return highest;
+      const discount = (parseFloat(line.discount) || 0) * line.quantity + (parseFloat(line.billDiscount) || 0);
+      return Math.max(highest, roundPercent(discount / (line.unitPrice * line.quantity) * 100));
+    }, 0);
+  }
+
+  // Whether a supervisor may approve a discount of this size at the store
+  async canApprove(manager, candidate, { storeId, requestedPercent }) {
+    if (candidate.role !== 'admin' && candidate.assignedStoreId !== parseInt(storeId)) return false;
+    const limit = await this.getLimit(manager, candidate, storeId);
+    return limit === null || requestedPercent <= limit;
+  }
+
+  // Supervisors the cashier can ask to approve the discount, for the POS to choose from
+  async getApprovers(manager, { storeId, requestedPercent, cashierId }) {
+    const candidates = await manager.getRepository('User').find({
+      where: { isActive: true, approvalPin: Not(IsNull()) },
+      order: { name: 'ASC' }
+    });
+
+    const approvers = [];
+    for (const candidate of candidates) {
+      if (candidate.id === cashierId) continue;
+      if (await this.canApprove(manager, candidate, { storeId, requestedPercent })) {
+        approvers.push({ id: candidate.id, name: candidate.name, role: candidate.role });
+      }
+    }
+    return approvers;
+  }
+
+  // Wrong PINs are counted outside the sale's transaction, which is rolled back when
+  // approval fails. Too many in a row lock the supervisor's PIN for a while.
+  async recordPinFailure(approver) {
+    const failures = (approver.approvalPinFailures || 0) + 1;
+    const locked = failures >= MAX_PIN_ATTEMPTS;
+    await AppDataSource.getRepository('User').update(approver.id, {
+      approvalPinFailures: locked ? 0 : failures,
+      approvalPinLockedUntil: locked ? new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000) : null
+    });
+    if (locked) {
+      console.log(`🔒 Approval PIN for ${approver.name} locked for ${PIN_LOCK_MINUTES} minutes after ${MAX_PIN_ATTEMPTS} wrong attempts`);
+    }
+  }
+
+  // The supervisor the cashier chose, if the PIN is theirs and they may approve the
+  // discount at the store
+  async findApprover(manager, { approverId, approvalPin }, { storeId, requestedPercent, cashierId }) {
+    const approver = approverId ? await manager.getRepository('User').findOne({
+      where: { id: parseInt(approverId), isActive: true },
+      select: ['id', 'name', 'role', 'assignedStoreId', 'maxDiscountPercent', 'approvalPin', 'approvalPinFailures', 'approvalPinLockedUntil', 'isActive']
+    }) : null;
+
+    if (!approver || !approver.approvalPin || approver.id === cashierId) {
+      throw new Error(APPROVAL_FAILED);
+    }
+    if (approver.approvalPinLockedUntil && new Date(approver.approvalPinLockedUntil) > new Date()) {
+      throw new Error(APPROVAL_FAILED);
+    }
+
+    if (!(await UserMethods.comparePassword(approvalPin.toString(), approver.approvalPin))) {
+      await this.recordPinFailure(approver);
+      throw new Error(APPROVAL_FAILED);
+    }
+    if (approver.approvalPinFailures > 0 || approver.approvalPinLockedUntil) {
+      await AppDataSource.getRepository('User').update(approver.id, { approvalPinFailures: 0, approvalPinLockedUntil: null });
+    }
+
+    if (!(await this.canApprove(manager, approver, { storeId, requestedPercent }))) {
+      throw new Error(APPROVAL_FAILED);
+    }
+    return approver;
+  }
+
+  // Check the discounts on a sale against the user's limit. Returns the supervisor
+  // who approved an over-limit discount, or null if none was needed. `approval` is
+  // the supervisor the cashier chose and their PIN ({ approverId, approvalPin }).
+  // Without one the error carries `approval` so the POS can ask for it.
+  async authorize(manager, { user, storeId, lines, approval }) {
+    const requestedPercent = this.getRequestedPercent(lines);
+    const maxDiscountPercent = await this.getLimit(manager, user, storeId);
+
+    if (maxDiscountPercent === null || requestedPercent <= maxDiscountPercent) {
+      return null;
+    }
+
+    if (!approval || !approval.approverId || !approval.approvalPin) {
+      const error = new Error(`Discount of ${requestedPercent}% is over your limit of ${maxDiscountPercent}%. A supervisor needs to approve it`);
+      error.approval = { maxDiscountPercent, requestedPercent };
+      throw error;
+    }
+
+    const approver = await this.findApprover(manager, approval, { storeId, requestedPercent, cashierId: user.id });
+    console.log(`🔓 ${requestedPercent}% discount for ${user.name} approved by ${approver.name}`);
+    return approver;
+  }
+
+  // Every limit, for the admin settings page
+  async getLimits(manager) {
+    return manager.getRepository('DiscountLimit').find({ order: { role: 'ASC', storeId: 'ASC' } });
+  }
+
+  // Set limits ({ role, storeId, maxPercent }); a blank maxPercent removes the limit
+  async setLimits(manager, limits, userId) {
+    const limitRepo = manager.getRepository('DiscountLimit');
+
+    for (const entry of limits) {
+      if (!ROLES.includes(entry.role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+      }
+      const storeId = entry.storeId ? parseInt(entry.storeId) : null;
+      const removing = entry.maxPercent === null || entry.maxPercent === undefined || entry.maxPercent === '';
+      const maxPercent = parseFloat(entry.maxPercent);
+      if (!removing && (isNaN(maxPercent) || maxPercent < 0 || maxPercent > 100)) {
+        throw new Error('Discount limit must be between 0 and 100%');
+      }
+
+      const existing = await limitRepo.findOne({ where: { role: entry.role, storeId: storeId === null ? IsNull() : storeId } });
+      if (removing) {
+        if (existing) await limitRepo.remove(existing);
+      } else if (existing) {
+        existing.maxPercent = maxPercent;
+        existing.updatedById = userId;
+        await limitRepo.save(existing);
+      } else {
+        await limitRepo.save(limitRepo.create({ role: entry.role, storeId, maxPercent, updatedById: userId }));
+      }
+    }
+
+    return this.getLimits(manager);
+  }
+}
+
+module.exports = new DiscountLimitService();
@@ -0,0 +1,229 @@
+const istDate = require('./istDate');
+
+// Every format carries the store ({STORE}), the financial year and the sequence:
+// each store runs its own series, but invoice numbers are unique across stores.
+// The defaults stay within the 16 character limit GST allows for invoice /
+// credit note numbers, with a 4 character store code until the sequence passes 9999.
+const DEFAULT_FORMATS = {
+  invoice: process.env.INVOICE_NUMBER_FORMAT || '{STORE}VOYA{FY}{SEQ}',
+  credit_note: process.env.CREDIT_NOTE_NUMBER_FORMAT || '{STORE}CN{FY}{SEQ}',
+  job_order: process.env.JOB_ORDER_NUMBER_FORMAT || '{STORE}JOB{FY}{SEQ}',
+  stock_transfer: process.env.STOCK_TRANSFER_NUMBER_FORMAT || '{STORE}ST{FY}{SEQ}',
+  purchase_order: process.env.PURCHASE_ORDER_NUMBER_FORMAT || '{STORE}PO{FY}{SEQ}',
+  goods_receipt: process.env.GOODS_RECEIPT_NUMBER_FORMAT || '{STORE}GRN{FY}{SEQ}',
+  stocktake: process.env.STOCKTAKE_NUMBER_FORMAT || '{STORE}STK{FY}{SEQ}'
+};
+
+// GST caps invoice, credit note and delivery challan numbers at 16 characters
+const GST_MAX_LENGTH = 16;
+const GST_DOCUMENT_TYPES = ['invoice', 'credit_note', 'stock_transfer'];
+
+const STORE_FORMAT_FIELDS = {
+  invoice: 'invoiceNumberFormat',
+  credit_note: 'creditNoteNumberFormat'
+};
+
+const TOKEN_PATTERN = /\{(STORE|FY|FY_FULL|SEQ)(?::(\d+))?\}/g;
+
+// Store codes: up to 4 letters and digits (unique across stores), which keeps the
+// default formats within 16 characters. They start with a letter so they can't
+// look like another store's ID.
+const STORE_CODE_PATTERN = /^[A-Z][A-Z0-9]{0,3}$/;
+
+class DocumentNumberService {
+  // Indian financial year (April to March) for a date, evaluated in IST
+  getFinancialYear(date = new Date()) {
+    const [year, month] = istDate.toDateString(date).split('-').map(part => parseInt(part));
+    const startYear = month >= 4 ? year : year - 1;
+
+    return `${startYear}-${(startYear + 1).toString().slice(-2)}`;
+  }
+
+  // Check a format before it is saved on a store (or at startup for the defaults)
+  validateFormat(format, documentType) {
+    if (!format) return;
+
+    if (!/\{STORE(?::\d+)?\}/.test(format)) {
+      throw new Error('Number format must contain {STORE} so stores never hand out the same number');
+    }
+    if (!/\{SEQ(?::\d+)?\}/.test(format)) {
+      throw new Error('Number format must contain {SEQ}');
+    }
+    if (!/\{FY(_FULL)?\}/.test(format)) {
+      throw new Error('Number format must contain {FY} or {FY_FULL} so numbers stay unique when the series resets each April');
+    }
+
+    const literal = format.replace(TOKEN_PATTERN, '');
+    if (/[^A-Za-z0-9\-/]/.test(literal)) {
+      throw new Error('Number format may only contain letters, digits, "-" and "/"');
+    }
+
+    // Longest the number gets before the sequence outgrows its width, with a 4 character store code
+    if (GST_DOCUMENT_TYPES.includes(documentType)) {
+      const length = this.pattern(format, { code: 'XXXX' }).filter(atom => !atom.repeat).length;
+      if (length > GST_MAX_LENGTH) {
+        throw new Error(`Number format makes ${length} character numbers; GST allows at most ${GST_MAX_LENGTH}`);
+      }
+    }
+  }
+
+  // Check a store code before it is saved. Uniqueness is checked by the caller.
+  validateStoreCode(code) {
+    if (!code) return;
+
+    if (!STORE_CODE_PATTERN.test(code.toString().toUpperCase())) {
+      throw new Error('Store code must be 1 to 4 letters or digits, starting with a letter');
+    }
+  }
+
+  // {STORE}: the store's code, or its ID zero-padded to the token's width (3 by default)
+  storeToken(store, width) {
+    if (store.code) return store.code.toUpperCase();
+    return store.id.toString().padStart(width ? parseInt(width) : 3, '0');
+  }
+
+  getFormat(store, documentType) {
+    const storeFormat = STORE_FORMAT_FIELDS[documentType] ? store[STORE_FORMAT_FIELDS[documentType]] : null;
+    return storeFormat || DEFAULT_FORMATS[documentType];
+  }
+
+  // What a format can produce for a store, one entry per character: a fixed
+  // character or any digit. Entries marked `repeat` are the extra digits the
+  // sequence takes once it outgrows its width (none or more).
+  pattern(format, store) {
+    const atoms = [];
+    const literal = (text) => text.split('').forEach(ch => atoms.push({ ch }));
+    const digits = (count, repeat = false) => {
+      for (let i = 0; i < count; i++) atoms.push({ digit: true });
+      if (repeat) atoms.push({ digit: true, repeat: true });
+    };
+
+    let last = 0;
+    format.replace(TOKEN_PATTERN, (match, token, width, offset) => {
+      literal(format.slice(last, offset));
+      last = offset + match.length;
+
+      if (token === 'STORE') literal(this.storeToken(store, width));
+      if (token === 'FY') digits(4);
+      if (token === 'FY_FULL') {
+        digits(4);
+        literal('-');
+        digits(2);
+      }
+      if (token === 'SEQ') digits(width ? parseInt(width) : 4, true);
+      return match;
+    });
+    literal(format.slice(last));
+
+    return atoms;
+  }
+
+  // Whether two patterns can produce the same number
+  overlaps(a, b) {
+    const visited = new Set();
+    const accepts = (atom, ch) => (atom.digit ? /\d/.test(ch) : atom.ch === ch);
+
+    const visit = (i, j) => {
+      const key = `${i},${j}`;
+      if (visited.has(key)) return false;
+      visited.add(key);
+
+      if (i === a.length && j === b.length) return true;
+      if (a[i]?.repeat && visit(i + 1, j)) return true;
+      if (b[j]?.repeat && visit(i, j + 1)) return true;
+      if (i === a.length || j === b.length) return false;
+
+      const ch = a[i].digit ? (b[j].digit ? '0' : b[j].ch) : a[i].ch;
+      if (!accepts(a[i], ch) || !accepts(b[j], ch)) return false;
+      return visit(a[i].repeat ? i : i + 1, b[j].repeat ? j : j + 1);
+    };
+
+    return visit(0, 0);
+  }
+
+  // Different formats can make two stores' numbers come out the same, e.g. AB with
+  // {STORE}X{FY}{SEQ} and ABX with {STORE}{FY}{SEQ}. Checked when a store is saved.
+  checkStores(store, otherStores) {
+    Object.keys(DEFAULT_FORMATS).forEach((documentType) => {
+      const pattern = this.pattern(this.getFormat(store, documentType), store);
+      const clash = otherStores.find(other =>
+        this.overlaps(pattern, this.pattern(this.getFormat(other, documentType), other)));
+
+      if (clash) {
+        throw new Error(`This store's ${documentType.replace('_', ' ')} numbers could be the same as ${clash.name}'s; change the store code or number format`);
+      }
+    });
+  }
+
+  format(format, { store, financialYear, sequence }) {
+    const [startYear, endYear] = financialYear.split('-');
+
+    return format.replace(TOKEN_PATTERN, (match, token, width) => {
+      switch (token) {
+        case 'STORE':
+          return this.storeToken(store, width);
+        case 'FY':
+          return `${startYear.slice(-2)}${endYear}`;
+        case 'FY_FULL':
+          return financialYear;
+        case 'SEQ':
+          return sequence.toString().padStart(width ? parseInt(width) : 4, '0');
+        default:
+          return match;
+      }
+    });
+  }
+
+  // Allocate the next number for a store/document type. Must be called with the
+  // transaction's EntityManager: the sequence row stays locked until the caller
+  // commits, and a rollback hands the number back, so the series has no gaps.
+  async next(manager, store, documentType, date = new Date()) {
+    if (!DEFAULT_FORMATS[documentType]) {
+      throw new Error(`Unknown document type: ${documentType}`);
+    }
+
+    const sequenceRepo = manager.getRepository('DocumentSequence');
+    const financialYear = this.getFinancialYear(date);
+    const where = { storeId: store.id, documentType, financialYear };
+
+    // First document of the year creates the row; concurrent creators are ignored
+    await sequenceRepo.createQueryBuilder()
+      .insert()
+      .values({ ...where, lastNumber: 0 })
+      .orIgnore()
+      .execute();
+
+    const sequence = await sequenceRepo.findOne({
+      where,
+      lock: { mode: 'pessimistic_write' }
+    });
+
+    sequence.lastNumber = parseInt(sequence.lastNumber) + 1;
+    await sequenceRepo.save(sequence);
+
+    const number = this.format(this.getFormat(store, documentType), { store, financialYear, sequence: sequence.lastNumber });
+
+    // Past 9999 (or the format's width) the sequence can push a number over the
+    // limit; refusing rolls the transaction back, so the number isn't used up
+    if (GST_DOCUMENT_TYPES.includes(documentType) && number.length > GST_MAX_LENGTH) {
+      throw new Error(`${documentType.replace('_', ' ')} number ${number} is longer than the ${GST_MAX_LENGTH} characters GST allows; shorten the store's number format`);
+    }
+
+    console.log(`📄 Allocated ${documentType} number: ${number} for store: ${store.name} (FY ${financialYear})`);
+
+    return number;
+  }
+}
+
+const documentNumberService = new DocumentNumberService();
+
+// A bad *_NUMBER_FORMAT would hand out clashing numbers, so refuse to start with one
+Object.entries(DEFAULT_FORMATS).forEach(([documentType, format]) => {
+  try {
+    documentNumberService.validateFormat(format, documentType);
+  } catch (error) {
+    throw new Error(`${documentType.toUpperCase()}_NUMBER_FORMAT: ${error.message}`);
+  }
+});
+
+module.exports = documentNumberService;
@@ -0,0 +1,146 @@
+// GST state codes (first two digits of a GSTIN)
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Older / alternate spellings seen in addresses
+const STATE_ALIASES = {
+  'nctofdelhi': '07',
+  'newdelhi': '07',
+  'orissa': '21',
+  'pondicherry': '34',
+  'uttaranchal': '05',
+  'jk': '01',
+  'daman': '26',
+  'damananddiu': '26',
+  'dadraandnagarhaveli': '26',
+  'andamanandnicobar': '35'
+};
+
+const normalize = (value) => value.toString().toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const NAME_TO_CODE = Object.entries(STATE_CODES).reduce((map, [code, name]) => {
+  map[normalize(name)] = code;
+  return map;
+}, { ...STATE_ALIASES });
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const GSTIN_PATTERN = /^\d{2}[A-Z0-9]{13}$/;
+
+// Printed for stores that don't have their own GSTIN set
+const DEFAULT_GSTIN = '08AGFPK7804C1ZQ';
+
+class GstService {
+  getStateName(code) {
+    return STATE_CODES[code] || null;
+  }
+
+  // Accepts a two-digit code or a state name ("Delhi", "NCT of Delhi", "07")
+  getStateCode(state) {
+    if (!state) return null;
+
+    const value = state.toString().trim();
+    if (/^\d{1,2}$/.test(value)) {
+      const code = value.padStart(2, '0');
+      return STATE_CODES[code] ? code : null;
+    }
+
+    return NAME_TO_CODE[normalize(value)] || null;
+  }
+
+  getStateCodeFromGstin(gstin) {
+    if (!gstin || gstin.length < 2) return null;
+    const code = gstin.substring(0, 2);
+    return STATE_CODES[code] ? code : null;
+  }
+
+  validateGstin(gstin) {
+    if (gstin && !GSTIN_PATTERN.test(gstin.toString().toUpperCase())) {
+      throw new Error('GSTIN must be 15 characters starting with the state code');
+    }
+  }
+
+  // The GSTIN a store bills under, for every document it prints
+  getStoreGstin(store) {
+    return store?.gstin || DEFAULT_GSTIN;
+  }
+
+  getStoreStateCode(store) {
+    if (!store?.address || typeof store.address !== 'object') return null;
+    return this.getStateCode(store.address.state);
+  }
+
+  // Registered buyers are taxed by their GSTIN state, otherwise the state they gave us.
+  // With no buyer state the supply is treated as made at the store (intra-state).
+  determinePlaceOfSupply(store, customer) {
+    const supplierStateCode = this.getStoreStateCode(store);
+    const customerStateCode = this.getStateCodeFromGstin(customer?.gstNumber) ||
+      this.getStateCode(customer?.state);
+
+    const placeOfSupply = customerStateCode || supplierStateCode;
+
+    if (!supplierStateCode) {
+      console.warn(`⚠️ Store ${store?.name} has no recognised state in its address, treating sale as intra-state`);
+    }
+
+    return {
+      supplierStateCode,
+      placeOfSupply,
+      isInterState: !!(supplierStateCode && placeOfSupply && supplierStateCode !== placeOfSupply)
+    };
+  }
+
+  // Split a line's tax into CGST/SGST (intra-state) or IGST (inter-state)
+  splitTax(taxAmount, isInterState) {
+    const tax = roundAmount(taxAmount);
+
+    if (isInterState) {
+      return { cgstAmount: 0, sgstAmount: 0, igstAmount: tax };
+    }
+
+    const cgstAmount = roundAmount(tax / 2);
+    return { cgstAmount, sgstAmount: roundAmount(tax - cgstAmount), igstAmount: 0 };
+  }
+
+  formatPlaceOfSupply(code) {
+    return code && STATE_CODES[code] ? `${code}-${STATE_CODES[code]}` : 'N/A';
+  }
+}
+
+module.exports = new GstService();
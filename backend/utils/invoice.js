@@ -1,6 +1,9 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const gst = require('./gst');
+const prescriptions = require('./prescription');
+const barcodes = require('./barcode');
 
 // Helper function to convert number to words (Indian format)
 function numberToWords(num) {
@@ -64,6 +67,85 @@ function amountInWords(amount) {
   return words;
 }
 
+// HSN code snapshotted on the sale/return line when it was billed
+function getHsnCode(item) {
+  return item.hsnCode || '';
+}
+
+// CGST/SGST/IGST for a line: the split stored at sale time, or (for older sales)
+// derived from the sale's supply type
+function getTaxSplit(item, taxAmount, isInterState) {
+  if (item.cgstAmount !== null && item.cgstAmount !== undefined) {
+    return {
+      cgst: parseFloat(item.cgstAmount || 0),
+      sgst: parseFloat(item.sgstAmount || 0),
+      igst: parseFloat(item.igstAmount || 0)
+    };
+  }
+  if (isInterState) {
+    return { cgst: 0, sgst: 0, igst: taxAmount };
+  }
+  return { cgst: taxAmount / 2, sgst: taxAmount / 2, igst: 0 };
+}
+
+// Format store address (jsonb object or plain string)
+function formatStoreAddress(store) {
+  const fallback = 'C-7/61, Sector-7, Rohini Delhi-110085';
+  if (!store.address) return fallback;
+  if (typeof store.address !== 'object') return store.address;
+
+  const parts = [];
+  if (store.address.street) parts.push(store.address.street);
+  if (store.address.city) parts.push(store.address.city);
+  if (store.address.state) parts.push(store.address.state);
+  if (store.address.zipCode) parts.push(store.address.zipCode);
+  if (store.address.country) parts.push(store.address.country);
+  return parts.join(', ') || fallback;
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  const day = date.getDate().toString().padStart(2, '0');
+  const month = date.toLocaleDateString('en-US', { month: 'short' });
+  return `${day} ${month} ${date.getFullYear()}`;
+}
+
+// Rx table (one row per eye) with prescriber and validity underneath; returns the y below it
+function drawPrescription(doc, prescription, x, y, width) {
+  const eyeWidth = 60;
+  const columns = ['sph', 'cyl', 'axis', 'add', 'pd', 'prism'];
+  const colWidth = (width - eyeWidth) / columns.length;
+
+  doc.font('Helvetica-Bold').fontSize(9);
+  doc.text('Prescription:', x, y);
+  y += 14;
+
+  doc.rect(x, y, width, 15).fillAndStroke('#f0f0f0', '#000');
+  doc.fillColor('#000').font('Helvetica-Bold').fontSize(8);
+  doc.text('Eye', x, y + 4, { width: eyeWidth, align: 'center' });
+  ['SPH', 'CYL', 'AXIS', 'ADD', 'PD (mm)', 'Prism'].forEach((label, index) => {
+    doc.text(label, x + eyeWidth + index * colWidth, y + 4, { width: colWidth, align: 'center' });
+  });
+  y += 15;
+
+  doc.font('Helvetica');
+  prescriptions.formatRows(prescription).forEach((row) => {
+    doc.rect(x, y, width, 15).stroke();
+    doc.text(row.eye, x, y + 4, { width: eyeWidth, align: 'center' });
+    columns.forEach((column, index) => {
+      doc.text(row[column], x + eyeWidth + index * colWidth, y + 4, { width: colWidth, align: 'center' });
+    });
+    y += 15;
+  });
+
+  const details = [`Test date: ${formatDate(prescription.testDate)}`];
+  if (prescription.expiryDate) details.push(`Valid till: ${formatDate(prescription.expiryDate)}`);
+  if (prescription.prescriber) details.unshift(`Prescribed by: ${prescription.prescriber}`);
+  doc.fontSize(8).text(details.join('    '), x, y + 4);
+
+  return y + 16;
+}
+
 class InvoiceGenerator {
   async generateInvoice(sale, store, customer) {
     return new Promise((resolve, reject) => {
@@ -150,20 +232,7 @@ class InvoiceGenerator {
         });
         
         // Format store address
-        let storeAddress = 'C-7/61, Sector-7, Rohini Delhi-110085';
-        if (store.address) {
-          if (typeof store.address === 'object') {
-            const parts = [];
-            if (store.address.street) parts.push(store.address.street);
-            if (store.address.city) parts.push(store.address.city);
-            if (store.address.state) parts.push(store.address.state);
-            if (store.address.zipCode) parts.push(store.address.zipCode);
-            if (store.address.country) parts.push(store.address.country);
-            storeAddress = parts.join(', ') || storeAddress;
-          } else {
-            storeAddress = store.address;
-          }
-        }
+        const storeAddress = formatStoreAddress(store);
         
         // Address (centered)
         doc.fontSize(9).font('Helvetica');
@@ -173,7 +242,7 @@ class InvoiceGenerator {
         });
         
         // GSTIN (centered)
-        doc.text('GSTIN: 08AGFPK7804C1ZQ, PAN: AAICR8905Q', margin + logoWidth + 10, 90, {
+        doc.text(`GSTIN: ${gst.getStoreGstin(store)}, PAN: AAICR8905Q`, margin + logoWidth + 10, 90, {
           width: pageWidth - (margin + logoWidth + 10) - (margin + 100),
           align: 'center'
         });
@@ -211,6 +280,10 @@ class InvoiceGenerator {
         
         const addressStartY = 125; // Start content below header
 
+        // Place of supply decides CGST + SGST vs IGST
+        doc.fontSize(8).font('Helvetica-Bold');
+        doc.text(`Place of Supply: ${gst.formatPlaceOfSupply(sale.placeOfSupply)}`, margin, addressStartY + 2, { lineBreak: false });
+
         // ===== CONSIGNEE AND BUYER BOXES =====
         const boxY = addressStartY + 15; // Reduced spacing between header and boxes
         const boxHeight = 95;
@@ -336,13 +409,18 @@ class InvoiceGenerator {
         // Table Items
         let itemY = tableTop + 25;
         doc.font('Helvetica').fontSize(8);
+        let totalCgst = 0;
+        let totalSgst = 0;
+        let totalIgst = 0;
         
         sale.items.forEach((item, index) => {
           // 🔥 FIX: Convert PostgreSQL strings to numbers
           const unitPrice = parseFloat(item.unitPrice || 0); // MRP (tax-inclusive)
-          const discount = parseFloat(item.discount || 0);
           const quantity = parseInt(item.quantity || 1);
-          const taxRate = parseFloat(item.taxRate || 5);
+          // Per-unit discount, including the line's share of any promotions and the bill discount
+          const discount = parseFloat(item.discount || 0) +
+            (parseFloat(item.promotionDiscount || 0) + parseFloat(item.billDiscount || 0)) / quantity;
+          const taxRate = parseFloat(item.taxRate);
           
           // TAX-INCLUSIVE CALCULATION: Extract tax from MRP
           const mrpTotal = (unitPrice - discount) * quantity; // Total MRP after discount
@@ -350,18 +428,14 @@ class InvoiceGenerator {
           const taxableAmount = mrpTotal / taxMultiplier; // Base price (tax-excluded)
           const totalTax = mrpTotal - taxableAmount; // Extracted tax
           
-          // Split tax into CGST/SGST (equal split for intra-state)
-          const cgst = totalTax / 2;
-          const sgst = totalTax / 2;
-          const igst = 0; // For same state, IGST is 0
+          // Split tax into CGST/SGST (intra-state) or IGST (inter-state)
+          const { cgst, sgst, igst } = getTaxSplit(item, totalTax, sale.isInterState);
+          totalCgst += cgst;
+          totalSgst += sgst;
+          totalIgst += igst;
           const itemTotal = mrpTotal; // Final amount = MRP (tax already included)
           
-          // 🔥 DYNAMIC HSN CODE based on product category/name
-          const itemName = (item.name || 'Product').toLowerCase();
-          let hsnCode = '90031900'; // Default: Eyeglass/Frame
-          if (itemName.includes('sunglass')) {
-            hsnCode = '90041000'; // Sunglass
-          }
+          const hsnCode = getHsnCode(item);
           
           colX = margin;
           doc.text((index + 1).toString(), colX, itemY, { width: colWidths.sl, align: 'center' });
@@ -396,8 +470,8 @@ class InvoiceGenerator {
         // 🔥 FIX: Convert PostgreSQL strings to numbers
         const subtotal = parseFloat(sale.subtotal || 0);
         const totalDiscount = parseFloat(sale.totalDiscount || 0);
-        const totalTax = parseFloat(sale.totalTax || 0);
         const totalAmount = parseFloat(sale.totalAmount || 0);
+        const roundOff = parseFloat(sale.roundOff || 0);
         
         colX = margin;
         doc.text('Total', colX, itemY + 5, { width: colWidths.sl + colWidths.description + colWidths.hsn, align: 'center' });
@@ -410,13 +484,22 @@ class InvoiceGenerator {
         colX += colWidths.discount;
         doc.text((subtotal - totalDiscount).toFixed(2), colX, itemY + 5, { width: colWidths.taxable, align: 'center' });
         colX += colWidths.taxable;
-        doc.text((totalTax / 2).toFixed(2), colX, itemY + 5, { width: colWidths.cgst, align: 'center' });
+        doc.text(totalCgst.toFixed(2), colX, itemY + 5, { width: colWidths.cgst, align: 'center' });
         colX += colWidths.cgst;
-        doc.text((totalTax / 2).toFixed(2), colX, itemY + 5, { width: colWidths.sgst, align: 'center' });
+        doc.text(totalSgst.toFixed(2), colX, itemY + 5, { width: colWidths.sgst, align: 'center' });
         colX += colWidths.sgst;
-        doc.text('0.00', colX, itemY + 5, { width: colWidths.igst, align: 'center' });
+        doc.text(totalIgst.toFixed(2), colX, itemY + 5, { width: colWidths.igst, align: 'center' });
         colX += colWidths.igst;
-        doc.text(totalAmount.toFixed(2), colX, itemY + 5, { width: colWidths.amount, align: 'center' });
+        doc.text((totalAmount - roundOff).toFixed(2), colX, itemY + 5, { width: colWidths.amount, align: 'center' });
+
+        // Round off to the rupee, outside the taxable value
+        if (roundOff !== 0) {
+          itemY += 20;
+          doc.rect(margin, itemY, pageWidth - 2 * margin, 20).stroke();
+          doc.font('Helvetica');
+          doc.text('Round Off', margin, itemY + 5, { width: pageWidth - 2 * margin - colWidths.amount - 10, align: 'center' });
+          doc.text(roundOff.toFixed(2), pageWidth - margin - colWidths.amount, itemY + 5, { width: colWidths.amount, align: 'center' });
+        }
 
         // Grand Total
         itemY += 20;
@@ -425,6 +508,22 @@ class InvoiceGenerator {
         doc.text('Grand Total', margin, itemY + 5, { width: pageWidth - 2 * margin - colWidths.amount - 10, align: 'center' });
         doc.text(totalAmount.toFixed(2), pageWidth - margin - colWidths.amount, itemY + 5, { width: colWidths.amount, align: 'center' });
 
+        // Promotions, coupon and bill discount included in the discount column
+        const billDiscount = parseFloat(sale.billDiscount || 0);
+        if ((sale.appliedPromotions && sale.appliedPromotions.length > 0) || billDiscount > 0) {
+          itemY += 25;
+          doc.font('Helvetica').fontSize(8);
+          doc.text(
+            [
+              ...(sale.appliedPromotions && sale.appliedPromotions.length > 0 ? [`Offers applied: ${sale.appliedPromotions.map(promotion =>
+                `${promotion.name}${promotion.couponCode ? ` (coupon ${promotion.couponCode})` : ''} -${parseFloat(promotion.amount).toFixed(2)}`
+              ).join(', ')}`] : []),
+              ...(billDiscount > 0 ? [`Bill discount -${billDiscount.toFixed(2)}`] : [])
+            ].join('. '),
+            margin, itemY, { width: pageWidth - 2 * margin }
+          );
+        }
+
         // Amount in Words
         itemY += 30;
         doc.font('Helvetica-Bold').fontSize(9);
@@ -515,13 +614,12 @@ class InvoiceGenerator {
         
         sale.items.forEach((item) => {
           const unitPrice = parseFloat(item.unitPrice || 0);
-          const discount = parseFloat(item.discount || 0);
           const quantity = parseInt(item.quantity || 1);
-          const taxRate = parseFloat(item.taxRate || 5);
+          const discount = parseFloat(item.discount || 0) +
+            (parseFloat(item.promotionDiscount || 0) + parseFloat(item.billDiscount || 0)) / quantity;
+          const taxRate = parseFloat(item.taxRate);
           
-          // Determine HSN code
-          const itemName = (item.name || 'Product').toLowerCase();
-          const hsnCode = itemName.includes('sunglass') ? '90041000' : '90031900';
+          const hsnCode = getHsnCode(item);
           
           // Create unique key for this tax group
           const groupKey = `${hsnCode}_${taxRate}`;
@@ -545,10 +643,12 @@ class InvoiceGenerator {
           const itemTotalTax = mrpTotal - taxableAmount;
           
           // Add to group
+          const split = getTaxSplit(item, itemTotalTax, sale.isInterState);
           taxGroups[groupKey].taxableValue += taxableAmount;
-          taxGroups[groupKey].cgstAmount += itemTotalTax / 2;
-          taxGroups[groupKey].sgstAmount += itemTotalTax / 2;
-          taxGroups[groupKey].totalTax += itemTotalTax;
+          taxGroups[groupKey].cgstAmount += split.cgst;
+          taxGroups[groupKey].sgstAmount += split.sgst;
+          taxGroups[groupKey].igstAmount += split.igst;
+          taxGroups[groupKey].totalTax += split.cgst + split.sgst + split.igst;
         });
         
         // Draw tax breakdown rows for each group
@@ -564,8 +664,10 @@ class InvoiceGenerator {
             doc.rect(margin, taxRowY, tableWidth, 15).stroke();
           }
           
-          const cgstRate = group.taxRate / 2;
-          const sgstRate = group.taxRate / 2;
+          const isIgst = group.igstAmount > 0;
+          const cgstRate = isIgst ? 0 : group.taxRate / 2;
+          const sgstRate = isIgst ? 0 : group.taxRate / 2;
+          const igstRate = isIgst ? group.taxRate : 0;
           
           colX = margin;
           doc.text(group.hsnCode, colX, taxRowY + 3, { width: taxColWidths.hsn, align: 'center' });
@@ -578,8 +680,8 @@ class InvoiceGenerator {
           doc.text(`${sgstRate}%`, colX, taxRowY + 3, { width: taxColWidths.sgstRate, align: 'center' });
           doc.text(group.sgstAmount.toFixed(2), colX + taxColWidths.sgstRate, taxRowY + 3, { width: taxColWidths.sgstAmt, align: 'center' });
           colX += taxColWidths.sgstRate + taxColWidths.sgstAmt;
-          doc.text('0%', colX, taxRowY + 3, { width: taxColWidths.igstRate, align: 'center' });
-          doc.text('0.00', colX + taxColWidths.igstRate, taxRowY + 3, { width: taxColWidths.igstAmt, align: 'center' });
+          doc.text(`${igstRate}%`, colX, taxRowY + 3, { width: taxColWidths.igstRate, align: 'center' });
+          doc.text(group.igstAmount.toFixed(2), colX + taxColWidths.igstRate, taxRowY + 3, { width: taxColWidths.igstAmt, align: 'center' });
           colX += taxColWidths.igstRate + taxColWidths.igstAmt;
           doc.text(group.totalTax.toFixed(2), colX, taxRowY + 3, { width: taxColWidths.totalTax, align: 'center' });
           
@@ -594,7 +696,7 @@ class InvoiceGenerator {
         const totalTaxableValue = taxGroupArray.reduce((sum, g) => sum + g.taxableValue, 0);
         const totalCgstAmount = taxGroupArray.reduce((sum, g) => sum + g.cgstAmount, 0);
         const totalSgstAmount = taxGroupArray.reduce((sum, g) => sum + g.sgstAmount, 0);
-        const totalIgstAmount = 0;
+        const totalIgstAmount = taxGroupArray.reduce((sum, g) => sum + g.igstAmount, 0);
         const grandTotalTax = taxGroupArray.reduce((sum, g) => sum + g.totalTax, 0);
         
         colX = margin;
@@ -606,7 +708,7 @@ class InvoiceGenerator {
         colX += taxColWidths.cgstAmt + taxColWidths.sgstRate;
         doc.text(totalSgstAmount.toFixed(2), colX, taxRowY + 3, { width: taxColWidths.sgstAmt, align: 'center' });
         colX += taxColWidths.sgstAmt + taxColWidths.igstRate;
-        doc.text('0.00', colX, taxRowY + 3, { width: taxColWidths.igstAmt, align: 'center' });
+        doc.text(totalIgstAmount.toFixed(2), colX, taxRowY + 3, { width: taxColWidths.igstAmt, align: 'center' });
         colX += taxColWidths.igstAmt;
         doc.text(grandTotalTax.toFixed(2), colX, taxRowY + 3, { width: taxColWidths.totalTax, align: 'center' });
         
@@ -618,8 +720,44 @@ class InvoiceGenerator {
         doc.font('Helvetica');
         doc.text(amountInWords(grandTotalTax), margin, itemY + 12);
 
+        // ===== PRESCRIPTION (eyeglass lines made to an Rx) =====
+        const prescription = sale.items.map(item => item.prescription).find(Boolean);
+        if (prescription) {
+          itemY = drawPrescription(doc, prescription, margin, itemY + 35, pageWidth - 2 * margin);
+        }
+
+        // ===== PAYMENT DETAILS =====
+        let footerGap = 100; // Increased margin-top to 100px (50px extra spacing)
+        const payments = sale.payments || [];
+        const changeAmount = parseFloat(sale.changeAmount || 0);
+
+        if (payments.length > 0) {
+          let paymentY = itemY + 35;
+          doc.font('Helvetica-Bold').fontSize(9);
+          doc.text('Payment Details:', margin, paymentY);
+          doc.font('Helvetica').fontSize(8);
+          paymentY += 14;
+
+          payments.forEach((payment) => {
+            const amount = parseFloat(payment.amount || 0);
+            const tendered = parseFloat(payment.tenderedAmount || amount);
+            let line = `${payment.method.toUpperCase()}: ${amount.toFixed(2)}`;
+            if (payment.reference) line += `  (Ref: ${payment.reference})`;
+            if (tendered > amount) line += `  Tendered: ${tendered.toFixed(2)}`;
+            doc.text(line, margin, paymentY);
+            paymentY += 12;
+          });
+
+          if (changeAmount > 0) {
+            doc.text(`Change Returned: ${changeAmount.toFixed(2)}`, margin, paymentY);
+            paymentY += 12;
+          }
+
+          footerGap = Math.max(footerGap, paymentY - itemY + 20);
+        }
+
         // ===== FOOTER =====
-        itemY += 100; // Increased margin-top to 100px (50px extra spacing)
+        itemY += footerGap;
         
         // Bank Details (Left)
         doc.fontSize(9).font('Helvetica-Bold');
@@ -668,6 +806,612 @@ class InvoiceGenerator {
       }
     });
   }
+
+  // Credit note issued against an original tax invoice (the invoice itself is never modified)
+  async generateCreditNote(saleReturn, sale, store, customer) {
+    return new Promise((resolve, reject) => {
+      try {
+        console.log(`🔍 Generating credit note ${saleReturn.creditNoteNumber} against ${sale.invoiceNumber}`);
+
+        const invoicesDir = path.join(__dirname, '../invoices');
+        if (!fs.existsSync(invoicesDir)) {
+          fs.mkdirSync(invoicesDir, { recursive: true });
+        }
+
+        const filePath = path.join(invoicesDir, `${saleReturn.creditNoteNumber}.pdf`);
+
+        const doc = new PDFDocument({ margin: 15, size: 'A4' });
+        const stream = fs.createWriteStream(filePath);
+
+        doc.pipe(stream);
+
+        const pageWidth = 595;
+        const margin = 15;
+        const contentWidth = pageWidth - 2 * margin;
+
+        // ===== HEADER SECTION =====
+        const logoPath = path.join(__dirname, '../assets/voyage-logo.png');
+        const logoWidth = 85;
+        if (fs.existsSync(logoPath)) {
+          doc.image(logoPath, margin, 30, { width: logoWidth });
+        }
+
+        const centerX = pageWidth / 2;
+        doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000');
+        const titleText = 'CREDIT NOTE';
+        const titleWidth = doc.widthOfString(titleText);
+        doc.text(titleText, centerX - titleWidth / 2, 35);
+        doc.moveTo(centerX - titleWidth / 2, 48)
+           .lineTo(centerX + titleWidth / 2, 48)
+           .stroke();
+
+        const headerX = margin + logoWidth + 10;
+        const headerWidth = pageWidth - headerX - (margin + 100);
+
+        doc.fontSize(16).font('Helvetica-Bold');
+        doc.text('SS ENTERPRISES', headerX, 55, { width: headerWidth, align: 'center' });
+        doc.fontSize(9).font('Helvetica');
+        doc.text(formatStoreAddress(store), headerX, 75, { width: headerWidth, align: 'center' });
+        doc.text(`GSTIN: ${gst.getStoreGstin(store)}, PAN: AAICR8905Q`, headerX, 90, { width: headerWidth, align: 'center' });
+        doc.fontSize(8);
+        doc.text(`Tel No: ${store.phone || '011-45809914'}    Email Id: ${store.email || 'ssenterprise255@gmail.com'}`,
+          headerX, 103, { width: headerWidth, align: 'center' });
+
+        // RIGHT: Credit note details box
+        const rightBoxX = pageWidth - margin - 95;
+        doc.rect(rightBoxX, 30, 95, 85).stroke();
+        doc.fontSize(9).font('Helvetica-Bold');
+        doc.text('Credit Note No.:', rightBoxX + 5, 35, { width: 85 });
+        doc.fontSize(8).font('Helvetica');
+        doc.text(saleReturn.creditNoteNumber, rightBoxX + 5, 47, { width: 85 });
+        doc.fontSize(9).font('Helvetica-Bold');
+        doc.text('Dated:', rightBoxX + 5, 62);
+        doc.fontSize(8).font('Helvetica');
+        doc.text(formatDate(saleReturn.returnDate), rightBoxX + 5, 74);
+        doc.fontSize(9).font('Helvetica-Bold');
+        doc.text('Refund Mode:', rightBoxX + 5, 88);
+        doc.fontSize(8).font('Helvetica');
+        doc.text(saleReturn.refundMethod.replace('_', ' ').toUpperCase(), rightBoxX + 5, 100);
+
+        // ===== ORIGINAL INVOICE AND BUYER BOXES =====
+        const boxY = 140;
+        const boxHeight = 80;
+        const boxWidth = contentWidth / 2;
+
+        doc.rect(margin, boxY, boxWidth, boxHeight).stroke();
+        doc.fontSize(10).font('Helvetica-Bold').text('Against Original Invoice', margin + 5, boxY + 5, { lineBreak: false });
+        doc.fontSize(8).font('Helvetica');
+        doc.text(`Invoice No.: ${sale.invoiceNumber}`, margin + 5, boxY + 22, { lineBreak: false });
+        doc.text(`Invoice Date: ${formatDate(sale.saleDate)}`, margin + 5, boxY + 35, { lineBreak: false });
+        doc.text(`Reason: ${saleReturn.reason || 'N/A'}`, margin + 5, boxY + 48, { width: boxWidth - 10, height: 20, ellipsis: true });
+
+        doc.rect(margin + boxWidth, boxY, boxWidth, boxHeight).stroke();
+        doc.fontSize(10).font('Helvetica-Bold').text('Buyer (Bill to)', margin + boxWidth + 5, boxY + 5, { lineBreak: false });
+        doc.fontSize(8).font('Helvetica');
+        doc.text(customer?.name || 'N/A', margin + boxWidth + 5, boxY + 22, { lineBreak: false });
+        doc.text(`Phone: ${customer?.phone || 'N/A'}`, margin + boxWidth + 5, boxY + 35, { lineBreak: false });
+        doc.text(`GSTIN/UIN: ${customer?.gstNumber || 'N/A'}`, margin + boxWidth + 5, boxY + 48, { lineBreak: false });
+        doc.text(`Place of Supply: ${gst.formatPlaceOfSupply(sale.placeOfSupply)}`, margin + boxWidth + 5, boxY + 61, { lineBreak: false });
+
+        // ===== ITEMS TABLE =====
+        const tableTop = boxY + boxHeight + 15;
+        const colWidths = {
+          sl: 24,
+          description: 150,
+          hsn: 50,
+          qty: 30,
+          rate: 55,
+          taxable: 60,
+          cgst: 45,
+          sgst: 45,
+          igst: 45,
+          amount: 61
+        };
+
+        const drawRow = (values, y, align = 'center') => {
+          let colX = margin;
+          Object.keys(colWidths).forEach((key, index) => {
+            doc.text(values[index], colX, y, { width: colWidths[key], align });
+            colX += colWidths[key];
+          });
+        };
+
+        doc.rect(margin, tableTop, contentWidth, 20).fillAndStroke('#f0f0f0', '#000');
+        doc.fontSize(8).font('Helvetica-Bold').fillColor('#000');
+        drawRow(['SI', 'Description of Goods', 'HSN/SAC', 'Qty', 'Rate', 'Taxable', 'CGST', 'SGST', 'IGST', 'Amount'], tableTop + 6);
+
+        let itemY = tableTop + 25;
+        doc.font('Helvetica').fontSize(8);
+
+        let totalQuantity = 0;
+        let totalTaxable = 0;
+        let totalCgst = 0;
+        let totalSgst = 0;
+        let totalIgst = 0;
+
+        saleReturn.items.forEach((item, index) => {
+          const quantity = parseInt(item.quantity || 0);
+          const lineAmount = parseFloat(item.totalAmount || 0);
+          const lineTax = parseFloat(item.taxAmount || 0);
+          const taxableAmount = lineAmount - lineTax;
+          const cgst = parseFloat(item.cgstAmount || 0);
+          const sgst = parseFloat(item.sgstAmount || 0);
+          const igst = parseFloat(item.igstAmount || 0);
+
+          totalQuantity += quantity;
+          totalTaxable += taxableAmount;
+          totalCgst += cgst;
+          totalSgst += sgst;
+          totalIgst += igst;
+
+          drawRow([
+            (index + 1).toString(),
+            item.name || 'Product',
+            getHsnCode(item),
+            quantity.toString(),
+            parseFloat(item.discountedPrice || 0).toFixed(2),
+            taxableAmount.toFixed(2),
+            cgst.toFixed(2),
+            sgst.toFixed(2),
+            igst.toFixed(2),
+            lineAmount.toFixed(2)
+          ], itemY);
+
+          itemY += 20;
+        });
+
+        const totalAmount = parseFloat(saleReturn.totalAmount || 0);
+        const totalTax = parseFloat(saleReturn.totalTax || 0);
+        const roundOff = parseFloat(saleReturn.roundOff || 0);
+
+        // Total Row
+        doc.rect(margin, itemY, contentWidth, 20).stroke();
+        doc.font('Helvetica-Bold');
+        drawRow(['', 'Total', '', totalQuantity.toString(), '', totalTaxable.toFixed(2),
+          totalCgst.toFixed(2), totalSgst.toFixed(2), totalIgst.toFixed(2), (totalAmount - roundOff).toFixed(2)], itemY + 5);
+
+        // The invoice's round off, refunded with the last of the goods
+        if (roundOff !== 0) {
+          itemY += 20;
+          doc.rect(margin, itemY, contentWidth, 20).stroke();
+          doc.font('Helvetica');
+          doc.text('Round Off', margin, itemY + 5, { width: contentWidth - colWidths.amount - 10, align: 'center' });
+          doc.text(roundOff.toFixed(2), pageWidth - margin - colWidths.amount, itemY + 5, { width: colWidths.amount, align: 'center' });
+          doc.font('Helvetica-Bold');
+        }
+
+        // Credit Total
+        itemY += 20;
+        doc.rect(margin, itemY, contentWidth, 20).fillAndStroke('#f0f0f0', '#000');
+        doc.fillColor('#000').font('Helvetica-Bold').fontSize(10);
+        doc.text('Total Credit', margin, itemY + 5, { width: contentWidth - colWidths.amount - 10, align: 'center' });
+        doc.text(totalAmount.toFixed(2), pageWidth - margin - colWidths.amount, itemY + 5, { width: colWidths.amount, align: 'center' });
+
+        // Amount in Words
+        itemY += 30;
+        doc.font('Helvetica-Bold').fontSize(9);
+        doc.text('Amount Credited (in words):', margin, itemY);
+        doc.font('Helvetica');
+        doc.text(amountInWords(totalAmount), margin, itemY + 15, { width: contentWidth });
+
+        doc.font('Helvetica-Bold');
+        doc.text('Tax Amount Reversed (in words):', margin, itemY + 35);
+        doc.font('Helvetica');
+        doc.text(amountInWords(totalTax), margin, itemY + 50, { width: contentWidth });
+
+        // ===== FOOTER =====
+        itemY += 100;
+
+        doc.fontSize(9).font('Helvetica-Bold');
+        doc.text('Declaration:', margin, itemY);
+        doc.font('Helvetica').fontSize(8);
+        doc.text(`This credit note is issued towards goods returned against invoice ${sale.invoiceNumber}`, margin, itemY + 15, { width: 300 });
+        doc.text('and the corresponding output tax stands reduced.', margin, itemY + 27, { width: 300 });
+
+        doc.fontSize(9).font('Helvetica');
+        doc.text('for Voyage Eyewear', pageWidth - margin - 150, itemY + 60, { align: 'right' });
+        doc.fontSize(8);
+        doc.text('Authorised Signatory', pageWidth - margin - 150, itemY + 90, { align: 'right' });
+
+        doc.end();
+
+        stream.on('finish', () => {
+          resolve(filePath);
+        });
+
+        stream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        console.error('❌ CREDIT NOTE GENERATION ERROR:', error.message);
+        reject(error);
+      }
+    });
+  }
+
+  // Workshop job card (A5) that travels with the frame to the lab, with a
+  // tear-off slip for the customer at the bottom
+  async generateJobCard(job, sale, store, customer) {
+    return new Promise((resolve, reject) => {
+      try {
+        console.log(`🔍 Generating job card ${job.jobNumber} for ${sale.invoiceNumber}`);
+
+        const invoicesDir = path.join(__dirname, '../invoices');
+        if (!fs.existsSync(invoicesDir)) {
+          fs.mkdirSync(invoicesDir, { recursive: true });
+        }
+
+        const filePath = path.join(invoicesDir, `${job.jobNumber}.pdf`);
+
+        const doc = new PDFDocument({ margin: 20, size: 'A5' });
+        const stream = fs.createWriteStream(filePath);
+
+        doc.pipe(stream);
+
+        const pageWidth = 420;
+        const margin = 20;
+        const contentWidth = pageWidth - 2 * margin;
+
+        // ===== HEADER =====
+        const logoPath = path.join(__dirname, '../assets/voyage-logo.png');
+        if (fs.existsSync(logoPath)) {
+          doc.image(logoPath, margin, 20, { width: 55 });
+        }
+
+        doc.fillColor('#000').font('Helvetica-Bold').fontSize(12);
+        doc.text('JOB CARD', margin, 22, { width: contentWidth, align: 'center' });
+        doc.fontSize(11).text(store.name, margin + 60, 40, { width: contentWidth - 120, align: 'center' });
+        doc.font('Helvetica').fontSize(7);
+        doc.text(formatStoreAddress(store), margin + 60, 55, { width: contentWidth - 120, align: 'center' });
+        doc.text(`Tel No: ${store.phone || '011-45809914'}`, margin + 60, 75, { width: contentWidth - 120, align: 'center' });
+
+        // ===== JOB DETAILS =====
+        let y = 95;
+        const half = contentWidth / 2;
+        doc.rect(margin, y, contentWidth, 58).stroke();
+        doc.moveTo(margin + half, y).lineTo(margin + half, y + 58).stroke();
+
+        const detail = (label, value, x, rowY) => {
+          doc.font('Helvetica-Bold').fontSize(8).text(label, x + 5, rowY, { continued: true });
+          doc.font('Helvetica').text(` ${value}`);
+        };
+        detail('Job No.:', job.jobNumber, margin, y + 6);
+        detail('Invoice No.:', sale.invoiceNumber, margin, y + 20);
+        detail('Ordered:', formatDate(sale.saleDate), margin, y + 34);
+        detail('Due:', formatDate(job.dueDate), margin, y + 46);
+        detail('Customer:', customer.name || 'N/A', margin + half, y + 6);
+        detail('Phone:', customer.phone || 'N/A', margin + half, y + 20);
+        detail('Lab:', job.labName || '-', margin + half, y + 34);
+        detail('Lab Ref.:', job.labReference || '-', margin + half, y + 46);
+        y += 68;
+
+        // ===== FRAME AND LENSES =====
+        doc.font('Helvetica-Bold').fontSize(9).text('Work:', margin, y);
+        y += 14;
+        doc.font('Helvetica').fontSize(8);
+
+        const lensLines = sale.items.filter(item => item.lineType === 'lens');
+        const frameLines = sale.items.filter(item =>
+          item.lineType !== 'lens' &&
+          (item.prescriptionId || lensLines.some(lens => lens.parentItemId === item.id)));
+
+        frameLines.forEach((frame) => {
+          doc.font('Helvetica-Bold').text(`Frame: ${frame.name} (${frame.sku}) x ${frame.quantity}`, margin, y, { width: contentWidth });
+          y = doc.y + 2;
+          lensLines.filter(lens => lens.parentItemId === frame.id).forEach((lens) => {
+            const config = lens.lensConfig;
+            doc.font('Helvetica');
+            if (config) {
+              const material = config.index.material ? ` (${config.index.material})` : '';
+              doc.text(`Lenses: ${config.design.name}, ${config.index.name}${material}`, margin + 10, y, { width: contentWidth - 10 });
+              y = doc.y + 1;
+              if (config.coatings.length > 0) {
+                doc.text(`Coatings: ${config.coatings.map(coating => coating.name).join(', ')}`, margin + 10, y, { width: contentWidth - 10 });
+                y = doc.y + 1;
+              }
+            } else {
+              doc.text(lens.name, margin + 10, y, { width: contentWidth - 10 });
+              y = doc.y + 1;
+            }
+          });
+          y += 4;
+        });
+
+        // ===== PRESCRIPTION =====
+        if (job.prescription) {
+          y = drawPrescription(doc, job.prescription, margin, y + 4, contentWidth);
+        }
+
+        if (job.notes) {
+          doc.font('Helvetica-Bold').fontSize(8).text('Notes:', margin, y + 4, { continued: true });
+          doc.font('Helvetica').text(` ${job.notes}`, { width: contentWidth });
+          y = doc.y;
+        }
+
+        // ===== WORKSHOP SIGN-OFF =====
+        y += 14;
+        const steps = [
+          { status: 'at_lab', label: 'Sent to lab' },
+          { status: 'received', label: 'Received' },
+          { status: 'fitted', label: 'Fitted & checked' },
+          { status: 'delivered', label: 'Delivered' }
+        ];
+        const stepWidth = contentWidth / steps.length;
+        doc.rect(margin, y, contentWidth, 40).stroke();
+        steps.forEach((step, index) => {
+          const x = margin + index * stepWidth;
+          if (index > 0) doc.moveTo(x, y).lineTo(x, y + 40).stroke();
+          const done = (job.history || []).filter(entry => entry.status === step.status).pop();
+          doc.font('Helvetica-Bold').fontSize(7).text(step.label, x, y + 4, { width: stepWidth, align: 'center' });
+          doc.font('Helvetica').fontSize(7);
+          doc.text(done ? formatDate(done.at) : 'Date / Sign', x, y + 26, { width: stepWidth, align: 'center' });
+        });
+        y += 40;
+
+        // ===== CUSTOMER SLIP =====
+        const slipY = Math.max(y + 30, 470);
+        doc.save();
+        doc.dash(4, { space: 3 }).moveTo(margin, slipY).lineTo(pageWidth - margin, slipY).stroke();
+        doc.restore();
+        doc.font('Helvetica-Oblique').fontSize(6).text('cut here', margin, slipY + 2, { width: contentWidth, align: 'center' });
+
+        doc.font('Helvetica-Bold').fontSize(10).text(`${store.name}: Customer Slip`, margin, slipY + 14, { width: contentWidth });
+        doc.font('Helvetica').fontSize(8);
+        doc.text(`Job No.: ${job.jobNumber}    Invoice No.: ${sale.invoiceNumber}`, margin, slipY + 30);
+        doc.text(`Name: ${customer.name || 'N/A'}    Phone: ${customer.phone || 'N/A'}`, margin, slipY + 42);
+        doc.font('Helvetica-Bold').text(`Ready by: ${formatDate(job.dueDate)}`, margin, slipY + 54);
+        doc.font('Helvetica').text('Please bring this slip when you collect your spectacles.', margin, slipY + 66);
+
+        doc.end();
+
+        stream.on('finish', () => {
+          resolve(filePath);
+        });
+
+        stream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        console.error('❌ JOB CARD GENERATION ERROR:', error.message);
+        reject(error);
+      }
+    });
+  }
+
+  // Delivery challan that travels with an inter-store transfer. Goods move
+  // between branches of the same business, so it carries values but no tax.
+  async generateDeliveryChallan(transfer) {
+    return new Promise((resolve, reject) => {
+      try {
+        console.log(`🔍 Generating delivery challan ${transfer.transferNumber}`);
+
+        const invoicesDir = path.join(__dirname, '../invoices');
+        if (!fs.existsSync(invoicesDir)) {
+          fs.mkdirSync(invoicesDir, { recursive: true });
+        }
+
+        const filePath = path.join(invoicesDir, `${transfer.transferNumber}.pdf`);
+
+        const doc = new PDFDocument({ margin: 30, size: 'A4' });
+        const stream = fs.createWriteStream(filePath);
+
+        doc.pipe(stream);
+
+        const pageWidth = 595;
+        const margin = 30;
+        const contentWidth = pageWidth - 2 * margin;
+
+        // ===== HEADER =====
+        const logoPath = path.join(__dirname, '../assets/voyage-logo.png');
+        if (fs.existsSync(logoPath)) {
+          doc.image(logoPath, margin, 28, { width: 60 });
+        }
+
+        doc.fillColor('#000').font('Helvetica-Bold').fontSize(13);
+        doc.text('DELIVERY CHALLAN', margin, 30, { width: contentWidth, align: 'center' });
+        doc.fontSize(16).text('SS ENTERPRISES', margin, 48, { width: contentWidth, align: 'center' });
+        doc.font('Helvetica').fontSize(8);
+        doc.text(`GSTIN: ${gst.getStoreGstin(transfer.fromStore)}`, margin, 68, { width: contentWidth, align: 'center' });
+        doc.text('Stock transfer between branches. Not a sale.', margin, 80, { width: contentWidth, align: 'center' });
+
+        // ===== CHALLAN DETAILS =====
+        let y = 110;
+        const half = contentWidth / 2;
+        doc.rect(margin, y, contentWidth, 30).stroke();
+        doc.moveTo(margin + half, y).lineTo(margin + half, y + 30).stroke();
+
+        const detail = (label, value, x, rowY) => {
+          doc.font('Helvetica-Bold').fontSize(9).text(label, x + 6, rowY, { continued: true });
+          doc.font('Helvetica').text(` ${value}`);
+        };
+        detail('Challan No.:', transfer.transferNumber, margin, y + 5);
+        detail('Dispatched:', transfer.dispatchedAt ? formatDate(transfer.dispatchedAt) : '-', margin, y + 17);
+        detail('Dispatched by:', transfer.dispatchedBy ? transfer.dispatchedBy.name : '-', margin + half, y + 5);
+        detail('Status:', transfer.status.charAt(0).toUpperCase() + transfer.status.slice(1).replace(/_/g, ' '), margin + half, y + 17);
+        y += 30;
+
+        // ===== FROM / TO =====
+        const boxHeight = 62;
+        doc.rect(margin, y, contentWidth, boxHeight).stroke();
+        doc.moveTo(margin + half, y).lineTo(margin + half, y + boxHeight).stroke();
+        [['Consignor (From)', transfer.fromStore], ['Consignee (To)', transfer.toStore]].forEach(([label, store], index) => {
+          const x = margin + index * half + 6;
+          doc.font('Helvetica-Bold').fontSize(9).text(label, x, y + 5);
+          doc.fontSize(10).text(store.name, x, y + 18, { width: half - 12 });
+          doc.font('Helvetica').fontSize(8).text(formatStoreAddress(store), x, y + 31, { width: half - 12, height: 20 });
+          if (store.phone) doc.text(`Tel: ${store.phone}`, x, y + 50, { width: half - 12 });
+        });
+        y += boxHeight + 12;
+
+        // ===== ITEMS =====
+        const columns = [
+          { label: '#', width: 25, align: 'center' },
+          { label: 'Product', width: 185, align: 'left' },
+          { label: 'SKU', width: 85, align: 'left' },
+          { label: 'HSN', width: 45, align: 'center' },
+          { label: 'Qty Sent', width: 45, align: 'right' },
+          { label: 'Qty Recd.', width: 45, align: 'right' },
+          { label: 'Value (Rs.)', width: 105, align: 'right' }
+        ];
+        const drawRow = (cells, rowY, font) => {
+          let x = margin;
+          doc.font(font).fontSize(8);
+          cells.forEach((cell, index) => {
+            doc.text(cell, x + 3, rowY, { width: columns[index].width - 6, align: columns[index].align, height: 10, ellipsis: true });
+            x += columns[index].width;
+          });
+        };
+
+        doc.rect(margin, y, contentWidth, 16).fillAndStroke('#eeeeee', '#000');
+        doc.fillColor('#000');
+        drawRow(columns.map(column => column.label), y + 4, 'Helvetica-Bold');
+        y += 16;
+
+        const showReceived = transfer.status !== 'in_transit';
+        let totalQuantity = 0;
+        let totalReceived = 0;
+        let totalValue = 0;
+        transfer.items.forEach((item, index) => {
+          if (y > 720) {
+            doc.addPage();
+            y = margin;
+          }
+          const price = item.product ? parseFloat(item.product.price) : 0;
+          const value = price * item.quantity;
+          totalQuantity += item.quantity;
+          totalReceived += item.receivedQuantity;
+          totalValue += value;
+
+          drawRow([
+            String(index + 1),
+            item.name || 'Product',
+            item.sku || '',
+            (item.product && item.product.hsnCode) || '',
+            String(item.quantity),
+            showReceived ? String(item.receivedQuantity) : '',
+            value.toFixed(2)
+          ], y + 5, 'Helvetica');
+          y += 20;
+          doc.moveTo(margin, y).lineTo(margin + contentWidth, y).lineWidth(0.5).stroke().lineWidth(1);
+        });
+
+        drawRow(['', 'Total', '', '', String(totalQuantity), showReceived ? String(totalReceived) : '', totalValue.toFixed(2)], y + 5, 'Helvetica-Bold');
+        y += 20;
+        doc.moveTo(margin, y).lineTo(margin + contentWidth, y).stroke();
+
+        doc.font('Helvetica').fontSize(8);
+        doc.text(`Value at MRP: ${amountInWords(totalValue)}`, margin, y + 6, { width: contentWidth });
+        y = doc.y + 6;
+
+        // ===== DISCREPANCIES =====
+        const discrepancies = transfer.items.filter(item => item.discrepancyNote || (transfer.status === 'received' && item.receivedQuantity < item.quantity));
+        if (discrepancies.length > 0) {
+          doc.font('Helvetica-Bold').fontSize(9).text('Discrepancies:', margin, y);
+          doc.font('Helvetica').fontSize(8);
+          discrepancies.forEach((item) => {
+            const short = item.quantity - item.receivedQuantity;
+            doc.text(`${item.name} (${item.sku}): ${short} short${item.discrepancyNote ? `, ${item.discrepancyNote}` : ''}`, margin + 10, doc.y + 2, { width: contentWidth - 10 });
+          });
+          y = doc.y + 6;
+        }
+
+        if (transfer.notes) {
+          doc.font('Helvetica-Bold').fontSize(8).text('Notes:', margin, y, { continued: true });
+          doc.font('Helvetica').text(` ${transfer.notes}`, { width: contentWidth });
+          y = doc.y + 6;
+        }
+
+        // ===== SIGNATURES =====
+        y = Math.max(y + 20, 700);
+        const signWidth = contentWidth / 3;
+        ['Dispatched by', 'Carried by', 'Received by'].forEach((label, index) => {
+          const x = margin + index * signWidth;
+          doc.moveTo(x + 15, y + 40).lineTo(x + signWidth - 15, y + 40).stroke();
+          doc.font('Helvetica').fontSize(8).text(`${label} (Name, Sign & Date)`, x, y + 45, { width: signWidth, align: 'center' });
+        });
+
+        doc.end();
+
+        stream.on('finish', () => {
+          resolve(filePath);
+        });
+
+        stream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        console.error('❌ DELIVERY CHALLAN GENERATION ERROR:', error.message);
+        reject(error);
+      }
+    });
+  }
+
+  // Sticker sheet of price labels: name, SKU, barcode (the product's own, or its
+  // SKU when it has none) and MRP. A4 with 3 x 8 labels of 63.5 x 33.9 mm.
+  async generateLabels(products, { copies = 1 } = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        const labels = products.flatMap(product => Array(copies).fill(product));
+        console.log(`🔍 Generating ${labels.length} barcode labels for ${products.length} products`);
+
+        const invoicesDir = path.join(__dirname, '../invoices');
+        if (!fs.existsSync(invoicesDir)) {
+          fs.mkdirSync(invoicesDir, { recursive: true });
+        }
+
+        const filePath = path.join(invoicesDir, `labels-${Date.now()}.pdf`);
+
+        const doc = new PDFDocument({ margin: 0, size: 'A4', autoFirstPage: false });
+        const stream = fs.createWriteStream(filePath);
+
+        doc.pipe(stream);
+
+        const columns = 3;
+        const rows = 8;
+        const labelWidth = 180;
+        const labelHeight = 96;
+        const left = (595 - columns * labelWidth) / 2;
+        const top = (842 - rows * labelHeight) / 2;
+        const padding = 8;
+
+        labels.forEach((product, index) => {
+          const position = index % (columns * rows);
+          if (position === 0) doc.addPage();
+
+          const x = left + (position % columns) * labelWidth + padding;
+          const y = top + Math.floor(position / columns) * labelHeight + padding;
+          const width = labelWidth - 2 * padding;
+
+          doc.fillColor('#000').font('Helvetica-Bold').fontSize(8);
+          doc.text(product.name, x, y, { width, height: 20, ellipsis: true });
+          doc.font('Helvetica').fontSize(7).text(`SKU: ${product.sku}`, x, y + 21, { width, lineBreak: false });
+
+          const barcodeBottom = barcodes.draw(doc, product.barcode || product.sku, x, y + 31, { width, height: 30 });
+
+          doc.font('Helvetica-Bold').fontSize(9);
+          doc.text(`MRP Rs. ${parseFloat(product.price).toFixed(2)}`, x, barcodeBottom + 1, { width, align: 'center', lineBreak: false });
+          doc.font('Helvetica').fontSize(5).text('(Incl. of all taxes)', x, barcodeBottom + 11, { width, align: 'center', lineBreak: false });
+        });
+
+        doc.end();
+
+        stream.on('finish', () => {
+          resolve(filePath);
+        });
+
+        stream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        console.error('❌ LABEL GENERATION ERROR:', error.message);
+        reject(error);
+      }
+    });
+  }
 }
 
 module.exports = new InvoiceGenerator();
@@ -0,0 +1,42 @@
+// The stores are all in India, so business dates and times (financial years, tax
+// slab and job due dates, promotion hours, the low stock digest) are worked out
+// in IST whatever time zone the server runs in
+const TIME_ZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class IstDateService {
+  // Calendar date (YYYY-MM-DD)
+  toDateString(date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(new Date(date));
+  }
+
+  // Day of the week (0 is Sunday) and minutes past midnight
+  getTime(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: TIME_ZONE,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(date));
+    const part = (type) => parts.find(entry => entry.type === type).value;
+
+    return {
+      day: WEEKDAYS.indexOf(part('weekday')),
+      minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+  }
+
+  // Date for customers to read, e.g. 5 Nov 2026
+  format(date) {
+    return new Date(date).toLocaleDateString('en-IN', { timeZone: TIME_ZONE, day: 'numeric', month: 'short', year: 'numeric' });
+  }
+}
+
+module.exports = new IstDateService();
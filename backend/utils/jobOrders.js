@@ -0,0 +1,167 @@
+const documentNumber = require('./documentNumber');
+const notifications = require('./notifications');
+const istDate = require('./istDate');
+
+// Workshop flow for spectacles sent out for lenses, in order
+const STATUSES = ['ordered', 'at_lab', 'received', 'fitted', 'delivered'];
+
+const STATUS_LABELS = {
+  ordered: 'Ordered',
+  at_lab: 'At lab',
+  received: 'Received from lab',
+  fitted: 'Fitted',
+  delivered: 'Delivered'
+};
+
+// Days the lab usually takes, used when the counter doesn't give a due date
+const DEFAULT_DUE_DAYS = parseInt(process.env.JOB_ORDER_DUE_DAYS) || 7;
+
+// What the customer is told at each step (steps without a message are internal)
+const MESSAGES = {
+  ordered: ({ customer, store, job }) =>
+    `Hi ${customer.name}, your spectacles order ${job.jobNumber} at ${store.name} is placed and should be ready by ${formatDueDate(job.dueDate)}.`,
+  fitted: ({ customer, store, job }) =>
+    `Hi ${customer.name}, your spectacles (order ${job.jobNumber}) are ready for pickup at ${store.name}.`,
+  delivered: ({ customer, store, job }) =>
+    `Hi ${customer.name}, thank you for collecting order ${job.jobNumber} from ${store.name}. We hope you enjoy your new spectacles!`
+};
+
+// Calendar dates are the stores' (IST), so a job due today isn't overdue until midnight there
+const toDateString = (date) => istDate.toDateString(date);
+
+const formatDueDate = (value) => istDate.format(value);
+
+// Job orders track eyewear from the sale to handover: the lab order, due date
+// and status changes, with the customer kept informed along the way
+class JobOrderService {
+  getStatuses() {
+    return STATUSES.map(status => ({ value: status, label: STATUS_LABELS[status] }));
+  }
+
+  // Sales with lenses or made to a prescription go to the workshop
+  needsJob(saleItems) {
+    return saleItems.some(item => item.lineType === 'lens' || item.prescriptionId);
+  }
+
+  // Today's date in IST (YYYY-MM-DD), what due dates are compared with
+  today(date = new Date()) {
+    return toDateString(date);
+  }
+
+  parseDueDate(value, orderDate = new Date()) {
+    if (!value) {
+      const dueDate = new Date(orderDate);
+      dueDate.setTime(dueDate.getTime() + DEFAULT_DUE_DAYS * 24 * 60 * 60 * 1000);
+      return toDateString(dueDate);
+    }
+
+    const dueDate = new Date(value);
+    if (isNaN(dueDate.getTime())) {
+      throw new Error('Invalid due date');
+    }
+    if (toDateString(dueDate) < toDateString(new Date(orderDate))) {
+      throw new Error('Due date cannot be before the order date');
+    }
+    return toDateString(dueDate);
+  }
+
+  isOverdue(job, date = new Date()) {
+    return job.status !== 'delivered' && job.dueDate < this.today(date);
+  }
+
+  historyEntry(status, user, note) {
+    return {
+      status,
+      at: new Date().toISOString(),
+      userId: user.id,
+      userName: user.name,
+      note: note || ''
+    };
+  }
+
+  // Open a job for a sale. Call inside the sale's transaction so the job number
+  // is only used if the job is saved.
+  async createForSale(manager, sale, store, { user, prescriptionId, dueDate, labName, labReference, notes }) {
+    const jobRepo = manager.getRepository('JobOrder');
+
+    if (await jobRepo.findOne({ where: { saleId: sale.id } })) {
+      throw new Error(`Sale ${sale.invoiceNumber} already has a job order`);
+    }
+
+    const jobNumber = await documentNumber.next(manager, store, 'job_order', new Date(sale.saleDate));
+    const job = await jobRepo.save(jobRepo.create({
+      jobNumber,
+      saleId: sale.id,
+      storeId: sale.storeId,
+      customerId: sale.customerId,
+      prescriptionId: prescriptionId || null,
+      status: 'ordered',
+      dueDate: this.parseDueDate(dueDate, sale.saleDate),
+      labName: labName || null,
+      labReference: labReference || null,
+      notes: notes || '',
+      history: [this.historyEntry('ordered', user, null)],
+      createdById: user.id
+    }));
+
+    console.log(`🛠️ Job order ${jobNumber} opened for sale ${sale.invoiceNumber}`);
+    return job;
+  }
+
+  // Move a job along the flow. Steps can be skipped (e.g. fitted in-house), but
+  // only admins can move a job back, to correct a mistake.
+  changeStatus(job, status, { user, note }) {
+    const from = STATUSES.indexOf(job.status);
+    const to = STATUSES.indexOf(status);
+
+    if (to === -1) {
+      throw new Error(`Status must be one of ${STATUSES.join(', ')}`);
+    }
+    if (to === from) {
+      throw new Error(`Job ${job.jobNumber} is already ${STATUS_LABELS[status].toLowerCase()}`);
+    }
+    if (to < from && user.role !== 'admin') {
+      throw new Error('Only an admin can move a job back to an earlier step');
+    }
+
+    job.status = status;
+    job.deliveredAt = status === 'delivered' ? new Date() : null;
+    job.history = [...(job.history || []), this.historyEntry(status, user, note)];
+    return job;
+  }
+
+  // Tell the customer about the job's current step, if that step has a message.
+  // Never throws: the outcome is recorded on the latest history entry instead.
+  async notifyCustomer(manager, job, { customer, store }) {
+    const template = MESSAGES[job.status];
+    if (!template) return null;
+
+    let notification;
+    try {
+      const sent = await notifications.send({
+        to: customer.phone,
+        message: template({ customer, store, job }),
+        reference: job.jobNumber
+      });
+      notification = { ...sent, sentAt: new Date().toISOString() };
+    } catch (error) {
+      console.error(`❌ Could not notify customer for job ${job.jobNumber}:`, error.message);
+      notification = { error: error.message };
+    }
+
+    const history = [...(job.history || [])];
+    if (history.length > 0) {
+      history[history.length - 1] = { ...history[history.length - 1], notification };
+      job.history = history;
+      try {
+        await manager.getRepository('JobOrder').update(job.id, { history });
+      } catch (error) {
+        console.error(`❌ Could not record notification for job ${job.jobNumber}:`, error.message);
+      }
+    }
+
+    return notification;
+  }
+}
+
+module.exports = new JobOrderService();
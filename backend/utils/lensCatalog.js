@@ -0,0 +1,175 @@
+const taxSlabs = require('./taxSlab');
+
+// Spectacle lenses of plastic (most lenses sold); glass lenses are 90014090
+const LENS_HSN_CODE = '90015000';
+
+// Used when the slab master has no rate for a lens HSN
+const DEFAULT_LENS_TAX_RATE = 5;
+
+// Products lenses can be fitted to
+const LENS_CATEGORIES = ['frame', 'eyeglass'];
+
+// Lens HSN slab added on first start if the master doesn't have one
+const LENS_SLABS = [
+  {
+    hsnCode: LENS_HSN_CODE,
+    description: 'Spectacle lenses of other materials',
+    taxRate: 12,
+    effectiveFrom: '2017-07-01',
+    matchTerms: ['spectacle lens']
+  },
+  {
+    hsnCode: LENS_HSN_CODE,
+    description: 'Spectacle lenses of other materials',
+    taxRate: 5,
+    effectiveFrom: '2025-09-22',
+    matchTerms: ['spectacle lens']
+  }
+];
+
+// Starter catalog, created when the table is empty. Prices are per pair, tax-inclusive.
+const DEFAULT_OPTIONS = [
+  { kind: 'design', code: 'single_vision', name: 'Single Vision', price: 0, sortOrder: 1 },
+  { kind: 'design', code: 'bifocal', name: 'Bifocal', price: 800, sortOrder: 2 },
+  { kind: 'design', code: 'progressive', name: 'Progressive', price: 3500, sortOrder: 3 },
+  { kind: 'index', code: 'index_150', name: '1.50 Standard', material: 'CR-39', price: 1200, sortOrder: 1 },
+  { kind: 'index', code: 'index_156', name: '1.56 Mid-index', material: 'Plastic', price: 1800, sortOrder: 2 },
+  { kind: 'index', code: 'index_159', name: '1.59 Polycarbonate', material: 'Polycarbonate', price: 2500, sortOrder: 3 },
+  { kind: 'index', code: 'index_167', name: '1.67 High-index', material: 'Plastic', price: 4500, designPrices: { progressive: 5500 }, sortOrder: 4 },
+  { kind: 'index', code: 'index_174', name: '1.74 Ultra-thin', material: 'Plastic', price: 7500, designs: ['single_vision', 'progressive'], sortOrder: 5 },
+  { kind: 'coating', code: 'hard_coat', name: 'Scratch-resistant', price: 300, sortOrder: 1 },
+  { kind: 'coating', code: 'anti_glare', name: 'Anti-glare', price: 600, sortOrder: 2 },
+  { kind: 'coating', code: 'blue_cut', name: 'Blue-cut', price: 900, sortOrder: 3 },
+  { kind: 'coating', code: 'photochromic', name: 'Photochromic', price: 2200, designs: ['single_vision', 'progressive'], sortOrder: 4 }
+];
+
+const KINDS = ['design', 'index', 'coating'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Lens catalog and pricing. A lens configuration is one design, one index and any
+// number of coatings; it is billed as its own line next to the frame it's fitted to.
+class LensCatalog {
+  canTakeLens(product) {
+    return LENS_CATEGORIES.includes((product?.category || '').toLowerCase());
+  }
+
+  async getOptions(manager, { includeInactive = false } = {}) {
+    return manager.getRepository('LensOption').find({
+      where: includeInactive ? {} : { isActive: true },
+      order: { kind: 'ASC', sortOrder: 'ASC', id: 'ASC' }
+    });
+  }
+
+  validateOption(data) {
+    if (!KINDS.includes(data.kind)) {
+      throw new Error(`Lens option kind must be one of ${KINDS.join(', ')}`);
+    }
+    if (!data.code || !/^[a-z0-9_]+$/.test(data.code)) {
+      throw new Error('Code must be lowercase letters, digits and underscores');
+    }
+    if (!data.name) {
+      throw new Error('Name is required');
+    }
+    if (isNaN(parseFloat(data.price)) || parseFloat(data.price) < 0) {
+      throw new Error('Price must be zero or more');
+    }
+    for (const [design, price] of Object.entries(data.designPrices || {})) {
+      if (isNaN(parseFloat(price)) || parseFloat(price) < 0) {
+        throw new Error(`Price for ${design} must be zero or more`);
+      }
+    }
+    if (data.hsnCode && !/^(\d{4}|\d{6}|\d{8})$/.test(data.hsnCode)) {
+      throw new Error('HSN code must be 4, 6 or 8 digits');
+    }
+  }
+
+  // Price a selection ({ design, index, coatings } by option code) against the
+  // active catalog. Throws when an option is unknown or not offered with the design.
+  configure(options, selection) {
+    const byCode = new Map(options.filter(option => option.isActive).map(option => [option.code, option]));
+    const pick = (code, kind) => {
+      const option = byCode.get(code);
+      if (!option || option.kind !== kind) {
+        throw new Error(`Unknown lens ${kind}: ${code || 'none selected'}`);
+      }
+      return option;
+    };
+
+    const design = pick(selection?.design, 'design');
+    const index = pick(selection?.index, 'index');
+    const coatings = [...new Set(selection.coatings || [])].map(code => pick(code, 'coating'));
+
+    for (const option of [index, ...coatings]) {
+      if (option.designs && !option.designs.includes(design.code)) {
+        throw new Error(`${option.name} is not available with ${design.name} lenses`);
+      }
+    }
+
+    // An option can cost more with some designs (e.g. high-index progressives)
+    const toPart = (option) => {
+      const override = option.designPrices ? option.designPrices[design.code] : undefined;
+      return {
+        code: option.code,
+        name: option.name,
+        price: roundAmount(parseFloat(override !== undefined ? override : option.price) || 0)
+      };
+    };
+
+    const config = {
+      design: toPart(design),
+      index: { ...toPart(index), material: index.material || null },
+      coatings: coatings.map(toPart)
+    };
+    const price = roundAmount([config.design, config.index, ...config.coatings]
+      .reduce((sum, part) => sum + part.price, 0));
+
+    return {
+      name: `Lenses: ${design.name}, ${index.name}${coatings.length > 0 ? ` + ${coatings.map(option => option.name).join(', ')}` : ''}`,
+      sku: `LENS-${design.code}-${index.code}`.toUpperCase(),
+      hsnCode: index.hsnCode || design.hsnCode || LENS_HSN_CODE,
+      price,
+      config
+    };
+  }
+
+  // The codes a stored lensConfig was made from, to re-price it
+  toSelection(lensConfig) {
+    return {
+      design: lensConfig.design.code,
+      index: lensConfig.index.code,
+      coatings: lensConfig.coatings.map(coating => coating.code)
+    };
+  }
+
+  // HSN codes lens lines can bill under with the current catalog
+  getHsnCodes(options) {
+    return [...new Set([LENS_HSN_CODE, ...options.map(option => option.hsnCode).filter(Boolean)])];
+  }
+
+  getTaxRate(slabs, hsnCode, date) {
+    const rate = taxSlabs.getRate(slabs, hsnCode, date);
+    if (rate === null) {
+      console.warn(`⚠️ No tax slab for lens HSN ${hsnCode}, billing at ${DEFAULT_LENS_TAX_RATE}%`);
+      return DEFAULT_LENS_TAX_RATE;
+    }
+    return rate;
+  }
+
+  // Run at startup: starter catalog and the lens HSN slab
+  async ensureDefaults(manager) {
+    const optionRepo = manager.getRepository('LensOption');
+    if (await optionRepo.count() === 0) {
+      await optionRepo.save(DEFAULT_OPTIONS.map(option => optionRepo.create(option)));
+      console.log(`✅ Created ${DEFAULT_OPTIONS.length} default lens options`);
+    }
+
+    const slabRepo = manager.getRepository('TaxSlab');
+    if (await slabRepo.count({ where: { hsnCode: LENS_HSN_CODE } }) === 0) {
+      await slabRepo.save(LENS_SLABS.map(slab => slabRepo.create(slab)));
+      console.log(`✅ Created tax slabs for lens HSN ${LENS_HSN_CODE}`);
+    }
+  }
+}
+
+module.exports = new LensCatalog();
@@ -0,0 +1,330 @@
+const { AppDataSource } = require('../data-source');
+const notifications = require('./notifications');
+const istDate = require('./istDate');
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Orders and transfers whose goods haven't all arrived yet
+const OPEN_ORDER_STATUSES = ['draft', 'approved', 'partially_received'];
+const OPEN_TRANSFER_STATUSES = ['draft', 'in_transit', 'partially_received'];
+
+const getDigestRepository = (manager = AppDataSource.manager) => manager.getRepository('LowStockDigest');
+
+function parseDigestTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return 9 * 60;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+function parseLevel(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 0) {
+    throw new Error(`${name} must be a whole number of 0 or more`);
+  }
+  return level;
+}
+
+// Reorder points per product per store. A product is low at a store once its
+// stock is at or below the reorder level set for that store; the report says
+// how much to bring in, where it could come from (another store with stock to
+// spare, or the supplier it was last bought from) and what is already on the
+// way. A daily digest of the report is saved and sent to LOW_STOCK_DIGEST_TO.
+class LowStockService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // How much to bring in: the usual reorder quantity, or enough to get back to
+  // twice the reorder level, less what is already on order
+  getSuggestedQuantity({ quantity, reorderLevel, reorderQuantity }, onOrder) {
+    const wanted = reorderQuantity || Math.max(reorderLevel * 2 - quantity, 1);
+    return Math.max(wanted - onOrder, 0);
+  }
+
+  // Units of each product (by `storeId:productId`) on open purchase orders and
+  // transfers to the stores, not yet received
+  async getOnOrder(manager, productIds) {
+    const onOrder = new Map();
+    const add = (storeId, productId, units) => {
+      const key = `${storeId}:${productId}`;
+      onOrder.set(key, (onOrder.get(key) || 0) + Math.max(units, 0));
+    };
+
+    const orderLines = await manager.getRepository('PurchaseOrderItem').createQueryBuilder('item')
+      .innerJoinAndSelect('item.purchaseOrder', 'purchaseOrder')
+      .where('item.productId IN (:...productIds)', { productIds })
+      .andWhere('purchaseOrder.status IN (:...statuses)', { statuses: OPEN_ORDER_STATUSES })
+      .getMany();
+    orderLines.forEach(item => add(item.purchaseOrder.storeId, item.productId, item.quantity - item.receivedQuantity));
+
+    const transferLines = await manager.getRepository('StockTransferItem').createQueryBuilder('item')
+      .innerJoinAndSelect('item.transfer', 'transfer')
+      .where('item.productId IN (:...productIds)', { productIds })
+      .andWhere('transfer.status IN (:...statuses)', { statuses: OPEN_TRANSFER_STATUSES })
+      .getMany();
+    transferLines.forEach(item => add(item.transfer.toStoreId, item.productId, item.quantity - item.receivedQuantity));
+
+    return onOrder;
+  }
+
+  // The supplier and cost each product was last ordered at
+  async getLastPurchases(manager, productIds) {
+    const lines = await manager.getRepository('PurchaseOrderItem').createQueryBuilder('item')
+      .innerJoinAndSelect('item.purchaseOrder', 'purchaseOrder')
+      .innerJoinAndSelect('purchaseOrder.supplier', 'supplier')
+      .where('item.productId IN (:...productIds)', { productIds })
+      .andWhere('purchaseOrder.status != :cancelled', { cancelled: 'cancelled' })
+      .orderBy('purchaseOrder.createdAt', 'DESC')
+      .getMany();
+
+    const lastPurchases = new Map();
+    for (const item of lines) {
+      if (lastPurchases.has(item.productId)) continue;
+      lastPurchases.set(item.productId, {
+        supplierId: item.purchaseOrder.supplierId,
+        supplierName: item.purchaseOrder.supplier.name,
+        unitCost: parseFloat(item.unitCost),
+        poNumber: item.purchaseOrder.poNumber
+      });
+    }
+    return lastPurchases;
+  }
+
+  // Stock other stores could send: what they hold above their own reorder level
+  async getSpareStock(manager, productIds) {
+    const rows = await manager.getRepository('Inventory').createQueryBuilder('inventory')
+      .innerJoinAndSelect('inventory.store', 'store')
+      .where('inventory.productId IN (:...productIds)', { productIds })
+      .andWhere('inventory.quantity > COALESCE(inventory.reorderLevel, 0)')
+      .andWhere('store.isActive = :isActive', { isActive: true })
+      .getMany();
+
+    const spare = new Map();
+    for (const row of rows) {
+      const sources = spare.get(row.productId) || [];
+      sources.push({
+        storeId: row.storeId,
+        storeName: row.store.name,
+        quantity: row.quantity,
+        spare: row.quantity - (row.reorderLevel || 0)
+      });
+      spare.set(row.productId, sources);
+    }
+    return spare;
+  }
+
+  // Everything at or below its reorder level, optionally for one store or category
+  async getReport(manager, { storeId, category } = {}) {
+    const queryBuilder = manager.getRepository('Inventory').createQueryBuilder('inventory')
+      .innerJoinAndSelect('inventory.product', 'product')
+      .innerJoinAndSelect('inventory.store', 'store')
+      .where('inventory.reorderLevel IS NOT NULL')
+      .andWhere('inventory.quantity <= inventory.reorderLevel')
+      .andWhere('product.isActive = :isActive', { isActive: true })
+      .andWhere('store.isActive = :isActive', { isActive: true });
+
+    if (storeId) {
+      queryBuilder.andWhere('inventory.storeId = :storeId', { storeId: parseInt(storeId) });
+    }
+    if (category) {
+      queryBuilder.andWhere('product.category = :category', { category });
+    }
+
+    const rows = await queryBuilder
+      .orderBy('store.name', 'ASC')
+      .addOrderBy('inventory.quantity', 'ASC')
+      .addOrderBy('product.name', 'ASC')
+      .getMany();
+
+    const summary = { items: rows.length, outOfStock: 0, byStore: [] };
+    if (rows.length === 0) {
+      return { lines: [], summary };
+    }
+
+    const productIds = [...new Set(rows.map(row => row.productId))];
+    const [onOrder, lastPurchases, spare] = await Promise.all([
+      this.getOnOrder(manager, productIds),
+      this.getLastPurchases(manager, productIds),
+      this.getSpareStock(manager, productIds)
+    ]);
+
+    const byStore = new Map();
+    const lines = rows.map((row) => {
+      const incoming = onOrder.get(`${row.storeId}:${row.productId}`) || 0;
+      const lastPurchase = lastPurchases.get(row.productId) || null;
+      const costPrice = row.product.costPrice === null ? null : parseFloat(row.product.costPrice);
+
+      if (row.quantity <= 0) summary.outOfStock += 1;
+      const storeSummary = byStore.get(row.storeId) || { storeId: row.storeId, storeName: row.store.name, items: 0, outOfStock: 0 };
+      storeSummary.items += 1;
+      if (row.quantity <= 0) storeSummary.outOfStock += 1;
+      byStore.set(row.storeId, storeSummary);
+
+      return {
+        inventoryId: row.id,
+        productId: row.productId,
+        name: row.product.name,
+        sku: row.product.sku,
+        category: row.product.category,
+        storeId: row.storeId,
+        storeName: row.store.name,
+        quantity: row.quantity,
+        reorderLevel: row.reorderLevel,
+        reorderQuantity: row.reorderQuantity,
+        onOrder: incoming,
+        suggestedQuantity: this.getSuggestedQuantity(row, incoming),
+        // Other stores first by how much they can spare
+        sources: (spare.get(row.productId) || [])
+          .filter(source => source.storeId !== row.storeId)
+          .sort((a, b) => b.spare - a.spare),
+        lastPurchase,
+        unitCost: lastPurchase ? lastPurchase.unitCost : costPrice
+      };
+    });
+
+    summary.byStore = [...byStore.values()];
+    return { lines, summary };
+  }
+
+  // Set reorder levels: [{ productId, storeId, reorderLevel, reorderQuantity }].
+  // Null clears a level. Call inside a transaction.
+  async setLevels(manager, levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new Error('Enter at least one reorder level');
+    }
+
+    const inventoryRepo = manager.getRepository('Inventory');
+    const saved = [];
+    for (const entry of levels) {
+      const productId = parseInt(entry.productId);
+      const storeId = parseInt(entry.storeId);
+      const product = await manager.getRepository('Product').findOne({ where: { id: productId || 0 } });
+      if (!product) {
+        throw new Error(`Product not found: ${entry.productId}`);
+      }
+      const store = await manager.getRepository('Store').findOne({ where: { id: storeId || 0 } });
+      if (!store) {
+        throw new Error(`Store not found: ${entry.storeId}`);
+      }
+
+      const reorderLevel = parseLevel(entry.reorderLevel, `Reorder level for ${product.name}`);
+      const reorderQuantity = parseLevel(entry.reorderQuantity, `Reorder quantity for ${product.name}`);
+      if (reorderQuantity === 0) {
+        throw new Error(`Reorder quantity for ${product.name} must be at least 1`);
+      }
+
+      // A product the store has never stocked gets an empty stock row to hold the level
+      let inventory = await inventoryRepo.findOne({ where: { productId, storeId } });
+      if (!inventory) {
+        inventory = inventoryRepo.create({ productId, storeId, quantity: 0 });
+      }
+      inventory.reorderLevel = reorderLevel;
+      inventory.reorderQuantity = reorderLevel === null ? null : reorderQuantity;
+      saved.push(await inventoryRepo.save(inventory));
+    }
+    return saved;
+  }
+
+  // Plain-text digest that fits an SMS or WhatsApp message
+  buildMessage(report, date) {
+    const { summary } = report;
+    if (summary.items === 0) {
+      return `Low stock ${date}: nothing is at or below its reorder level.`;
+    }
+
+    const stores = summary.byStore.map(store =>
+      `${store.storeName}: ${store.items} low${store.outOfStock ? `, ${store.outOfStock} out` : ''}`);
+    const urgent = report.lines
+      .filter(line => line.quantity <= 0 && line.onOrder === 0)
+      .slice(0, 5)
+      .map(line => `${line.sku} at ${line.storeName}`);
+
+    return [
+      `Low stock ${date}: ${summary.items} item(s), ${summary.outOfStock} out of stock.`,
+      stores.join('; '),
+      urgent.length > 0 ? `Out with nothing on order: ${urgent.join(', ')}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  // Save today's digest and send it. The unique date keeps a second server (or
+  // a restart) from sending it again; returns null when it was already done.
+  async runDigest(now = new Date()) {
+    const digestDate = istDate.toDateString(now);
+    const digestRepo = getDigestRepository();
+
+    if (await digestRepo.findOne({ where: { digestDate } })) return null;
+
+    const report = await this.getReport(AppDataSource.manager);
+    const recipients = (process.env.LOW_STOCK_DIGEST_TO || '')
+      .split(',')
+      .map(number => number.trim())
+      .filter(Boolean);
+
+    let digest;
+    try {
+      digest = await digestRepo.save(digestRepo.create({
+        digestDate,
+        itemCount: report.summary.items,
+        outOfStockCount: report.summary.outOfStock,
+        byStore: report.summary.byStore,
+        message: this.buildMessage(report, digestDate),
+        recipients: recipients.join(', ') || null
+      }));
+    } catch (error) {
+      // Another server saved today's digest first
+      if (error.code === '23505') return null;
+      throw error;
+    }
+
+    const errors = [];
+    for (const to of recipients) {
+      try {
+        await notifications.send({ to, message: digest.message, reference: `low-stock-${digestDate}` });
+      } catch (error) {
+        errors.push(`${to}: ${error.message}`);
+      }
+    }
+    if (errors.length > 0) {
+      digest.deliveryError = errors.join('; ');
+      await digestRepo.save(digest);
+    }
+
+    console.log(`📉 Low stock digest for ${digestDate}: ${report.summary.items} item(s), sent to ${recipients.length} number(s)`);
+    return digest;
+  }
+
+  async getLatestDigest() {
+    const [digest] = await getDigestRepository().find({ order: { digestDate: 'DESC' }, take: 1 });
+    return digest || null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const digestAt = parseDigestTime(process.env.LOW_STOCK_DIGEST_TIME);
+    const check = async () => {
+      if (this.running || istDate.getTime().minutes < digestAt) return;
+      this.running = true;
+      try {
+        await this.runDigest();
+      } catch (error) {
+        console.error('❌ Low stock digest failed:', error.message);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(check, CHECK_INTERVAL_MS);
+    check();
+    console.log(`🔁 Low stock digest scheduled daily at ${process.env.LOW_STOCK_DIGEST_TIME || '09:00'}`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new LowStockService();
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+const CHANNELS = ['sms', 'whatsapp'];
+
+// Stand-in provider: appends each message to a local file instead of sending it,
+// so the flow can be run end to end without an SMS/WhatsApp account
+class FileLogProvider {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async send({ channel, to, message, reference }) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const id = `log-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const entry = { id, channel, to, message, reference, sentAt: new Date().toISOString() };
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    return { id };
+  }
+}
+
+// Customer messages over SMS or WhatsApp. A provider is any object with
+// `send({ channel, to, message, reference })` resolving to `{ id }`; register one
+// with registerProvider() and select it with NOTIFICATION_PROVIDER.
+class NotificationService {
+  constructor() {
+    this.providers = {
+      log: new FileLogProvider(
+        process.env.NOTIFICATION_LOG_FILE || path.join(__dirname, '../logs/notifications.log')
+      )
+    };
+  }
+
+  registerProvider(name, provider) {
+    if (typeof provider?.send !== 'function') {
+      throw new Error(`Notification provider ${name} must have a send() method`);
+    }
+    this.providers[name] = provider;
+  }
+
+  getChannel() {
+    const channel = process.env.NOTIFICATION_CHANNEL || 'sms';
+    return CHANNELS.includes(channel) ? channel : 'sms';
+  }
+
+  // Send one message; resolves to what was sent or throws with the provider's error
+  async send({ to, message, reference, channel = this.getChannel() }) {
+    const providerName = process.env.NOTIFICATION_PROVIDER || 'log';
+    const provider = this.providers[providerName];
+    if (!provider) {
+      throw new Error(`Unknown notification provider: ${providerName}`);
+    }
+    if (!to) {
+      throw new Error('No phone number to notify');
+    }
+
+    const result = await provider.send({ channel, to, message, reference });
+    console.log(`📨 ${channel} to ${to} via ${providerName}${reference ? ` (${reference})` : ''}`);
+
+    return { provider: providerName, channel, id: result?.id || null };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,135 @@
+// Product categories sold to a prescription (lenses are cut to the customer's Rx)
+const RX_CATEGORIES = ['eyeglass'];
+
+// An eye test is treated as current for this long unless the prescriber says otherwise
+const DEFAULT_VALIDITY_MONTHS = 12;
+
+const EYES = ['right', 'left'];
+const PRISM_BASES = ['BI', 'BO', 'BU', 'BD'];
+
+// Allowed range and step for each optical value
+const LIMITS = {
+  Sph: { label: 'SPH', min: -30, max: 30, step: 0.25 },
+  Cyl: { label: 'CYL', min: -10, max: 10, step: 0.25 },
+  Add: { label: 'ADD', min: 0, max: 4, step: 0.25 },
+  Pd: { label: 'PD', min: 20, max: 40, step: 0.5 },
+  Prism: { label: 'Prism', min: 0, max: 10, step: 0.25 }
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const eyeName = (eye) => (eye === 'right' ? 'Right' : 'Left');
+
+// Optical prescriptions: validation when they are captured and formatting for print
+class PrescriptionService {
+  requiresPrescription(product) {
+    return RX_CATEGORIES.includes((product?.category || '').toLowerCase());
+  }
+
+  parseValue(value, field, eye) {
+    if (isBlank(value)) return null;
+
+    const { label, min, max, step } = LIMITS[field];
+    const number = parseFloat(value);
+    if (isNaN(number) || number < min || number > max) {
+      throw new Error(`${eyeName(eye)} eye ${label} must be between ${min} and ${max}`);
+    }
+    if (Math.abs(Math.round(number / step) * step - number) > 0.001) {
+      throw new Error(`${eyeName(eye)} eye ${label} must be in steps of ${step}`);
+    }
+    return number;
+  }
+
+  // Validate Rx fields from the POS and return the columns to save.
+  // Throws with a cashier-readable message when something is off.
+  normalize(data) {
+    const prescription = {};
+
+    for (const eye of EYES) {
+      for (const field of Object.keys(LIMITS)) {
+        prescription[`${eye}${field}`] = this.parseValue(data[`${eye}${field}`], field, eye);
+      }
+
+      const axis = data[`${eye}Axis`];
+      if (isBlank(axis)) {
+        prescription[`${eye}Axis`] = null;
+      } else {
+        const number = Number(axis);
+        if (!Number.isInteger(number) || number < 0 || number > 180) {
+          throw new Error(`${eyeName(eye)} eye AXIS must be a whole number from 0 to 180`);
+        }
+        prescription[`${eye}Axis`] = number;
+      }
+      if (prescription[`${eye}Cyl`] && prescription[`${eye}Axis`] === null) {
+        throw new Error(`${eyeName(eye)} eye AXIS is required with CYL`);
+      }
+
+      const base = data[`${eye}PrismBase`] ? data[`${eye}PrismBase`].toUpperCase() : null;
+      if (base && !PRISM_BASES.includes(base)) {
+        throw new Error(`Prism base must be one of ${PRISM_BASES.join(', ')}`);
+      }
+      if (prescription[`${eye}Prism`] && !base) {
+        throw new Error(`${eyeName(eye)} eye prism needs a base direction`);
+      }
+      prescription[`${eye}PrismBase`] = prescription[`${eye}Prism`] ? base : null;
+    }
+
+    if (EYES.every(eye => prescription[`${eye}Sph`] === null && prescription[`${eye}Cyl`] === null)) {
+      throw new Error('Prescription needs SPH or CYL for at least one eye');
+    }
+
+    const testDate = new Date(data.testDate);
+    if (isBlank(data.testDate) || isNaN(testDate.getTime())) {
+      throw new Error('Prescription test date is required');
+    }
+    if (testDate > new Date()) {
+      throw new Error('Prescription test date cannot be in the future');
+    }
+
+    let expiryDate;
+    if (isBlank(data.expiryDate)) {
+      expiryDate = new Date(testDate);
+      expiryDate.setMonth(expiryDate.getMonth() + DEFAULT_VALIDITY_MONTHS);
+    } else {
+      expiryDate = new Date(data.expiryDate);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= testDate) {
+        throw new Error('Prescription expiry must be after the test date');
+      }
+    }
+
+    return {
+      ...prescription,
+      prescriber: data.prescriber ? data.prescriber.trim() : null,
+      testDate: testDate.toISOString().slice(0, 10),
+      expiryDate: expiryDate.toISOString().slice(0, 10),
+      notes: data.notes || ''
+    };
+  }
+
+  isExpired(prescription, date = new Date()) {
+    return !!prescription.expiryDate && new Date(prescription.expiryDate) < new Date(date.toISOString().slice(0, 10));
+  }
+
+  // Dioptres are printed signed with two decimals (+1.25, -0.50)
+  formatPower(value) {
+    if (isBlank(value)) return '-';
+    const number = parseFloat(value);
+    return `${number > 0 ? '+' : ''}${number.toFixed(2)}`;
+  }
+
+  // One printable row per eye
+  formatRows(prescription) {
+    return EYES.map(eye => ({
+      eye: eye === 'right' ? 'R (OD)' : 'L (OS)',
+      sph: this.formatPower(prescription[`${eye}Sph`]),
+      cyl: this.formatPower(prescription[`${eye}Cyl`]),
+      axis: isBlank(prescription[`${eye}Axis`]) ? '-' : String(prescription[`${eye}Axis`]),
+      add: this.formatPower(prescription[`${eye}Add`]),
+      pd: isBlank(prescription[`${eye}Pd`]) ? '-' : parseFloat(prescription[`${eye}Pd`]).toFixed(1),
+      prism: isBlank(prescription[`${eye}Prism`])
+        ? '-'
+        : `${parseFloat(prescription[`${eye}Prism`]).toFixed(2)} ${prescription[`${eye}PrismBase`] || ''}`.trim()
+    }));
+  }
+}
+
+module.exports = new PrescriptionService();
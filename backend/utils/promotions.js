@@ -0,0 +1,281 @@
+const { IsNull, MoreThan } = require('typeorm');
+const { prorate } = require('../../shared/pricing');
+const istDate = require('./istDate');
+
+const TYPES = ['percentage', 'flat', 'buy_x_get_y'];
+const SCOPES = ['all', 'category', 'sku'];
+
+// Offers that pick out units go first, so percentage and flat offers apply to
+// what is left to pay; coupons are applied after the automatic offers
+const TYPE_ORDER = { buy_x_get_y: 0, percentage: 1, flat: 2 };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const toMinutes = (time) => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : value.toString().split(',');
+  return list.map(entry => entry.toString().trim()).filter(Boolean);
+};
+
+const optionalAmount = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+function optionalDate(value, label) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label}`);
+  }
+  return date;
+}
+
+// Promotions: automatic offers (percentage or flat off, buy X get Y) scoped to the
+// whole cart, some categories or some SKUs, and coupon offers that only apply when
+// the cashier enters the code. Evaluated on the server for the POS quote and again
+// when the sale is recorded, so every counter gives the same offers.
+class PromotionService {
+  // Check and tidy a promotion from the admin form
+  normalize(body) {
+    const type = body.type;
+    const scope = body.scope || 'all';
+    const value = optionalAmount(body.value);
+
+    const data = {
+      name: (body.name || '').trim(),
+      type,
+      value: value !== null ? value : (type === 'buy_x_get_y' ? 100 : 0), // Buy X get Y defaults to free
+      maxDiscount: type === 'percentage' ? optionalAmount(body.maxDiscount) : null,
+      buyQuantity: type === 'buy_x_get_y' ? parseInt(body.buyQuantity) || null : null,
+      getQuantity: type === 'buy_x_get_y' ? parseInt(body.getQuantity) || null : null,
+      scope,
+      categories: scope === 'category' ? toList(body.categories).map(category => category.toLowerCase()) : null,
+      skus: scope === 'sku' ? toList(body.skus) : null,
+      minBillAmount: optionalAmount(body.minBillAmount),
+      storeIds: toList(body.storeIds).map(storeId => parseInt(storeId)),
+      startsAt: optionalDate(body.startsAt, 'start date'),
+      endsAt: optionalDate(body.endsAt, 'end date'),
+      daysOfWeek: toList(body.daysOfWeek).map(day => parseInt(day)),
+      startTime: body.startTime || null,
+      endTime: body.endTime || null,
+      couponCode: body.couponCode ? body.couponCode.toString().trim().toUpperCase() : null,
+      usageLimit: body.usageLimit ? parseInt(body.usageLimit) : null,
+      isActive: body.isActive !== false
+    };
+
+    if (!data.name) {
+      throw new Error('Promotion name is required');
+    }
+    if (!TYPES.includes(type)) {
+      throw new Error(`Promotion type must be one of: ${TYPES.join(', ')}`);
+    }
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Promotion scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    if (!(data.value > 0) || (type !== 'flat' && data.value > 100)) {
+      throw new Error(type === 'flat' ? 'Amount off must be more than 0' : 'Percentage must be between 0 and 100');
+    }
+    if (type === 'buy_x_get_y' && !(data.buyQuantity > 0 && data.getQuantity > 0)) {
+      throw new Error('Buy and get quantities must be at least 1');
+    }
+    if (scope === 'category' && data.categories.length === 0) {
+      throw new Error('Choose at least one category');
+    }
+    if (scope === 'sku' && data.skus.length === 0) {
+      throw new Error('Enter at least one SKU');
+    }
+    if (data.storeIds.some(storeId => !Number.isInteger(storeId))) {
+      throw new Error('Invalid store');
+    }
+    if (data.daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Days of the week must be 0 (Sunday) to 6 (Saturday)');
+    }
+    if (!!data.startTime !== !!data.endTime ||
+        (data.startTime && (!TIME_PATTERN.test(data.startTime) || !TIME_PATTERN.test(data.endTime)))) {
+      throw new Error('Give both a start and end time as HH:MM');
+    }
+    if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+      throw new Error('End date must be after the start date');
+    }
+    if (data.usageLimit !== null && !data.couponCode) {
+      throw new Error('A usage limit needs a coupon code');
+    }
+    if (data.usageLimit !== null && !(data.usageLimit > 0)) {
+      throw new Error('Usage limit must be at least 1');
+    }
+
+    // Empty lists mean "no restriction"
+    if (data.storeIds.length === 0) data.storeIds = null;
+    if (data.daysOfWeek.length === 0 || data.daysOfWeek.length === 7) data.daysOfWeek = null;
+
+    return data;
+  }
+
+  // Whether a promotion runs at a store (any of its stores if none is given) at a
+  // given moment. Coupon usage isn't checked here.
+  isRunning(promotion, storeId, date = new Date()) {
+    if (!promotion.isActive) return false;
+    if (promotion.startsAt && date < new Date(promotion.startsAt)) return false;
+    if (promotion.endsAt && date > new Date(promotion.endsAt)) return false;
+    if (storeId && promotion.storeIds && !promotion.storeIds.includes(parseInt(storeId))) return false;
+
+    const { day, minutes } = istDate.getTime(date);
+    if (promotion.daysOfWeek && !promotion.daysOfWeek.includes(day)) return false;
+
+    if (promotion.startTime && promotion.endTime) {
+      const start = toMinutes(promotion.startTime);
+      const end = toMinutes(promotion.endTime);
+      // A window like 22:00 - 02:00 runs past midnight
+      const inWindow = start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+      if (!inWindow) return false;
+    }
+
+    return true;
+  }
+
+  // Product lines only; lenses are priced from the lens catalog
+  appliesTo(promotion, line, category) {
+    if (!line.productId) return false;
+    if (promotion.scope === 'category') {
+      return (promotion.categories || []).includes((category || '').toLowerCase());
+    }
+    if (promotion.scope === 'sku') {
+      return (promotion.skus || []).includes(line.sku);
+    }
+    return true;
+  }
+
+  // What each line gets off from one promotion, given what is still left to pay on it
+  getShares(promotion, lines, remaining, eligible) {
+    const value = parseFloat(promotion.value);
+
+    if (promotion.type === 'buy_x_get_y') {
+      // Every (buy + get) units, the cheapest `get` go free (or at value% off)
+      const units = [];
+      lines.forEach((line, index) => {
+        if (!eligible[index]) return;
+        const unitAmount = remaining[index] / line.quantity;
+        for (let unit = 0; unit < line.quantity; unit++) units.push({ index, unitAmount });
+      });
+      units.sort((a, b) => b.unitAmount - a.unitAmount);
+
+      const freeUnits = Math.floor(units.length / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+      const shares = lines.map(() => 0);
+      units.slice(units.length - freeUnits).forEach((unit) => {
+        shares[unit.index] += unit.unitAmount * value / 100;
+      });
+      return shares.map(roundMoney);
+    }
+
+    const weights = remaining.map((amount, index) => (eligible[index] ? amount : 0));
+    const eligibleAmount = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let amount = promotion.type === 'percentage' ? eligibleAmount * value / 100 : value;
+    if (promotion.type === 'percentage' && promotion.maxDiscount !== null && promotion.maxDiscount !== undefined) {
+      amount = Math.min(amount, parseFloat(promotion.maxDiscount));
+    }
+
+    return prorate(roundMoney(Math.min(amount, eligibleAmount)), weights);
+  }
+
+  // Apply promotions to sale lines ({ productId, sku, quantity, totalAmount }).
+  // Returns the promotion discount for each line and the promotions that gave something.
+  evaluate(promotions, lines, categories = new Map()) {
+    const billAmount = lines.reduce((sum, line) => sum + line.totalAmount, 0);
+    const remaining = lines.map(line => line.totalAmount);
+    const discounts = lines.map(() => 0);
+    const applied = [];
+
+    const ordered = [...promotions].sort((a, b) =>
+      (!!a.couponCode - !!b.couponCode) || (TYPE_ORDER[a.type] - TYPE_ORDER[b.type]) || (a.id - b.id));
+
+    for (const promotion of ordered) {
+      if (promotion.minBillAmount && billAmount < parseFloat(promotion.minBillAmount)) continue;
+
+      const eligible = lines.map((line, index) =>
+        remaining[index] > 0 && this.appliesTo(promotion, line, categories.get(line.productId)));
+      const shares = this.getShares(promotion, lines, remaining, eligible);
+      const amount = roundMoney(shares.reduce((sum, share) => sum + share, 0));
+      if (amount <= 0) continue;
+
+      shares.forEach((share, index) => {
+        remaining[index] = roundMoney(remaining[index] - share);
+        discounts[index] = roundMoney(discounts[index] + share);
+      });
+      applied.push({
+        promotionId: promotion.id,
+        name: promotion.name,
+        type: promotion.type,
+        couponCode: promotion.couponCode || null,
+        amount
+      });
+    }
+
+    return { discounts, applied };
+  }
+
+  // Find the coupon for a code and check it can be used. Locked inside a sale's
+  // transaction so two counters can't both take the last redemption.
+  async findCoupon(manager, couponCode, { storeId, date, lock = false, redeemed = false }) {
+    const code = couponCode.toString().trim().toUpperCase();
+    const coupon = await manager.getRepository('Promotion').findOne({
+      where: { couponCode: code },
+      ...(lock && { lock: { mode: 'pessimistic_write' } })
+    });
+
+    if (!coupon || !coupon.isActive) {
+      return { couponError: `Coupon ${code} is not valid` };
+    }
+    if (!this.isRunning(coupon, storeId, date)) {
+      return { couponError: `Coupon ${code} can't be used at this store right now` };
+    }
+    // A sale being edited already holds one of the redemptions
+    if (!redeemed && coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+      return { couponError: `Coupon ${code} has reached its usage limit` };
+    }
+    return { coupon };
+  }
+
+  // Promotions for a cart: what each line gets off, which promotions applied, and
+  // why an entered coupon didn't (if it didn't)
+  async price(manager, lines, { storeId, date = new Date(), categories, couponCode, lock = false, redeemed = false }) {
+    const automatic = (await manager.getRepository('Promotion').find({
+      where: { isActive: true, couponCode: IsNull() }
+    })).filter(promotion => this.isRunning(promotion, storeId, date));
+
+    const { coupon, couponError } = couponCode
+      ? await this.findCoupon(manager, couponCode, { storeId, date, lock, redeemed })
+      : {};
+
+    const result = this.evaluate(coupon ? [...automatic, coupon] : automatic, lines, categories);
+
+    if (coupon && !result.applied.some(promotion => promotion.promotionId === coupon.id)) {
+      const billAmount = lines.reduce((sum, line) => sum + line.totalAmount, 0);
+      const shortBy = coupon.minBillAmount ? parseFloat(coupon.minBillAmount) - billAmount : 0;
+      return {
+        ...result,
+        coupon: null,
+        couponError: shortBy > 0
+          ? `Add ₹${shortBy.toFixed(2)} more to use coupon ${coupon.couponCode}`
+          : `Coupon ${coupon.couponCode} doesn't apply to anything in the cart`
+      };
+    }
+
+    return { ...result, coupon: coupon || null, couponError: couponError || null };
+  }
+
+  // Count a coupon redemption (the coupon comes from price() with lock: true)
+  async redeem(manager, coupon) {
+    coupon.usedCount = coupon.usedCount + 1;
+    await manager.getRepository('Promotion').save(coupon);
+  }
+
+  // Give back a redemption when the sale that used it is deleted or loses the coupon
+  async release(manager, couponCode) {
+    if (!couponCode) return;
+    await manager.getRepository('Promotion').decrement({ couponCode, usedCount: MoreThan(0) }, 'usedCount', 1);
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,297 @@
+const documentNumber = require('./documentNumber');
+const shopifyInventorySync = require('./shopifyInventorySync');
+const stockMovements = require('./stockMovements');
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  approved: 'Approved',
+  partially_received: 'Partially received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+// Orders goods can still be received against
+const OPEN_STATUSES = ['approved', 'partially_received'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+function parseCost(value, name) {
+  const cost = parseFloat(value);
+  if (isNaN(cost) || cost < 0) {
+    throw new Error(`Enter a unit cost for ${name}`);
+  }
+  return roundMoney(cost);
+}
+
+// Purchase orders to suppliers: drafted, approved, then received into the
+// store's stock through one or more goods receipts (GRNs). Each GRN records
+// the cost per unit actually billed.
+class PurchaseOrderService {
+  getStatuses() {
+    return Object.keys(STATUS_LABELS).map(status => ({ value: status, label: STATUS_LABELS[status] }));
+  }
+
+  isOpen(order) {
+    return OPEN_STATUSES.includes(order.status);
+  }
+
+  // Check the requested lines and snapshot product name / SKU on them
+  async buildItems(manager, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Add at least one product to the order');
+    }
+
+    const productRepo = manager.getRepository('Product');
+    const seen = new Set();
+    const lines = [];
+    for (const item of items) {
+      const product = await productRepo.findOne({ where: { id: parseInt(item.productId) || 0 } });
+      if (!product) {
+        throw new Error(`Product not found: ${item.productId}`);
+      }
+      if (seen.has(product.id)) {
+        throw new Error(`${product.name} is on the order twice`);
+      }
+      seen.add(product.id);
+
+      const quantity = parseInt(item.quantity);
+      if (!quantity || quantity < 1) {
+        throw new Error('Quantities must be whole numbers of at least 1');
+      }
+
+      lines.push({
+        productId: product.id,
+        name: product.name,
+        sku: product.sku,
+        quantity,
+        receivedQuantity: 0,
+        unitCost: parseCost(item.unitCost, product.name)
+      });
+    }
+    return lines;
+  }
+
+  getTotal(lines) {
+    return roundMoney(lines.reduce((sum, line) => sum + line.quantity * parseFloat(line.unitCost), 0));
+  }
+
+  async findSupplier(manager, supplierId) {
+    const supplier = await manager.getRepository('Supplier').findOne({ where: { id: parseInt(supplierId) || 0 } });
+    if (!supplier) {
+      throw new Error('Choose a supplier');
+    }
+    if (!supplier.isActive) {
+      throw new Error(`${supplier.name} is inactive`);
+    }
+    return supplier;
+  }
+
+  async create(manager, { supplierId, storeId, expectedDate, items, notes, pushToShopify }, user) {
+    const supplier = await this.findSupplier(manager, supplierId);
+    const store = await manager.getRepository('Store').findOne({ where: { id: parseInt(storeId) || 0 } });
+    if (!store) {
+      throw new Error('Choose the store the goods are delivered to');
+    }
+
+    const lines = await this.buildItems(manager, items);
+
+    const orderRepo = manager.getRepository('PurchaseOrder');
+    const itemRepo = manager.getRepository('PurchaseOrderItem');
+
+    const poNumber = await documentNumber.next(manager, store, 'purchase_order');
+    const order = await orderRepo.save(orderRepo.create({
+      poNumber,
+      supplierId: supplier.id,
+      storeId: store.id,
+      status: 'draft',
+      expectedDate: expectedDate || null,
+      totalAmount: this.getTotal(lines),
+      pushToShopify: pushToShopify !== false,
+      notes: notes || '',
+      createdById: user.id
+    }));
+
+    order.items = await itemRepo.save(lines.map(line => itemRepo.create({ ...line, purchaseOrderId: order.id })));
+
+    console.log(`🧾 Purchase order ${poNumber} drafted for ${supplier.name}`);
+    return order;
+  }
+
+  // Edit a draft. Once approved the order is what the supplier was sent.
+  async update(manager, order, { supplierId, expectedDate, items, notes, pushToShopify }) {
+    if (order.status !== 'draft') {
+      if (supplierId !== undefined || expectedDate !== undefined || items !== undefined) {
+        throw new Error(`Purchase order ${order.poNumber} is ${STATUS_LABELS[order.status].toLowerCase()}; only notes can be changed`);
+      }
+    }
+
+    if (supplierId !== undefined) {
+      order.supplier = await this.findSupplier(manager, supplierId);
+      order.supplierId = order.supplier.id;
+    }
+    if (expectedDate !== undefined) order.expectedDate = expectedDate || null;
+    if (notes !== undefined) order.notes = notes || '';
+    if (pushToShopify !== undefined) order.pushToShopify = !!pushToShopify;
+
+    if (items !== undefined) {
+      const lines = await this.buildItems(manager, items);
+      const itemRepo = manager.getRepository('PurchaseOrderItem');
+      await itemRepo.delete({ purchaseOrderId: order.id });
+      order.items = await itemRepo.save(lines.map(line => itemRepo.create({ ...line, purchaseOrderId: order.id })));
+      order.totalAmount = this.getTotal(lines);
+    }
+
+    return manager.getRepository('PurchaseOrder').save(order);
+  }
+
+  async approve(manager, order, user) {
+    if (order.status !== 'draft') {
+      throw new Error(`Purchase order ${order.poNumber} has already been approved`);
+    }
+
+    order.status = 'approved';
+    order.approvedById = user.id;
+    order.approvedAt = new Date();
+    await manager.getRepository('PurchaseOrder').save(order);
+
+    console.log(`✅ Purchase order ${order.poNumber} approved`);
+    return order;
+  }
+
+  // Book a delivery from the supplier as a goods receipt. lines are
+  // [{ itemId, quantity, unitCost }]; the cost defaults to the ordered cost.
+  // With close, the order is finished even if some lines came short.
+  // Call inside a transaction.
+  async receive(manager, order, { items, supplierInvoiceNumber, notes, close = false }, user) {
+    if (!this.isOpen(order)) {
+      throw new Error(order.status === 'draft'
+        ? `Purchase order ${order.poNumber} must be approved before goods are received`
+        : `Purchase order ${order.poNumber} is ${STATUS_LABELS[order.status].toLowerCase()} and cannot be received`);
+    }
+
+    const itemsById = new Map(order.items.map(item => [item.id, item]));
+    const received = [];
+
+    (items || []).forEach((line) => {
+      const item = itemsById.get(parseInt(line.itemId));
+      if (!item) {
+        throw new Error(`Line ${line.itemId} is not on purchase order ${order.poNumber}`);
+      }
+
+      const quantity = parseInt(line.quantity) || 0;
+      if (quantity < 0) {
+        throw new Error('Received quantities cannot be negative');
+      }
+      if (quantity === 0) return;
+
+      const outstanding = item.quantity - item.receivedQuantity;
+      if (quantity > outstanding) {
+        throw new Error(`Only ${outstanding} of ${item.name} are still due on this order`);
+      }
+
+      const unitCost = line.unitCost === undefined || line.unitCost === '' || line.unitCost === null
+        ? parseFloat(item.unitCost)
+        : parseCost(line.unitCost, item.name);
+
+      item.receivedQuantity += quantity;
+      received.push({ item, quantity, unitCost });
+    });
+
+    if (received.length === 0 && !close) {
+      throw new Error('Enter the quantities that arrived');
+    }
+
+    let receipt = null;
+    if (received.length > 0) {
+      const receiptRepo = manager.getRepository('GoodsReceipt');
+      const receiptItemRepo = manager.getRepository('GoodsReceiptItem');
+      const inventoryRepo = manager.getRepository('Inventory');
+      const productRepo = manager.getRepository('Product');
+
+      const grnNumber = await documentNumber.next(manager, order.store, 'goods_receipt');
+      receipt = await receiptRepo.save(receiptRepo.create({
+        grnNumber,
+        purchaseOrderId: order.id,
+        storeId: order.storeId,
+        supplierInvoiceNumber: supplierInvoiceNumber || null,
+        totalCost: roundMoney(received.reduce((sum, line) => sum + line.quantity * line.unitCost, 0)),
+        notes: notes || '',
+        receivedById: user.id
+      }));
+
+      receipt.items = await receiptItemRepo.save(received.map(({ item, quantity, unitCost }) => receiptItemRepo.create({
+        goodsReceiptId: receipt.id,
+        purchaseOrderItemId: item.id,
+        productId: item.productId,
+        quantity,
+        unitCost
+      })));
+
+      const movements = [];
+      for (const { item, quantity, unitCost } of received) {
+        let inventory = await inventoryRepo.findOne({
+          where: { productId: item.productId, storeId: order.storeId }
+        });
+        if (!inventory) {
+          inventory = inventoryRepo.create({ productId: item.productId, storeId: order.storeId, quantity: 0 });
+          console.log(`✨ Created inventory record for product ${item.productId} from GRN ${grnNumber}`);
+        }
+        const quantityBefore = inventory.quantity;
+        inventory.quantity += quantity;
+        await inventoryRepo.save(inventory);
+        movements.push({ productId: item.productId, storeId: order.storeId, quantityBefore, quantityAfter: inventory.quantity });
+
+        await productRepo.update(item.productId, { costPrice: unitCost });
+      }
+
+      await stockMovements.record(manager, movements, {
+        type: 'purchase_receipt',
+        referenceType: 'goods_receipt',
+        referenceId: receipt.id,
+        referenceNumber: grnNumber,
+        userId: user.id
+      });
+
+      if (order.pushToShopify) {
+        await shopifyInventorySync.enqueue(manager, received.map(({ item, quantity }) => ({
+          productId: item.productId,
+          storeId: order.storeId,
+          delta: quantity,
+          reason: 'purchase_receipt',
+          referenceId: receipt.id
+        })));
+      }
+
+      await manager.getRepository('PurchaseOrderItem').save(received.map(({ item }) => item));
+      console.log(`📦 GRN ${grnNumber} booked against ${order.poNumber} (${received.length} line(s))`);
+    }
+
+    const complete = order.items.every(item => item.receivedQuantity >= item.quantity);
+    const anyReceived = order.items.some(item => item.receivedQuantity > 0);
+    if (complete || close) {
+      order.status = anyReceived ? 'received' : 'cancelled';
+      order.closedAt = new Date();
+    } else {
+      order.status = 'partially_received';
+    }
+    await manager.getRepository('PurchaseOrder').save(order);
+
+    return { order, receipt };
+  }
+
+  // Drop an order nothing has been received against
+  async cancel(manager, order) {
+    if (!['draft', 'approved'].includes(order.status)) {
+      throw new Error(`Purchase order ${order.poNumber} is ${STATUS_LABELS[order.status].toLowerCase()} and can no longer be cancelled`);
+    }
+
+    order.status = 'cancelled';
+    order.closedAt = new Date();
+    await manager.getRepository('PurchaseOrder').save(order);
+
+    console.log(`🚫 Purchase order ${order.poNumber} cancelled`);
+    return order;
+  }
+}
+
+module.exports = new PurchaseOrderService();
@@ -0,0 +1,297 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const gst = require('./gst');
+
+// Characters per line in the printer's standard font (12-dot Font A on 384 / 576 dot heads)
+// and the PDF page width in points
+const PAPER = {
+  58: { columns: 32, pageWidth: 164 },
+  80: { columns: 48, pageWidth: 227 }
+};
+
+const FORMATS = ['pdf', 'escpos'];
+
+// ESC/POS commands
+const ESC = 0x1b;
+const GS = 0x1d;
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// Courier is 0.6 em wide, so a full line at this size fits the paper's printable width
+const PDF_FONT_SIZE = 7;
+const PDF_LINE_HEIGHT = 9;
+const PDF_MARGIN = 10;
+
+const money = (value) => parseFloat(value || 0).toFixed(2);
+
+// Thermal printers only have their built-in code page, so stick to plain ASCII
+const toAscii = (text) => String(text)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[\u2010-\u2015]/g, '-')
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/[\u201c\u201d]/g, '"')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+function formatAddress(store) {
+  if (!store.address) return '';
+  if (typeof store.address !== 'object') return store.address;
+  return ['street', 'city', 'state', 'zipCode'].map(field => store.address[field]).filter(Boolean).join(', ');
+}
+
+// Stored CGST/SGST/IGST for a line, or (for older sales) derived from the supply type
+function taxSplit(item, isInterState) {
+  if (item.cgstAmount !== null && item.cgstAmount !== undefined) {
+    return {
+      cgst: parseFloat(item.cgstAmount || 0),
+      sgst: parseFloat(item.sgstAmount || 0),
+      igst: parseFloat(item.igstAmount || 0)
+    };
+  }
+  const tax = parseFloat(item.taxAmount || 0);
+  return isInterState ? { cgst: 0, sgst: 0, igst: tax } : { cgst: tax / 2, sgst: tax / 2, igst: 0 };
+}
+
+// Till receipts for 58mm / 80mm thermal printers. The receipt is laid out once as
+// fixed-width lines, then sent as ESC/POS bytes or drawn on a narrow PDF.
+class ReceiptRenderer {
+  getFormats() {
+    return FORMATS;
+  }
+
+  // Check the store's receipt settings before they are saved
+  validateSettings({ receiptFormat, receiptPaperWidth }) {
+    if (receiptFormat !== undefined && receiptFormat !== null && !FORMATS.includes(receiptFormat)) {
+      throw new Error(`Receipt format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (receiptPaperWidth !== undefined && receiptPaperWidth !== null && !PAPER[receiptPaperWidth]) {
+      throw new Error(`Receipt paper width must be ${Object.keys(PAPER).join(' or ')} mm`);
+    }
+  }
+
+  // Word-wrap to the line width, keeping any leading indent on every line
+  wrap(text, width) {
+    const ascii = toAscii(text);
+    const indent = ascii.match(/^ */)[0];
+    if (indent) {
+      return this.wrap(ascii.slice(indent.length), width - indent.length).map(line => indent + line);
+    }
+
+    const lines = [];
+    let current = '';
+    ascii.split(/\s+/).filter(Boolean).forEach((word) => {
+      while (word.length > width) {
+        if (current) {
+          lines.push(current);
+          current = '';
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (!current) {
+        current = word;
+      } else if (current.length + 1 + word.length <= width) {
+        current += ` ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  // Label on the left, amount on the right; a long label wraps above the amount
+  row(left, right, width) {
+    const label = this.wrap(left, width);
+    const last = label.pop() || '';
+    const value = toAscii(right);
+    if (last.length + 1 + value.length > width) {
+      return [...label, last, value.padStart(width)];
+    }
+    return [...label, last + value.padStart(width - last.length)];
+  }
+
+  // The receipt as lines of { text, align, bold, large } or { rule: true }
+  build(sale, store, customer, paperWidth) {
+    const { columns } = PAPER[paperWidth];
+    const lines = [];
+    const add = (texts, style = {}) => texts.forEach(text => lines.push({ text, align: 'left', ...style }));
+    const center = (text, style = {}) => add(this.wrap(text, style.large ? columns / 2 : columns), { align: 'center', ...style });
+    const rule = () => lines.push({ rule: true });
+
+    // Header
+    center(store.name, { bold: true, large: true });
+    if (formatAddress(store)) center(formatAddress(store));
+    if (store.phone) center(`Tel: ${store.phone}`);
+    center(`GSTIN: ${gst.getStoreGstin(store)}`);
+    center('TAX INVOICE', { bold: true });
+    rule();
+
+    const saleDate = new Date(sale.saleDate).toLocaleString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    add(this.row('Invoice:', sale.invoiceNumber, columns));
+    add(this.row('Date:', saleDate, columns));
+    if (sale.cashier) add(this.row('Cashier:', sale.cashier.name, columns));
+    if (customer) {
+      add(this.row('Customer:', customer.name || 'N/A', columns));
+      if (customer.phone) add(this.row('Phone:', customer.phone, columns));
+      if (customer.gstNumber) add(this.row('GSTIN:', customer.gstNumber, columns));
+    }
+    add(this.row('Place of supply:', gst.formatPlaceOfSupply(sale.placeOfSupply), columns));
+    rule();
+
+    // Items
+    const totals = { cgst: 0, sgst: 0, igst: 0 };
+    sale.items.forEach((item) => {
+      const quantity = parseInt(item.quantity || 1);
+      const unitPrice = parseFloat(item.unitPrice || 0);
+      const discount = parseFloat(item.discount || 0);
+      const promotionDiscount = parseFloat(item.promotionDiscount || 0);
+
+      add(this.wrap(item.name || 'Product', columns), { bold: true });
+      add(this.row(`  ${quantity} x ${money(unitPrice)}`, money(unitPrice * quantity), columns));
+      if (discount > 0) {
+        add(this.row('  Discount', `-${money(discount * quantity)}`, columns));
+      }
+      if (promotionDiscount > 0) {
+        add(this.row('  Offer', `-${money(promotionDiscount)}`, columns));
+      }
+      add(this.wrap(`  ${item.hsnCode ? `HSN ${item.hsnCode}, ` : ''}GST ${parseFloat(item.taxRate)}% incl.`, columns));
+
+      const split = taxSplit(item, sale.isInterState);
+      totals.cgst += split.cgst;
+      totals.sgst += split.sgst;
+      totals.igst += split.igst;
+    });
+    rule();
+
+    // Totals
+    const totalDiscount = parseFloat(sale.totalDiscount || 0);
+    const totalTax = totals.cgst + totals.sgst + totals.igst;
+    add(this.row('Subtotal', money(sale.subtotal), columns));
+    if (totalDiscount > 0) add(this.row('Discount', `-${money(totalDiscount)}`, columns));
+    (sale.appliedPromotions || []).forEach((promotion) => {
+      add(this.wrap(`  incl. ${promotion.name}${promotion.couponCode ? ` (${promotion.couponCode})` : ''} -${money(promotion.amount)}`, columns));
+    });
+    if (parseFloat(sale.billDiscount || 0) > 0) {
+      add(this.wrap(`  incl. bill discount -${money(sale.billDiscount)}`, columns));
+    }
+    const roundOff = parseFloat(sale.roundOff || 0);
+    add(this.row('Taxable value', money(parseFloat(sale.totalAmount || 0) - roundOff - totalTax), columns));
+    if (totals.igst > 0) {
+      add(this.row('IGST', money(totals.igst), columns));
+    } else {
+      add(this.row('CGST', money(totals.cgst), columns));
+      add(this.row('SGST', money(totals.sgst), columns));
+    }
+    if (roundOff !== 0) add(this.row('Round off', money(roundOff), columns));
+    add(this.row('TOTAL', money(sale.totalAmount), columns / 2), { bold: true, large: true });
+    rule();
+
+    // Payments
+    (sale.payments || []).forEach((payment) => {
+      const reference = payment.reference ? ` (${payment.reference})` : '';
+      const tendered = parseFloat(payment.tenderedAmount || payment.amount);
+      add(this.row(`${payment.method.toUpperCase()}${reference}`, money(payment.amount), columns));
+      if (tendered > parseFloat(payment.amount)) add(this.row('  Tendered', money(tendered), columns));
+    });
+    if (parseFloat(sale.changeAmount || 0) > 0) {
+      add(this.row('Change', money(sale.changeAmount), columns));
+    }
+
+    // Footer
+    lines.push({ text: '', align: 'left' });
+    center('Prices are inclusive of GST.');
+    center('Thank you for shopping with us!');
+
+    return lines;
+  }
+
+  // Raw bytes for an ESC/POS printer, ending with a feed and partial cut
+  toEscPos(lines, paperWidth) {
+    const { columns } = PAPER[paperWidth];
+    const chunks = [Buffer.from([ESC, 0x40])]; // Initialise
+
+    lines.forEach((line) => {
+      if (line.rule) {
+        chunks.push(Buffer.from([ESC, 0x61, ALIGN.left]), Buffer.from(`${'-'.repeat(columns)}\n`, 'ascii'));
+        return;
+      }
+      chunks.push(Buffer.from([
+        ESC, 0x61, ALIGN[line.align],
+        ESC, 0x45, line.bold ? 1 : 0,
+        GS, 0x21, line.large ? 0x11 : 0x00 // Double width and height
+      ]));
+      chunks.push(Buffer.from(`${line.text}\n`, 'ascii'));
+    });
+
+    chunks.push(Buffer.from([
+      ESC, 0x45, 0, GS, 0x21, 0x00,
+      GS, 0x56, 66, 3 // Feed 3 lines and cut
+    ]));
+    return Buffer.concat(chunks);
+  }
+
+  // Narrow PDF as tall as the receipt, for printers driven by the print dialog
+  async generatePdf(lines, sale, paperWidth) {
+    return new Promise((resolve, reject) => {
+      try {
+        const { columns, pageWidth } = PAPER[paperWidth];
+        const height = lines.reduce((sum, line) => sum + (line.large ? 2 : 1) * PDF_LINE_HEIGHT, 2 * PDF_MARGIN);
+
+        const invoicesDir = path.join(__dirname, '../invoices');
+        if (!fs.existsSync(invoicesDir)) {
+          fs.mkdirSync(invoicesDir, { recursive: true });
+        }
+
+        const filePath = path.join(invoicesDir, `${sale.invoiceNumber}-receipt-${paperWidth}mm.pdf`);
+
+        const doc = new PDFDocument({ margin: 0, size: [pageWidth, height] });
+        const stream = fs.createWriteStream(filePath);
+
+        doc.pipe(stream);
+
+        const width = columns * PDF_FONT_SIZE * 0.6;
+        const x = (pageWidth - width) / 2;
+        let y = PDF_MARGIN;
+
+        lines.forEach((line) => {
+          if (line.rule) {
+            doc.save().dash(2, { space: 2 }).moveTo(x, y + 4).lineTo(x + width, y + 4).lineWidth(0.5).stroke().restore();
+            y += PDF_LINE_HEIGHT;
+            return;
+          }
+          const size = line.large ? 2 : 1;
+          doc.font(line.bold ? 'Courier-Bold' : 'Courier').fontSize(PDF_FONT_SIZE * size);
+          // A point of slack so a full-width line isn't wrapped by rounding
+          doc.text(line.text, x, y, { width: width + 1, align: line.align, lineBreak: false });
+          y += PDF_LINE_HEIGHT * size;
+        });
+
+        doc.end();
+
+        stream.on('finish', () => {
+          resolve(filePath);
+        });
+
+        stream.on('error', (err) => {
+          reject(err);
+        });
+
+      } catch (error) {
+        console.error('❌ RECEIPT GENERATION ERROR:', error.message);
+        reject(error);
+      }
+    });
+  }
+}
+
+module.exports = new ReceiptRenderer();
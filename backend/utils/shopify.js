@@ -95,6 +95,30 @@ class ShopifyService {
     }
   }
 
+  // One page of products in ID order. Pass the last ID seen as sinceId for the next
+  // page; updatedAtMin limits the pull to products changed since then.
+  async getProductsPage({ sinceId = 0, updatedAtMin = null, limit = 250 } = {}) {
+    try {
+      if (!this.shopDomain || !this.accessToken) {
+        throw new Error('Shopify credentials not configured');
+      }
+
+      const client = this.getClient();
+      const response = await client.get('/products.json', {
+        params: {
+          limit,
+          since_id: sinceId,
+          fields: 'id,title,body_html,product_type,tags,image,variants',
+          ...(updatedAtMin && { updated_at_min: new Date(updatedAtMin).toISOString() })
+        }
+      });
+      return response.data.products;
+    } catch (error) {
+      console.error('Shopify API Error:', error.response?.data || error.message);
+      throw new Error(`Failed to fetch products from Shopify: ${error.response?.data?.errors || error.message}`);
+    }
+  }
+
   // Get single product by ID
   async getProduct(productId) {
     try {
@@ -135,6 +159,35 @@ class ShopifyService {
     }
   }
 
+  // Adjust available quantity by a delta (e.g. -2 for a sale). Unlike set, concurrent
+  // adjustments from the POS and online orders add up instead of overwriting each other.
+  async adjustInventory(inventoryItemId, locationId, delta) {
+    try {
+      if (!this.shopDomain || !this.accessToken) {
+        throw new Error('Shopify credentials not configured');
+      }
+
+      const client = this.getClient();
+      const response = await client.post('/inventory_levels/adjust.json', {
+        inventory_item_id: inventoryItemId,
+        location_id: locationId,
+        available_adjustment: delta
+      });
+      return response.data.inventory_level;
+    } catch (error) {
+      console.error('Shopify Inventory Adjust Error:', error.response?.data || error.message);
+      const details = error.response?.data?.errors;
+      const adjustError = new Error(`Failed to adjust inventory in Shopify${details ? `: ${JSON.stringify(details)}` : ''}`);
+      adjustError.status = error.response?.status; // Lets the caller tell retryable failures apart
+      throw adjustError;
+    }
+  }
+
+  // Shopify rejected the request itself (4xx other than rate limiting), so retrying won't help
+  isPermanentError(error) {
+    return !!error.status && error.status >= 400 && error.status < 500 && error.status !== 429;
+  }
+
   // Get inventory levels (with batching for large requests)
   async getInventoryLevels(inventoryItemIds) {
     try {
@@ -170,9 +223,39 @@ class ShopifyService {
     }
   }
 
+  // One page of inventory levels at a location. Later pages are fetched with the
+  // page_info cursor from the Link header, which Shopify won't combine with other filters.
+  async getLocationInventoryPage(locationId, { updatedAtMin = null, pageInfo = null, limit = 250 } = {}) {
+    try {
+      const client = this.getClient();
+      const params = pageInfo
+        ? { limit, page_info: pageInfo }
+        : {
+          limit,
+          location_ids: locationId,
+          ...(updatedAtMin && { updated_at_min: new Date(updatedAtMin).toISOString() })
+        };
+
+      const response = await client.get('/inventory_levels.json', { params });
+      const nextLink = /<[^>]*[?&]page_info=([^&>]+)[^>]*>;\s*rel="next"/.exec(response.headers.link || '');
+
+      return {
+        levels: response.data.inventory_levels,
+        nextPageInfo: nextLink ? nextLink[1] : null
+      };
+    } catch (error) {
+      console.error('Shopify API Error:', error.response?.data || error.message);
+      throw new Error(`Failed to fetch inventory levels for location ${locationId} from Shopify`);
+    }
+  }
+
   // Create order in Shopify (for record keeping)
   async createOrder(orderData) {
     try {
+      if (!this.shopDomain || !this.accessToken) {
+        throw new Error('Shopify credentials not configured');
+      }
+
       const client = this.getClient();
       const response = await client.post('/orders.json', {
         order: orderData
@@ -180,7 +263,36 @@ class ShopifyService {
       return response.data.order;
     } catch (error) {
       console.error('Shopify Order Creation Error:', error.response?.data || error.message);
-      throw new Error('Failed to create order in Shopify');
+      const details = error.response?.data?.errors;
+      const orderError = new Error(`Failed to create order in Shopify${details ? `: ${JSON.stringify(details)}` : ''}`);
+      orderError.status = error.response?.status;
+      throw orderError;
+    }
+  }
+
+  // Get webhook subscriptions
+  async getWebhooks() {
+    try {
+      const client = this.getClient();
+      const response = await client.get('/webhooks.json', { params: { limit: 250 } });
+      return response.data.webhooks;
+    } catch (error) {
+      console.error('Shopify API Error:', error.response?.data || error.message);
+      throw new Error('Failed to fetch webhooks from Shopify');
+    }
+  }
+
+  // Subscribe an address to a webhook topic (e.g. products/update)
+  async createWebhook(topic, address) {
+    try {
+      const client = this.getClient();
+      const response = await client.post('/webhooks.json', {
+        webhook: { topic, address, format: 'json' }
+      });
+      return response.data.webhook;
+    } catch (error) {
+      console.error('Shopify Webhook Creation Error:', error.response?.data || error.message);
+      throw new Error(`Failed to create ${topic} webhook in Shopify`);
     }
   }
 
@@ -0,0 +1,96 @@
+const taxSlabs = require('./taxSlab');
+
+// Maps Shopify locations and product variants onto Store and Product rows.
+// Shared by the full refresh and the webhook receiver so both write the same fields.
+class ShopifyCatalog {
+  // Helper function to strip HTML tags from text
+  stripHtmlTags(html) {
+    if (!html) return '';
+    // Remove HTML tags
+    let text = html.replace(/<[^>]*>/g, '');
+    // Decode HTML entities
+    text = text.replace(/&nbsp;/g, ' ')
+               .replace(/&amp;/g, '&')
+               .replace(/&lt;/g, '<')
+               .replace(/&gt;/g, '>')
+               .replace(/&quot;/g, '"')
+               .replace(/&#39;/g, "'");
+    // Trim and clean multiple spaces
+    return text.trim().replace(/\s+/g, ' ');
+  }
+
+  // Every Shopify location is active in the POS, whatever its Shopify status,
+  // so inventory is captured from all of them
+  toStoreData(location) {
+    return {
+      name: location.name,
+      location: `${location.city || 'Store'}, ${location.country || ''}`,
+      address: {
+        street: location.address1 || '',
+        city: location.city || '',
+        state: location.province || '',
+        zipCode: location.zip || '',
+        country: location.country || ''
+      },
+      phone: location.phone || '',
+      email: `${location.name.toLowerCase().replace(/\s+/g, '-')}@store.com`,
+      shopifyLocationId: location.id.toString(),
+      isActive: true
+    };
+  }
+
+  // Each variant is its own POS product. HSN comes from the product type / tags;
+  // an unmatched product keeps a hand-set HSN, and the slab rate applies when there is one.
+  toProductData(shopifyProduct, variant, { inventoryItemId, existingProduct, slabs }) {
+    const cleanTitle = this.stripHtmlTags(shopifyProduct.title);
+    const cleanVariantTitle = this.stripHtmlTags(variant.title);
+
+    const hsnCode = taxSlabs.matchHsnCode(slabs, [
+      shopifyProduct.product_type,
+      ...(shopifyProduct.tags || '').split(',')
+    ]) || existingProduct?.hsnCode || null;
+    const slabRate = taxSlabs.getRate(slabs, hsnCode);
+
+    return {
+      name: cleanVariantTitle === 'Default Title' || !cleanVariantTitle
+        ? cleanTitle
+        : `${cleanTitle} - ${cleanVariantTitle}`,
+      sku: variant.sku || `SKU-${variant.id}`,
+      barcode: variant.barcode || null,
+      category: shopifyProduct.product_type || 'Uncategorized',
+      price: parseFloat(variant.price) || 0,
+      description: shopifyProduct.body_html || '',
+      image: shopifyProduct.image?.src || '',
+      shopifyProductId: shopifyProduct.id.toString(),
+      shopifyVariantId: variant.id.toString(),
+      inventoryItemId: inventoryItemId ? inventoryItemId.toString() : null,
+      hsnCode,
+      ...(slabRate !== null && { taxRate: slabRate }),
+      isActive: true
+    };
+  }
+
+  // Create or update the POS product for one variant. Returns 'created' or 'updated'.
+  async upsertVariant(productRepo, shopifyProduct, variant, slabs) {
+    const existingProduct = await productRepo.findOne({
+      where: { shopifyVariantId: variant.id.toString() }
+    });
+
+    const productData = this.toProductData(shopifyProduct, variant, {
+      inventoryItemId: variant.inventory_item_id || existingProduct?.inventoryItemId,
+      existingProduct,
+      slabs
+    });
+
+    if (existingProduct) {
+      Object.assign(existingProduct, productData);
+      await productRepo.save(existingProduct);
+      return 'updated';
+    }
+
+    await productRepo.save(productRepo.create(productData));
+    return 'created';
+  }
+}
+
+module.exports = new ShopifyCatalog();
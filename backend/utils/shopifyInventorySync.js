@@ -0,0 +1,218 @@
+const { AppDataSource } = require('../data-source');
+const shopifyService = require('./shopify');
+const stockMovements = require('./stockMovements');
+
+const INTERVAL_MS = parseInt(process.env.SHOPIFY_INVENTORY_SYNC_INTERVAL_MS) || 15000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 10;
+
+// 30s, 1m, 2m, 4m ... capped at an hour
+const getRetryDelay = (attempts) => Math.min(30000 * Math.pow(2, attempts - 1), 3600000);
+
+const getAdjustmentRepository = (manager = AppDataSource.manager) => manager.getRepository('ShopifyInventoryAdjustment');
+
+// Outbox of stock changes made in the POS that still have to reach Shopify.
+// Changes are queued in the same transaction as the local stock update and
+// pushed as deltas with inventory_levels/adjust by a background worker.
+class ShopifyInventorySync {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Queue stock changes. Pass the transaction's EntityManager so the queue
+  // entry commits or rolls back together with the local inventory change.
+  async enqueue(manager, adjustments) {
+    // Lens lines have no product and no stock to push
+    const rows = adjustments.filter(adjustment => adjustment.delta !== 0 && adjustment.productId);
+    if (rows.length === 0) return [];
+
+    const adjustmentRepo = getAdjustmentRepository(manager);
+    const saved = await adjustmentRepo.save(rows.map(row => adjustmentRepo.create(row)));
+
+    console.log(`📤 Queued ${saved.length} Shopify inventory adjustment(s) (${rows[0].reason} ${rows[0].referenceId || ''})`);
+    return saved;
+  }
+
+  // Net quantity per product/store that Shopify doesn't know about yet, keyed
+  // "productId_storeId". Pulls from Shopify add this on top so queued sales
+  // aren't overwritten.
+  async getPendingDeltas(manager = AppDataSource.manager) {
+    return this.sumDeltas(manager, ['pending', 'processing', 'failed']);
+  }
+
+  // Like getPendingDeltas, without the adjustments being pushed right now. An
+  // inventory level webhook is often Shopify reporting one of those, so it
+  // already includes it.
+  async getUnsentDeltas(manager = AppDataSource.manager) {
+    return this.sumDeltas(manager, ['pending', 'failed']);
+  }
+
+  async sumDeltas(manager, statuses) {
+    const rows = await getAdjustmentRepository(manager)
+      .createQueryBuilder('adjustment')
+      .select('adjustment.productId', 'productId')
+      .addSelect('adjustment.storeId', 'storeId')
+      .addSelect('SUM(adjustment.delta)', 'delta')
+      .where('adjustment.status IN (:...statuses)', { statuses })
+      .groupBy('adjustment.productId')
+      .addGroupBy('adjustment.storeId')
+      .getRawMany();
+
+    return new Map(rows.map(row => [`${row.productId}_${row.storeId}`, parseInt(row.delta) || 0]));
+  }
+
+  // Set a product's stock at a store to a level read from Shopify (a webhook or a
+  // sync page), plus the POS changes still waiting to be pushed. Levels don't
+  // arrive in order, so one older than the level already applied is ignored and
+  // null returned instead of the new quantity. Call inside a transaction.
+  async applyLevel(manager, { productId, storeId, available, updatedAt }, details) {
+    const inventoryRepo = manager.getRepository('Inventory');
+    const current = await inventoryRepo.findOne({
+      where: { productId, storeId },
+      lock: { mode: 'pessimistic_write' }
+    });
+
+    const levelUpdatedAt = updatedAt ? new Date(updatedAt) : null;
+    if (levelUpdatedAt && current?.shopifyUpdatedAt && levelUpdatedAt < new Date(current.shopifyUpdatedAt)) {
+      return null;
+    }
+
+    const unsentDeltas = await this.getUnsentDeltas(manager);
+    const quantity = (available || 0) + (unsentDeltas.get(`${productId}_${storeId}`) || 0);
+
+    const inventory = await stockMovements.setQuantity(manager, { productId, storeId, quantity }, details);
+    if (levelUpdatedAt) {
+      inventory.shopifyUpdatedAt = levelUpdatedAt;
+      await inventoryRepo.save(inventory);
+    }
+    return quantity;
+  }
+
+  async getSummary() {
+    const rows = await getAdjustmentRepository()
+      .createQueryBuilder('adjustment')
+      .select('adjustment.status', 'status')
+      .addSelect('COUNT(*)', 'count')
+      .groupBy('adjustment.status')
+      .getRawMany();
+
+    return rows.reduce((summary, row) => {
+      summary[row.status] = parseInt(row.count);
+      return summary;
+    }, { pending: 0, processing: 0, done: 0, failed: 0, skipped: 0 });
+  }
+
+  // Put failed (or skipped) adjustments back in the queue
+  async retry(ids) {
+    const queryBuilder = getAdjustmentRepository()
+      .createQueryBuilder()
+      .update()
+      .set({ status: 'pending', attempts: 0, lastError: null, nextAttemptAt: new Date() })
+      .where('status IN (:...statuses)', { statuses: ['failed', 'skipped'] });
+
+    if (ids) {
+      queryBuilder.andWhere('id IN (:...ids)', { ids });
+    }
+
+    const result = await queryBuilder.execute();
+    return result.affected || 0;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (!process.env.SHOPIFY_SHOP_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      console.log('⚠️ Shopify credentials not configured, inventory adjustments will stay queued');
+      return;
+    }
+
+    // Anything left mid-flight by a restart goes back in the queue
+    getAdjustmentRepository()
+      .update({ status: 'processing' }, { status: 'pending' })
+      .catch(error => console.error('❌ Failed to reset Shopify inventory queue:', error.message));
+
+    this.timer = setInterval(() => this.processDue(), INTERVAL_MS);
+    console.log(`🔁 Shopify inventory push worker started (every ${INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Claim a batch of due adjustments (skipping rows another instance holds) and push them
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const batch = await AppDataSource.transaction(async (manager) => {
+        const adjustmentRepo = getAdjustmentRepository(manager);
+        const due = await adjustmentRepo
+          .createQueryBuilder('adjustment')
+          .where('adjustment.status = :status', { status: 'pending' })
+          .andWhere('adjustment.nextAttemptAt <= :now', { now: new Date() })
+          .orderBy('adjustment.id', 'ASC')
+          .limit(BATCH_SIZE)
+          .setLock('pessimistic_write')
+          .setOnLocked('skip_locked')
+          .getMany();
+
+        if (due.length > 0) {
+          await adjustmentRepo.update(due.map(adjustment => adjustment.id), { status: 'processing' });
+        }
+        return due;
+      });
+
+      for (const adjustment of batch) {
+        await this.push(adjustment);
+      }
+    } catch (error) {
+      console.error('❌ Shopify inventory push worker error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async push(adjustment) {
+    const adjustmentRepo = getAdjustmentRepository();
+    const product = await AppDataSource.getRepository('Product').findOne({ where: { id: adjustment.productId } });
+    const store = await AppDataSource.getRepository('Store').findOne({ where: { id: adjustment.storeId } });
+
+    if (!product?.inventoryItemId || !store?.shopifyLocationId) {
+      adjustment.status = 'skipped';
+      adjustment.lastError = !product?.inventoryItemId
+        ? 'Product has no Shopify inventory item'
+        : 'Store has no Shopify location';
+      adjustment.processedAt = new Date();
+      await adjustmentRepo.save(adjustment);
+      return;
+    }
+
+    adjustment.attempts += 1;
+
+    try {
+      await shopifyService.adjustInventory(product.inventoryItemId, store.shopifyLocationId, adjustment.delta);
+
+      adjustment.status = 'done';
+      adjustment.lastError = null;
+      adjustment.processedAt = new Date();
+      console.log(`✅ Shopify stock ${adjustment.delta > 0 ? '+' : ''}${adjustment.delta} for ${product.sku} at ${store.name}`);
+    } catch (error) {
+      adjustment.lastError = error.message;
+
+      if (shopifyService.isPermanentError(error) || adjustment.attempts >= MAX_ATTEMPTS) {
+        adjustment.status = 'failed';
+        console.error(`❌ Shopify stock adjustment ${adjustment.id} failed after ${adjustment.attempts} attempt(s): ${error.message}`);
+      } else {
+        adjustment.status = 'pending';
+        adjustment.nextAttemptAt = new Date(Date.now() + getRetryDelay(adjustment.attempts));
+      }
+    }
+
+    await adjustmentRepo.save(adjustment);
+  }
+}
+
+module.exports = new ShopifyInventorySync();
@@ -0,0 +1,307 @@
+const { AppDataSource } = require('../data-source');
+const shopifyService = require('./shopify');
+
+const INTERVAL_MS = parseInt(process.env.SHOPIFY_ORDER_SYNC_INTERVAL_MS) || 30000;
+const BATCH_SIZE = 10;
+const MAX_ATTEMPTS = 10;
+
+// 1m, 2m, 4m ... capped at six hours
+const getRetryDelay = (attempts) => Math.min(60000 * Math.pow(2, attempts - 1), 21600000);
+
+const GATEWAYS = {
+  cash: 'Cash',
+  upi: 'UPI',
+  card: 'Card',
+  other: 'Other'
+};
+
+const getOrderRepository = (manager = AppDataSource.manager) => manager.getRepository('ShopifyOrder');
+
+const toMoney = (value) => (parseFloat(value) || 0).toFixed(2);
+
+// Mirrors POS sales into Shopify as orders for stores that opted in, so online
+// and walk-in sales report together. One ShopifyOrder row per sale is the
+// idempotency record: a sale is queued once and never posted again after it
+// has an order ID. Orders aren't changed in Shopify afterwards; a sale edited,
+// returned against or deleted later flags its order for an admin instead.
+class ShopifyOrderSync {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Queue a sale in the same transaction that records it. Does nothing unless
+  // the store has Shopify order sync turned on.
+  async enqueue(manager, sale, store) {
+    if (!store.shopifyOrderSync) return null;
+
+    const orderRepo = getOrderRepository(manager);
+    const existing = await orderRepo.findOne({ where: { saleId: sale.id } });
+    if (existing) return existing;
+
+    const order = await orderRepo.save(orderRepo.create({ saleId: sale.id, storeId: store.id, invoiceNumber: sale.invoiceNumber }));
+    console.log(`📤 Queued sale ${sale.invoiceNumber} for Shopify order sync`);
+    return order;
+  }
+
+  // Flag a sale's order after the sale changed in the POS, with what changed, so
+  // an admin can put it right in Shopify. A flagged order isn't sent until the
+  // admin resolves it. An edit to a sale that hasn't been sent yet needs nothing:
+  // the sale goes out as edited. Call inside the transaction that changes the sale.
+  async flag(manager, saleId, reason, { edited = false } = {}) {
+    const orderRepo = getOrderRepository(manager);
+    const order = await orderRepo.findOne({ where: { saleId }, lock: { mode: 'pessimistic_write' } });
+    if (!order) return null;
+    if (edited && !order.shopifyOrderId && ['pending', 'failed'].includes(order.status)) return order;
+
+    order.status = 'needs_attention';
+    order.attentionReason = order.attentionReason ? `${order.attentionReason}; ${reason}` : reason;
+    await orderRepo.save(order);
+
+    console.log(`⚠️ Shopify order for sale ${order.invoiceNumber || saleId} needs attention: ${reason}`);
+    return order;
+  }
+
+  // An admin has dealt with a flagged order in Shopify. One that was never sent
+  // goes back to failed, to be retried from there if its sale still exists.
+  async resolve(id) {
+    const orderRepo = getOrderRepository();
+    const order = await orderRepo.findOne({ where: { id } });
+    if (!order || order.status !== 'needs_attention') return null;
+
+    if (order.shopifyOrderId) {
+      order.status = 'synced';
+    } else {
+      order.status = 'failed';
+      order.lastError = order.saleId ? 'Not sent yet. Retry to send the sale as it is now.' : 'Sale deleted before it was sent';
+    }
+    order.attentionReason = null;
+    await orderRepo.save(order);
+    return order;
+  }
+
+  // Shopify order payload for a sale loaded with store, customer, items.product and payments
+  buildOrder(sale) {
+    const customer = sale.customer;
+
+    const lineItems = sale.items.map(item => {
+      const taxLines = sale.isInterState
+        ? [{ title: 'IGST', rate: parseFloat(item.taxRate) / 100, price: toMoney(item.igstAmount) }]
+        : [
+          { title: 'CGST', rate: parseFloat(item.taxRate) / 200, price: toMoney(item.cgstAmount) },
+          { title: 'SGST', rate: parseFloat(item.taxRate) / 200, price: toMoney(item.sgstAmount) }
+        ];
+
+      return {
+        ...(item.product?.shopifyVariantId && { variant_id: parseInt(item.product.shopifyVariantId) }),
+        title: item.name,
+        sku: item.sku,
+        quantity: item.quantity,
+        price: toMoney(item.unitPrice),
+        taxable: parseFloat(item.taxRate) > 0,
+        requires_shipping: false,
+        tax_lines: taxLines
+      };
+    });
+
+    // Older sales have no payment rows, only the method on the sale
+    const payments = sale.payments && sale.payments.length > 0
+      ? sale.payments
+      : [{ method: sale.paymentMethod, amount: sale.totalAmount }];
+
+    // Rounding the bill down is passed on as discount so the order total matches what was paid
+    const totalDiscount = (parseFloat(sale.totalDiscount) || 0) - Math.min(parseFloat(sale.roundOff) || 0, 0);
+
+    return {
+      line_items: lineItems,
+      location_id: parseInt(sale.store.shopifyLocationId),
+      processed_at: new Date(sale.saleDate || sale.createdAt).toISOString(),
+      currency: 'INR',
+      taxes_included: true, // POS prices are MRP, tax inclusive
+      total_tax: toMoney(sale.totalTax),
+      ...(totalDiscount > 0 && {
+        discount_codes: [{ code: sale.couponCode || 'POS DISCOUNT', amount: toMoney(totalDiscount), type: 'fixed_amount' }]
+      }),
+      financial_status: 'paid',
+      fulfillment_status: 'fulfilled',
+      transactions: payments.map(payment => ({
+        kind: 'sale',
+        status: 'success',
+        amount: toMoney(payment.amount),
+        gateway: GATEWAYS[payment.method] || payment.method
+      })),
+      ...(customer?.email && {
+        customer: { first_name: customer.name, email: customer.email }
+      }),
+      ...(customer && {
+        billing_address: {
+          name: customer.name,
+          phone: customer.phone,
+          address1: customer.address || '',
+          province: customer.state || '',
+          country: 'India'
+        }
+      }),
+      note: `POS sale ${sale.invoiceNumber}`,
+      note_attributes: [
+        { name: 'POS Invoice', value: sale.invoiceNumber },
+        ...(customer ? [{ name: 'Customer Phone', value: customer.phone }] : []),
+        ...(customer?.gstNumber ? [{ name: 'Customer GSTIN', value: customer.gstNumber }] : [])
+      ],
+      tags: ['POS', sale.store.name].join(', '),
+      source_identifier: String(sale.id),
+      // Stock already reaches Shopify through the inventory push queue
+      inventory_behaviour: 'bypass',
+      send_receipt: false,
+      send_fulfillment_receipt: false
+    };
+  }
+
+  async getSummary() {
+    const rows = await getOrderRepository()
+      .createQueryBuilder('shopifyOrder')
+      .select('shopifyOrder.status', 'status')
+      .addSelect('COUNT(*)', 'count')
+      .groupBy('shopifyOrder.status')
+      .getRawMany();
+
+    return rows.reduce((summary, row) => {
+      summary[row.status] = parseInt(row.count);
+      return summary;
+    }, { pending: 0, processing: 0, synced: 0, failed: 0, needs_attention: 0 });
+  }
+
+  // Put failed orders back in the queue
+  async retry(ids) {
+    const queryBuilder = getOrderRepository()
+      .createQueryBuilder()
+      .update()
+      .set({ status: 'pending', attempts: 0, lastError: null, nextAttemptAt: new Date() })
+      .where('status = :status', { status: 'failed' })
+      .andWhere('shopifyOrderId IS NULL')
+      .andWhere('saleId IS NOT NULL');
+
+    if (ids) {
+      queryBuilder.andWhere('id IN (:...ids)', { ids });
+    }
+
+    const result = await queryBuilder.execute();
+    return result.affected || 0;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (!process.env.SHOPIFY_SHOP_DOMAIN || !process.env.SHOPIFY_ACCESS_TOKEN) {
+      console.log('⚠️ Shopify credentials not configured, sales will stay queued for Shopify order sync');
+      return;
+    }
+
+    // A restart mid-request may have created the order in Shopify without us
+    // saving its ID. Don't resend blindly; let an admin check and retry.
+    getOrderRepository()
+      .update({ status: 'processing' }, {
+        status: 'failed',
+        lastError: 'Interrupted while sending. Check Shopify for this sale before retrying.'
+      })
+      .catch(error => console.error('❌ Failed to reset Shopify order queue:', error.message));
+
+    this.timer = setInterval(() => this.processDue(), INTERVAL_MS);
+    console.log(`🔁 Shopify order sync worker started (every ${INTERVAL_MS / 1000}s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Claim a batch of due orders (skipping rows another instance holds) and push them
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const batch = await AppDataSource.transaction(async (manager) => {
+        const orderRepo = getOrderRepository(manager);
+        const due = await orderRepo
+          .createQueryBuilder('shopifyOrder')
+          .where('shopifyOrder.status = :status', { status: 'pending' })
+          .andWhere('shopifyOrder.nextAttemptAt <= :now', { now: new Date() })
+          .orderBy('shopifyOrder.id', 'ASC')
+          .limit(BATCH_SIZE)
+          .setLock('pessimistic_write')
+          .setOnLocked('skip_locked')
+          .getMany();
+
+        if (due.length > 0) {
+          await orderRepo.update(due.map(order => order.id), { status: 'processing' });
+        }
+        return due;
+      });
+
+      for (const order of batch) {
+        await this.push(order);
+      }
+    } catch (error) {
+      console.error('❌ Shopify order sync worker error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async push(order) {
+    const sale = order.saleId && await AppDataSource.getRepository('Sale').findOne({
+      where: { id: order.saleId },
+      relations: ['store', 'customer', 'items', 'items.product', 'payments']
+    });
+
+    if (!sale || !sale.store.shopifyLocationId) {
+      order.status = 'failed';
+      order.lastError = !sale ? 'Sale no longer exists' : 'Store has no Shopify location';
+      await this.saveResult(order);
+      return;
+    }
+
+    order.attempts += 1;
+
+    try {
+      const shopifyOrder = await shopifyService.createOrder(this.buildOrder(sale));
+
+      order.status = 'synced';
+      order.shopifyOrderId = shopifyOrder.id.toString();
+      order.shopifyOrderName = shopifyOrder.name;
+      order.lastError = null;
+      order.syncedAt = new Date();
+      console.log(`✅ Sale ${sale.invoiceNumber} recorded in Shopify as order ${shopifyOrder.name}`);
+    } catch (error) {
+      order.lastError = error.message;
+
+      if (shopifyService.isPermanentError(error) || order.attempts >= MAX_ATTEMPTS) {
+        order.status = 'failed';
+        console.error(`❌ Shopify order for sale ${order.saleId} failed after ${order.attempts} attempt(s): ${error.message}`);
+      } else {
+        order.status = 'pending';
+        order.nextAttemptAt = new Date(Date.now() + getRetryDelay(order.attempts));
+      }
+    }
+
+    await this.saveResult(order);
+  }
+
+  // Save how a push went. If the sale was edited, returned against or deleted
+  // while it was being sent, the order keeps its flag (and still gets its ID).
+  async saveResult(order) {
+    await AppDataSource.transaction(async (manager) => {
+      const orderRepo = getOrderRepository(manager);
+      const current = await orderRepo.findOne({ where: { id: order.id }, lock: { mode: 'pessimistic_write' } });
+      if (current && current.status === 'needs_attention') {
+        order.status = 'needs_attention';
+        order.saleId = current.saleId;
+        order.attentionReason = current.attentionReason;
+      }
+      await orderRepo.save(order);
+    });
+  }
+}
+
+module.exports = new ShopifyOrderSync();
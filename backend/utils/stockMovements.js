@@ -0,0 +1,63 @@
+const { AppDataSource } = require('../data-source');
+
+const TYPE_LABELS = {
+  sale: 'Sale',
+  return: 'Return',
+  sale_edit: 'Sale edited',
+  sale_delete: 'Sale deleted',
+  transfer_out: 'Transfer sent',
+  transfer_in: 'Transfer received',
+  transfer_cancel: 'Transfer cancelled',
+  purchase_receipt: 'Goods received',
+  stocktake: 'Stocktake',
+  manual_adjustment: 'Manual adjustment',
+  shopify_sync: 'Shopify sync'
+};
+
+const getMovementRepository = (manager = AppDataSource.manager) => manager.getRepository('StockMovement');
+
+// Append-only ledger of stock changes. Every change to an Inventory quantity
+// is recorded with the quantity before and after, what caused it and who made
+// it, in the same transaction as the change itself. Rows are never updated.
+class StockMovementService {
+  getTypes() {
+    return Object.keys(TYPE_LABELS).map(type => ({ value: type, label: TYPE_LABELS[type] }));
+  }
+
+  // Record stock changes. movements are [{ productId, storeId, quantityBefore,
+  // quantityAfter }]; details ({ type, referenceType, referenceId,
+  // referenceNumber, userId, note }) apply to all of them. Pass the
+  // transaction's EntityManager so the ledger commits with the stock change.
+  async record(manager, movements, details) {
+    // Lens lines have no stock, and a sync that found the same count moved nothing
+    const rows = movements.filter(movement => movement.productId && movement.quantityBefore !== movement.quantityAfter);
+    if (rows.length === 0) return [];
+
+    const movementRepo = getMovementRepository(manager);
+    return movementRepo.save(rows.map(movement => movementRepo.create({
+      ...details,
+      ...movement,
+      quantityChange: movement.quantityAfter - movement.quantityBefore
+    })));
+  }
+
+  // Set a product's stock at a store to an absolute quantity (a Shopify pull
+  // or a manual edit) and record the difference. Call inside a transaction.
+  async setQuantity(manager, { productId, storeId, quantity }, details) {
+    const inventoryRepo = manager.getRepository('Inventory');
+    let inventory = await inventoryRepo.findOne({ where: { productId, storeId } });
+    const quantityBefore = inventory ? inventory.quantity : 0;
+
+    if (inventory) {
+      inventory.quantity = quantity;
+    } else {
+      inventory = inventoryRepo.create({ productId, storeId, quantity });
+    }
+    await inventoryRepo.save(inventory);
+
+    await this.record(manager, [{ productId, storeId, quantityBefore, quantityAfter: quantity }], details);
+    return inventory;
+  }
+}
+
+module.exports = new StockMovementService();
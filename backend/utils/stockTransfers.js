@@ -0,0 +1,269 @@
+const documentNumber = require('./documentNumber');
+const shopifyInventorySync = require('./shopifyInventorySync');
+const stockMovements = require('./stockMovements');
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  in_transit: 'In transit',
+  partially_received: 'Partially received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+// Transfers the destination can still book goods against
+const OPEN_STATUSES = ['in_transit', 'partially_received'];
+
+// Add to (or take from) a store's stock, creating the row if the store never
+// had the product. Returns the change for the stock ledger.
+async function adjustInventory(manager, productId, storeId, delta) {
+  const inventoryRepo = manager.getRepository('Inventory');
+  let inventory = await inventoryRepo.findOne({ where: { productId, storeId } });
+
+  if (!inventory) {
+    inventory = inventoryRepo.create({ productId, storeId, quantity: 0 });
+  }
+  const quantityBefore = inventory.quantity;
+  inventory.quantity += delta;
+  await inventoryRepo.save(inventory);
+  return { productId, storeId, quantityBefore, quantityAfter: inventory.quantity };
+}
+
+// Ledger details shared by every stock change on a transfer
+const movementDetails = (transfer, type, user) => ({
+  type,
+  referenceType: 'stock_transfer',
+  referenceId: transfer.id,
+  referenceNumber: transfer.transferNumber,
+  userId: user.id
+});
+
+// Inter-store stock transfers: a draft is dispatched (stock leaves the sending
+// store), travels in transit, and is received at the destination, possibly over
+// several deliveries. Whatever never arrives is written off as a discrepancy
+// when the transfer is closed.
+class StockTransferService {
+  getStatuses() {
+    return Object.keys(STATUS_LABELS).map(status => ({ value: status, label: STATUS_LABELS[status] }));
+  }
+
+  isOpen(transfer) {
+    return OPEN_STATUSES.includes(transfer.status);
+  }
+
+  // Check the requested lines and snapshot product name / SKU on them.
+  // Repeated products are merged into one line.
+  async buildItems(manager, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Add at least one product to the transfer');
+    }
+
+    const quantities = new Map();
+    items.forEach((item) => {
+      const productId = parseInt(item.productId);
+      const quantity = parseInt(item.quantity);
+      if (!productId) {
+        throw new Error('Each line needs a product');
+      }
+      if (!quantity || quantity < 1) {
+        throw new Error('Quantities must be whole numbers of at least 1');
+      }
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    });
+
+    const productRepo = manager.getRepository('Product');
+    const lines = [];
+    for (const [productId, quantity] of quantities) {
+      const product = await productRepo.findOne({ where: { id: productId } });
+      if (!product) {
+        throw new Error(`Product not found: ${productId}`);
+      }
+      lines.push({ productId, name: product.name, sku: product.sku, quantity, receivedQuantity: 0 });
+    }
+    return lines;
+  }
+
+  async create(manager, { fromStoreId, toStoreId, items, notes }, user) {
+    const storeRepo = manager.getRepository('Store');
+    const fromStore = await storeRepo.findOne({ where: { id: parseInt(fromStoreId) } });
+    const toStore = await storeRepo.findOne({ where: { id: parseInt(toStoreId) } });
+
+    if (!fromStore || !toStore) {
+      throw new Error('Choose both the sending and the receiving store');
+    }
+    if (fromStore.id === toStore.id) {
+      throw new Error('Stock can only be transferred to a different store');
+    }
+
+    const lines = await this.buildItems(manager, items);
+
+    const transferRepo = manager.getRepository('StockTransfer');
+    const itemRepo = manager.getRepository('StockTransferItem');
+
+    const transferNumber = await documentNumber.next(manager, fromStore, 'stock_transfer');
+    const transfer = await transferRepo.save(transferRepo.create({
+      transferNumber,
+      fromStoreId: fromStore.id,
+      toStoreId: toStore.id,
+      status: 'draft',
+      notes: notes || '',
+      createdById: user.id
+    }));
+
+    transfer.items = await itemRepo.save(lines.map(line => itemRepo.create({ ...line, transferId: transfer.id })));
+
+    console.log(`🚚 Stock transfer ${transferNumber} drafted: ${fromStore.name} → ${toStore.name}`);
+    return transfer;
+  }
+
+  // Replace the lines of a draft
+  async replaceItems(manager, transfer, items) {
+    if (transfer.status !== 'draft') {
+      throw new Error(`Transfer ${transfer.transferNumber} has been dispatched and can no longer be edited`);
+    }
+
+    const lines = await this.buildItems(manager, items);
+    const itemRepo = manager.getRepository('StockTransferItem');
+
+    await itemRepo.delete({ transferId: transfer.id });
+    transfer.items = await itemRepo.save(lines.map(line => itemRepo.create({ ...line, transferId: transfer.id })));
+    return transfer;
+  }
+
+  // Take the goods out of the sending store's stock. Call inside a transaction.
+  async dispatch(manager, transfer, user) {
+    if (transfer.status !== 'draft') {
+      throw new Error(`Transfer ${transfer.transferNumber} has already been dispatched`);
+    }
+
+    const inventoryRepo = manager.getRepository('Inventory');
+    const movements = [];
+    for (const item of transfer.items) {
+      const inventory = await inventoryRepo.findOne({
+        where: { productId: item.productId, storeId: transfer.fromStoreId }
+      });
+      const available = inventory ? inventory.quantity : 0;
+      if (available < item.quantity) {
+        throw new Error(`Insufficient inventory for ${item.name}. Available: ${available}, Needed: ${item.quantity}`);
+      }
+      inventory.quantity -= item.quantity;
+      await inventoryRepo.save(inventory);
+      movements.push({ productId: item.productId, storeId: transfer.fromStoreId, quantityBefore: available, quantityAfter: inventory.quantity });
+    }
+    await stockMovements.record(manager, movements, movementDetails(transfer, 'transfer_out', user));
+
+    await shopifyInventorySync.enqueue(manager, transfer.items.map(item => ({
+      productId: item.productId,
+      storeId: transfer.fromStoreId,
+      delta: -item.quantity,
+      reason: 'transfer_out',
+      referenceId: transfer.id
+    })));
+
+    transfer.status = 'in_transit';
+    transfer.dispatchedById = user.id;
+    transfer.dispatchedAt = new Date();
+    await manager.getRepository('StockTransfer').save(transfer);
+
+    console.log(`🚚 Stock transfer ${transfer.transferNumber} dispatched (${transfer.items.length} line(s))`);
+    return transfer;
+  }
+
+  // Book goods into the receiving store. lines are [{ itemId, quantity, note }]
+  // with the units in this delivery. With close, anything still outstanding is
+  // recorded as a discrepancy and the transfer is finished. Call inside a transaction.
+  async receive(manager, transfer, lines, { user, close = false }) {
+    if (!this.isOpen(transfer)) {
+      throw new Error(`Transfer ${transfer.transferNumber} is ${STATUS_LABELS[transfer.status].toLowerCase()} and cannot be received`);
+    }
+
+    const itemsById = new Map(transfer.items.map(item => [item.id, item]));
+    const received = [];
+
+    (lines || []).forEach((line) => {
+      const item = itemsById.get(parseInt(line.itemId));
+      if (!item) {
+        throw new Error(`Line ${line.itemId} is not on transfer ${transfer.transferNumber}`);
+      }
+
+      const quantity = parseInt(line.quantity) || 0;
+      if (quantity < 0) {
+        throw new Error('Received quantities cannot be negative');
+      }
+      const outstanding = item.quantity - item.receivedQuantity;
+      if (quantity > outstanding) {
+        throw new Error(`Only ${outstanding} of ${item.name} are still due on this transfer`);
+      }
+
+      if (line.note !== undefined) item.discrepancyNote = line.note || null;
+      if (quantity > 0) {
+        item.receivedQuantity += quantity;
+        received.push({ item, quantity });
+      }
+    });
+
+    if (received.length === 0 && !close) {
+      throw new Error('Enter the quantities that arrived');
+    }
+
+    const movements = [];
+    for (const { item, quantity } of received) {
+      movements.push(await adjustInventory(manager, item.productId, transfer.toStoreId, quantity));
+    }
+    await stockMovements.record(manager, movements, movementDetails(transfer, 'transfer_in', user));
+
+    await shopifyInventorySync.enqueue(manager, received.map(({ item, quantity }) => ({
+      productId: item.productId,
+      storeId: transfer.toStoreId,
+      delta: quantity,
+      reason: 'transfer_in',
+      referenceId: transfer.id
+    })));
+
+    const complete = transfer.items.every(item => item.receivedQuantity === item.quantity);
+    if (close && !complete) {
+      const short = transfer.items.filter(item => item.receivedQuantity < item.quantity && !item.discrepancyNote);
+      short.forEach((item) => {
+        item.discrepancyNote = 'Not received';
+      });
+    }
+
+    await manager.getRepository('StockTransferItem').save(transfer.items);
+
+    transfer.status = complete || close ? 'received' : 'partially_received';
+    transfer.receivedById = user.id;
+    if (transfer.status === 'received') transfer.receivedAt = new Date();
+    await manager.getRepository('StockTransfer').save(transfer);
+
+    console.log(`📦 Stock transfer ${transfer.transferNumber} ${transfer.status === 'received' ? 'received' : 'partly received'}`);
+    return transfer;
+  }
+
+  // Drop a draft, or call back a dispatched transfer nothing has arrived from
+  // (the goods go back into the sending store's stock). Call inside a transaction.
+  async cancel(manager, transfer, user) {
+    if (transfer.status === 'in_transit') {
+      const movements = [];
+      for (const item of transfer.items) {
+        movements.push(await adjustInventory(manager, item.productId, transfer.fromStoreId, item.quantity));
+      }
+      await stockMovements.record(manager, movements, movementDetails(transfer, 'transfer_cancel', user));
+      await shopifyInventorySync.enqueue(manager, transfer.items.map(item => ({
+        productId: item.productId,
+        storeId: transfer.fromStoreId,
+        delta: item.quantity,
+        reason: 'transfer_cancel',
+        referenceId: transfer.id
+      })));
+    } else if (transfer.status !== 'draft') {
+      throw new Error(`Transfer ${transfer.transferNumber} is ${STATUS_LABELS[transfer.status].toLowerCase()} and can no longer be cancelled`);
+    }
+
+    transfer.status = 'cancelled';
+    await manager.getRepository('StockTransfer').save(transfer);
+
+    console.log(`🚫 Stock transfer ${transfer.transferNumber} cancelled`);
+    return transfer;
+  }
+}
+
+module.exports = new StockTransferService();
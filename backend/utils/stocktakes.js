@@ -0,0 +1,367 @@
+const documentNumber = require('./documentNumber');
+const shopifyInventorySync = require('./shopifyInventorySync');
+const stockMovements = require('./stockMovements');
+
+const STATUS_LABELS = {
+  counting: 'Counting',
+  posted: 'Posted',
+  cancelled: 'Cancelled'
+};
+
+const REASON_LABELS = {
+  damaged: 'Damaged',
+  lost: 'Lost or stolen',
+  found: 'Found stock',
+  count_error: 'Earlier count or entry error',
+  other: 'Other'
+};
+
+const CATEGORIES = ['frame', 'eyeglass', 'sunglass', 'accessory'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+function parseCount(value, name) {
+  if (value === null || value === '') return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Counted quantity for ${name} must be a whole number of 0 or more`);
+  }
+  return count;
+}
+
+function checkReason(reasonCode) {
+  if (reasonCode && !REASON_LABELS[reasonCode]) {
+    throw new Error(`Unknown reason code: ${reasonCode}`);
+  }
+  return reasonCode || null;
+}
+
+// What the records said a line should hold when it was counted: the frozen
+// expected quantity plus whatever moved (sales, receipts) before it was counted
+const expectedAtCount = (item) => item.expectedQuantity + (item.movedBeforeCount || 0);
+
+// Stock counts: a session freezes what the store's records say it holds when
+// the count starts, staff enter or scan what is actually on the shelf, and the
+// approved differences are posted to stock with a reason. Stock keeps moving
+// while the count runs, so each line is compared with its stock at the time it
+// was counted: a unit sold before its shelf was counted is already missing from
+// the count and isn't taken off a second time.
+class StocktakeService {
+  getStatuses() {
+    return Object.keys(STATUS_LABELS).map(status => ({ value: status, label: STATUS_LABELS[status] }));
+  }
+
+  getReasonCodes() {
+    return Object.keys(REASON_LABELS).map(code => ({ value: code, label: REASON_LABELS[code] }));
+  }
+
+  // Snapshot a product for the count sheet
+  buildItem(product, expectedQuantity) {
+    return {
+      productId: product.id,
+      name: product.name,
+      sku: product.sku,
+      barcode: product.barcode || null,
+      expectedQuantity,
+      countedQuantity: null,
+      unitCost: product.costPrice === null || product.costPrice === undefined ? null : parseFloat(product.costPrice),
+      unitPrice: parseFloat(product.price)
+    };
+  }
+
+  // Open a count for a store, everything it stocks or one category, and freeze
+  // the expected quantities. Call inside a transaction.
+  async start(manager, { storeId, scope = 'full', category, notes }, user) {
+    const store = await manager.getRepository('Store').findOne({ where: { id: parseInt(storeId) || 0 } });
+    if (!store) {
+      throw new Error('Choose the store to count');
+    }
+    if (!['full', 'category'].includes(scope)) {
+      throw new Error(`Invalid stocktake scope: ${scope}`);
+    }
+    if (scope === 'category' && !CATEGORIES.includes(category)) {
+      throw new Error('Choose the category to count');
+    }
+
+    const stocktakeRepo = manager.getRepository('Stocktake');
+    const itemRepo = manager.getRepository('StocktakeItem');
+
+    // Two open counts would each post the same differences
+    const open = await stocktakeRepo.findOne({ where: { storeId: store.id, status: 'counting' } });
+    if (open) {
+      throw new Error(`${store.name} already has stocktake ${open.stocktakeNumber} in progress`);
+    }
+
+    const queryBuilder = manager.getRepository('Inventory').createQueryBuilder('inventory')
+      .innerJoinAndSelect('inventory.product', 'product')
+      .where('inventory.storeId = :storeId', { storeId: store.id })
+      .andWhere('product.isActive = :isActive', { isActive: true });
+    if (scope === 'category') {
+      queryBuilder.andWhere('product.category = :category', { category });
+    }
+    const inventory = await queryBuilder.orderBy('product.name', 'ASC').getMany();
+
+    const stocktakeNumber = await documentNumber.next(manager, store, 'stocktake');
+    const stocktake = await stocktakeRepo.save(stocktakeRepo.create({
+      stocktakeNumber,
+      storeId: store.id,
+      scope,
+      category: scope === 'category' ? category : null,
+      status: 'counting',
+      notes: notes || '',
+      startedById: user.id
+    }));
+
+    stocktake.items = await itemRepo.save(inventory.map(row => itemRepo.create({
+      ...this.buildItem(row.product, row.quantity),
+      stocktakeId: stocktake.id
+    })));
+
+    console.log(`📋 Stocktake ${stocktakeNumber} started at ${store.name} (${stocktake.items.length} product(s))`);
+    return stocktake;
+  }
+
+  // Stamp a line with when it was counted and how far its stock had moved since
+  // the count started
+  async markCounted(manager, stocktake, item) {
+    if (item.countedQuantity === null) {
+      item.countedAt = null;
+      item.movedBeforeCount = 0;
+      return;
+    }
+
+    const inventory = await manager.getRepository('Inventory').findOne({
+      where: { productId: item.productId, storeId: stocktake.storeId }
+    });
+    item.countedAt = new Date();
+    item.movedBeforeCount = (inventory ? inventory.quantity : 0) - item.expectedQuantity;
+  }
+
+  checkCounting(stocktake) {
+    if (stocktake.status !== 'counting') {
+      throw new Error(`Stocktake ${stocktake.stocktakeNumber} is ${STATUS_LABELS[stocktake.status].toLowerCase()}`);
+    }
+  }
+
+  // Enter counts: [{ itemId, countedQuantity, reasonCode }]. A null count
+  // clears the line. Call inside a transaction.
+  async setCounts(manager, stocktake, counts) {
+    this.checkCounting(stocktake);
+    if (!Array.isArray(counts) || counts.length === 0) {
+      throw new Error('Enter at least one count');
+    }
+
+    const itemsById = new Map(stocktake.items.map(item => [item.id, item]));
+    const changed = [];
+    for (const count of counts) {
+      const item = itemsById.get(parseInt(count.itemId));
+      if (!item) {
+        throw new Error(`Line ${count.itemId} is not on stocktake ${stocktake.stocktakeNumber}`);
+      }
+      if (count.countedQuantity !== undefined) {
+        item.countedQuantity = parseCount(count.countedQuantity, item.name);
+        await this.markCounted(manager, stocktake, item);
+      }
+      if (count.reasonCode !== undefined) item.reasonCode = checkReason(count.reasonCode);
+      changed.push(item);
+    }
+
+    return manager.getRepository('StocktakeItem').save(changed);
+  }
+
+  // Add scanned units to the count. A product that isn't on the sheet yet (no
+  // stock on record at the store) is added with nothing expected, as long as
+  // it is in the count's category. Call inside a transaction.
+  async scan(manager, stocktake, { code, quantity = 1 }) {
+    this.checkCounting(stocktake);
+
+    const scanned = (code || '').trim();
+    const units = Number(quantity);
+    if (!scanned) {
+      throw new Error('Scan or type a barcode');
+    }
+    if (!Number.isInteger(units) || units === 0) {
+      throw new Error('Scanned quantity must be a whole number');
+    }
+
+    const itemRepo = manager.getRepository('StocktakeItem');
+
+    // A real barcode wins over a SKU that happens to look the same
+    let item = stocktake.items.find(line => line.barcode === scanned)
+      || stocktake.items.find(line => line.sku === scanned);
+
+    if (!item) {
+      const matches = await manager.getRepository('Product').createQueryBuilder('product')
+        .where('product.isActive = :isActive', { isActive: true })
+        .andWhere('(product.barcode = :code OR product.sku = :code)', { code: scanned })
+        .getMany();
+      const byBarcode = matches.filter(product => product.barcode === scanned);
+      const products = byBarcode.length > 0 ? byBarcode : matches;
+
+      if (products.length === 0) {
+        throw new Error(`No product with barcode ${scanned}`);
+      }
+      if (products.length > 1) {
+        throw new Error(`Barcode ${scanned} is on more than one product (${products.map(product => product.sku).join(', ')})`);
+      }
+      const product = products[0];
+      if (stocktake.scope === 'category' && product.category !== stocktake.category) {
+        throw new Error(`${product.name} is not a ${stocktake.category}; this count only covers ${stocktake.category}s`);
+      }
+
+      item = itemRepo.create({ ...this.buildItem(product, 0), stocktakeId: stocktake.id });
+      stocktake.items.push(item);
+    }
+
+    const counted = (item.countedQuantity || 0) + units;
+    if (counted < 0) {
+      throw new Error(`${item.name} has only ${item.countedQuantity || 0} counted`);
+    }
+    item.countedQuantity = counted;
+    await this.markCounted(manager, stocktake, item);
+    return itemRepo.save(item);
+  }
+
+  // Expected (as of when the line was counted) vs counted per line, with the
+  // difference in units and in value at cost (where the product has a cost
+  // price) and at MRP
+  getVariance(stocktake) {
+    const summary = {
+      lines: stocktake.items.length,
+      counted: 0,
+      uncounted: 0,
+      matched: 0,
+      shortUnits: 0,
+      excessUnits: 0,
+      netUnits: 0,
+      shortCost: 0,
+      excessCost: 0,
+      netCost: 0,
+      netValueAtMrp: 0,
+      linesWithoutCost: 0
+    };
+
+    const lines = stocktake.items.map((item) => {
+      if (item.countedQuantity === null || item.countedQuantity === undefined) {
+        summary.uncounted += 1;
+        return { ...item, expectedAtCount: null, variance: null, varianceCost: null, varianceValueAtMrp: null };
+      }
+
+      summary.counted += 1;
+      const variance = item.countedQuantity - expectedAtCount(item);
+      const unitCost = item.unitCost === null ? null : parseFloat(item.unitCost);
+      const varianceCost = unitCost === null ? null : roundMoney(variance * unitCost);
+      const varianceValueAtMrp = roundMoney(variance * parseFloat(item.unitPrice));
+
+      if (variance === 0) summary.matched += 1;
+      if (variance < 0) summary.shortUnits -= variance;
+      if (variance > 0) summary.excessUnits += variance;
+      summary.netUnits += variance;
+      if (variance !== 0 && varianceCost === null) summary.linesWithoutCost += 1;
+      if (varianceCost !== null) {
+        if (variance < 0) summary.shortCost -= varianceCost;
+        if (variance > 0) summary.excessCost += varianceCost;
+        summary.netCost += varianceCost;
+      }
+      summary.netValueAtMrp += varianceValueAtMrp;
+
+      return { ...item, expectedAtCount: expectedAtCount(item), variance, varianceCost, varianceValueAtMrp };
+    });
+
+    ['shortCost', 'excessCost', 'netCost', 'netValueAtMrp'].forEach((key) => {
+      summary[key] = roundMoney(summary[key]);
+    });
+
+    return { lines, summary };
+  }
+
+  // Post the approved differences to the store's stock. itemIds limits which
+  // counted lines are posted (all of them by default); reasonCode covers lines
+  // without their own. Uncounted lines are left alone. Call inside a transaction.
+  async post(manager, stocktake, { itemIds, reasonCode }, user) {
+    this.checkCounting(stocktake);
+    checkReason(reasonCode);
+
+    const approved = Array.isArray(itemIds) ? new Set(itemIds.map(id => parseInt(id))) : null;
+    const lines = stocktake.items.filter(item => item.countedQuantity !== null && (!approved || approved.has(item.id)));
+    if (approved) {
+      const uncounted = stocktake.items.find(item => approved.has(item.id) && item.countedQuantity === null);
+      if (uncounted) {
+        throw new Error(`${uncounted.name} has not been counted`);
+      }
+    }
+
+    const adjustments = lines.filter(item => item.countedQuantity !== expectedAtCount(item));
+    const missingReason = adjustments.find(item => !item.reasonCode && !reasonCode);
+    if (missingReason) {
+      throw new Error(`Choose a reason for the difference on ${missingReason.name}`);
+    }
+
+    const inventoryRepo = manager.getRepository('Inventory');
+    const movements = [];
+    for (const item of adjustments) {
+      // Live stock already has every movement since the count started, so only
+      // the difference found on the shelf is added to it
+      const delta = item.countedQuantity - expectedAtCount(item);
+
+      let inventory = await inventoryRepo.findOne({
+        where: { productId: item.productId, storeId: stocktake.storeId }
+      });
+      if (!inventory) {
+        inventory = inventoryRepo.create({ productId: item.productId, storeId: stocktake.storeId, quantity: 0 });
+      }
+      const quantityBefore = inventory.quantity;
+      inventory.quantity += delta;
+      await inventoryRepo.save(inventory);
+
+      item.reasonCode = item.reasonCode || reasonCode;
+      item.adjustedQuantity = delta;
+      movements.push({
+        productId: item.productId,
+        storeId: stocktake.storeId,
+        quantityBefore,
+        quantityAfter: inventory.quantity,
+        note: REASON_LABELS[item.reasonCode]
+      });
+    }
+    await manager.getRepository('StocktakeItem').save(adjustments);
+
+    await stockMovements.record(manager, movements, {
+      type: 'stocktake',
+      referenceType: 'stocktake',
+      referenceId: stocktake.id,
+      referenceNumber: stocktake.stocktakeNumber,
+      userId: user.id
+    });
+
+    await shopifyInventorySync.enqueue(manager, movements.map(movement => ({
+      productId: movement.productId,
+      storeId: stocktake.storeId,
+      delta: movement.quantityAfter - movement.quantityBefore,
+      reason: 'stocktake',
+      referenceId: stocktake.id
+    })));
+
+    stocktake.status = 'posted';
+    stocktake.reasonCode = reasonCode || null;
+    stocktake.postedById = user.id;
+    stocktake.postedAt = new Date();
+    await manager.getRepository('Stocktake').save(stocktake);
+
+    console.log(`✅ Stocktake ${stocktake.stocktakeNumber} posted (${adjustments.length} adjustment(s))`);
+    return stocktake;
+  }
+
+  // Abandon a count without touching stock
+  async cancel(manager, stocktake) {
+    this.checkCounting(stocktake);
+
+    stocktake.status = 'cancelled';
+    await manager.getRepository('Stocktake').save(stocktake);
+
+    console.log(`🚫 Stocktake ${stocktake.stocktakeNumber} cancelled`);
+    return stocktake;
+  }
+}
+
+module.exports = new StocktakeService();
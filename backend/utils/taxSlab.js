@@ -0,0 +1,168 @@
+const { In, IsNull } = require('typeorm');
+const istDate = require('./istDate');
+
+// Slabs created on first start. Rates can be changed later by adding a row
+// for the same HSN with a new effective-from date.
+const DEFAULT_SLABS = [
+  {
+    hsnCode: '90031900',
+    description: 'Frames and mountings for spectacles',
+    taxRate: 5,
+    effectiveFrom: '2017-07-01',
+    matchTerms: ['frame', 'eyeglass', 'spectacle']
+  },
+  {
+    hsnCode: '90041000',
+    description: 'Sunglasses',
+    taxRate: 18,
+    effectiveFrom: '2017-07-01',
+    matchTerms: ['sunglass']
+  }
+];
+
+const HSN_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+const VALID_RATES = [0, 3, 5, 12, 18, 28, 40];
+
+class TaxSlabService {
+  validate({ hsnCode, taxRate, effectiveFrom }) {
+    if (!HSN_PATTERN.test(hsnCode || '')) {
+      throw new Error('HSN code must be 4, 6 or 8 digits');
+    }
+    if (!VALID_RATES.includes(parseInt(taxRate))) {
+      throw new Error(`Tax rate must be one of ${VALID_RATES.join(', ')}`);
+    }
+    if (!effectiveFrom || isNaN(new Date(effectiveFrom).getTime())) {
+      throw new Error('Effective from date is required');
+    }
+  }
+
+  // All slabs, newest rate first for each HSN
+  async getSlabs(manager) {
+    return manager.getRepository('TaxSlab').find({
+      order: { hsnCode: 'ASC', effectiveFrom: 'DESC' }
+    });
+  }
+
+  // GST rate in force for an HSN on a date, or null if the HSN has no slab
+  getRate(slabs, hsnCode, date = new Date()) {
+    if (!hsnCode) return null;
+
+    // Slabs take effect on IST calendar dates
+    const day = istDate.toDateString(date);
+    const slab = slabs
+      .filter(s => s.hsnCode === hsnCode && s.effectiveFrom <= day)
+      .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? 1 : -1))[0];
+
+    return slab ? slab.taxRate : null;
+  }
+
+  // HSN for a Shopify product type / tag list. Values are checked in order
+  // (product type first); within a value the longest matching term wins.
+  matchHsnCode(slabs, values) {
+    for (const value of values) {
+      const text = (value || '').toString().toLowerCase().trim();
+      if (!text) continue;
+
+      let best = null;
+      for (const slab of slabs) {
+        for (const term of slab.matchTerms || []) {
+          const needle = term.toLowerCase().trim();
+          if (needle && text.includes(needle) && (!best || needle.length > best.length)) {
+            best = { hsnCode: slab.hsnCode, length: needle.length };
+          }
+        }
+      }
+
+      if (best) return best.hsnCode;
+    }
+
+    return null;
+  }
+
+  // HSN and rate to bill a product at. The slab master decides the rate so a
+  // dated GST change applies to every product under that HSN.
+  getProductTax(slabs, product, date = new Date()) {
+    const rate = this.getRate(slabs, product.hsnCode, date);
+
+    if (!product.hsnCode) {
+      console.warn(`⚠️ Product ${product.sku} has no HSN code, billing at its own ${product.taxRate}% rate`);
+    } else if (rate === null) {
+      console.warn(`⚠️ No tax slab for HSN ${product.hsnCode} (${product.sku}), billing at its own ${product.taxRate}% rate`);
+    }
+
+    return {
+      hsnCode: product.hsnCode || null,
+      taxRate: rate !== null ? rate : product.taxRate
+    };
+  }
+
+  // Copy today's rate for an HSN onto its products (what the POS shows before billing)
+  async applyCurrentRate(manager, hsnCode) {
+    const rate = this.getRate(await this.getSlabs(manager), hsnCode);
+    if (rate === null) return 0;
+
+    const result = await manager.getRepository('Product')
+      .createQueryBuilder()
+      .update()
+      .set({ taxRate: rate })
+      .where('hsnCode = :hsnCode', { hsnCode })
+      .execute();
+
+    return result.affected || 0;
+  }
+
+  // Run at startup: seed the default slabs
+  async ensureDefaults(manager) {
+    const slabRepo = manager.getRepository('TaxSlab');
+
+    if (await slabRepo.count() === 0) {
+      await slabRepo.save(DEFAULT_SLABS.map(slab => slabRepo.create(slab)));
+      console.log(`✅ Created ${DEFAULT_SLABS.length} default tax slabs`);
+    }
+  }
+
+  // One-off for data from before HSN codes (scripts/backfillHsnCodes.js): give
+  // products without an HSN the one for their category, and stamp old sale/return
+  // lines with the HSN their invoices always printed so they keep reprinting the
+  // same. A product's own taxRate is left alone; products whose rate differs from
+  // their new slab are listed for review.
+  async backfillHsnCodes(manager) {
+    const productRepo = manager.getRepository('Product');
+    const slabs = await this.getSlabs(manager);
+    const result = { products: {}, rateMismatches: [], saleLines: 0 };
+
+    for (const category of ['frame', 'eyeglass', 'sunglass', 'accessory']) {
+      const hsnCode = this.matchHsnCode(slabs, [category]);
+      const taxRate = this.getRate(slabs, hsnCode);
+      if (!hsnCode || taxRate === null) continue;
+
+      const products = await productRepo.find({ where: { hsnCode: IsNull(), category } });
+      if (products.length === 0) continue;
+
+      await productRepo.update({ id: In(products.map(product => product.id)) }, { hsnCode });
+      result.products[category] = { hsnCode, count: products.length };
+      products
+        .filter(product => parseFloat(product.taxRate) !== taxRate)
+        .forEach(product => result.rateMismatches.push({ id: product.id, sku: product.sku, taxRate: product.taxRate, slabRate: taxRate }));
+    }
+
+    for (const entity of ['SaleItem', 'SaleReturnItem']) {
+      const builder = () => manager.getRepository(entity).createQueryBuilder().update();
+
+      const sunglasses = await builder()
+        .set({ hsnCode: '90041000' })
+        .where('hsnCode IS NULL')
+        .andWhere('LOWER(name) LIKE :pattern', { pattern: '%sunglass%' })
+        .execute();
+      const others = await builder()
+        .set({ hsnCode: '90031900' })
+        .where('hsnCode IS NULL')
+        .execute();
+      result.saleLines += (sunglasses.affected || 0) + (others.affected || 0);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TaxSlabService();
@@ -14,7 +14,21 @@ import {
   RefreshCw,
   Settings,
   Database,
-  BarChart3
+  BarChart3,
+  Percent,
+  AlertTriangle,
+  UploadCloud,
+  ShoppingBag,
+  Glasses,
+  Wrench,
+  Truck,
+  ClipboardList,
+  ClipboardCheck,
+  Factory,
+  TrendingDown,
+  Tag,
+  ShieldCheck,
+  Contact
 } from 'lucide-react';
 
 export default function AdminLayout({ children, title }) {
@@ -41,24 +55,108 @@ export default function AdminLayout({ children, title }) {
       icon: TrendingUp,
       current: router.pathname === '/admin/sales'
     },
+    {
+      name: 'Sync Conflicts',
+      href: '/admin/sale-conflicts',
+      icon: AlertTriangle,
+      current: router.pathname === '/admin/sale-conflicts'
+    },
+    {
+      name: 'Customers',
+      href: '/admin/customers',
+      icon: Contact,
+      current: router.pathname.startsWith('/admin/customers')
+    },
+    {
+      name: 'Job Orders',
+      href: '/admin/job-orders',
+      icon: Wrench,
+      current: router.pathname === '/admin/job-orders'
+    },
     {
       name: 'Products',
       href: '/admin/products',
       icon: Package,
       current: router.pathname === '/admin/products'
     },
+    {
+      name: 'Tax Slabs',
+      href: '/admin/tax-slabs',
+      icon: Percent,
+      current: router.pathname === '/admin/tax-slabs'
+    },
+    {
+      name: 'Lens Catalog',
+      href: '/admin/lenses',
+      icon: Glasses,
+      current: router.pathname === '/admin/lenses'
+    },
+    {
+      name: 'Promotions',
+      href: '/admin/promotions',
+      icon: Tag,
+      current: router.pathname === '/admin/promotions'
+    },
+    {
+      name: 'Discount Limits',
+      href: '/admin/discount-limits',
+      icon: ShieldCheck,
+      current: router.pathname === '/admin/discount-limits'
+    },
     {
       name: 'Inventory Summary',
       href: '/admin/inventory-summary',
       icon: BarChart3,
       current: router.pathname === '/admin/inventory-summary'
     },
+    {
+      name: 'Low Stock',
+      href: '/admin/low-stock',
+      icon: TrendingDown,
+      current: router.pathname === '/admin/low-stock'
+    },
+    {
+      name: 'Stock Transfers',
+      href: '/admin/stock-transfers',
+      icon: Truck,
+      current: router.pathname === '/admin/stock-transfers'
+    },
+    {
+      name: 'Purchase Orders',
+      href: '/admin/purchase-orders',
+      icon: ClipboardList,
+      current: router.pathname === '/admin/purchase-orders'
+    },
+    {
+      name: 'Suppliers',
+      href: '/admin/suppliers',
+      icon: Factory,
+      current: router.pathname === '/admin/suppliers'
+    },
+    {
+      name: 'Stocktakes',
+      href: '/admin/stocktakes',
+      icon: ClipboardCheck,
+      current: router.pathname === '/admin/stocktakes'
+    },
     {
       name: 'Sync Shopify',
       href: '/admin/sync',
       icon: RefreshCw,
       current: router.pathname === '/admin/sync'
     },
+    {
+      name: 'Shopify Push',
+      href: '/admin/shopify-outbox',
+      icon: UploadCloud,
+      current: router.pathname === '/admin/shopify-outbox'
+    },
+    {
+      name: 'Shopify Orders',
+      href: '/admin/shopify-orders',
+      icon: ShoppingBag,
+      current: router.pathname === '/admin/shopify-orders'
+    },
     {
       name: 'Data Management',
       href: '/admin/data-management',
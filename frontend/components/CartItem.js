@@ -1,6 +1,8 @@
-import { Plus, Minus, X } from 'lucide-react';
+import { Plus, Minus, X, Glasses } from 'lucide-react';
+import { canTakeLens } from '../utils/lens';
+import { getUnitDiscount } from '../../shared/pricing';
 
-export default function CartItem({ item, onUpdateQuantity, onUpdateDiscount, onRemove }) {
+export default function CartItem({ item, onUpdateQuantity, onUpdateDiscount, onRemove, onConfigureLens }) {
   const handleQuantityChange = (delta) => {
     const newQuantity = item.quantity + delta;
     if (newQuantity > 0 && newQuantity <= item.maxQuantity) {
@@ -21,13 +23,12 @@ export default function CartItem({ item, onUpdateQuantity, onUpdateDiscount, onR
     onUpdateDiscount(item.id, 0, newType); // Reset discount when type changes
   };
 
-  // Calculate discount per item
-  const discountPerItem = item.discountType === 'percentage' 
-    ? (item.price * item.discount) / 100 
-    : item.discount;
+  // Discount per item, worked out as the server will
+  const discountPerItem = getUnitDiscount(item.price, item.discount, item.discountType || 'amount');
   
   const priceAfterDiscount = item.price - discountPerItem;
-  const subtotal = priceAfterDiscount * item.quantity;
+  const lensPrice = item.lensDetails ? item.lensDetails.price : 0;
+  const subtotal = (priceAfterDiscount + lensPrice) * item.quantity;
 
   return (
     <div className="bg-white p-3 rounded-lg border border-gray-200 mb-2">
@@ -103,6 +104,24 @@ export default function CartItem({ item, onUpdateQuantity, onUpdateDiscount, onR
         )}
       </div>
 
+      {/* Lenses (billed as a separate line) */}
+      {onConfigureLens && canTakeLens(item) && (
+        <div className="mb-2">
+          <button
+            onClick={() => onConfigureLens(item)}
+            className="w-full flex items-center justify-between gap-2 px-2 py-1.5 text-xs border border-dashed border-primary-300 rounded text-primary-700 hover:bg-primary-50"
+          >
+            <span className="flex items-center gap-1 text-left">
+              <Glasses className="w-4 h-4 flex-shrink-0" />
+              {item.lensDetails ? item.lensDetails.name : 'Add lenses'}
+            </span>
+            {item.lensDetails && (
+              <span className="font-medium whitespace-nowrap">+₹{lensPrice.toFixed(2)}</span>
+            )}
+          </button>
+        </div>
+      )}
+
       {/* Subtotal */}
       <div className="flex justify-between items-center pt-2 border-t border-gray-200">
         <span className="text-xs text-gray-600">Subtotal:</span>
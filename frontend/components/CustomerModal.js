@@ -1,35 +1,161 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { GST_STATES, getStateFromGstin } from '../utils/gstStates';
+import { customerAPI, prescriptionAPI } from '../utils/api';
+import PrescriptionForm, { emptyPrescription, hasPower, summarizePrescription } from './PrescriptionForm';
 
-export default function CustomerModal({ isOpen, onClose, onSubmit }) {
+export default function CustomerModal({ isOpen, onClose, onSubmit, requiresPrescription = false }) {
   const [formData, setFormData] = useState({
     name: '',
     phone: '',
     address: '',
     email: '',
     gstNumber: '',
+    state: '',
   });
+  const [prescription, setPrescription] = useState(emptyPrescription);
+  const [savedPrescriptions, setSavedPrescriptions] = useState([]);
+  const [selectedPrescriptionId, setSelectedPrescriptionId] = useState('');
+  const [phoneMatches, setPhoneMatches] = useState([]);
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
+
+  // A family can share a phone; the cashier picks which of them is buying. The sale
+  // goes to that customer, or to a new one when nobody on the phone is picked.
+  const returningCustomer = phoneMatches.find((customer) => customer.id === selectedCustomerId) || null;
 
   const handleChange = (e) => {
+    // Renaming after picking someone means it's another person
+    if (e.target.name === 'name') {
+      setSelectedCustomerId(null);
+    }
     setFormData({
       ...formData,
       [e.target.name]: e.target.value,
     });
   };
 
+  // Returning customers: once a full phone number is typed, find who is on it and
+  // pre-fill their details if there's only one of them and no name typed yet
+  useEffect(() => {
+    const phone = formData.phone.trim();
+    setSelectedCustomerId(null);
+    if (!isOpen || phone.replace(/\D/g, '').length < 10) {
+      setPhoneMatches([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await customerAPI.lookup(phone);
+        if (cancelled) return;
+        const matches = response.data.customers;
+        setPhoneMatches(matches);
+        if (matches.length === 1 && !formData.name.trim()) {
+          // Never overwrite what the cashier has already typed
+          const customer = matches[0];
+          setSelectedCustomerId(customer.id);
+          setFormData((current) => ({
+            ...current,
+            name: current.name || customer.name,
+            address: current.address || customer.address,
+            email: current.email || customer.email || '',
+            gstNumber: current.gstNumber || customer.gstNumber || '',
+            state: current.state || customer.state || '',
+          }));
+        }
+      } catch (error) {
+        // Offline or lookup failed: the cashier enters the details by hand
+        if (!cancelled) setPhoneMatches([]);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.phone, isOpen]);
+
+  // Offer the returning customer's saved prescriptions, latest valid one first
+  const returningCustomerId = returningCustomer ? returningCustomer.id : null;
+  useEffect(() => {
+    if (!requiresPrescription || !returningCustomerId) {
+      setSavedPrescriptions([]);
+      setSelectedPrescriptionId('');
+      return undefined;
+    }
+
+    let cancelled = false;
+    prescriptionAPI.getAll({ customerId: returningCustomerId })
+      .then((response) => {
+        if (cancelled) return;
+        const list = response.data.prescriptions;
+        setSavedPrescriptions(list);
+        const latestValid = list.find((saved) => !saved.isExpired);
+        setSelectedPrescriptionId(latestValid ? String(latestValid.id) : '');
+      })
+      .catch(() => {
+        // The cashier can still enter the Rx by hand
+        if (!cancelled) setSavedPrescriptions([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [returningCustomerId, requiresPrescription]);
+
+  // Pick who is buying when the number is shared by a family
+  const chooseCustomer = (customer) => {
+    if (!customer) {
+      // A family member who isn't on file yet: same household, so the address stays
+      setSelectedCustomerId(null);
+      setFormData((current) => ({ ...current, name: '', email: '', gstNumber: '' }));
+      return;
+    }
+    setSelectedCustomerId(customer.id);
+    setFormData((current) => ({
+      ...current,
+      name: customer.name,
+      address: customer.address,
+      email: customer.email || '',
+      gstNumber: customer.gstNumber || '',
+      state: customer.state || '',
+    }));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (formData.name && formData.phone && formData.address) {
-      onSubmit(formData);
-      setFormData({ name: '', phone: '', address: '', email: '', gstNumber: '' });
+      let rx = null;
+      if (requiresPrescription) {
+        if (selectedPrescriptionId) {
+          rx = { id: parseInt(selectedPrescriptionId) };
+        } else if (!hasPower(prescription)) {
+          toast.error('Enter SPH or CYL for at least one eye');
+          return;
+        } else {
+          rx = prescription;
+        }
+      }
+      onSubmit(returningCustomer ? { ...formData, customerId: returningCustomer.id } : formData, rx);
+      setFormData({ name: '', phone: '', address: '', email: '', gstNumber: '', state: '' });
+      setSelectedCustomerId(null);
+      setPrescription(emptyPrescription());
+      setSavedPrescriptions([]);
+      setSelectedPrescriptionId('');
+      setPhoneMatches([]);
     }
   };
 
+  // A valid GSTIN fixes the buyer's state (used for CGST/SGST vs IGST)
+  const gstinState = getStateFromGstin(formData.gstNumber.trim().toUpperCase());
+
   if (!isOpen) return null;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto">
+      <div className={`bg-white rounded-2xl shadow-xl w-full ${requiresPrescription ? 'max-w-2xl' : 'max-w-md'} max-h-[90vh] overflow-y-auto`}>
         {/* Header */}
         <div className="flex items-center justify-between p-4 border-b border-gray-200">
           <h2 className="text-xl font-bold text-gray-800">Customer Details</h2>
@@ -73,6 +199,47 @@ export default function CustomerModal({ isOpen, onClose, onSubmit }) {
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
               placeholder="+1234567890"
             />
+            {phoneMatches.length > 0 && (
+              <div className="mt-2">
+                <p className="text-xs text-gray-500 mb-1">
+                  {phoneMatches.length > 1 ? 'This number is shared by:' : 'On this number:'}
+                </p>
+                <div className="flex flex-wrap gap-1">
+                  {phoneMatches.map((customer) => (
+                    <button
+                      key={customer.id}
+                      type="button"
+                      onClick={() => chooseCustomer(customer)}
+                      className={`px-2 py-1 rounded-lg text-xs border transition ${
+                        returningCustomer && returningCustomer.id === customer.id
+                          ? 'bg-primary-500 text-white border-primary-500'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {customer.name}
+                    </button>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => chooseCustomer(null)}
+                    className="px-2 py-1 rounded-lg text-xs border border-dashed border-gray-300 text-gray-600 hover:bg-gray-50 transition"
+                  >
+                    Someone else
+                  </button>
+                </div>
+              </div>
+            )}
+            {returningCustomer && (
+              <p className="text-xs text-green-600 mt-1">
+                Returning customer · ₹{parseFloat(returningCustomer.totalPurchases || 0).toLocaleString('en-IN')} lifetime
+                {returningCustomer.lastPurchaseDate ? ` · last visit ${new Date(returningCustomer.lastPurchaseDate).toLocaleDateString()}` : ''}
+              </p>
+            )}
+            {phoneMatches.length > 0 && !returningCustomer && (
+              <p className="text-xs text-gray-500 mt-1">
+                Nobody picked: the sale goes to a new customer on this number unless the name is exactly theirs.
+              </p>
+            )}
           </div>
 
           <div>
@@ -122,6 +289,82 @@ export default function CustomerModal({ isOpen, onClose, onSubmit }) {
             />
           </div>
 
+          <div>
+            <label htmlFor="state" className="block text-sm font-medium text-gray-700 mb-1">
+              State (Optional)
+            </label>
+            <select
+              id="state"
+              name="state"
+              value={gstinState ? gstinState.name : formData.state}
+              onChange={handleChange}
+              disabled={!!gstinState}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none disabled:bg-gray-100"
+            >
+              <option value="">Same as store</option>
+              {GST_STATES.map((state) => (
+                <option key={state.code} value={state.name}>{state.name}</option>
+              ))}
+            </select>
+            {gstinState && (
+              <p className="text-xs text-gray-500 mt-1">Taken from GST number</p>
+            )}
+          </div>
+
+          {requiresPrescription && (
+            <div className="border-t border-gray-200 pt-4">
+              <h3 className="text-sm font-semibold text-gray-800 mb-2">
+                Prescription <span className="text-red-500">*</span>
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">The cart has eyeglasses, so the lenses need the customer&apos;s Rx.</p>
+
+              {savedPrescriptions.length > 0 && (
+                <div className="space-y-2 mb-3">
+                  {savedPrescriptions.map((saved) => (
+                    <label
+                      key={saved.id}
+                      className={`flex items-start gap-2 p-2 border rounded-lg text-sm ${
+                        saved.isExpired ? 'border-gray-200 text-gray-400' : 'border-gray-300 cursor-pointer'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="savedPrescription"
+                        value={saved.id}
+                        checked={selectedPrescriptionId === String(saved.id)}
+                        onChange={(e) => setSelectedPrescriptionId(e.target.value)}
+                        disabled={saved.isExpired}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="font-medium">
+                          Tested {new Date(saved.testDate).toLocaleDateString()}
+                          {saved.prescriber ? ` by ${saved.prescriber}` : ''}
+                          {saved.isExpired ? ' (expired)' : ''}
+                        </span>
+                        <span className="block text-xs font-mono">{summarizePrescription(saved)}</span>
+                      </span>
+                    </label>
+                  ))}
+                  <label className="flex items-center gap-2 p-2 border border-gray-300 rounded-lg text-sm cursor-pointer">
+                    <input
+                      type="radio"
+                      name="savedPrescription"
+                      value=""
+                      checked={selectedPrescriptionId === ''}
+                      onChange={() => setSelectedPrescriptionId('')}
+                    />
+                    <span className="font-medium">Enter a new prescription</span>
+                  </label>
+                </div>
+              )}
+
+              {selectedPrescriptionId === '' && (
+                <PrescriptionForm value={prescription} onChange={setPrescription} />
+              )}
+            </div>
+          )}
+
           <div className="flex gap-2 pt-4">
             <button
               type="button"
@@ -0,0 +1,234 @@
+import { useEffect, useState } from 'react';
+import { Search, FileText, ChevronRight, Wrench, RefreshCw } from 'lucide-react';
+import { jobOrderAPI } from '../utils/api';
+import JobOrderModal, { toastNotification } from './JobOrderModal';
+import toast from 'react-hot-toast';
+
+// What the card's quick action says for the step it moves the job to
+const NEXT_ACTIONS = {
+  at_lab: 'Sent to lab',
+  received: 'Received',
+  fitted: 'Fitted',
+  delivered: 'Delivered',
+};
+
+const COLUMN_STYLES = {
+  ordered: 'border-t-gray-400',
+  at_lab: 'border-t-blue-500',
+  received: 'border-t-purple-500',
+  fitted: 'border-t-green-500',
+  delivered: 'border-t-gray-300',
+};
+
+// Days from today to the due date (negative when overdue), counting days in IST
+// like the server does
+const daysUntil = (date) => {
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+  return Math.round((new Date(date) - new Date(today)) / (24 * 60 * 60 * 1000));
+};
+
+function DueBadge({ job }) {
+  if (job.status === 'delivered') {
+    return <span className="text-xs text-gray-500">Delivered</span>;
+  }
+
+  const days = daysUntil(job.dueDate);
+  if (days < 0) {
+    return <span className="px-2 py-0.5 bg-red-100 text-red-700 rounded text-xs font-medium">{-days}d overdue</span>;
+  }
+  if (days === 0) {
+    return <span className="px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs font-medium">Due today</span>;
+  }
+  return <span className="text-xs text-gray-500">Due in {days}d</span>;
+}
+
+// Lens fitting jobs in one column per status. Cashiers only get their own store's
+// jobs from the server; admins pass the store to show.
+export default function JobBoard({ storeId, isAdmin = false }) {
+  const [jobs, setJobs] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [loadingJobs, setLoadingJobs] = useState(true);
+  const [search, setSearch] = useState('');
+  const [overdueOnly, setOverdueOnly] = useState(false);
+  const [showDelivered, setShowDelivered] = useState(false);
+  const [selectedJob, setSelectedJob] = useState(null);
+
+  useEffect(() => {
+    loadJobs();
+  }, [storeId, overdueOnly, showDelivered]);
+
+  const loadJobs = async () => {
+    try {
+      setLoadingJobs(true);
+      const response = await jobOrderAPI.getAll({
+        ...(storeId && { storeId }),
+        ...(search && { search }),
+        ...(overdueOnly && { overdue: 'true' }),
+        ...(showDelivered && { includeDelivered: 'true' }),
+      });
+      setJobs(response.data.jobOrders);
+      setStatuses(response.data.statuses);
+    } catch (error) {
+      toast.error('Failed to load job orders');
+      console.error(error);
+    } finally {
+      setLoadingJobs(false);
+    }
+  };
+
+  const replaceJob = (updated) => {
+    setJobs((current) => current.map((job) => (job.id === updated.id ? { ...job, ...updated } : job)));
+    setSelectedJob((current) => (current && current.id === updated.id ? { ...current, ...updated } : current));
+  };
+
+  const moveToNext = async (job) => {
+    const index = statuses.findIndex((status) => status.value === job.status);
+    const next = statuses[index + 1];
+    if (!next) return;
+
+    try {
+      const response = await jobOrderAPI.updateStatus(job.id, { status: next.value });
+      replaceJob(response.data.jobOrder);
+      toast.success(`${job.jobNumber}: ${next.label}`);
+      toastNotification(response.data.notification);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update status');
+    }
+  };
+
+  const downloadJobCard = async (job) => {
+    try {
+      const response = await jobOrderAPI.downloadJobCard(job.id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${job.jobNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      console.error('❌ Job card download error:', error);
+      toast.error('Failed to download job card');
+    }
+  };
+
+  const columns = statuses.filter((status) => showDelivered || status.value !== 'delivered');
+
+  return (
+    <div>
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-3 md:items-center mb-4">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadJobs();
+          }}
+          className="flex-1 relative"
+        >
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Job no., invoice no., customer name or phone"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-sm"
+          />
+        </form>
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={overdueOnly} onChange={(e) => setOverdueOnly(e.target.checked)} />
+            Overdue only
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={showDelivered} onChange={(e) => setShowDelivered(e.target.checked)} />
+            Show delivered
+          </label>
+          <button
+            onClick={loadJobs}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 text-gray-600 ${loadingJobs ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {!loadingJobs && jobs.length === 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <Wrench className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+          <p className="text-gray-500">No job orders found</p>
+        </div>
+      )}
+
+      {/* Board */}
+      {jobs.length > 0 && (
+        <div className={`grid grid-cols-1 md:grid-cols-2 ${showDelivered ? 'xl:grid-cols-5' : 'xl:grid-cols-4'} gap-4`}>
+          {columns.map((column) => {
+            const columnJobs = jobs.filter((job) => job.status === column.value);
+            const nextLabel = NEXT_ACTIONS[statuses[statuses.indexOf(column) + 1]?.value];
+
+            return (
+              <div key={column.value} className={`bg-gray-100 rounded-lg border-t-4 ${COLUMN_STYLES[column.value]} p-3`}>
+                <h3 className="text-sm font-semibold text-gray-700 mb-3">
+                  {column.label} <span className="text-gray-400 font-normal">({columnJobs.length})</span>
+                </h3>
+                <div className="space-y-2">
+                  {columnJobs.map((job) => (
+                    <div
+                      key={job.id}
+                      className={`bg-white rounded-lg shadow-sm p-3 border ${job.isOverdue ? 'border-red-300' : 'border-gray-200'}`}
+                    >
+                      <button
+                        onClick={() => setSelectedJob(job)}
+                        className="w-full text-left"
+                      >
+                        <div className="flex items-start justify-between gap-2">
+                          <p className="font-medium text-gray-800 text-sm">{job.jobNumber}</p>
+                          <DueBadge job={job} />
+                        </div>
+                        <p className="text-sm text-gray-700">{job.customer?.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {job.customer?.phone} • {job.sale?.invoiceNumber}
+                        </p>
+                        {!storeId && isAdmin && <p className="text-xs text-gray-500">{job.store?.name}</p>}
+                        {job.labName && <p className="text-xs text-gray-500">Lab: {job.labName}</p>}
+                      </button>
+                      <div className="flex gap-2 mt-2">
+                        {nextLabel && (
+                          <button
+                            onClick={() => moveToNext(job)}
+                            className="flex-1 px-2 py-1 bg-primary-500 hover:bg-primary-600 text-white rounded text-xs font-medium flex items-center justify-center gap-1"
+                          >
+                            {nextLabel}
+                            <ChevronRight className="w-3 h-3" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => downloadJobCard(job)}
+                          className="px-2 py-1 border border-gray-300 hover:bg-gray-50 rounded text-xs flex items-center gap-1"
+                          title="Download job card"
+                        >
+                          <FileText className="w-3 h-3" />
+                          Card
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <JobOrderModal
+        job={selectedJob}
+        statuses={statuses}
+        isAdmin={isAdmin}
+        onClose={() => setSelectedJob(null)}
+        onUpdated={replaceJob}
+        onDownloadJobCard={downloadJobCard}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import { useEffect, useState } from 'react';
+import { X, FileText, MessageSquare, AlertTriangle } from 'lucide-react';
+import { jobOrderAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const channelName = (channel) => (channel === 'whatsapp' ? 'WhatsApp' : 'SMS');
+
+// Tell the cashier whether the customer got the message for a status change
+export const toastNotification = (notification) => {
+  if (notification?.error) {
+    toast.error(`Customer not notified: ${notification.error}`);
+  } else if (notification) {
+    toast.success(`Customer notified by ${channelName(notification.channel)}`);
+  }
+};
+
+// Job details: lab and due date, status history (with what the customer was told)
+// and moving the job to any step. Only admins can pick an earlier step.
+export default function JobOrderModal({ job, statuses, isAdmin, onClose, onUpdated, onDownloadJobCard }) {
+  const [formData, setFormData] = useState({ dueDate: '', labName: '', labReference: '', notes: '' });
+  const [statusNote, setStatusNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (job) {
+      setFormData({
+        dueDate: job.dueDate,
+        labName: job.labName || '',
+        labReference: job.labReference || '',
+        notes: job.notes || '',
+      });
+      setStatusNote('');
+    }
+  }, [job]);
+
+  if (!job) return null;
+
+  const statusLabel = (value) => statuses.find((status) => status.value === value)?.label || value;
+  const currentIndex = statuses.findIndex((status) => status.value === job.status);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await jobOrderAPI.update(job.id, formData);
+      toast.success('Job order updated');
+      onUpdated(response.data.jobOrder);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update job order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatus = async (status) => {
+    try {
+      setSaving(true);
+      const response = await jobOrderAPI.updateStatus(job.id, {
+        status,
+        note: statusNote,
+        labName: formData.labName,
+        labReference: formData.labReference,
+      });
+      toast.success(`${job.jobNumber}: ${statusLabel(status)}`);
+      toastNotification(response.data.notification);
+      onUpdated(response.data.jobOrder);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update status');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">{job.jobNumber}</h2>
+            <p className="text-xs text-gray-500">
+              {job.customer?.name} • {job.customer?.phone} • Invoice {job.sale?.invoiceNumber}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-lg transition"
+          >
+            <X className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {job.isOverdue && (
+            <div className="flex items-center gap-2 p-2 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertTriangle className="w-4 h-4" />
+              Past its due date
+            </div>
+          )}
+
+          {/* Status */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Status</h3>
+            <div className="flex flex-wrap gap-2 mb-2">
+              {statuses.map((status, index) => {
+                const isCurrent = status.value === job.status;
+                const allowed = !isCurrent && (index > currentIndex || isAdmin);
+                return (
+                  <button
+                    key={status.value}
+                    type="button"
+                    disabled={!allowed || saving}
+                    onClick={() => handleStatus(status.value)}
+                    className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition ${
+                      isCurrent
+                        ? 'bg-primary-500 text-white border-primary-500'
+                        : index < currentIndex
+                          ? 'border-gray-200 text-gray-400 hover:bg-gray-50 disabled:cursor-not-allowed'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50'
+                    }`}
+                  >
+                    {status.label}
+                  </button>
+                );
+              })}
+            </div>
+            <input
+              type="text"
+              value={statusNote}
+              onChange={(e) => setStatusNote(e.target.value)}
+              placeholder="Note for the status change (optional)"
+              className={inputClass}
+            />
+          </div>
+
+          {/* Details */}
+          <form onSubmit={handleSave} className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Due date</label>
+                <input
+                  type="date"
+                  value={formData.dueDate}
+                  onChange={(e) => setFormData({ ...formData, dueDate: e.target.value })}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Lab</label>
+                <input
+                  type="text"
+                  value={formData.labName}
+                  onChange={(e) => setFormData({ ...formData, labName: e.target.value })}
+                  placeholder="Lab name"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Lab reference</label>
+              <input
+                type="text"
+                value={formData.labReference}
+                onChange={(e) => setFormData({ ...formData, labReference: e.target.value })}
+                placeholder="The lab's order or envelope number"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Notes</label>
+              <textarea
+                value={formData.notes}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                rows={2}
+                className={inputClass}
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => onDownloadJobCard(job)}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition flex items-center justify-center gap-2 text-sm font-medium"
+              >
+                <FileText className="w-4 h-4" />
+                Job Card
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition text-sm font-medium disabled:bg-gray-300"
+              >
+                Save Details
+              </button>
+            </div>
+          </form>
+
+          {/* History */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">History</h3>
+            <ul className="space-y-2">
+              {[...(job.history || [])].reverse().map((entry, index) => (
+                <li key={index} className="text-sm border-l-2 border-gray-200 pl-3">
+                  <p className="text-gray-800">
+                    <span className="font-medium">{statusLabel(entry.status)}</span>
+                    <span className="text-xs text-gray-500">
+                      {' '}• {new Date(entry.at).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                      {entry.userName ? ` by ${entry.userName}` : ''}
+                    </span>
+                  </p>
+                  {entry.note && <p className="text-xs text-gray-600">{entry.note}</p>}
+                  {entry.notification && (
+                    <p className={`text-xs flex items-center gap-1 ${entry.notification.error ? 'text-red-600' : 'text-green-700'}`}>
+                      <MessageSquare className="w-3 h-3" />
+                      {entry.notification.error
+                        ? `Not notified: ${entry.notification.error}`
+                        : `Customer notified by ${channelName(entry.notification.channel)}`}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { configureLens, isAvailableWith, optionPrice } from '../utils/lens';
+
+export default function LensConfigurator({ isOpen, item, options, taxRates, onSave, onClose }) {
+  const [selection, setSelection] = useState({ design: '', index: '', coatings: [] });
+
+  // Start from the lenses already on the line, if any
+  useEffect(() => {
+    if (isOpen) {
+      setSelection(item?.lens || { design: '', index: '', coatings: [] });
+    }
+  }, [isOpen, item]);
+
+  if (!isOpen || !item) return null;
+
+  const designs = options.filter((option) => option.kind === 'design');
+  const indexes = options.filter((option) => option.kind === 'index');
+  const coatings = options.filter((option) => option.kind === 'coating');
+  const lens = configureLens(options, taxRates, selection);
+
+  // Changing the design drops choices it can't be combined with
+  const selectDesign = (designCode) => {
+    const index = indexes.find((option) => option.code === selection.index);
+    setSelection({
+      design: designCode,
+      index: index && isAvailableWith(index, designCode) ? selection.index : '',
+      coatings: selection.coatings.filter((code) => {
+        const coating = coatings.find((option) => option.code === code);
+        return coating && isAvailableWith(coating, designCode);
+      }),
+    });
+  };
+
+  const toggleCoating = (code) => {
+    setSelection({
+      ...selection,
+      coatings: selection.coatings.includes(code)
+        ? selection.coatings.filter((selected) => selected !== code)
+        : [...selection.coatings, code],
+    });
+  };
+
+  const priceLabel = (option) => {
+    const price = optionPrice(option, selection.design);
+    return price > 0 ? `₹${price.toFixed(0)}` : 'Included';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Lenses</h2>
+            <p className="text-xs text-gray-500">For {item.name}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-lg transition"
+          >
+            <X className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {options.length === 0 && (
+            <p className="text-sm text-gray-500">The lens catalog hasn&apos;t loaded. Check the connection and try again.</p>
+          )}
+
+          {designs.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Design</h3>
+              <div className="grid grid-cols-2 gap-2">
+                {designs.map((option) => (
+                  <button
+                    key={option.code}
+                    type="button"
+                    onClick={() => selectDesign(option.code)}
+                    className={`p-2 rounded-lg border text-left text-sm transition ${
+                      selection.design === option.code
+                        ? 'border-primary-500 bg-primary-50'
+                        : 'border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="block font-medium">{option.name}</span>
+                    <span className="text-xs text-gray-500">{priceLabel(option)}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {selection.design && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Index / Material</h3>
+              <div className="grid grid-cols-2 gap-2">
+                {indexes.map((option) => {
+                  const available = isAvailableWith(option, selection.design);
+                  return (
+                    <button
+                      key={option.code}
+                      type="button"
+                      disabled={!available}
+                      onClick={() => setSelection({ ...selection, index: option.code })}
+                      className={`p-2 rounded-lg border text-left text-sm transition disabled:opacity-40 disabled:cursor-not-allowed ${
+                        selection.index === option.code
+                          ? 'border-primary-500 bg-primary-50'
+                          : 'border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      <span className="block font-medium">{option.name}</span>
+                      <span className="text-xs text-gray-500">
+                        {option.material ? `${option.material} • ` : ''}{available ? priceLabel(option) : 'Not available'}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {selection.design && coatings.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Coatings</h3>
+              <div className="space-y-1">
+                {coatings.map((option) => {
+                  const available = isAvailableWith(option, selection.design);
+                  return (
+                    <label
+                      key={option.code}
+                      className={`flex items-center justify-between p-2 rounded-lg border border-gray-200 text-sm ${
+                        available ? 'cursor-pointer hover:bg-gray-50' : 'opacity-40'
+                      }`}
+                    >
+                      <span className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={selection.coatings.includes(option.code)}
+                          onChange={() => toggleCoating(option.code)}
+                          disabled={!available}
+                        />
+                        {option.name}
+                      </span>
+                      <span className="text-xs text-gray-500">{available ? priceLabel(option) : 'Not available'}</span>
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {lens && (
+            <div className="bg-gray-50 rounded-lg p-3 text-sm">
+              <div className="flex justify-between font-semibold text-gray-800">
+                <span>Lenses (per pair)</span>
+                <span>₹{lens.price.toFixed(2)}</span>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Billed on its own line: HSN {lens.hsnCode}, GST {lens.taxRate}%
+              </p>
+            </div>
+          )}
+
+          <div className="flex gap-2 pt-2">
+            {item.lens && (
+              <button
+                type="button"
+                onClick={() => onSave(null)}
+                className="px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition font-medium"
+              >
+                Remove
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              disabled={!lens}
+              onClick={() => onSave(selection)}
+              className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition font-medium disabled:bg-gray-300"
+            >
+              Save Lenses
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react';
+import { X, ShieldCheck } from 'lucide-react';
+import { discountLimitAPI } from '../utils/api';
+
+// Asks a supervisor to approve a discount over the cashier's limit: the cashier picks
+// the supervisor and they enter their PIN. Submits { approverId, pin }.
+export default function ManagerApprovalModal({ isOpen, approval, storeId, processing, onSubmit, onClose }) {
+  const [pin, setPin] = useState('');
+  const [approvers, setApprovers] = useState([]);
+  const [approverId, setApproverId] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setPin('');
+    setApproverId('');
+    discountLimitAPI.getApprovers({ storeId, requestedPercent: approval?.requestedPercent })
+      .then((response) => {
+        setApprovers(response.data.approvers);
+        if (response.data.approvers.length === 1) setApproverId(String(response.data.approvers[0].id));
+      })
+      .catch(() => setApprovers([]));
+  }, [isOpen, storeId, approval?.requestedPercent]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ approverId: parseInt(approverId), pin });
+    setPin('');
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div className="flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-amber-600" />
+            <h2 className="text-lg font-bold text-gray-800">Supervisor Approval</h2>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+            <X className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          {approval && (
+            <p className="text-sm text-gray-600">
+              A {approval.requestedPercent}% discount is over the {approval.maxDiscountPercent}% limit.
+              Ask a supervisor to enter their approval PIN.
+            </p>
+          )}
+          {approvers.length === 0 ? (
+            <p className="text-sm text-red-600">No supervisor can approve this discount at this store.</p>
+          ) : (
+            <select
+              value={approverId}
+              onChange={(e) => setApproverId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+            >
+              <option value="">Select supervisor</option>
+              {approvers.map((approver) => (
+                <option key={approver.id} value={approver.id}>{approver.name}</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+            maxLength={8}
+            placeholder="Approval PIN"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-center text-lg tracking-widest"
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={processing || !approverId || pin.length < 4}
+              className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition disabled:opacity-50"
+            >
+              {processing ? 'Checking...' : 'Approve'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
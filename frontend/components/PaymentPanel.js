@@ -0,0 +1,148 @@
+import { Plus, Trash } from 'lucide-react';
+
+const METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'upi', label: 'UPI' },
+  { value: 'card', label: 'Card' },
+  { value: 'other', label: 'Other' },
+];
+
+const REFERENCE_PLACEHOLDERS = {
+  upi: 'UPI Txn ID',
+  card: 'Card last 4',
+  other: 'Reference',
+};
+
+// Amount entered on each tender; a single tender left blank pays the full total
+export const getTenderAmounts = (payments, total) => {
+  if (payments.length === 1 && payments[0].amount === '') {
+    return [total];
+  }
+  return payments.map((payment) => parseFloat(payment.amount) || 0);
+};
+
+// Paid / remaining / change for the current tenders (change only comes out of cash)
+export const summarizePayments = (payments, total) => {
+  const amounts = getTenderAmounts(payments, total);
+  const paid = amounts.reduce((sum, amount) => sum + amount, 0);
+  const nonCash = payments.reduce((sum, payment, index) => (
+    payment.method === 'cash' ? sum : sum + amounts[index]
+  ), 0);
+  const roundedTotal = Math.round(total * 100) / 100;
+
+  return {
+    paid,
+    remaining: Math.max(0, roundedTotal - paid),
+    change: Math.max(0, paid - roundedTotal),
+    isValid: paid + 0.001 >= roundedTotal && nonCash <= roundedTotal + 0.001,
+    overpaidNonCash: nonCash > roundedTotal + 0.001,
+  };
+};
+
+export default function PaymentPanel({ payments, onChange, total }) {
+  const summary = summarizePayments(payments, total);
+
+  const updatePayment = (index, field, value) => {
+    onChange(payments.map((payment, i) => (i === index ? { ...payment, [field]: value } : payment)));
+  };
+
+  const addPayment = () => {
+    // Pre-fill the new tender with whatever is still due
+    const amounts = getTenderAmounts(payments, total);
+    const filled = payments.map((payment, index) => ({ ...payment, amount: amounts[index].toString() }));
+    const remaining = Math.max(0, total - amounts.reduce((sum, amount) => sum + amount, 0));
+    onChange([
+      ...filled,
+      { method: 'upi', amount: remaining > 0 ? remaining.toFixed(2) : '', reference: '' },
+    ]);
+  };
+
+  const removePayment = (index) => {
+    onChange(payments.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Payment
+        </label>
+        <button
+          type="button"
+          onClick={addPayment}
+          className="flex items-center gap-1 text-xs text-primary-600 hover:text-primary-700 font-medium"
+        >
+          <Plus className="w-3 h-3" />
+          Split Payment
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {payments.map((payment, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <select
+              value={payment.method}
+              onChange={(e) => updatePayment(index, 'method', e.target.value)}
+              className="w-24 px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-sm"
+            >
+              {METHODS.map((method) => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={payment.amount}
+              onChange={(e) => updatePayment(index, 'amount', e.target.value)}
+              placeholder={payments.length === 1 ? total.toFixed(2) : 'Amount'}
+              className="w-24 px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-sm"
+            />
+            {payment.method !== 'cash' ? (
+              <input
+                type="text"
+                value={payment.reference}
+                onChange={(e) => updatePayment(index, 'reference', e.target.value)}
+                placeholder={REFERENCE_PLACEHOLDERS[payment.method]}
+                className="flex-1 min-w-0 px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-sm"
+              />
+            ) : (
+              <div className="flex-1" />
+            )}
+            {payments.length > 1 && (
+              <button
+                type="button"
+                onClick={() => removePayment(index)}
+                className="p-1 text-red-500 hover:bg-red-50 rounded"
+              >
+                <Trash className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-2 space-y-1 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-600">Paid:</span>
+          <span className="font-medium">₹{summary.paid.toFixed(2)}</span>
+        </div>
+        {summary.remaining > 0 && (
+          <div className="flex justify-between text-red-600">
+            <span>Remaining:</span>
+            <span className="font-medium">₹{summary.remaining.toFixed(2)}</span>
+          </div>
+        )}
+        {summary.change > 0 && !summary.overpaidNonCash && (
+          <div className="flex justify-between text-green-600">
+            <span>Change to return:</span>
+            <span className="font-medium">₹{summary.change.toFixed(2)}</span>
+          </div>
+        )}
+        {summary.overpaidNonCash && (
+          <p className="text-xs text-red-600">UPI/card/other payments cannot exceed the total</p>
+        )}
+      </div>
+    </div>
+  );
+}
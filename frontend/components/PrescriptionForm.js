@@ -0,0 +1,147 @@
+// Per-eye Rx grid used when eyeglasses are sold. Values stay as typed strings;
+// the backend validates ranges and steps.
+
+const EYES = [
+  { key: 'right', label: 'R (OD)' },
+  { key: 'left', label: 'L (OS)' },
+];
+
+const FIELDS = [
+  { key: 'Sph', label: 'SPH', step: '0.25', placeholder: '-1.25' },
+  { key: 'Cyl', label: 'CYL', step: '0.25', placeholder: '-0.50' },
+  { key: 'Axis', label: 'AXIS', step: '1', placeholder: '90' },
+  { key: 'Add', label: 'ADD', step: '0.25', placeholder: '+1.00' },
+  { key: 'Pd', label: 'PD', step: '0.5', placeholder: '31.5' },
+  { key: 'Prism', label: 'Prism', step: '0.25', placeholder: '0' },
+];
+
+export const emptyPrescription = () => ({
+  ...Object.fromEntries(
+    EYES.flatMap((eye) => [...FIELDS.map((field) => [`${eye.key}${field.key}`, '']), [`${eye.key}PrismBase`, '']])
+  ),
+  prescriber: '',
+  testDate: new Date().toISOString().slice(0, 10),
+  expiryDate: '',
+});
+
+// At least one eye needs a sphere or cylinder power
+export const hasPower = (prescription) =>
+  EYES.some((eye) => prescription[`${eye.key}Sph`] !== '' || prescription[`${eye.key}Cyl`] !== '');
+
+// Signed dioptres for display (+1.25, -0.50)
+export const formatPower = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  const number = parseFloat(value);
+  return `${number > 0 ? '+' : ''}${number.toFixed(2)}`;
+};
+
+export const summarizePrescription = (prescription) =>
+  EYES.map((eye) => {
+    const axis = prescription[`${eye.key}Axis`];
+    return `${eye.label.charAt(0)}: ${formatPower(prescription[`${eye.key}Sph`])} / ${formatPower(prescription[`${eye.key}Cyl`])}${axis !== null && axis !== '' ? ` x ${axis}` : ''}`;
+  }).join('  ');
+
+export default function PrescriptionForm({ value, onChange }) {
+  const handleChange = (e) => {
+    onChange({ ...value, [e.target.name]: e.target.value });
+  };
+
+  const inputClass = 'w-full px-2 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none text-sm';
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-600">
+              <th className="text-left font-medium pb-1 pr-2">Eye</th>
+              {FIELDS.map((field) => (
+                <th key={field.key} className="font-medium pb-1 px-1">{field.label}</th>
+              ))}
+              <th className="font-medium pb-1 px-1">Base</th>
+            </tr>
+          </thead>
+          <tbody>
+            {EYES.map((eye) => (
+              <tr key={eye.key}>
+                <td className="pr-2 py-1 font-medium text-gray-700 whitespace-nowrap">{eye.label}</td>
+                {FIELDS.map((field) => (
+                  <td key={field.key} className="px-1 py-1 min-w-[4.5rem]">
+                    <input
+                      type="number"
+                      name={`${eye.key}${field.key}`}
+                      value={value[`${eye.key}${field.key}`]}
+                      onChange={handleChange}
+                      step={field.step}
+                      placeholder={field.placeholder}
+                      className={inputClass}
+                    />
+                  </td>
+                ))}
+                <td className="px-1 py-1 min-w-[4.5rem]">
+                  <select
+                    name={`${eye.key}PrismBase`}
+                    value={value[`${eye.key}PrismBase`]}
+                    onChange={handleChange}
+                    className={inputClass}
+                  >
+                    <option value="">-</option>
+                    <option value="BI">BI</option>
+                    <option value="BO">BO</option>
+                    <option value="BU">BU</option>
+                    <option value="BD">BD</option>
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label htmlFor="prescriber" className="block text-xs font-medium text-gray-700 mb-1">
+            Prescribed by
+          </label>
+          <input
+            type="text"
+            id="prescriber"
+            name="prescriber"
+            value={value.prescriber}
+            onChange={handleChange}
+            placeholder="Optometrist / doctor"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="testDate" className="block text-xs font-medium text-gray-700 mb-1">
+            Test date <span className="text-red-500">*</span>
+          </label>
+          <input
+            type="date"
+            id="testDate"
+            name="testDate"
+            value={value.testDate}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="expiryDate" className="block text-xs font-medium text-gray-700 mb-1">
+            Valid till
+          </label>
+          <input
+            type="date"
+            id="expiryDate"
+            name="expiryDate"
+            value={value.expiryDate}
+            onChange={handleChange}
+            className={inputClass}
+          />
+          <p className="text-xs text-gray-500 mt-1">Defaults to 1 year after the test</p>
+        </div>
+      </div>
+    </div>
+  );
+}
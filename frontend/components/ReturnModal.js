@@ -0,0 +1,270 @@
+import { useEffect, useState } from 'react';
+import { X, RotateCcw, Download } from 'lucide-react';
+import { saleAPI, returnAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+export default function ReturnModal({ isOpen, saleId, onClose, onReturned }) {
+  const [sale, setSale] = useState(null);
+  const [returns, setReturns] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [refundMethod, setRefundMethod] = useState('cash');
+  const [loadingSale, setLoadingSale] = useState(false);
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && saleId) {
+      loadSale();
+    }
+  }, [isOpen, saleId]);
+
+  const loadSale = async () => {
+    try {
+      setLoadingSale(true);
+      const [saleRes, returnsRes] = await Promise.all([
+        saleAPI.getOne(saleId),
+        saleAPI.getReturns(saleId),
+      ]);
+      setSale(saleRes.data.sale);
+      setReturns(returnsRes.data.returns);
+      setQuantities({});
+      setReason('');
+      const { paymentMethod } = saleRes.data.sale;
+      setRefundMethod(paymentMethod && paymentMethod !== 'split' ? paymentMethod : 'cash');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load sale');
+      onClose();
+    } finally {
+      setLoadingSale(false);
+    }
+  };
+
+  // Quantity of each sale line already returned on earlier credit notes
+  const returnedQuantity = (saleItemId) => {
+    return returns.reduce((sum, saleReturn) => {
+      const returnItem = saleReturn.items.find(item => item.saleItemId === saleItemId);
+      return sum + (returnItem ? returnItem.quantity : 0);
+    }, 0);
+  };
+
+  const returnableQuantity = (item) => item.quantity - returnedQuantity(item.id);
+
+  // Amount already refunded on a sale line by earlier credit notes
+  const refundedAmount = (saleItemId) => {
+    return returns.reduce((sum, saleReturn) => {
+      const returnItem = saleReturn.items.find(item => item.saleItemId === saleItemId);
+      return sum + (returnItem ? parseFloat(returnItem.totalAmount) : 0);
+    }, 0);
+  };
+
+  const handleQuantityChange = (item, value) => {
+    const quantity = Math.max(0, Math.min(parseInt(value) || 0, returnableQuantity(item)));
+    setQuantities({ ...quantities, [item.id]: quantity });
+  };
+
+  const selectedItems = (sale?.items || [])
+    .filter(item => quantities[item.id] > 0)
+    .map(item => ({ saleItemId: item.id, quantity: quantities[item.id] }));
+
+  // Returning everything still on the sale gives back its round off too
+  const closesSale = selectedItems.length > 0 &&
+    (sale?.items || []).every(item => (quantities[item.id] || 0) === returnableQuantity(item));
+
+  // Per-unit price, except the last units of a line, which refund what is left on it
+  const refundTotal = (sale?.items || []).reduce((sum, item) => {
+    const quantity = quantities[item.id] || 0;
+    if (quantity > 0 && quantity === returnableQuantity(item)) {
+      return sum + parseFloat(item.totalAmount) - refundedAmount(item.id);
+    }
+    return sum + Math.round((parseFloat(item.totalAmount) / item.quantity) * quantity * 100) / 100;
+  }, closesSale ? parseFloat(sale.roundOff || 0) : 0);
+
+  const downloadCreditNote = async (saleReturn) => {
+    try {
+      const response = await returnAPI.downloadCreditNote(saleReturn.id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${saleReturn.creditNoteNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      toast.success('Credit note downloaded');
+    } catch (error) {
+      console.error('❌ Credit note download error:', error);
+      toast.error('Failed to download credit note');
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (selectedItems.length === 0) {
+      toast.error('Select at least one item to return');
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      const response = await saleAPI.createReturn(saleId, {
+        items: selectedItems,
+        reason,
+        refundMethod,
+      });
+      const { saleReturn } = response.data;
+      toast.success(`Credit note ${saleReturn.creditNoteNumber} created`);
+      await downloadCreditNote(saleReturn);
+      if (onReturned) onReturned(saleReturn);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to process return');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-orange-50 rounded flex items-center justify-center">
+              <RotateCcw className="w-6 h-6 text-orange-600" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Return Items</h2>
+              {sale && <p className="text-sm text-gray-500">Invoice {sale.invoiceNumber}</p>}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {loadingSale || !sale ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <div className="p-6">
+            {/* Items */}
+            <table className="w-full mb-6">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                  <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Sold</th>
+                  <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Returned</th>
+                  <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Return Qty</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {sale.items.map((item) => (
+                  <tr key={item.id}>
+                    <td className="px-3 py-2 text-sm">
+                      <p className="font-medium text-gray-900">{item.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {item.sku} · ₹{(parseFloat(item.totalAmount) / item.quantity).toFixed(2)} each
+                      </p>
+                    </td>
+                    <td className="px-3 py-2 text-sm text-center">{item.quantity}</td>
+                    <td className="px-3 py-2 text-sm text-center">{returnedQuantity(item.id)}</td>
+                    <td className="px-3 py-2 text-sm text-center">
+                      <input
+                        type="number"
+                        min="0"
+                        max={returnableQuantity(item)}
+                        value={quantities[item.id] || 0}
+                        onChange={(e) => handleQuantityChange(item, e.target.value)}
+                        disabled={returnableQuantity(item) === 0}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded text-center disabled:bg-gray-100"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* Reason and refund method */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              <div>
+                <label className="block text-sm font-semibold text-gray-900 mb-2">Reason</label>
+                <input
+                  type="text"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  placeholder="e.g. Damaged frame, wrong power"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-900 mb-2">Refund Method</label>
+                <select
+                  value={refundMethod}
+                  onChange={(e) => setRefundMethod(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none bg-white"
+                >
+                  <option value="cash">Cash</option>
+                  <option value="upi">UPI</option>
+                  <option value="card">Card</option>
+                  <option value="store_credit">Store Credit</option>
+                  <option value="other">Other</option>
+                </select>
+              </div>
+            </div>
+
+            {/* Previous credit notes */}
+            {returns.length > 0 && (
+              <div className="mb-6">
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">Previous Credit Notes</h3>
+                <div className="space-y-2">
+                  {returns.map((saleReturn) => (
+                    <div key={saleReturn.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+                      <div>
+                        <p className="font-medium text-gray-900">{saleReturn.creditNoteNumber}</p>
+                        <p className="text-xs text-gray-500">
+                          {new Date(saleReturn.returnDate).toLocaleDateString()} · ₹{parseFloat(saleReturn.totalAmount).toFixed(2)}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => downloadCreditNote(saleReturn)}
+                        className="p-1 hover:bg-gray-200 rounded"
+                        title="Download Credit Note"
+                      >
+                        <Download className="w-4 h-4 text-primary-600" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Buttons */}
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-lg font-bold text-gray-900">Refund: ₹{refundTotal.toFixed(2)}</p>
+              <div className="flex items-center gap-3">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-6 py-3 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSubmit}
+                  disabled={processing || selectedItems.length === 0}
+                  className="px-6 py-3 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition font-medium disabled:opacity-50"
+                >
+                  {processing ? 'Processing...' : 'Issue Credit Note'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
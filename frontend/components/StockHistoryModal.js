@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import { X, History } from 'lucide-react';
+import { inventoryAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 50;
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+// Every stock change for one product, newest first: what caused it, the
+// document behind it and the quantity before and after
+export default function StockHistoryModal({ product, stores, onClose }) {
+  const [filters, setFilters] = useState({ storeId: '', startDate: '', endDate: '' });
+  const [movements, setMovements] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [loadingMovements, setLoadingMovements] = useState(false);
+
+  useEffect(() => {
+    if (product) {
+      loadMovements(1);
+    }
+  }, [product, filters]);
+
+  const loadMovements = async (page) => {
+    try {
+      setLoadingMovements(true);
+      const params = { productId: product.id, page, limit: PAGE_SIZE };
+      if (filters.storeId) params.storeId = filters.storeId;
+      if (filters.startDate) params.startDate = filters.startDate;
+      if (filters.endDate) params.endDate = filters.endDate;
+      const response = await inventoryAPI.getMovements(params);
+      setMovements(page === 1 ? response.data.movements : [...movements, ...response.data.movements]);
+      setTypes(response.data.types);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to load stock history');
+    } finally {
+      setLoadingMovements(false);
+    }
+  };
+
+  if (!product) return null;
+
+  const typeLabel = (value) => types.find((type) => type.value === value)?.label || value;
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Stock History</h2>
+            <p className="text-xs text-gray-500">{product.name} • {product.sku}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 rounded-lg transition"
+          >
+            <X className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b border-gray-200 flex flex-wrap gap-2">
+          <select
+            value={filters.storeId}
+            onChange={(e) => setFilters({ ...filters, storeId: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">All stores</option>
+            {stores.map((store) => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+            className={inputClass}
+          />
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+
+        <div className="overflow-y-auto flex-1">
+          {movements.length === 0 && !loadingMovements ? (
+            <div className="text-center py-12">
+              <History className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+              <p className="text-gray-500">No stock changes recorded</p>
+            </div>
+          ) : (
+            <table className="w-full">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">When</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">Store</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">Change</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">Reference</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-600 uppercase">Qty</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">By</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {movements.map((movement) => (
+                  <tr key={movement.id} className="text-sm">
+                    <td className="px-4 py-2 text-gray-600 whitespace-nowrap">{formatDateTime(movement.createdAt)}</td>
+                    <td className="px-4 py-2 text-gray-700">{movement.store?.name}</td>
+                    <td className="px-4 py-2">
+                      <span className="text-gray-800">{typeLabel(movement.type)}</span>
+                      {movement.note && <p className="text-xs text-gray-500">{movement.note}</p>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{movement.referenceNumber || '-'}</td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      <span className={`font-medium ${movement.quantityChange > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {movement.quantityChange > 0 ? `+${movement.quantityChange}` : movement.quantityChange}
+                      </span>
+                      <p className="text-xs text-gray-500">{movement.quantityBefore} → {movement.quantityAfter}</p>
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{movement.user?.name || 'System'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+          <span>{pagination.total} change(s)</span>
+          {pagination.page < pagination.pages && (
+            <button
+              onClick={() => loadMovements(pagination.page + 1)}
+              disabled={loadingMovements}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
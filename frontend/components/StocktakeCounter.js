@@ -0,0 +1,197 @@
+import { useEffect, useRef, useState } from 'react';
+import { ScanBarcode, Search, CheckCircle, ClipboardCheck } from 'lucide-react';
+import { stocktakeAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Count sheet for one stocktake, laid out for a tablet on the shop floor. Each
+// scan adds one unit to the product's line; a line's count can also be typed
+// in and is saved when the field loses focus.
+export default function StocktakeCounter({ stocktakeId, onCounted }) {
+  const [stocktake, setStocktake] = useState(null);
+  const [items, setItems] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [scanCode, setScanCode] = useState('');
+  const [search, setSearch] = useState('');
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const [lastScannedId, setLastScannedId] = useState(null);
+  const [loadingSheet, setLoadingSheet] = useState(true);
+  const scanInputRef = useRef(null);
+
+  useEffect(() => {
+    loadSheet();
+  }, [stocktakeId]);
+
+  const loadSheet = async () => {
+    try {
+      setLoadingSheet(true);
+      const response = await stocktakeAPI.getOne(stocktakeId);
+      setStocktake(response.data.stocktake);
+      setItems(response.data.stocktake.items);
+      setDrafts({});
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load the count sheet');
+    } finally {
+      setLoadingSheet(false);
+    }
+  };
+
+  // Replace or add the lines the server sent back
+  const mergeItems = (changed) => {
+    setItems((current) => {
+      const byId = new Map(changed.map((item) => [item.id, item]));
+      const merged = current.map((item) => byId.get(item.id) || item);
+      const added = changed.filter((item) => !current.some((existing) => existing.id === item.id));
+      return [...added, ...merged];
+    });
+    if (onCounted) onCounted();
+  };
+
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    setScanCode('');
+    if (!code) return;
+
+    try {
+      const response = await stocktakeAPI.scan(stocktakeId, { code });
+      const { item } = response.data;
+      mergeItems([item]);
+      setLastScannedId(item.id);
+      setDrafts((current) => {
+        const { [item.id]: _, ...rest } = current;
+        return rest;
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || `No product with barcode ${code}`);
+    }
+  };
+
+  const saveCount = async (item) => {
+    if (drafts[item.id] === undefined) return;
+    const value = drafts[item.id].trim();
+    const countedQuantity = value === '' ? null : value;
+    if (String(item.countedQuantity ?? '') === value) return;
+
+    try {
+      const response = await stocktakeAPI.updateCounts(stocktakeId, [{ itemId: item.id, countedQuantity }]);
+      mergeItems(response.data.items);
+      setDrafts((current) => {
+        const { [item.id]: _, ...rest } = current;
+        return rest;
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || `Failed to save the count for ${item.name}`);
+    }
+  };
+
+  if (loadingSheet) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!stocktake) return null;
+
+  const counted = items.filter((item) => item.countedQuantity !== null).length;
+  const term = search.trim().toLowerCase();
+  const visibleItems = items.filter((item) => {
+    if (uncountedOnly && item.countedQuantity !== null) return false;
+    if (!term) return true;
+    return [item.name, item.sku, item.barcode].some((value) => (value || '').toLowerCase().includes(term));
+  });
+  const isCounting = stocktake.status === 'counting';
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow-sm p-4">
+        <div className="flex items-center justify-between mb-2">
+          <div>
+            <p className="font-bold text-gray-800">{stocktake.stocktakeNumber}</p>
+            <p className="text-xs text-gray-500">
+              {stocktake.store?.name} • {stocktake.scope === 'category' ? `${stocktake.category}s only` : 'All products'}
+            </p>
+          </div>
+          <p className="text-sm text-gray-600">{counted} of {items.length} counted</p>
+        </div>
+        <div className="w-full bg-gray-100 rounded-full h-2">
+          <div
+            className="bg-green-500 h-2 rounded-full transition-all"
+            style={{ width: `${items.length ? (counted / items.length) * 100 : 0}%` }}
+          ></div>
+        </div>
+      </div>
+
+      {isCounting && (
+        <form onSubmit={handleScan} className="relative">
+          <ScanBarcode className="absolute left-4 top-1/2 transform -translate-y-1/2 text-primary-500 w-6 h-6" />
+          <input
+            ref={scanInputRef}
+            type="text"
+            value={scanCode}
+            onChange={(e) => setScanCode(e.target.value)}
+            autoFocus
+            placeholder="Scan a barcode (or type it and press Enter)"
+            className="w-full pl-12 pr-4 py-4 text-lg border-2 border-primary-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+          />
+        </form>
+      )}
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Find a line by name, SKU or barcode"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={uncountedOnly}
+            onChange={(e) => setUncountedOnly(e.target.checked)}
+          />
+          Not counted yet
+        </label>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm divide-y divide-gray-100">
+        {visibleItems.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardCheck className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">{uncountedOnly ? 'Everything has been counted' : 'No lines match'}</p>
+          </div>
+        ) : visibleItems.map((item) => (
+          <div
+            key={item.id}
+            className={`flex items-center gap-3 px-4 py-3 ${item.id === lastScannedId ? 'bg-green-50' : ''}`}
+          >
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-gray-800 truncate">{item.name}</p>
+              <p className="text-xs text-gray-500">{item.sku}{item.barcode && ` • ${item.barcode}`}</p>
+            </div>
+            {item.countedQuantity !== null && <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />}
+            <input
+              type="number"
+              min="0"
+              inputMode="numeric"
+              value={drafts[item.id] ?? (item.countedQuantity ?? '')}
+              onChange={(e) => setDrafts({ ...drafts, [item.id]: e.target.value })}
+              onBlur={() => saveCount(item)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.target.blur();
+              }}
+              disabled={!isCounting}
+              placeholder="-"
+              className="w-20 px-3 py-2 text-lg text-center border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none disabled:bg-gray-50"
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
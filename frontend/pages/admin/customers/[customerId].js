@@ -0,0 +1,269 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { useAuth } from '../../../contexts/AuthContext';
+import AdminLayout from '../../../components/AdminLayout';
+import { ArrowLeft, Download, Receipt, RotateCcw, Eye } from 'lucide-react';
+import { customerAPI, saleAPI, returnAPI } from '../../../utils/api';
+import { summarizePrescription } from '../../../components/PrescriptionForm';
+import toast from 'react-hot-toast';
+
+const formatMoney = (value) => `₹${parseFloat(value || 0).toFixed(2)}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+// Save a PDF response; the API sends errors back as a JSON blob
+const downloadPdf = async (request, fileName) => {
+  try {
+    const response = await request();
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', fileName);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  } catch (error) {
+    let errorMsg = 'Download failed';
+    if (error.response?.data instanceof Blob) {
+      try {
+        errorMsg = JSON.parse(await error.response.data.text()).error || errorMsg;
+      } catch (blobError) {
+        // Not JSON, keep the generic message
+      }
+    }
+    toast.error(errorMsg);
+  }
+};
+
+export default function CustomerDetail() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [details, setDetails] = useState(null);
+  const [loadingCustomer, setLoadingCustomer] = useState(true);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else if (router.isReady) {
+        loadCustomer(router.query.customerId);
+      }
+    }
+  }, [user, loading, isAdmin, router.isReady, router.query.customerId]);
+
+  const loadCustomer = async (customerId) => {
+    try {
+      setLoadingCustomer(true);
+      const response = await customerAPI.getOne(customerId);
+      setDetails(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load customer');
+      setDetails(null);
+    } finally {
+      setLoadingCustomer(false);
+    }
+  };
+
+  if (loading || !user || loadingCustomer) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!details) {
+    return (
+      <AdminLayout title="Customer">
+        <div className="text-center py-12">
+          <p className="text-gray-500 mb-4">Customer not found</p>
+          <Link href="/admin/customers" className="text-primary-600 hover:underline">Back to customers</Link>
+        </div>
+      </AdminLayout>
+    );
+  }
+
+  const { customer, family, stats, sales, returns, prescriptions } = details;
+
+  const statCards = [
+    { label: 'Lifetime Value', value: formatMoney(stats.lifetimeValue) },
+    { label: 'Visits', value: stats.visits },
+    { label: 'Average Bill', value: formatMoney(stats.averageBill) },
+    { label: 'Refunded', value: formatMoney(stats.refunded) },
+    { label: 'First Purchase', value: formatDate(stats.firstPurchaseDate) },
+    { label: 'Last Purchase', value: formatDate(stats.lastPurchaseDate) },
+  ];
+
+  return (
+    <AdminLayout title={customer.name}>
+      <Link href="/admin/customers" className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-800 mb-4">
+        <ArrowLeft className="w-4 h-4" />
+        All customers
+      </Link>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-4">
+        <h2 className="text-xl font-bold text-gray-800">{customer.name}</h2>
+        <div className="mt-2 grid sm:grid-cols-2 gap-x-6 gap-y-1 text-sm text-gray-600">
+          <p>Phone: <span className="text-gray-800">{customer.phone}</span></p>
+          {customer.email && <p>Email: <span className="text-gray-800">{customer.email}</span></p>}
+          {customer.gstNumber && <p>GSTIN: <span className="text-gray-800">{customer.gstNumber}</span></p>}
+          {customer.state && <p>State: <span className="text-gray-800">{customer.state}</span></p>}
+          {customer.address && <p className="sm:col-span-2">Address: <span className="text-gray-800">{customer.address}</span></p>}
+          <p>Customer since: <span className="text-gray-800">{formatDate(customer.createdAt)}</span></p>
+        </div>
+        {family.length > 0 && (
+          <p className="mt-2 text-sm text-gray-600">
+            Shares this phone with{' '}
+            {family.map((member, index) => (
+              <span key={member.id}>
+                {index > 0 && ', '}
+                <Link href={`/admin/customers/${member.id}`} className="text-primary-600 hover:underline">{member.name}</Link>
+              </span>
+            ))}
+          </p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 mb-6">
+        {statCards.map((card) => (
+          <div key={card.label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-3">
+            <p className="text-xs text-gray-500 uppercase">{card.label}</p>
+            <p className="text-lg font-bold text-gray-900">{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Invoices */}
+      <h3 className="text-lg font-semibold text-gray-800 mb-2 flex items-center gap-2">
+        <Receipt className="w-5 h-5 text-gray-500" />
+        Invoices ({sales.length})
+      </h3>
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+        {sales.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No purchases yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Invoice</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Date</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Store</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Items</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Amount</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">PDF</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {sales.map((sale) => (
+                  <tr key={sale.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                      {sale.invoiceNumber}
+                      <p className="text-xs font-normal text-gray-500 capitalize">{sale.paymentMethod}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{new Date(sale.saleDate).toLocaleString()}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {sale.store?.name || '-'}
+                      {sale.cashier && <p className="text-xs text-gray-500">{sale.cashier.name}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {(sale.items || []).map((item) => (
+                        <p key={item.id}>{item.quantity} × {item.name}</p>
+                      ))}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900">{formatMoney(sale.totalAmount)}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => downloadPdf(() => saleAPI.downloadInvoice(sale.id), `${sale.invoiceNumber}.pdf`)}
+                        className="p-1 hover:bg-gray-100 rounded"
+                        title="Download Invoice"
+                      >
+                        <Download className="w-4 h-4 text-primary-600" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Credit notes */}
+      {returns.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold text-gray-800 mb-2 flex items-center gap-2">
+            <RotateCcw className="w-5 h-5 text-gray-500" />
+            Credit Notes ({returns.length})
+          </h3>
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Credit Note</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Against Invoice</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Reason</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Refund</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">PDF</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {returns.map((saleReturn) => (
+                    <tr key={saleReturn.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm font-medium text-gray-800">{saleReturn.creditNoteNumber}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatDate(saleReturn.returnDate)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{saleReturn.sale?.invoiceNumber || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{saleReturn.reason || '-'}</td>
+                      <td className="px-4 py-3 text-sm text-right font-semibold text-red-600">-{formatMoney(saleReturn.totalAmount)}</td>
+                      <td className="px-4 py-3 text-right">
+                        <button
+                          onClick={() => downloadPdf(() => returnAPI.downloadCreditNote(saleReturn.id), `${saleReturn.creditNoteNumber}.pdf`)}
+                          className="p-1 hover:bg-gray-100 rounded"
+                          title="Download Credit Note"
+                        >
+                          <Download className="w-4 h-4 text-primary-600" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Prescriptions */}
+      <h3 className="text-lg font-semibold text-gray-800 mb-2 flex items-center gap-2">
+        <Eye className="w-5 h-5 text-gray-500" />
+        Prescriptions ({prescriptions.length})
+      </h3>
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {prescriptions.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No prescriptions on file</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {prescriptions.map((prescription) => (
+              <div key={prescription.id} className={`px-4 py-3 text-sm ${prescription.isExpired ? 'text-gray-400' : 'text-gray-700'}`}>
+                <p className="font-medium">
+                  Tested {formatDate(prescription.testDate)}
+                  {prescription.prescriber ? ` by ${prescription.prescriber}` : ''}
+                  {prescription.isExpired
+                    ? ' (expired)'
+                    : prescription.expiryDate ? ` · valid till ${formatDate(prescription.expiryDate)}` : ''}
+                </p>
+                <p className="text-xs font-mono">{summarizePrescription(prescription)}</p>
+                {prescription.notes && <p className="text-xs text-gray-500 mt-1">{prescription.notes}</p>}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  );
+}
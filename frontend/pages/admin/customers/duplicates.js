@@ -0,0 +1,209 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { useAuth } from '../../../contexts/AuthContext';
+import AdminLayout from '../../../components/AdminLayout';
+import { ArrowLeft, CheckCircle, GitMerge } from 'lucide-react';
+import { customerAPI } from '../../../utils/api';
+import toast from 'react-hot-toast';
+
+const REASON_LABELS = {
+  phone: 'Same phone',
+  email: 'Same email',
+  name: 'Similar name',
+};
+
+const formatMoney = (value) => `₹${parseFloat(value || 0).toFixed(2)}`;
+
+// Each group starts with the suggested customer kept and the rest merged into it
+const initialSelection = (group) => ({
+  keepId: group.customers[0].id,
+  mergeIds: group.customers.slice(1).map((customer) => customer.id),
+});
+
+export default function CustomerDuplicates() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [groups, setGroups] = useState([]);
+  const [selections, setSelections] = useState([]);
+  const [loadingGroups, setLoadingGroups] = useState(true);
+  const [merging, setMerging] = useState(null);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadDuplicates();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const loadDuplicates = async () => {
+    try {
+      setLoadingGroups(true);
+      const response = await customerAPI.getDuplicates();
+      setGroups(response.data.groups);
+      setSelections(response.data.groups.map(initialSelection));
+    } catch (error) {
+      toast.error('Failed to load duplicates');
+      console.error(error);
+    } finally {
+      setLoadingGroups(false);
+    }
+  };
+
+  const updateSelection = (index, changes) => {
+    setSelections((current) => current.map((selection, i) => (i === index ? { ...selection, ...changes } : selection)));
+  };
+
+  const handleKeep = (index, customerId) => {
+    const selection = selections[index];
+    // The customer kept can't also be merged away
+    updateSelection(index, { keepId: customerId, mergeIds: selection.mergeIds.filter((id) => id !== customerId) });
+  };
+
+  const toggleMerge = (index, customerId) => {
+    const { mergeIds } = selections[index];
+    updateSelection(index, {
+      mergeIds: mergeIds.includes(customerId) ? mergeIds.filter((id) => id !== customerId) : [...mergeIds, customerId],
+    });
+  };
+
+  const handleMerge = async (index) => {
+    const group = groups[index];
+    const { keepId, mergeIds } = selections[index];
+    if (mergeIds.length === 0) {
+      toast.error('Tick the customers to merge');
+      return;
+    }
+
+    const keep = group.customers.find((customer) => customer.id === keepId);
+    const names = group.customers.filter((customer) => mergeIds.includes(customer.id)).map((customer) => customer.name);
+    if (!confirm(`Merge ${names.join(', ')} into ${keep.name}?\n\nTheir sales, credit notes, prescriptions and job orders move to ${keep.name} and the duplicates are deleted.`)) {
+      return;
+    }
+
+    try {
+      setMerging(index);
+      await customerAPI.merge(keepId, mergeIds);
+      toast.success(`Merged into ${keep.name}`);
+      loadDuplicates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to merge customers');
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  if (loading || !user || loadingGroups) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Duplicate Customers">
+      <Link href="/admin/customers" className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-800 mb-4">
+        <ArrowLeft className="w-4 h-4" />
+        All customers
+      </Link>
+
+      <div className="mb-4">
+        <h2 className="text-xl font-bold text-gray-800">Duplicate Customers</h2>
+        <p className="text-sm text-gray-500">
+          Customers with the same phone and a similar name, or the same email. Family members sharing a phone are not listed.
+        </p>
+      </div>
+
+      {groups.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <CheckCircle className="w-12 h-12 mx-auto mb-2 text-green-400" />
+          <p className="text-gray-500">No duplicates found</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {groups.map((group, index) => {
+            const selection = selections[index];
+            return (
+              <div key={group.customers.map((customer) => customer.id).join('-')} className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                <div className="px-4 py-3 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex flex-wrap gap-1">
+                    {group.reasons.map((reason) => (
+                      <span key={reason} className="px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs font-medium">
+                        {REASON_LABELS[reason] || reason}
+                      </span>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => handleMerge(index)}
+                    disabled={merging !== null || selection.mergeIds.length === 0}
+                    className="bg-primary-500 text-white px-3 py-1.5 rounded-lg hover:bg-primary-600 transition flex items-center gap-2 text-sm disabled:opacity-50"
+                  >
+                    <GitMerge className="w-4 h-4" />
+                    {merging === index ? 'Merging...' : 'Merge'}
+                  </button>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Keep</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Merge</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Name</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Contact</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Lifetime Value</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Last Purchase</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {group.customers.map((customer) => (
+                        <tr key={customer.id} className={selection.keepId === customer.id ? 'bg-green-50' : 'hover:bg-gray-50'}>
+                          <td className="px-4 py-3">
+                            <input
+                              type="radio"
+                              name={`keep-${index}`}
+                              checked={selection.keepId === customer.id}
+                              onChange={() => handleKeep(index, customer.id)}
+                            />
+                          </td>
+                          <td className="px-4 py-3">
+                            <input
+                              type="checkbox"
+                              checked={selection.mergeIds.includes(customer.id)}
+                              onChange={() => toggleMerge(index, customer.id)}
+                              disabled={selection.keepId === customer.id}
+                            />
+                          </td>
+                          <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                            <Link href={`/admin/customers/${customer.id}`} className="text-primary-600 hover:underline">
+                              {customer.name}
+                            </Link>
+                            {customer.address && <p className="text-xs font-normal text-gray-500">{customer.address}</p>}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-600">
+                            {customer.phone}
+                            {customer.email && <p className="text-xs text-gray-500">{customer.email}</p>}
+                            {customer.gstNumber && <p className="text-xs text-gray-500">GSTIN {customer.gstNumber}</p>}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900">{formatMoney(customer.totalPurchases)}</td>
+                          <td className="px-4 py-3 text-sm text-gray-600">
+                            {customer.lastPurchaseDate ? new Date(customer.lastPurchaseDate).toLocaleDateString() : '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
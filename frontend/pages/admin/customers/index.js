@@ -0,0 +1,364 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { useAuth } from '../../../contexts/AuthContext';
+import AdminLayout from '../../../components/AdminLayout';
+import { Contact, Plus, Edit, Trash2, Search, ChevronLeft, ChevronRight, GitMerge } from 'lucide-react';
+import { customerAPI } from '../../../utils/api';
+import { GST_STATES } from '../../../utils/gstStates';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  phone: '',
+  email: '',
+  address: '',
+  gstNumber: '',
+  state: '',
+};
+
+const formatMoney = (value) => `₹${parseFloat(value || 0).toFixed(2)}`;
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none';
+
+export default function CustomerDirectory() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [customers, setCustomers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [loadingCustomers, setLoadingCustomers] = useState(true);
+  const [search, setSearch] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadCustomers(1);
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const loadCustomers = async (page = pagination.page, searchTerm = search) => {
+    try {
+      setLoadingCustomers(true);
+      const params = { page };
+      if (searchTerm.trim()) params.search = searchTerm.trim();
+      const response = await customerAPI.getAll(params);
+      setCustomers(response.data.customers);
+      setPagination({ page: response.data.page, pages: response.data.pages, total: response.data.total });
+    } catch (error) {
+      toast.error('Failed to load customers');
+      console.error(error);
+    } finally {
+      setLoadingCustomers(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadCustomers(1);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCustomer(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingCustomer) {
+        await customerAPI.update(editingCustomer.id, formData);
+        toast.success('Customer updated successfully');
+      } else {
+        await customerAPI.create(formData);
+        toast.success('Customer created successfully');
+      }
+
+      closeModal();
+      loadCustomers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleEdit = (customer) => {
+    setEditingCustomer(customer);
+    setFormData({
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email || '',
+      address: customer.address || '',
+      gstNumber: customer.gstNumber || '',
+      state: customer.state || '',
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (customer) => {
+    if (!confirm(`Delete ${customer.name}?`)) return;
+    try {
+      await customerAPI.delete(customer.id);
+      toast.success('Customer deleted');
+      loadCustomers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete customer');
+    }
+  };
+
+  if (loading || !user) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Customers">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Customers</h2>
+          <p className="text-sm text-gray-500">Everyone who has bought from any store, most recent first. A family can share a phone number.</p>
+        </div>
+        <div className="flex gap-2">
+          <Link
+            href="/admin/customers/duplicates"
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition flex items-center gap-2"
+          >
+            <GitMerge className="w-4 h-4" />
+            Duplicates
+          </Link>
+          <button
+            onClick={() => {
+              setFormData(emptyForm);
+              setEditingCustomer(null);
+              setShowModal(true);
+            }}
+            className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add Customer
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={handleSearch} className="mb-4 flex gap-2">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, phone, GSTIN or email"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+        >
+          Search
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loadingCustomers ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner"></div>
+          </div>
+        ) : customers.length === 0 ? (
+          <div className="text-center py-12">
+            <Contact className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">{search.trim() ? 'No customers match your search' : 'No customers yet'}</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Contact</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">GSTIN</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Lifetime Value</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Last Purchase</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {customers.map((customer) => (
+                  <tr key={customer.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                      <Link href={`/admin/customers/${customer.id}`} className="text-primary-600 hover:underline">
+                        {customer.name}
+                      </Link>
+                      {customer.address && <p className="text-xs font-normal text-gray-500">{customer.address}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {customer.phone}
+                      {customer.email && <p className="text-xs text-gray-500">{customer.email}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{customer.gstNumber || '-'}</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900">
+                      {formatMoney(customer.totalPurchases)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {customer.lastPurchaseDate ? new Date(customer.lastPurchaseDate).toLocaleDateString() : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => handleEdit(customer)}
+                        className="p-1 hover:bg-gray-100 rounded"
+                        title="Edit"
+                      >
+                        <Edit className="w-4 h-4 text-gray-600" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(customer)}
+                        className="p-1 hover:bg-red-50 rounded ml-1"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4 text-red-600" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <span>{pagination.total} customers</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => loadCustomers(pagination.page - 1)}
+              disabled={pagination.page <= 1}
+              className="p-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span>Page {pagination.page} of {pagination.pages}</span>
+            <button
+              onClick={() => loadCustomers(pagination.page + 1)}
+              disabled={pagination.page >= pagination.pages}
+              className="p-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">
+                {editingCustomer ? 'Edit Customer' : 'Add Customer'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-4 space-y-4">
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Phone *</label>
+                  <input
+                    type="tel"
+                    value={formData.phone}
+                    onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={formData.email}
+                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <textarea
+                  value={formData.address}
+                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                  rows={2}
+                  className={inputClass}
+                />
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">GSTIN</label>
+                  <input
+                    type="text"
+                    value={formData.gstNumber}
+                    onChange={(e) => setFormData({ ...formData, gstNumber: e.target.value.toUpperCase() })}
+                    maxLength={15}
+                    placeholder="07AAAAA0000A1Z5"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">State</label>
+                  <select
+                    value={formData.state}
+                    onChange={(e) => setFormData({ ...formData, state: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">Same as store</option>
+                    {GST_STATES.map((state) => (
+                      <option key={state.code} value={state.name}>{state.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition"
+                >
+                  {editingCustomer ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
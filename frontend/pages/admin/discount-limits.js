@@ -0,0 +1,170 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { ShieldCheck, Save } from 'lucide-react';
+import { discountLimitAPI, storeAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const ROLES = [
+  { value: 'cashier', label: 'Cashier' },
+  { value: 'admin', label: 'Admin' },
+];
+
+// One cell per role and store; '' is the every-store default
+const cellKey = (role, storeId) => `${role}:${storeId || ''}`;
+
+export default function DiscountLimits() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [stores, setStores] = useState([]);
+  const [values, setValues] = useState({});
+  const [loadingLimits, setLoadingLimits] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadData();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const toValues = (limits) => {
+    const next = {};
+    limits.forEach((limit) => {
+      next[cellKey(limit.role, limit.storeId)] = parseFloat(limit.maxPercent).toString();
+    });
+    return next;
+  };
+
+  const loadData = async () => {
+    try {
+      setLoadingLimits(true);
+      const [limitsRes, storesRes] = await Promise.all([
+        discountLimitAPI.getAll(),
+        storeAPI.getAll(),
+      ]);
+      setValues(toValues(limitsRes.data.limits));
+      setStores(storesRes.data.stores);
+    } catch (error) {
+      toast.error('Failed to load discount limits');
+      console.error(error);
+    } finally {
+      setLoadingLimits(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const rows = [{ id: null }, ...stores];
+    const limits = [];
+    rows.forEach((store) => {
+      ROLES.forEach((role) => {
+        limits.push({ role: role.value, storeId: store.id, maxPercent: values[cellKey(role.value, store.id)] || null });
+      });
+    });
+
+    try {
+      setSaving(true);
+      const response = await discountLimitAPI.update(limits);
+      setValues(toValues(response.data.limits));
+      toast.success('Discount limits saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save discount limits');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderRow = (storeId, name, hint) => (
+    <tr key={storeId || 'all'} className="hover:bg-gray-50">
+      <td className="px-4 py-3 text-sm">
+        <div className="font-medium text-gray-800">{name}</div>
+        {hint && <div className="text-xs text-gray-500">{hint}</div>}
+      </td>
+      {ROLES.map((role) => (
+        <td key={role.value} className="px-4 py-3 text-sm">
+          <div className="flex items-center gap-1">
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={values[cellKey(role.value, storeId)] || ''}
+              onChange={(e) => setValues({ ...values, [cellKey(role.value, storeId)]: e.target.value })}
+              placeholder={storeId ? 'Default' : 'No limit'}
+              className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+            />
+            <span className="text-gray-500">%</span>
+          </div>
+        </td>
+      ))}
+    </tr>
+  );
+
+  if (loading || !user || loadingLimits) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Discount Limits">
+      <div className="mb-4 flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Discount Limits</h2>
+          <p className="text-sm text-gray-500">
+            The largest manual discount, as a % of MRP, each role can give without a supervisor's PIN.
+            A limit set on a user overrides their role's.
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">
+                  Store
+                </th>
+                {ROLES.map((role) => (
+                  <th key={role.value} className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">
+                    {role.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {renderRow(null, 'All stores', 'Used where a store has no limit of its own')}
+              {stores.map((store) => renderRow(store.id, store.name))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-start gap-2 text-sm text-gray-600 bg-white rounded-lg shadow p-4">
+        <ShieldCheck className="w-5 h-5 text-primary-500 flex-shrink-0" />
+        <p>
+          Over the limit, the till asks for the approval PIN of an admin or of a user assigned to that store
+          whose own limit covers the discount. Set approval PINs under Manage Users. Promotions and coupons
+          don't count towards the limit.
+        </p>
+      </div>
+    </AdminLayout>
+  );
+}
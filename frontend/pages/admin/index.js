@@ -2,8 +2,8 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../../contexts/AuthContext';
 import AdminLayout from '../../components/AdminLayout';
-import { Store, Users, ShoppingBag, DollarSign, TrendingUp, Package } from 'lucide-react';
-import { storeAPI, authAPI, saleAPI } from '../../utils/api';
+import { Store, Users, ShoppingBag, DollarSign, TrendingUp, Package, AlertTriangle } from 'lucide-react';
+import { storeAPI, authAPI, saleAPI, inventoryAPI, shopifyOrderAPI } from '../../utils/api';
 import Link from 'next/link';
 
 export default function AdminDashboard() {
@@ -16,6 +16,8 @@ export default function AdminDashboard() {
     totalRevenue: 0,
   });
   const [recentSales, setRecentSales] = useState([]);
+  const [lowStock, setLowStock] = useState(null);
+  const [shopifyOrdersNeedingAttention, setShopifyOrdersNeedingAttention] = useState(0);
   const [loadingStats, setLoadingStats] = useState(true);
 
   useEffect(() => {
@@ -26,6 +28,8 @@ export default function AdminDashboard() {
         router.push('/pos');
       } else {
         loadDashboardData();
+        loadLowStock();
+        loadShopifyOrderSummary();
       }
     }
   }, [user, loading, isAdmin, router]);
@@ -56,6 +60,25 @@ export default function AdminDashboard() {
     }
   };
 
+  // Kept apart so a failing report doesn't blank the rest of the dashboard
+  const loadLowStock = async () => {
+    try {
+      const response = await inventoryAPI.getLowStock();
+      setLowStock(response.data);
+    } catch (error) {
+      console.error('Failed to load low stock:', error);
+    }
+  };
+
+  const loadShopifyOrderSummary = async () => {
+    try {
+      const response = await shopifyOrderAPI.getAll({ status: 'needs_attention' });
+      setShopifyOrdersNeedingAttention(response.data.summary.needs_attention || 0);
+    } catch (error) {
+      console.error('Failed to load Shopify orders:', error);
+    }
+  };
+
   if (loading || !user || loadingStats) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -66,6 +89,18 @@ export default function AdminDashboard() {
 
   return (
     <AdminLayout title="Dashboard">
+      {shopifyOrdersNeedingAttention > 0 && (
+        <Link
+          href="/admin/shopify-orders?status=needs_attention"
+          className="flex items-center gap-3 bg-orange-50 border-l-4 border-orange-500 p-4 mb-6 rounded-r-lg hover:bg-orange-100 transition"
+        >
+          <AlertTriangle className="w-5 h-5 text-orange-600 flex-shrink-0" />
+          <p className="text-sm text-orange-800">
+            {shopifyOrdersNeedingAttention} Shopify order(s) no longer match their POS sale (edited, returned against or deleted). Review them in Shopify Orders.
+          </p>
+        </Link>
+      )}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
         <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
@@ -118,6 +153,64 @@ export default function AdminDashboard() {
         </Link>
       </div>
 
+      {/* Low Stock */}
+      {lowStock && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+          <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="font-semibold text-gray-800 flex items-center gap-2">
+              <AlertTriangle className={`w-5 h-5 ${lowStock.summary.items > 0 ? 'text-orange-500' : 'text-gray-300'}`} />
+              Low Stock
+            </h2>
+            <span className="text-sm text-gray-600">
+              {lowStock.summary.items} item(s), {lowStock.summary.outOfStock} out of stock
+            </span>
+          </div>
+
+          {lowStock.summary.items === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              <Package className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+              <p className="text-sm">Nothing is at or below its reorder level</p>
+            </div>
+          ) : (
+            <div className="p-4 space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {lowStock.summary.byStore.map((store) => (
+                  <Link
+                    key={store.storeId}
+                    href={`/admin/low-stock?storeId=${store.storeId}`}
+                    className="px-3 py-1 bg-orange-50 text-orange-700 rounded-full text-xs hover:bg-orange-100"
+                  >
+                    {store.storeName}: {store.items}{store.outOfStock > 0 && ` (${store.outOfStock} out)`}
+                  </Link>
+                ))}
+              </div>
+              <div className="divide-y divide-gray-100">
+                {lowStock.lines.slice(0, 5).map((line) => (
+                  <div key={line.inventoryId} className="py-2 flex items-center justify-between text-sm">
+                    <div>
+                      <p className="text-gray-800">{line.name}</p>
+                      <p className="text-xs text-gray-500">{line.sku} • {line.storeName}</p>
+                    </div>
+                    <div className="text-right">
+                      <p className={`font-medium ${line.quantity <= 0 ? 'text-red-600' : 'text-orange-600'}`}>
+                        {line.quantity} / {line.reorderLevel}
+                      </p>
+                      {line.onOrder > 0 && <p className="text-xs text-gray-500">{line.onOrder} on order</p>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="p-4 border-t border-gray-200 text-center">
+            <Link href="/admin/low-stock" className="text-primary-500 hover:text-primary-600 font-medium text-sm cursor-pointer">
+              Reorder Stock →
+            </Link>
+          </div>
+        </div>
+      )}
+
       {/* Recent Sales */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
         <div className="p-4 border-b border-gray-200">
@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import JobBoard from '../../components/JobBoard';
+import { storeAPI } from '../../utils/api';
+
+export default function JobOrdersManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [stores, setStores] = useState([]);
+  const [storeId, setStoreId] = useState('');
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/job-orders');
+      } else {
+        loadStores();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const loadStores = async () => {
+    try {
+      const response = await storeAPI.getAll();
+      setStores(response.data.stores);
+    } catch (error) {
+      console.error('Failed to load stores:', error);
+    }
+  };
+
+  if (loading || !user || !isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Job Orders">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Lens Fitting Jobs</h2>
+          <p className="text-sm text-gray-500">
+            Sales with lenses or a prescription open a job. Customers are messaged when it is placed, ready and delivered.
+          </p>
+        </div>
+        <select
+          value={storeId}
+          onChange={(e) => setStoreId(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+        >
+          <option value="">All stores</option>
+          {stores.map((store) => (
+            <option key={store.id} value={store.id}>{store.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <JobBoard storeId={storeId} isAdmin />
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,400 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { Glasses, Plus, Edit } from 'lucide-react';
+import { lensAPI } from '../../utils/api';
+import { LENS_HSN_CODE } from '../../utils/lens';
+import toast from 'react-hot-toast';
+
+const KINDS = [
+  { key: 'design', label: 'Designs' },
+  { key: 'index', label: 'Index / Material' },
+  { key: 'coating', label: 'Coatings' },
+];
+
+const emptyForm = {
+  kind: 'design',
+  code: '',
+  name: '',
+  material: '',
+  price: '',
+  designPrices: {},
+  designs: [],
+  hsnCode: '',
+  sortOrder: '0',
+  isActive: true,
+};
+
+export default function LensCatalogManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [options, setOptions] = useState([]);
+  const [taxRates, setTaxRates] = useState({});
+  const [loadingOptions, setLoadingOptions] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingOption, setEditingOption] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadOptions();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const loadOptions = async () => {
+    try {
+      setLoadingOptions(true);
+      const response = await lensAPI.getAll({ all: 'true' });
+      setOptions(response.data.options);
+      setTaxRates(response.data.taxRates);
+    } catch (error) {
+      toast.error('Failed to load lens catalog');
+      console.error(error);
+    } finally {
+      setLoadingOptions(false);
+    }
+  };
+
+  const designs = options.filter((option) => option.kind === 'design');
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingOption(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      // Blank per-design prices fall back to the base price
+      const designPrices = Object.fromEntries(
+        Object.entries(formData.designPrices)
+          .filter(([, price]) => price !== '')
+          .map(([design, price]) => [design, parseFloat(price)])
+      );
+      const optionData = {
+        ...formData,
+        price: parseFloat(formData.price),
+        sortOrder: parseInt(formData.sortOrder) || 0,
+        designPrices: formData.kind === 'design' ? {} : designPrices,
+        designs: formData.kind === 'design' ? [] : formData.designs,
+      };
+
+      if (editingOption) {
+        await lensAPI.update(editingOption.id, optionData);
+        toast.success('Lens option updated successfully');
+      } else {
+        await lensAPI.create(optionData);
+        toast.success('Lens option created successfully');
+      }
+
+      closeModal();
+      loadOptions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleEdit = (option) => {
+    setEditingOption(option);
+    setFormData({
+      kind: option.kind,
+      code: option.code,
+      name: option.name,
+      material: option.material || '',
+      price: parseFloat(option.price).toString(),
+      designPrices: Object.fromEntries(
+        Object.entries(option.designPrices || {}).map(([design, price]) => [design, price.toString()])
+      ),
+      designs: option.designs || [],
+      hsnCode: option.hsnCode || '',
+      sortOrder: option.sortOrder.toString(),
+      isActive: option.isActive,
+    });
+    setShowModal(true);
+  };
+
+  const toggleDesign = (code) => {
+    setFormData({
+      ...formData,
+      designs: formData.designs.includes(code)
+        ? formData.designs.filter((design) => design !== code)
+        : [...formData.designs, code],
+    });
+  };
+
+  const designName = (code) => designs.find((design) => design.code === code)?.name || code;
+
+  if (loading || !user || loadingOptions) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Lens Catalog">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Lens Designs, Materials & Coatings</h2>
+          <p className="text-sm text-gray-500">
+            Prices are per pair, GST inclusive. Lenses bill on their own line under HSN {LENS_HSN_CODE}
+            {taxRates[LENS_HSN_CODE] !== undefined && ` (${taxRates[LENS_HSN_CODE]}% today)`} unless an option sets its own.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setFormData(emptyForm);
+            setEditingOption(null);
+            setShowModal(true);
+          }}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add Option
+        </button>
+      </div>
+
+      {options.length === 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <Glasses className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+          <p className="text-gray-500">No lens options found</p>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {KINDS.map((kind) => {
+          const kindOptions = options.filter((option) => option.kind === kind.key);
+          if (kindOptions.length === 0) return null;
+
+          return (
+            <div key={kind.key} className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+              <h3 className="px-4 py-3 font-semibold text-gray-800 border-b border-gray-200">{kind.label}</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Name</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Code</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Price</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Available With</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">HSN</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {kindOptions.map((option) => (
+                      <tr key={option.id} className={`hover:bg-gray-50 ${option.isActive ? '' : 'opacity-50'}`}>
+                        <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                          {option.name}
+                          {option.material && <span className="text-xs font-normal text-gray-500"> • {option.material}</span>}
+                          {!option.isActive && (
+                            <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs">Inactive</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{option.code}</td>
+                        <td className="px-4 py-3 text-sm text-gray-800">
+                          ₹{parseFloat(option.price).toFixed(2)}
+                          {Object.entries(option.designPrices || {}).map(([design, price]) => (
+                            <span key={design} className="block text-xs text-gray-500">
+                              ₹{parseFloat(price).toFixed(2)} with {designName(design)}
+                            </span>
+                          ))}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          {option.kind === 'design' ? '-' : option.designs ? option.designs.map(designName).join(', ') : 'All designs'}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{option.hsnCode || '-'}</td>
+                        <td className="px-4 py-3 text-right">
+                          <button
+                            onClick={() => handleEdit(option)}
+                            className="p-1 hover:bg-gray-100 rounded"
+                          >
+                            <Edit className="w-4 h-4 text-gray-600" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">
+                {editingOption ? 'Edit Lens Option' : 'Add Lens Option'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-4 space-y-4">
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Kind *</label>
+                  <select
+                    value={formData.kind}
+                    onChange={(e) => setFormData({ ...formData, kind: e.target.value })}
+                    disabled={!!editingOption}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none disabled:bg-gray-100"
+                  >
+                    {KINDS.map((kind) => (
+                      <option key={kind.key} value={kind.key}>{kind.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Code *</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+                    disabled={!!editingOption}
+                    required
+                    placeholder="anti_glare"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none disabled:bg-gray-100"
+                  />
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    required
+                    placeholder="Anti-glare"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Price (per pair) *</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={formData.price}
+                    onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+                    required
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              {formData.kind === 'index' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Material</label>
+                  <input
+                    type="text"
+                    value={formData.material}
+                    onChange={(e) => setFormData({ ...formData, material: e.target.value })}
+                    placeholder="Polycarbonate"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              )}
+
+              {formData.kind !== 'design' && designs.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Designs</label>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Tick the designs this is offered with (none ticked means all). Leave a price blank to use the base price.
+                  </p>
+                  <div className="space-y-2">
+                    {designs.map((design) => (
+                      <div key={design.code} className="flex items-center gap-3">
+                        <label className="flex-1 flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={formData.designs.includes(design.code)}
+                            onChange={() => toggleDesign(design.code)}
+                          />
+                          {design.name}
+                        </label>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={formData.designPrices[design.code] || ''}
+                          onChange={(e) => setFormData({
+                            ...formData,
+                            designPrices: { ...formData.designPrices, [design.code]: e.target.value },
+                          })}
+                          placeholder={formData.price || 'Price'}
+                          className="w-28 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-sm"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">HSN Code</label>
+                  <input
+                    type="text"
+                    value={formData.hsnCode}
+                    onChange={(e) => setFormData({ ...formData, hsnCode: e.target.value })}
+                    placeholder={LENS_HSN_CODE}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">E.g. 90014090 for glass lenses</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Sort Order</label>
+                  <input
+                    type="number"
+                    value={formData.sortOrder}
+                    onChange={(e) => setFormData({ ...formData, sortOrder: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                />
+                Offered at the POS
+              </label>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition"
+                >
+                  {editingOption ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,589 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { TrendingDown, Truck, ClipboardList, Search, Save, Bell } from 'lucide-react';
+import { inventoryAPI, storeAPI, supplierAPI, productAPI, stockTransferAPI, purchaseOrderAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const CATEGORIES = ['frame', 'eyeglass', 'sunglass', 'accessory'];
+
+const formatMoney = (value) => `₹${parseFloat(value || 0).toFixed(2)}`;
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none';
+
+export default function LowStock() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [tab, setTab] = useState('report');
+  const [stores, setStores] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [filters, setFilters] = useState({ storeId: '', category: '' });
+  const [report, setReport] = useState({ lines: [], summary: { items: 0, outOfStock: 0, byStore: [] } });
+  const [digest, setDigest] = useState(null);
+  const [loadingReport, setLoadingReport] = useState(true);
+  const [selected, setSelected] = useState({});
+  const [sourceStoreId, setSourceStoreId] = useState('');
+  const [supplierId, setSupplierId] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  // Reorder level editor
+  const [levelStoreId, setLevelStoreId] = useState('');
+  const [levelSearch, setLevelSearch] = useState('');
+  const [levelCategory, setLevelCategory] = useState('');
+  const [levelProducts, setLevelProducts] = useState([]);
+  const [levelPagination, setLevelPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [levelEdits, setLevelEdits] = useState({});
+  const [loadingLevels, setLoadingLevels] = useState(false);
+  const [savingLevels, setSavingLevels] = useState(false);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadStoresAndSuppliers();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  // The dashboard widget links here with ?storeId=
+  useEffect(() => {
+    if (router.isReady && router.query.storeId) {
+      setFilters((current) => ({ ...current, storeId: String(router.query.storeId) }));
+    }
+  }, [router.isReady]);
+
+  useEffect(() => {
+    if (user && isAdmin && router.isReady) {
+      loadReport();
+    }
+  }, [user, isAdmin, filters, router.isReady]);
+
+  useEffect(() => {
+    if (tab === 'levels' && levelStoreId) {
+      loadLevelProducts(1);
+    }
+  }, [tab, levelStoreId, levelCategory]);
+
+  const loadStoresAndSuppliers = async () => {
+    try {
+      const [storesResponse, suppliersResponse, digestResponse] = await Promise.all([
+        storeAPI.getAll(),
+        supplierAPI.getAll(),
+        inventoryAPI.getLowStockDigest(),
+      ]);
+      setStores(storesResponse.data.stores);
+      setSuppliers(suppliersResponse.data.suppliers);
+      setDigest(digestResponse.data.digest);
+    } catch (error) {
+      console.error('Failed to load stores and suppliers:', error);
+    }
+  };
+
+  const loadReport = async () => {
+    try {
+      setLoadingReport(true);
+      const params = {};
+      if (filters.storeId) params.storeId = filters.storeId;
+      if (filters.category) params.category = filters.category;
+      const response = await inventoryAPI.getLowStock(params);
+      setReport(response.data);
+      setSelected({});
+    } catch (error) {
+      toast.error('Failed to load low stock');
+      console.error(error);
+    } finally {
+      setLoadingReport(false);
+    }
+  };
+
+  // ===== REORDER =====
+  const selectedLines = report.lines.filter((line) => selected[line.inventoryId]);
+  const selectedStoreId = selectedLines[0]?.storeId;
+
+  // A transfer or purchase order goes to one store, so lines are picked one store at a time
+  const toggleLine = (line) => {
+    if (selected[line.inventoryId]) {
+      const { [line.inventoryId]: _, ...rest } = selected;
+      setSelected(rest);
+      return;
+    }
+    const next = { ...selected, [line.inventoryId]: { quantity: String(line.suggestedQuantity || 1), unitCost: line.unitCost ?? '' } };
+    setSelected(next);
+
+    if (selectedLines.length === 0) {
+      setSourceStoreId(line.sources[0] ? String(line.sources[0].storeId) : '');
+      setSupplierId(line.lastPurchase ? String(line.lastPurchase.supplierId) : '');
+    }
+  };
+
+  const updateSelected = (inventoryId, field, value) => {
+    setSelected({ ...selected, [inventoryId]: { ...selected[inventoryId], [field]: value } });
+  };
+
+  // Stores that can spare at least one of the selected products
+  const sourceStores = stores.filter((store) => selectedLines.some((line) =>
+    line.sources.some((source) => source.storeId === store.id)));
+
+  const handleCreateTransfer = async () => {
+    const fromStoreId = parseInt(sourceStoreId);
+    const items = selectedLines
+      .map((line) => {
+        const source = line.sources.find((entry) => entry.storeId === fromStoreId);
+        if (!source) return null;
+        return { productId: line.productId, quantity: Math.min(parseInt(selected[line.inventoryId].quantity) || 0, source.spare) };
+      })
+      .filter((item) => item && item.quantity > 0);
+
+    if (items.length === 0) {
+      toast.error('The chosen store has none of these to spare');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const response = await stockTransferAPI.create({
+        fromStoreId,
+        toStoreId: selectedStoreId,
+        items,
+        notes: 'Low stock reorder',
+      });
+      const skipped = selectedLines.length - items.length;
+      toast.success(`Draft transfer ${response.data.stockTransfer.transferNumber} created${skipped ? ` (${skipped} line(s) not available there)` : ''}`);
+      loadReport();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create transfer');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCreatePurchaseOrder = async () => {
+    try {
+      setCreating(true);
+      const response = await purchaseOrderAPI.create({
+        supplierId: parseInt(supplierId),
+        storeId: selectedStoreId,
+        notes: 'Low stock reorder',
+        items: selectedLines.map((line) => ({
+          productId: line.productId,
+          quantity: parseInt(selected[line.inventoryId].quantity),
+          unitCost: selected[line.inventoryId].unitCost,
+        })),
+      });
+      toast.success(`Draft purchase order ${response.data.purchaseOrder.poNumber} created`);
+      loadReport();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create purchase order');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // ===== REORDER LEVELS =====
+  const loadLevelProducts = async (page) => {
+    try {
+      setLoadingLevels(true);
+      const params = { storeId: levelStoreId, page, limit: 50 };
+      if (levelSearch) params.search = levelSearch;
+      if (levelCategory) params.category = levelCategory;
+      const response = await productAPI.getAll(params);
+      setLevelProducts(response.data.products);
+      setLevelPagination(response.data.pagination);
+      setLevelEdits({});
+    } catch (error) {
+      toast.error('Failed to load products');
+    } finally {
+      setLoadingLevels(false);
+    }
+  };
+
+  const storeInventory = (product) => product.inventory.find((inv) => inv.storeId === parseInt(levelStoreId)) || {};
+
+  const levelValue = (product, field) => {
+    if (levelEdits[product.id]?.[field] !== undefined) return levelEdits[product.id][field];
+    return storeInventory(product)[field] ?? '';
+  };
+
+  const updateLevel = (product, field, value) => {
+    setLevelEdits({ ...levelEdits, [product.id]: { ...levelEdits[product.id], [field]: value } });
+  };
+
+  const handleSaveLevels = async () => {
+    const levels = Object.keys(levelEdits).map((productId) => {
+      const product = levelProducts.find((entry) => entry.id === parseInt(productId));
+      return {
+        productId: parseInt(productId),
+        storeId: parseInt(levelStoreId),
+        reorderLevel: levelValue(product, 'reorderLevel'),
+        reorderQuantity: levelValue(product, 'reorderQuantity'),
+      };
+    });
+    if (levels.length === 0) return;
+
+    try {
+      setSavingLevels(true);
+      const response = await inventoryAPI.updateReorderLevels(levels);
+      toast.success(response.data.message);
+      loadLevelProducts(levelPagination.page);
+      loadReport();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save reorder levels');
+    } finally {
+      setSavingLevels(false);
+    }
+  };
+
+  if (loading || !user || !isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Low Stock">
+      <div className="mb-4">
+        <h2 className="text-xl font-bold text-gray-800">Low Stock</h2>
+        <p className="text-sm text-gray-500">
+          Products at or below the reorder level set for each store. Pick lines from one store to draft a transfer from another store or a purchase order.
+        </p>
+      </div>
+
+      <div className="mb-4 flex gap-2 border-b border-gray-200">
+        {[
+          { value: 'report', label: 'Low Stock' },
+          { value: 'levels', label: 'Reorder Levels' },
+        ].map((entry) => (
+          <button
+            key={entry.value}
+            onClick={() => setTab(entry.value)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${tab === entry.value
+              ? 'border-primary-500 text-primary-600'
+              : 'border-transparent text-gray-600 hover:text-gray-800'}`}
+          >
+            {entry.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'report' && (
+        <>
+          {digest && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800 flex gap-2">
+              <Bell className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <div>
+                <p className="font-medium">Daily digest, {digest.digestDate}{digest.recipients && ` (sent to ${digest.recipients})`}</p>
+                <p className="whitespace-pre-line">{digest.message}</p>
+                {digest.deliveryError && <p className="text-red-600 mt-1">Not delivered: {digest.deliveryError}</p>}
+              </div>
+            </div>
+          )}
+
+          <div className="mb-4 flex flex-wrap gap-2">
+            <select
+              value={filters.storeId}
+              onChange={(e) => setFilters({ ...filters, storeId: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">All stores</option>
+              {stores.map((store) => (
+                <option key={store.id} value={store.id}>{store.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.category}
+              onChange={(e) => setFilters({ ...filters, category: e.target.value })}
+              className={`${inputClass} capitalize`}
+            >
+              <option value="">All categories</option>
+              {CATEGORIES.map((category) => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+            <span className="self-center text-sm text-gray-600">
+              {report.summary.items} item(s), {report.summary.outOfStock} out of stock
+            </span>
+          </div>
+
+          {selectedLines.length > 0 && (
+            <div className="mb-4 p-3 bg-white rounded-lg shadow-sm border border-primary-200 flex flex-col lg:flex-row gap-3 lg:items-center">
+              <p className="text-sm text-gray-700 flex-1">
+                {selectedLines.length} line(s) for <span className="font-medium">{selectedLines[0].storeName}</span>
+              </p>
+              <div className="flex gap-2 items-center">
+                <select
+                  value={sourceStoreId}
+                  onChange={(e) => setSourceStoreId(e.target.value)}
+                  className={`${inputClass} text-sm`}
+                >
+                  <option value="">Transfer from...</option>
+                  {sourceStores.map((store) => (
+                    <option key={store.id} value={store.id}>{store.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleCreateTransfer}
+                  disabled={creating || !sourceStoreId}
+                  className="px-3 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50 text-sm flex items-center gap-1 whitespace-nowrap"
+                >
+                  <Truck className="w-4 h-4" />
+                  Create Transfer
+                </button>
+              </div>
+              <div className="flex gap-2 items-center">
+                <select
+                  value={supplierId}
+                  onChange={(e) => setSupplierId(e.target.value)}
+                  className={`${inputClass} text-sm`}
+                >
+                  <option value="">Order from...</option>
+                  {suppliers.map((supplier) => (
+                    <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleCreatePurchaseOrder}
+                  disabled={creating || !supplierId}
+                  className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm flex items-center gap-1 whitespace-nowrap"
+                >
+                  <ClipboardList className="w-4 h-4" />
+                  Create PO
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+            {loadingReport ? (
+              <div className="flex justify-center py-12">
+                <div className="spinner"></div>
+              </div>
+            ) : report.lines.length === 0 ? (
+              <div className="text-center py-12">
+                <TrendingDown className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+                <p className="text-gray-500">Nothing is at or below its reorder level</p>
+                <p className="text-xs text-gray-400 mt-1">Set levels on the Reorder Levels tab</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3"></th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Store</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Stock / Level</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">On Order</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Bring In</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Available At</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Last Supplier</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.lines.map((line) => {
+                      const selection = selected[line.inventoryId];
+                      const otherStore = selectedStoreId && selectedStoreId !== line.storeId;
+
+                      return (
+                        <tr key={line.inventoryId} className={`text-sm align-top ${selection ? 'bg-primary-50' : 'hover:bg-gray-50'}`}>
+                          <td className="px-4 py-3">
+                            <input
+                              type="checkbox"
+                              checked={!!selection}
+                              onChange={() => toggleLine(line)}
+                              disabled={otherStore}
+                              title={otherStore ? 'Pick lines from one store at a time' : undefined}
+                            />
+                          </td>
+                          <td className="px-4 py-3">
+                            <p className="text-gray-800">{line.name}</p>
+                            <p className="text-xs text-gray-500">{line.sku}</p>
+                          </td>
+                          <td className="px-4 py-3 text-gray-700">{line.storeName}</td>
+                          <td className="px-4 py-3 text-right">
+                            <span className={`font-medium ${line.quantity <= 0 ? 'text-red-600' : 'text-orange-600'}`}>{line.quantity}</span>
+                            <span className="text-gray-500"> / {line.reorderLevel}</span>
+                          </td>
+                          <td className="px-4 py-3 text-right text-gray-700">{line.onOrder || '-'}</td>
+                          <td className="px-4 py-3">
+                            {selection ? (
+                              <div className="flex gap-1">
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={selection.quantity}
+                                  onChange={(e) => updateSelected(line.inventoryId, 'quantity', e.target.value)}
+                                  className="w-16 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 outline-none"
+                                />
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={selection.unitCost}
+                                  onChange={(e) => updateSelected(line.inventoryId, 'unitCost', e.target.value)}
+                                  placeholder="Cost"
+                                  title="Unit cost for a purchase order"
+                                  className="w-20 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 outline-none"
+                                />
+                              </div>
+                            ) : (
+                              <span className="text-gray-700">{line.suggestedQuantity}</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-gray-600">
+                            {line.sources.length === 0 ? '-' : line.sources.slice(0, 2).map((source) => (
+                              <p key={source.storeId} className="text-xs">{source.storeName}: {source.spare} spare</p>
+                            ))}
+                          </td>
+                          <td className="px-4 py-3 text-gray-600">
+                            {line.lastPurchase ? (
+                              <>
+                                <p className="text-xs">{line.lastPurchase.supplierName}</p>
+                                <p className="text-xs text-gray-500">{formatMoney(line.lastPurchase.unitCost)} on {line.lastPurchase.poNumber}</p>
+                              </>
+                            ) : '-'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {tab === 'levels' && (
+        <>
+          <div className="mb-4 flex flex-wrap gap-2">
+            <select
+              value={levelStoreId}
+              onChange={(e) => setLevelStoreId(e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Select store</option>
+              {stores.map((store) => (
+                <option key={store.id} value={store.id}>{store.name}</option>
+              ))}
+            </select>
+            <select
+              value={levelCategory}
+              onChange={(e) => setLevelCategory(e.target.value)}
+              className={`${inputClass} capitalize`}
+            >
+              <option value="">All categories</option>
+              {CATEGORIES.map((category) => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (levelStoreId) loadLevelProducts(1);
+              }}
+              className="relative flex-1 min-w-[200px]"
+            >
+              <Search className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+              <input
+                type="text"
+                value={levelSearch}
+                onChange={(e) => setLevelSearch(e.target.value)}
+                placeholder="Search products by name, SKU or barcode"
+                className={`w-full pl-9 ${inputClass}`}
+              />
+            </form>
+            <button
+              onClick={handleSaveLevels}
+              disabled={savingLevels || Object.keys(levelEdits).length === 0}
+              className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              Save {Object.keys(levelEdits).length > 0 && `(${Object.keys(levelEdits).length})`}
+            </button>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+            {!levelStoreId ? (
+              <p className="text-center text-gray-500 py-12">Choose a store to set its reorder levels</p>
+            ) : loadingLevels ? (
+              <div className="flex justify-center py-12">
+                <div className="spinner"></div>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Stock</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Reorder Level</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Reorder Qty</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {levelProducts.map((product) => (
+                      <tr key={product.id} className={`text-sm ${levelEdits[product.id] ? 'bg-yellow-50' : ''}`}>
+                        <td className="px-4 py-2">
+                          <p className="text-gray-800">{product.name}</p>
+                          <p className="text-xs text-gray-500">{product.sku}</p>
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-700">{storeInventory(product).quantity ?? 0}</td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            value={levelValue(product, 'reorderLevel')}
+                            onChange={(e) => updateLevel(product, 'reorderLevel', e.target.value)}
+                            placeholder="Not tracked"
+                            className="w-28 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 outline-none"
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            min="1"
+                            value={levelValue(product, 'reorderQuantity')}
+                            onChange={(e) => updateLevel(product, 'reorderQuantity', e.target.value)}
+                            placeholder="2× level"
+                            className="w-28 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-primary-500 outline-none"
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {levelPagination.pages > 1 && (
+                  <div className="p-4 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                    <span>Page {levelPagination.page} of {levelPagination.pages}</span>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => loadLevelProducts(levelPagination.page - 1)}
+                        disabled={levelPagination.page <= 1}
+                        className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Previous
+                      </button>
+                      <button
+                        onClick={() => loadLevelProducts(levelPagination.page + 1)}
+                        disabled={levelPagination.page >= levelPagination.pages}
+                        className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </AdminLayout>
+  );
+}
@@ -2,7 +2,8 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../../contexts/AuthContext';
 import AdminLayout from '../../components/AdminLayout';
-import { Package, Plus, Edit, Trash2, Search, ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import StockHistoryModal from '../../components/StockHistoryModal';
+import { Package, Plus, Edit, Trash2, Search, ChevronLeft, ChevronRight, RefreshCw, Printer, History } from 'lucide-react';
 import { productAPI, storeAPI, inventoryAPI } from '../../utils/api';
 import toast from 'react-hot-toast';
 
@@ -16,6 +17,10 @@ export default function ProductsManagement() {
   const [categoryFilter, setCategoryFilter] = useState('all');
   const [storeFilter, setStoreFilter] = useState('all');
   const [syncingInventory, setSyncingInventory] = useState(false);
+  const [labelProductIds, setLabelProductIds] = useState([]);
+  const [labelCopies, setLabelCopies] = useState(1);
+  const [printingLabels, setPrintingLabels] = useState(false);
+  const [historyProduct, setHistoryProduct] = useState(null);
   const [pagination, setPagination] = useState({
     page: 1,
     limit: 50,
@@ -115,6 +120,34 @@ export default function ProductsManagement() {
   }
 
   // Diagnostic functions
+  // Products ticked for labels stay ticked across pages and filters
+  const toggleLabelProduct = (productId) => {
+    setLabelProductIds((current) =>
+      current.includes(productId) ? current.filter((id) => id !== productId) : [...current, productId]
+    );
+  };
+
+  const printLabels = async () => {
+    try {
+      setPrintingLabels(true);
+      const response = await productAPI.printLabels({ productIds: labelProductIds, copies: labelCopies });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'labels.pdf');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      toast.success(`Labels ready for ${labelProductIds.length} products`);
+      setLabelProductIds([]);
+    } catch (error) {
+      console.error('❌ Label download error:', error);
+      toast.error('Failed to generate labels');
+    } finally {
+      setPrintingLabels(false);
+    }
+  };
+
   const testShopify = async () => {
     try {
       toast.loading('Testing Shopify connection...', { duration: 30000 });
@@ -212,6 +245,28 @@ export default function ProductsManagement() {
               {syncingInventory ? 'Syncing Inventory...' : 'Sync Inventory from Shopify'}
             </button>
             
+            {labelProductIds.length > 0 && (
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-gray-600">Copies</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={labelCopies}
+                  onChange={(e) => setLabelCopies(parseInt(e.target.value) || 1)}
+                  className="w-16 px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <button
+                  onClick={printLabels}
+                  disabled={printingLabels}
+                  className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2 disabled:opacity-50"
+                >
+                  <Printer className="w-4 h-4" />
+                  {printingLabels ? 'Preparing...' : `Print Labels (${labelProductIds.length})`}
+                </button>
+              </div>
+            )}
+
             {/* DIAGNOSTIC BUTTONS */}
             <button
               onClick={testShopify}
@@ -274,7 +329,7 @@ export default function ProductsManagement() {
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
-                placeholder="Search products by name or SKU..."
+                placeholder="Search products by name, SKU or barcode..."
                 className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
               />
             </div>
@@ -314,6 +369,21 @@ export default function ProductsManagement() {
           <table className="w-full">
             <thead className="bg-gray-50">
               <tr>
+                <th className="px-4 py-3 w-8">
+                  <input
+                    type="checkbox"
+                    title="Select this page for labels"
+                    checked={products.length > 0 && products.every((product) => labelProductIds.includes(product.id))}
+                    onChange={(e) => {
+                      const pageIds = products.map((product) => product.id);
+                      setLabelProductIds((current) =>
+                        e.target.checked
+                          ? [...current, ...pageIds.filter((id) => !current.includes(id))]
+                          : current.filter((id) => !pageIds.includes(id))
+                      );
+                    }}
+                  />
+                </th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">
                   Product
                 </th>
@@ -348,6 +418,13 @@ export default function ProductsManagement() {
 
                 return (
                   <tr key={product.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <input
+                        type="checkbox"
+                        checked={labelProductIds.includes(product.id)}
+                        onChange={() => toggleLabelProduct(product.id)}
+                      />
+                    </td>
                     <td className="px-4 py-3">
                       <div className="flex items-center gap-3">
                         {product.image ? (
@@ -373,6 +450,9 @@ export default function ProductsManagement() {
                     </td>
                     <td className="px-4 py-3 text-sm text-gray-600">
                       {product.sku}
+                      {product.barcode && (
+                        <p className="text-xs text-gray-400">{product.barcode}</p>
+                      )}
                     </td>
                     <td className="px-4 py-3 text-sm">
                       <span className="px-2 py-1 bg-blue-100 text-blue-800 rounded text-xs capitalize">
@@ -384,6 +464,9 @@ export default function ProductsManagement() {
                     </td>
                     <td className="px-4 py-3 text-sm text-gray-600">
                       {product.taxRate}%
+                      <p className={`text-xs ${product.hsnCode ? 'text-gray-500' : 'text-yellow-600'}`}>
+                        {product.hsnCode ? `HSN ${product.hsnCode}` : 'No HSN'}
+                      </p>
                     </td>
                     <td className="px-4 py-3 text-sm font-medium">
                       <span
@@ -402,6 +485,13 @@ export default function ProductsManagement() {
                           ({product.inventory.length} locations)
                         </span>
                       )}
+                      <button
+                        onClick={() => setHistoryProduct(product)}
+                        className="mt-1 flex items-center gap-1 text-xs font-normal text-primary-600 hover:underline"
+                      >
+                        <History className="w-3 h-3" />
+                        History
+                      </button>
                     </td>
                     <td className="px-4 py-3 text-sm">
                       <span
@@ -493,6 +583,12 @@ export default function ProductsManagement() {
           </div>
         </div>
       )}
+
+      <StockHistoryModal
+        product={historyProduct}
+        stores={stores}
+        onClose={() => setHistoryProduct(null)}
+      />
     </AdminLayout>
   );
 }
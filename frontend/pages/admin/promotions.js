@@ -0,0 +1,569 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { Tag, Plus, Edit } from 'lucide-react';
+import { promotionAPI, storeAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const CATEGORIES = ['frame', 'eyeglass', 'sunglass', 'accessory'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TYPE_LABELS = {
+  percentage: '% off',
+  flat: '₹ off',
+  buy_x_get_y: 'Buy X get Y',
+};
+
+const emptyForm = {
+  name: '',
+  type: 'percentage',
+  value: '',
+  maxDiscount: '',
+  buyQuantity: '2',
+  getQuantity: '1',
+  scope: 'all',
+  categories: [],
+  skus: '',
+  minBillAmount: '',
+  storeIds: [],
+  startsAt: '',
+  endsAt: '',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  couponCode: '',
+  usageLimit: '',
+  isActive: true,
+};
+
+// 'YYYY-MM-DDTHH:MM' in the browser's time zone, for datetime-local inputs
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const describeOffer = (promotion) => {
+  const value = parseFloat(promotion.value);
+  if (promotion.type === 'percentage') {
+    return `${value}% off${promotion.maxDiscount ? ` (up to ₹${parseFloat(promotion.maxDiscount).toFixed(0)})` : ''}`;
+  }
+  if (promotion.type === 'flat') return `₹${value.toFixed(2)} off`;
+  return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity}${value < 100 ? ` at ${value}% off` : ' free'}`;
+};
+
+const describeScope = (promotion) => {
+  if (promotion.scope === 'category') return (promotion.categories || []).join(', ');
+  if (promotion.scope === 'sku') return (promotion.skus || []).join(', ');
+  return 'Whole cart';
+};
+
+export default function PromotionManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [promotions, setPromotions] = useState([]);
+  const [stores, setStores] = useState([]);
+  const [loadingPromotions, setLoadingPromotions] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadPromotions();
+        loadStores();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const loadPromotions = async () => {
+    try {
+      setLoadingPromotions(true);
+      const response = await promotionAPI.getAll({ all: 'true' });
+      setPromotions(response.data.promotions);
+    } catch (error) {
+      toast.error('Failed to load promotions');
+      console.error(error);
+    } finally {
+      setLoadingPromotions(false);
+    }
+  };
+
+  const loadStores = async () => {
+    try {
+      const response = await storeAPI.getAll();
+      setStores(response.data.stores);
+    } catch (error) {
+      console.error('Failed to load stores:', error);
+    }
+  };
+
+  const storeName = (storeId) => stores.find((store) => store.id === storeId)?.name || `Store ${storeId}`;
+
+  const toggleInList = (field, value) => {
+    const list = formData[field];
+    setFormData({
+      ...formData,
+      [field]: list.includes(value) ? list.filter((entry) => entry !== value) : [...list, value],
+    });
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingPromotion(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = {
+      ...formData,
+      // Sent as instants so the server reads them in the admin's time zone
+      startsAt: formData.startsAt ? new Date(formData.startsAt).toISOString() : null,
+      endsAt: formData.endsAt ? new Date(formData.endsAt).toISOString() : null,
+    };
+
+    try {
+      if (editingPromotion) {
+        await promotionAPI.update(editingPromotion.id, data);
+        toast.success('Promotion updated successfully');
+      } else {
+        await promotionAPI.create(data);
+        toast.success('Promotion created successfully');
+      }
+
+      closeModal();
+      loadPromotions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleEdit = (promotion) => {
+    setEditingPromotion(promotion);
+    setFormData({
+      name: promotion.name,
+      type: promotion.type,
+      value: promotion.value,
+      maxDiscount: promotion.maxDiscount || '',
+      buyQuantity: promotion.buyQuantity || '2',
+      getQuantity: promotion.getQuantity || '1',
+      scope: promotion.scope,
+      categories: promotion.categories || [],
+      skus: (promotion.skus || []).join(', '),
+      minBillAmount: promotion.minBillAmount || '',
+      storeIds: promotion.storeIds || [],
+      startsAt: toLocalInput(promotion.startsAt),
+      endsAt: toLocalInput(promotion.endsAt),
+      daysOfWeek: promotion.daysOfWeek || [],
+      startTime: promotion.startTime || '',
+      endTime: promotion.endTime || '',
+      couponCode: promotion.couponCode || '',
+      usageLimit: promotion.usageLimit || '',
+      isActive: promotion.isActive,
+    });
+    setShowModal(true);
+  };
+
+  if (loading || !user || loadingPromotions) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Promotions">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Promotions</h2>
+          <p className="text-sm text-gray-500">Offers applied automatically at every counter, and coupon codes cashiers can enter.</p>
+        </div>
+        <button
+          onClick={() => {
+            setFormData(emptyForm);
+            setEditingPromotion(null);
+            setShowModal(true);
+          }}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add Promotion
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {promotions.length === 0 ? (
+          <div className="text-center py-12">
+            <Tag className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">No promotions yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Offer</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Applies To</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Conditions</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Used</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {promotions.map((promotion) => (
+                  <tr key={promotion.id} className={`hover:bg-gray-50 ${promotion.isActive ? '' : 'opacity-50'}`}>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                      {promotion.name}
+                      {promotion.couponCode && (
+                        <p className="mt-1">
+                          <span className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded text-xs font-mono">{promotion.couponCode}</span>
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{describeOffer(promotion)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600 capitalize">{describeScope(promotion)}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500 space-y-0.5">
+                      {promotion.minBillAmount && <p>Bill of ₹{parseFloat(promotion.minBillAmount).toFixed(0)}+</p>}
+                      {(promotion.startsAt || promotion.endsAt) && (
+                        <p>
+                          {promotion.startsAt ? formatDate(promotion.startsAt) : 'Now'} – {promotion.endsAt ? formatDate(promotion.endsAt) : 'No end'}
+                        </p>
+                      )}
+                      {promotion.daysOfWeek && <p>{promotion.daysOfWeek.map((day) => DAYS[day]).join(', ')}</p>}
+                      {promotion.startTime && <p>{promotion.startTime} – {promotion.endTime}</p>}
+                      <p>{promotion.storeIds ? promotion.storeIds.map(storeName).join(', ') : 'All stores'}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {promotion.couponCode ? `${promotion.usedCount}${promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}` : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {!promotion.isActive ? (
+                        <span className="px-2 py-1 bg-gray-100 text-gray-600 rounded text-xs">Inactive</span>
+                      ) : promotion.isRunning ? (
+                        <span className="px-2 py-1 bg-green-100 text-green-700 rounded text-xs">Running</span>
+                      ) : (
+                        <span className="px-2 py-1 bg-yellow-100 text-yellow-700 rounded text-xs">Not running now</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => handleEdit(promotion)}
+                        className="p-1 hover:bg-gray-100 rounded"
+                      >
+                        <Edit className="w-4 h-4 text-gray-600" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">
+                {editingPromotion ? 'Edit Promotion' : 'Add Promotion'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-4 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                  placeholder="Shown on the invoice, e.g. Festive 10% off"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+
+              {/* Offer */}
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Offer *</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({ ...formData, type: e.target.value, value: e.target.value === 'buy_x_get_y' ? '100' : '' })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {formData.type === 'buy_x_get_y' ? (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Buy / Get *</label>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          min="1"
+                          value={formData.buyQuantity}
+                          onChange={(e) => setFormData({ ...formData, buyQuantity: e.target.value })}
+                          required
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                        />
+                        <input
+                          type="number"
+                          min="1"
+                          value={formData.getQuantity}
+                          onChange={(e) => setFormData({ ...formData, getQuantity: e.target.value })}
+                          required
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                        />
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">% off the free units</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        step="0.01"
+                        value={formData.value}
+                        onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                        required
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {formData.type === 'percentage' ? 'Percentage *' : 'Amount (₹) *'}
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.value}
+                        onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                        required
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                      />
+                    </div>
+                    {formData.type === 'percentage' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Max Discount (₹)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={formData.maxDiscount}
+                          onChange={(e) => setFormData({ ...formData, maxDiscount: e.target.value })}
+                          placeholder="No cap"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                        />
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+
+              {/* Scope */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Applies To</label>
+                <select
+                  value={formData.scope}
+                  onChange={(e) => setFormData({ ...formData, scope: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                >
+                  <option value="all">Whole cart</option>
+                  <option value="category">Categories</option>
+                  <option value="sku">Specific SKUs</option>
+                </select>
+                {formData.scope === 'category' && (
+                  <div className="flex flex-wrap gap-3 mt-2">
+                    {CATEGORIES.map((category) => (
+                      <label key={category} className="flex items-center gap-1 text-sm text-gray-700 capitalize">
+                        <input
+                          type="checkbox"
+                          checked={formData.categories.includes(category)}
+                          onChange={() => toggleInList('categories', category)}
+                        />
+                        {category}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                {formData.scope === 'sku' && (
+                  <input
+                    type="text"
+                    value={formData.skus}
+                    onChange={(e) => setFormData({ ...formData, skus: e.target.value })}
+                    placeholder="SKUs separated by commas"
+                    className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                )}
+                <p className="text-xs text-gray-500 mt-1">Lenses are priced from the lens catalog and never get promotions.</p>
+              </div>
+
+              {/* Conditions */}
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Bill (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={formData.minBillAmount}
+                    onChange={(e) => setFormData({ ...formData, minBillAmount: e.target.value })}
+                    placeholder="Any bill"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Time of Day</label>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="time"
+                      value={formData.startTime}
+                      onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                    />
+                    <span className="text-gray-400">–</span>
+                    <input
+                      type="time"
+                      value={formData.endTime}
+                      onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                  <input
+                    type="datetime-local"
+                    value={formData.startsAt}
+                    onChange={(e) => setFormData({ ...formData, startsAt: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                  <input
+                    type="datetime-local"
+                    value={formData.endsAt}
+                    onChange={(e) => setFormData({ ...formData, endsAt: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Days (none = every day)</label>
+                <div className="flex flex-wrap gap-2">
+                  {DAYS.map((day, index) => (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => toggleInList('daysOfWeek', index)}
+                      className={`px-3 py-1 rounded-full text-sm border ${
+                        formData.daysOfWeek.includes(index)
+                          ? 'bg-primary-500 text-white border-primary-500'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {day}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Stores (none = all stores)</label>
+                <div className="flex flex-wrap gap-3">
+                  {stores.map((store) => (
+                    <label key={store.id} className="flex items-center gap-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.storeIds.includes(store.id)}
+                        onChange={() => toggleInList('storeIds', store.id)}
+                      />
+                      {store.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Coupon */}
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Coupon Code</label>
+                  <input
+                    type="text"
+                    value={formData.couponCode}
+                    onChange={(e) => setFormData({ ...formData, couponCode: e.target.value.toUpperCase() })}
+                    placeholder="Leave empty to apply automatically"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none font-mono"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Usage Limit</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.usageLimit}
+                    onChange={(e) => setFormData({ ...formData, usageLimit: e.target.value })}
+                    disabled={!formData.couponCode}
+                    placeholder="Unlimited"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none disabled:bg-gray-100"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                />
+                Active
+              </label>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition"
+                >
+                  {editingPromotion ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,741 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { ClipboardList, Plus, CheckCircle, PackagePlus, XCircle, Trash2, Search, ChevronDown, ChevronUp } from 'lucide-react';
+import { purchaseOrderAPI, supplierAPI, storeAPI, productAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  approved: 'bg-blue-100 text-blue-700',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-700',
+  cancelled: 'bg-red-100 text-red-700',
+};
+
+const emptyForm = {
+  supplierId: '',
+  storeId: '',
+  expectedDate: '',
+  pushToShopify: true,
+  notes: '',
+  items: [],
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+}) : '-');
+
+const formatMoney = (value) => `₹${parseFloat(value || 0).toFixed(2)}`;
+
+export default function PurchaseOrdersManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [stores, setStores] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [filters, setFilters] = useState({ storeId: '', supplierId: '', status: '' });
+  const [loadingOrders, setLoadingOrders] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [productSearch, setProductSearch] = useState('');
+  const [productResults, setProductResults] = useState([]);
+  const [receiving, setReceiving] = useState(null);
+  const [receiptLines, setReceiptLines] = useState({});
+  const [receiptDetails, setReceiptDetails] = useState({ supplierInvoiceNumber: '', notes: '', close: false });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadStoresAndSuppliers();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  useEffect(() => {
+    if (user && isAdmin) {
+      loadOrders();
+    }
+  }, [user, isAdmin, filters]);
+
+  const loadStoresAndSuppliers = async () => {
+    try {
+      const [storesResponse, suppliersResponse] = await Promise.all([
+        storeAPI.getAll(),
+        supplierAPI.getAll(),
+      ]);
+      setStores(storesResponse.data.stores);
+      setSuppliers(suppliersResponse.data.suppliers);
+    } catch (error) {
+      console.error('Failed to load stores and suppliers:', error);
+    }
+  };
+
+  const loadOrders = async () => {
+    try {
+      setLoadingOrders(true);
+      const params = {};
+      if (filters.storeId) params.storeId = filters.storeId;
+      if (filters.supplierId) params.supplierId = filters.supplierId;
+      if (filters.status) params.status = filters.status;
+      const response = await purchaseOrderAPI.getAll(params);
+      setOrders(response.data.purchaseOrders);
+      setStatuses(response.data.statuses);
+    } catch (error) {
+      toast.error('Failed to load purchase orders');
+      console.error(error);
+    } finally {
+      setLoadingOrders(false);
+    }
+  };
+
+  const statusLabel = (status) => statuses.find((entry) => entry.value === status)?.label || status;
+
+  // Goods receipts are only loaded when a row is opened
+  const toggleExpanded = async (order) => {
+    if (expandedId === order.id) {
+      setExpandedId(null);
+      return;
+    }
+    try {
+      const response = await purchaseOrderAPI.getOne(order.id);
+      setOrders(orders.map((entry) => (entry.id === order.id ? response.data.purchaseOrder : entry)));
+      setExpandedId(order.id);
+    } catch (error) {
+      toast.error('Failed to load goods receipts');
+    }
+  };
+
+  // ===== CREATE =====
+  const closeCreate = () => {
+    setShowCreate(false);
+    setFormData(emptyForm);
+    setProductSearch('');
+    setProductResults([]);
+  };
+
+  const searchProducts = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await productAPI.getAll({ search: productSearch, storeId: formData.storeId || undefined, limit: 10 });
+      setProductResults(response.data.products);
+    } catch (error) {
+      toast.error('Failed to search products');
+    }
+  };
+
+  const addLine = (product) => {
+    if (formData.items.some((item) => item.productId === product.id)) {
+      toast.error(`${product.name} is already on the order`);
+      return;
+    }
+    setFormData({
+      ...formData,
+      items: [...formData.items, {
+        productId: product.id,
+        name: product.name,
+        sku: product.sku,
+        price: product.price,
+        quantity: '1',
+        unitCost: '',
+      }],
+    });
+  };
+
+  const updateLine = (productId, field, value) => {
+    setFormData({
+      ...formData,
+      items: formData.items.map((item) => (item.productId === productId ? { ...item, [field]: value } : item)),
+    });
+  };
+
+  const removeLine = (productId) => {
+    setFormData({ ...formData, items: formData.items.filter((item) => item.productId !== productId) });
+  };
+
+  const orderTotal = formData.items.reduce(
+    (sum, item) => sum + (parseInt(item.quantity) || 0) * (parseFloat(item.unitCost) || 0),
+    0
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (formData.items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    try {
+      setSaving(true);
+      const response = await purchaseOrderAPI.create({
+        supplierId: parseInt(formData.supplierId),
+        storeId: parseInt(formData.storeId),
+        expectedDate: formData.expectedDate || null,
+        pushToShopify: formData.pushToShopify,
+        notes: formData.notes,
+        items: formData.items.map((item) => ({
+          productId: item.productId,
+          quantity: parseInt(item.quantity),
+          unitCost: parseFloat(item.unitCost),
+        })),
+      });
+      toast.success(`Purchase order ${response.data.purchaseOrder.poNumber} saved as draft`);
+      closeCreate();
+      loadOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create purchase order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ===== ACTIONS =====
+  const handleApprove = async (order) => {
+    if (!window.confirm(`Approve ${order.poNumber} for ${formatMoney(order.totalAmount)}?`)) return;
+    try {
+      await purchaseOrderAPI.approve(order.id);
+      toast.success(`Purchase order ${order.poNumber} approved`);
+      loadOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to approve purchase order');
+    }
+  };
+
+  const handleCancel = async (order) => {
+    if (!window.confirm(`Cancel ${order.poNumber}?`)) return;
+    try {
+      await purchaseOrderAPI.cancel(order.id);
+      toast.success(`Purchase order ${order.poNumber} cancelled`);
+      loadOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel purchase order');
+    }
+  };
+
+  // ===== RECEIVE =====
+  const openReceive = (order) => {
+    setReceiving(order);
+    setReceiptDetails({ supplierInvoiceNumber: '', notes: '', close: false });
+    // Default to everything still outstanding having arrived at the ordered cost
+    setReceiptLines(Object.fromEntries(order.items.map((item) => [item.id, {
+      quantity: String(item.quantity - item.receivedQuantity),
+      unitCost: parseFloat(item.unitCost).toString(),
+    }])));
+  };
+
+  const updateReceiptLine = (itemId, field, value) => {
+    setReceiptLines({ ...receiptLines, [itemId]: { ...receiptLines[itemId], [field]: value } });
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await purchaseOrderAPI.receive(receiving.id, {
+        items: receiving.items.map((item) => ({
+          itemId: item.id,
+          quantity: parseInt(receiptLines[item.id].quantity) || 0,
+          unitCost: receiptLines[item.id].unitCost,
+        })),
+        ...receiptDetails,
+      });
+      toast.success(response.data.message);
+      setReceiving(null);
+      setExpandedId(null);
+      loadOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to receive goods');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !user || !isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Purchase Orders">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Purchase Orders</h2>
+          <p className="text-sm text-gray-500">
+            Approved orders are received with a goods receipt (GRN), which adds the stock to the store and records the cost price.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowCreate(true)}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          New Purchase Order
+        </button>
+      </div>
+
+      <div className="mb-4 flex flex-wrap gap-2">
+        <select
+          value={filters.storeId}
+          onChange={(e) => setFilters({ ...filters, storeId: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+        >
+          <option value="">All stores</option>
+          {stores.map((store) => (
+            <option key={store.id} value={store.id}>{store.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.supplierId}
+          onChange={(e) => setFilters({ ...filters, supplierId: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+        >
+          <option value="">All suppliers</option>
+          {suppliers.map((supplier) => (
+            <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+        >
+          <option value="">All statuses</option>
+          {statuses.map((status) => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loadingOrders ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner"></div>
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardList className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">No purchase orders found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">PO</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Supplier</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Deliver To</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Items</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Value</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {orders.map((order) => {
+                  const ordered = order.items.reduce((sum, item) => sum + item.quantity, 0);
+                  const received = order.items.reduce((sum, item) => sum + item.receivedQuantity, 0);
+                  const isOpen = ['approved', 'partially_received'].includes(order.status);
+                  const isExpanded = expandedId === order.id;
+
+                  return [
+                    <tr key={order.id} className="hover:bg-gray-50 align-top">
+                      <td className="px-4 py-3 text-sm">
+                        <button
+                          onClick={() => toggleExpanded(order)}
+                          className="font-medium text-gray-800 flex items-center gap-1 hover:text-primary-600"
+                        >
+                          {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                          {order.poNumber}
+                        </button>
+                        <p className="text-xs text-gray-500">Created {formatDate(order.createdAt)}</p>
+                        {order.expectedDate && <p className="text-xs text-gray-500">Expected {formatDate(order.expectedDate)}</p>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{order.supplier?.name}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {order.store?.name}
+                        {!order.pushToShopify && <p className="text-xs text-gray-500">Not pushed to Shopify</p>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        <p>{order.items.length} product(s), {ordered} unit(s)</p>
+                        {order.status !== 'draft' && <p className="text-xs text-gray-500">{received} of {ordered} received</p>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-800">{formatMoney(order.totalAmount)}</td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[order.status]}`}>
+                          {statusLabel(order.status)}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end gap-1 flex-wrap">
+                          {order.status === 'draft' && (
+                            <button
+                              onClick={() => handleApprove(order)}
+                              className="px-2 py-1 bg-primary-500 text-white hover:bg-primary-600 rounded text-xs flex items-center gap-1"
+                            >
+                              <CheckCircle className="w-3 h-3" />
+                              Approve
+                            </button>
+                          )}
+                          {isOpen && (
+                            <button
+                              onClick={() => openReceive(order)}
+                              className="px-2 py-1 bg-green-600 text-white hover:bg-green-700 rounded text-xs flex items-center gap-1"
+                            >
+                              <PackagePlus className="w-3 h-3" />
+                              Receive
+                            </button>
+                          )}
+                          {(order.status === 'draft' || order.status === 'approved') && (
+                            <button
+                              onClick={() => handleCancel(order)}
+                              className="px-2 py-1 border border-red-300 text-red-600 hover:bg-red-50 rounded text-xs flex items-center gap-1"
+                            >
+                              <XCircle className="w-3 h-3" />
+                              Cancel
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>,
+                    isExpanded && (
+                      <tr key={`${order.id}-details`} className="bg-gray-50">
+                        <td colSpan={7} className="px-4 py-3 text-sm">
+                          <div className="grid md:grid-cols-2 gap-4">
+                            <div>
+                              <p className="font-medium text-gray-700 mb-1">Lines</p>
+                              {order.items.map((item) => (
+                                <p key={item.id} className="text-gray-600">
+                                  {item.name} ({item.sku}): {item.receivedQuantity}/{item.quantity} @ {formatMoney(item.unitCost)}
+                                </p>
+                              ))}
+                              {order.notes && <p className="text-xs text-gray-500 mt-2">{order.notes}</p>}
+                            </div>
+                            <div>
+                              <p className="font-medium text-gray-700 mb-1">Goods Receipts</p>
+                              {(order.receipts || []).length === 0 && <p className="text-gray-500">None yet</p>}
+                              {(order.receipts || []).map((receipt) => (
+                                <p key={receipt.id} className="text-gray-600">
+                                  {receipt.grnNumber}, {formatDate(receipt.receivedAt)}: {receipt.items.reduce((sum, item) => sum + item.quantity, 0)} unit(s), {formatMoney(receipt.totalCost)}
+                                  {receipt.supplierInvoiceNumber && ` (bill ${receipt.supplierInvoiceNumber})`}
+                                  {receipt.receivedBy && ` by ${receipt.receivedBy.name}`}
+                                </p>
+                              ))}
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    ),
+                  ];
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create Modal */}
+      {showCreate && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">New Purchase Order</h2>
+            </div>
+
+            <div className="p-4 space-y-4">
+              <div className="grid md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Supplier *</label>
+                  <select
+                    value={formData.supplierId}
+                    onChange={(e) => setFormData({ ...formData, supplierId: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    <option value="">Select supplier</option>
+                    {suppliers.map((supplier) => (
+                      <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Deliver To *</label>
+                  <select
+                    value={formData.storeId}
+                    onChange={(e) => setFormData({ ...formData, storeId: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    <option value="">Select store</option>
+                    {stores.map((store) => (
+                      <option key={store.id} value={store.id}>{store.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Expected By</label>
+                  <input
+                    type="date"
+                    value={formData.expectedDate}
+                    onChange={(e) => setFormData({ ...formData, expectedDate: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              <form onSubmit={searchProducts} className="flex gap-2">
+                <div className="relative flex-1">
+                  <Search className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+                  <input
+                    type="text"
+                    value={productSearch}
+                    onChange={(e) => setProductSearch(e.target.value)}
+                    placeholder="Search products by name, SKU or barcode"
+                    className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <button type="submit" className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                  Search
+                </button>
+              </form>
+
+              {productResults.length > 0 && (
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-48 overflow-y-auto">
+                  {productResults.map((product) => (
+                    <button
+                      key={product.id}
+                      type="button"
+                      onClick={() => addLine(product)}
+                      className="w-full px-3 py-2 text-left text-sm flex justify-between hover:bg-gray-50"
+                    >
+                      <span>
+                        {product.name}
+                        <span className="text-xs text-gray-500"> • {product.sku}</span>
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        MRP {formatMoney(product.price)}{formData.storeId && `, ${product.quantity} in stock`}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <form id="purchase-order-form" onSubmit={handleCreate} className="space-y-4">
+                {formData.items.length > 0 && (
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Quantity</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Unit Cost</th>
+                        <th className="px-3 py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {formData.items.map((item) => (
+                        <tr key={item.productId}>
+                          <td className="px-3 py-2">
+                            {item.name}
+                            <span className="block text-xs text-gray-500">{item.sku} • MRP {formatMoney(item.price)}</span>
+                          </td>
+                          <td className="px-3 py-2">
+                            <input
+                              type="number"
+                              min="1"
+                              value={item.quantity}
+                              onChange={(e) => updateLine(item.productId, 'quantity', e.target.value)}
+                              required
+                              className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                            />
+                          </td>
+                          <td className="px-3 py-2">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              value={item.unitCost}
+                              onChange={(e) => updateLine(item.productId, 'unitCost', e.target.value)}
+                              required
+                              className="w-28 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                            />
+                          </td>
+                          <td className="px-3 py-2 text-right">
+                            <button type="button" onClick={() => removeLine(item.productId)} className="p-1 hover:bg-gray-100 rounded">
+                              <Trash2 className="w-4 h-4 text-red-500" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {formData.items.length > 0 && (
+                  <p className="text-right text-sm font-medium text-gray-800">Order value: {formatMoney(orderTotal)}</p>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <textarea
+                    value={formData.notes}
+                    onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                    rows={2}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.pushToShopify}
+                    onChange={(e) => setFormData({ ...formData, pushToShopify: e.target.checked })}
+                  />
+                  Push received stock to the store&apos;s Shopify location
+                </label>
+
+                <div className="flex gap-2 pt-4">
+                  <button
+                    type="button"
+                    onClick={closeCreate}
+                    className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition disabled:opacity-50"
+                  >
+                    Save Draft
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Receive Modal */}
+      {receiving && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">Goods Receipt for {receiving.poNumber}</h2>
+              <p className="text-sm text-gray-500">
+                {receiving.supplier?.name} → {receiving.store?.name}. Enter what arrived and the cost on the supplier&apos;s bill.
+              </p>
+            </div>
+
+            <form onSubmit={handleReceive} className="p-4 space-y-4">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Ordered</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Received</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Arrived Now</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Unit Cost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {receiving.items.map((item) => {
+                    const outstanding = item.quantity - item.receivedQuantity;
+                    return (
+                      <tr key={item.id}>
+                        <td className="px-3 py-2">
+                          {item.name}
+                          <span className="block text-xs text-gray-500">{item.sku}</span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-600">{item.quantity}</td>
+                        <td className="px-3 py-2 text-gray-600">{item.receivedQuantity}</td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={outstanding}
+                            value={receiptLines[item.id].quantity}
+                            onChange={(e) => updateReceiptLine(item.id, 'quantity', e.target.value)}
+                            disabled={outstanding === 0}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none disabled:bg-gray-100"
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={receiptLines[item.id].unitCost}
+                            onChange={(e) => updateReceiptLine(item.id, 'unitCost', e.target.value)}
+                            disabled={outstanding === 0}
+                            className="w-28 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none disabled:bg-gray-100"
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Supplier Bill No.</label>
+                  <input
+                    type="text"
+                    value={receiptDetails.supplierInvoiceNumber}
+                    onChange={(e) => setReceiptDetails({ ...receiptDetails, supplierInvoiceNumber: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <input
+                    type="text"
+                    value={receiptDetails.notes}
+                    onChange={(e) => setReceiptDetails({ ...receiptDetails, notes: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={receiptDetails.close}
+                  onChange={(e) => setReceiptDetails({ ...receiptDetails, close: e.target.checked })}
+                  className="mt-1"
+                />
+                <span>Close the order. The supplier won&apos;t send the rest.</span>
+              </label>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setReceiving(null)}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                >
+                  Record GRN
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
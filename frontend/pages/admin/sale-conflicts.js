@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import { saleConflictAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const TYPE_LABELS = {
+  insufficient_stock: { label: 'Stock went negative', className: 'bg-orange-100 text-orange-800' },
+  price_mismatch: { label: 'Price changed', className: 'bg-yellow-100 text-yellow-800' },
+  discount_over_limit: { label: 'Discount over limit', className: 'bg-purple-100 text-purple-800' },
+  rejected: { label: 'Sale not recorded', className: 'bg-red-100 text-red-800' },
+};
+
+export default function SaleConflicts() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [conflicts, setConflicts] = useState([]);
+  const [openCount, setOpenCount] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [loadingConflicts, setLoadingConflicts] = useState(true);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadConflicts();
+      }
+    }
+  }, [user, loading, isAdmin, router, statusFilter]);
+
+  const loadConflicts = async () => {
+    try {
+      setLoadingConflicts(true);
+      const response = await saleConflictAPI.getAll({ status: statusFilter });
+      setConflicts(response.data.conflicts);
+      setOpenCount(response.data.openCount);
+    } catch (error) {
+      toast.error('Failed to load sync conflicts');
+      console.error(error);
+    } finally {
+      setLoadingConflicts(false);
+    }
+  };
+
+  const handleResolve = async (conflict) => {
+    const resolutionNote = window.prompt('Resolution note (e.g. stock recounted, sale re-entered manually):', '');
+    if (resolutionNote === null) return;
+
+    try {
+      await saleConflictAPI.resolve(conflict.id, { resolutionNote });
+      toast.success('Conflict resolved');
+      loadConflicts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resolve conflict');
+    }
+  };
+
+  // Rejected sales carry the POS payload; show enough to re-enter them by hand
+  const describeRejectedSale = (details) => {
+    if (!details) return null;
+    const itemCount = (details.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0);
+    return [
+      details.provisionalInvoiceNumber,
+      details.customerInfo?.name && `${details.customerInfo.name} (${details.customerInfo.phone})`,
+      `${itemCount} item(s)`,
+      details.expectedTotal !== undefined && `₹${parseFloat(details.expectedTotal).toFixed(2)}`,
+    ].filter(Boolean).join(' • ');
+  };
+
+  if (loading || !user) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Sync Conflicts">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Offline Sale Conflicts</h2>
+          <p className="text-sm text-gray-500">
+            Problems found when sales made while a POS was offline were synced. {openCount} open.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {['open', 'resolved', 'all'].map((status) => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition capitalize ${
+                statusFilter === status
+                  ? 'bg-primary-500 text-white'
+                  : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loadingConflicts ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Synced</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Store / Cashier</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Problem</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Sale</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {conflicts.map((conflict) => {
+                  const type = TYPE_LABELS[conflict.type] || { label: conflict.type, className: 'bg-gray-100 text-gray-800' };
+                  return (
+                    <tr key={conflict.id} className="hover:bg-gray-50 align-top">
+                      <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                        {new Date(conflict.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <p className="text-gray-800">{conflict.store?.name || '-'}</p>
+                        <p className="text-xs text-gray-500">{conflict.cashier?.name || '-'}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`px-2 py-0.5 rounded text-xs ${type.className}`}>{type.label}</span>
+                        <p className="text-gray-700 mt-1">{conflict.message}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        {conflict.sale ? (
+                          <>
+                            <p className="font-medium text-gray-800">{conflict.sale.invoiceNumber}</p>
+                            {conflict.sale.provisionalInvoiceNumber && (
+                              <p className="text-xs text-gray-500">Offline receipt {conflict.sale.provisionalInvoiceNumber}</p>
+                            )}
+                          </>
+                        ) : (
+                          <p className="text-xs text-gray-500">{describeRejectedSale(conflict.details)}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm">
+                        {conflict.status === 'open' ? (
+                          <button
+                            onClick={() => handleResolve(conflict)}
+                            className="px-3 py-1 bg-green-500 hover:bg-green-600 text-white rounded text-xs font-medium"
+                          >
+                            Mark Resolved
+                          </button>
+                        ) : (
+                          <div className="text-xs text-gray-500">
+                            <p className="flex items-center justify-end gap-1 text-green-700">
+                              <CheckCircle className="w-4 h-4" />
+                              {conflict.resolvedBy?.name}
+                            </p>
+                            {conflict.resolutionNote && <p className="mt-1">{conflict.resolutionNote}</p>}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {conflicts.length === 0 && (
+            <div className="text-center py-12">
+              <AlertTriangle className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+              <p className="text-gray-500">No {statusFilter === 'all' ? '' : statusFilter} conflicts</p>
+            </div>
+          )}
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -2,8 +2,11 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../../contexts/AuthContext';
 import AdminLayout from '../../components/AdminLayout';
-import { Download, Filter, TrendingUp, DollarSign, Edit, Plus, Trash, X, Search } from 'lucide-react';
+import ReturnModal from '../../components/ReturnModal';
+import ManagerApprovalModal from '../../components/ManagerApprovalModal';
+import { Download, Filter, TrendingUp, DollarSign, Edit, Plus, Trash, X, Search, RotateCcw } from 'lucide-react';
 import { saleAPI, storeAPI, productAPI } from '../../utils/api';
+import { priceLine, priceCart } from '../../../shared/pricing';
 import toast from 'react-hot-toast';
 
 export default function SalesReports() {
@@ -30,6 +33,12 @@ export default function SalesReports() {
   const [showProductModal, setShowProductModal] = useState(false);
   const [productSearchTerm, setProductSearchTerm] = useState('');
 
+  // Return modal
+  const [returnSaleId, setReturnSaleId] = useState(null);
+
+  // Over-limit discount waiting on a supervisor's PIN
+  const [editApproval, setEditApproval] = useState(null);
+
   useEffect(() => {
     if (!loading) {
       if (!user) {
@@ -172,16 +181,30 @@ export default function SalesReports() {
       
       setEditingSale(fullSale);
       
-      // Convert sale items to edit format
-      const items = fullSale.items.map(item => ({
-        id: item.productId,
-        productId: item.productId,
-        name: item.name,
-        price: parseFloat(item.unitPrice),
-        quantity: parseInt(item.quantity),
-        discount: parseFloat(item.discount || 0),
-        taxRate: parseFloat(item.taxRate),
-      }));
+      // Convert sale items to edit format; lens lines ride on the frame line they were fitted to
+      const lensLines = fullSale.items.filter(item => item.lineType === 'lens');
+      const items = fullSale.items.filter(item => item.lineType !== 'lens').map(item => {
+        const lensLine = lensLines.find(line => line.parentItemId === item.id);
+        return {
+          id: item.productId,
+          productId: item.productId,
+          name: item.name,
+          price: parseFloat(item.unitPrice),
+          quantity: parseInt(item.quantity),
+          discount: parseFloat(item.discount || 0),
+          taxRate: parseFloat(item.taxRate),
+          ...(lensLine && {
+            lens: {
+              design: lensLine.lensConfig.design.code,
+              index: lensLine.lensConfig.index.code,
+              coatings: lensLine.lensConfig.coatings.map(coating => coating.code),
+            },
+            lensName: lensLine.name,
+            lensPrice: parseFloat(lensLine.unitPrice),
+            lensTaxRate: parseFloat(lensLine.taxRate),
+          }),
+        };
+      });
       
       setEditItems(items);
       
@@ -275,31 +298,28 @@ export default function SalesReports() {
     }));
   };
 
+  // Priced as the server will re-price the sale, keeping its bill discount in ₹
   const calculateEditTotal = () => {
-    let subtotal = 0;
-    let totalDiscount = 0;
-    let totalTax = 0;
-
+    const lines = [];
     editItems.forEach(item => {
-      const itemMRP = item.price * item.quantity;
-      const itemDiscount = item.discount * item.quantity;
-      const discountedMRP = itemMRP - itemDiscount;
-      
-      const taxMultiplier = 1 + (item.taxRate / 100);
-      const baseAmount = discountedMRP / taxMultiplier;
-      const itemTax = discountedMRP - baseAmount;
+      lines.push(priceLine({
+        unitPrice: item.price,
+        quantity: item.quantity,
+        discount: Math.min(Math.max(item.discount || 0, 0), item.price),
+        taxRate: item.taxRate,
+      }));
 
-      subtotal += itemMRP;
-      totalDiscount += itemDiscount;
-      totalTax += itemTax;
+      if (item.lens) {
+        lines.push(priceLine({ unitPrice: item.lensPrice, quantity: item.quantity, discount: 0, taxRate: item.lensTaxRate }));
+      }
     });
 
-    const total = subtotal - totalDiscount;
-    
-    return { subtotal, totalDiscount, totalTax, total };
+    const priced = priceCart(lines, { billDiscount: { type: 'amount', value: editingSale?.billDiscount } });
+    return { subtotal: priced.subtotal, totalDiscount: priced.totalDiscount, totalTax: priced.totalTax, total: priced.totalAmount };
   };
 
-  const handleSaveEdit = async () => {
+  // `approval` is the supervisor picked and their PIN ({ approverId, pin })
+  const handleSaveEdit = async (approval) => {
     if (editItems.length === 0) {
       toast.error('Please add at least one product');
       return;
@@ -312,7 +332,9 @@ export default function SalesReports() {
           productId: item.productId,
           quantity: item.quantity,
           discount: item.discount,
-        }))
+          ...(item.lens && { lens: item.lens }),
+        })),
+        ...(approval && { approverId: approval.approverId, approvalPin: approval.pin })
       };
 
       console.log('💾 Updating sale:', editingSale.invoiceNumber, updateData);
@@ -323,11 +345,16 @@ export default function SalesReports() {
       setShowEditModal(false);
       setEditingSale(null);
       setEditItems([]);
+      setEditApproval(null);
       
       // Reload data
       loadData();
     } catch (error) {
       console.error('❌ Update sale error:', error);
+      if (error.response?.data?.approvalRequired) {
+        setEditApproval(error.response.data);
+        return;
+      }
       const errorMsg = error.response?.data?.error || error.message || 'Failed to update sale';
       toast.error(errorMsg, { duration: 5000 });
     } finally {
@@ -381,6 +408,9 @@ export default function SalesReports() {
             <p className="text-2xl font-bold text-gray-800">
               ₹{parseFloat(stats.totalTax || 0).toFixed(0)}
             </p>
+            <p className="text-xs text-gray-500 mt-1">
+              CGST ₹{parseFloat(stats.totalCgst || 0).toFixed(0)} · SGST ₹{parseFloat(stats.totalSgst || 0).toFixed(0)} · IGST ₹{parseFloat(stats.totalIgst || 0).toFixed(0)}
+            </p>
           </div>
         </div>
       )}
@@ -490,6 +520,16 @@ export default function SalesReports() {
                   </td>
                   <td className="px-4 py-3 text-sm font-medium text-gray-800">
                     ₹{parseFloat(sale.totalAmount || 0).toFixed(2)}
+                    {parseFloat(sale.promotionDiscount || 0) > 0 && (
+                      <p className="text-xs font-normal text-green-600">
+                        incl. ₹{parseFloat(sale.promotionDiscount).toFixed(2)} offers{sale.couponCode ? ` (${sale.couponCode})` : ''}
+                      </p>
+                    )}
+                    {sale.discountApprovedBy && (
+                      <p className="text-xs font-normal text-amber-700">
+                        Discount approved by {sale.discountApprovedBy.name}
+                      </p>
+                    )}
                   </td>
                   <td className="px-4 py-3 text-sm">
                     <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded text-xs uppercase">
@@ -508,6 +548,13 @@ export default function SalesReports() {
                       >
                         <Download className="w-4 h-4 text-primary-600" />
                       </button>
+                      <button
+                        onClick={() => setReturnSaleId(sale.id)}
+                        className="p-1 hover:bg-orange-50 rounded"
+                        title="Return Items"
+                      >
+                        <RotateCcw className="w-4 h-4 text-orange-600" />
+                      </button>
                       <button
                         onClick={() => handleEditSale(sale)}
                         className="p-1 hover:bg-blue-50 rounded"
@@ -538,6 +585,14 @@ export default function SalesReports() {
         </div>
       )}
 
+      {/* Return Modal */}
+      <ReturnModal
+        isOpen={!!returnSaleId}
+        saleId={returnSaleId}
+        onClose={() => setReturnSaleId(null)}
+        onReturned={loadData}
+      />
+
       {/* Edit Invoice Modal */}
       {showEditModal && editingSale && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 overflow-y-auto">
@@ -608,6 +663,11 @@ export default function SalesReports() {
                                 </option>
                               ))}
                             </select>
+                            {item.lens && (
+                              <p className="text-xs text-gray-500 mt-1">
+                                + {item.lensName} (₹{item.lensPrice.toFixed(2)} per pair, kept as sold)
+                              </p>
+                            )}
                           </div>
 
                           {/* Quantity */}
@@ -687,6 +747,11 @@ export default function SalesReports() {
                     <span className="font-bold text-gray-900">Total:</span>
                     <span className="font-bold text-gray-900 text-lg">₹{calculateEditTotal().total.toFixed(2)}</span>
                   </div>
+                  {(editingSale.appliedPromotions || []).length > 0 && (
+                    <p className="text-xs text-gray-500">
+                      Before promotions. {editingSale.appliedPromotions.map((promotion) => promotion.name).join(', ')} will be re-applied when saved.
+                    </p>
+                  )}
                 </div>
               </div>
 
@@ -700,7 +765,7 @@ export default function SalesReports() {
                   Cancel
                 </button>
                 <button
-                  onClick={handleSaveEdit}
+                  onClick={() => handleSaveEdit()}
                   className="flex-1 px-4 py-3 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition font-semibold disabled:opacity-50"
                   disabled={processing || editItems.length === 0}
                 >
@@ -802,6 +867,16 @@ export default function SalesReports() {
           </div>
         </div>
       )}
+
+      {/* Supervisor PIN for edited discounts over the limit */}
+      <ManagerApprovalModal
+        isOpen={!!editApproval}
+        approval={editApproval}
+        processing={processing}
+        storeId={editingSale?.storeId}
+        onSubmit={(approval) => handleSaveEdit(approval)}
+        onClose={() => setEditApproval(null)}
+      />
     </AdminLayout>
   );
 }
@@ -0,0 +1,229 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { ShoppingBag, RefreshCw, RotateCcw } from 'lucide-react';
+import { shopifyOrderAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  synced: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  needs_attention: 'bg-orange-100 text-orange-800',
+};
+
+const STATUS_LABELS = {
+  needs_attention: 'needs attention',
+};
+
+export default function ShopifyOrders() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [statusFilter, setStatusFilter] = useState('failed');
+  const [loadingOrders, setLoadingOrders] = useState(true);
+
+  // The dashboard links here with ?status=needs_attention
+  useEffect(() => {
+    if (router.isReady && router.query.status) {
+      setStatusFilter(router.query.status);
+    }
+  }, [router.isReady]);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadOrders();
+      }
+    }
+  }, [user, loading, isAdmin, router, statusFilter]);
+
+  const loadOrders = async () => {
+    try {
+      setLoadingOrders(true);
+      const response = await shopifyOrderAPI.getAll({ status: statusFilter });
+      setOrders(response.data.orders);
+      setSummary(response.data.summary);
+    } catch (error) {
+      toast.error('Failed to load Shopify orders');
+      console.error(error);
+    } finally {
+      setLoadingOrders(false);
+    }
+  };
+
+  const handleRetry = async (order) => {
+    try {
+      await shopifyOrderAPI.retry(order.id);
+      toast.success('Queued for retry');
+      loadOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to retry');
+    }
+  };
+
+  const handleResolve = async (order) => {
+    if (!window.confirm(`Mark the Shopify order for ${order.sale?.invoiceNumber || order.invoiceNumber} as put right in Shopify?`)) return;
+
+    try {
+      await shopifyOrderAPI.resolve(order.id);
+      toast.success('Marked as resolved');
+      loadOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resolve');
+    }
+  };
+
+  const handleRetryAll = async () => {
+    try {
+      const response = await shopifyOrderAPI.retryFailed();
+      toast.success(response.data.message);
+      loadOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to retry');
+    }
+  };
+
+  if (loading || !user) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Shopify Orders">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">POS Sales in Shopify</h2>
+          <p className="text-sm text-gray-500">
+            Sales from stores with Shopify order sync turned on.
+            {' '}{summary.synced || 0} recorded, {summary.pending || 0} waiting, {summary.failed || 0} failed.
+            {' '}Sales edited, returned against or deleted after they were sent need attention: fix or cancel the order in Shopify, then mark it resolved.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadOrders}
+            className="px-3 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition flex items-center gap-2 text-sm"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+          <button
+            onClick={handleRetryAll}
+            disabled={!summary.failed}
+            className="px-3 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition flex items-center gap-2 text-sm disabled:opacity-50"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Retry Failed
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {['needs_attention', 'failed', 'pending', 'synced', 'all'].map((status) => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-lg text-sm font-medium transition capitalize ${
+              statusFilter === status
+                ? 'bg-primary-500 text-white'
+                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {STATUS_LABELS[status] || status}
+            {status !== 'all' && summary[status] !== undefined && ` (${summary[status]})`}
+          </button>
+        ))}
+      </div>
+
+      {loadingOrders ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Sale</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Store</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Amount</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Shopify Order</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {orders.map((order) => (
+                  <tr key={order.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm">
+                      <p className="font-medium text-gray-800">{order.sale?.invoiceNumber || order.invoiceNumber || `Sale #${order.saleId}`}</p>
+                      <p className="text-xs text-gray-500">
+                        {new Date(order.sale?.saleDate || order.createdAt).toLocaleString()}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{order.store?.name || '-'}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-800">
+                      {order.sale ? `₹${parseFloat(order.sale.totalAmount).toFixed(2)}` : '-'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-800">{order.shopifyOrderName || '-'}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-0.5 rounded text-xs capitalize ${STATUS_STYLES[order.status]}`}>
+                        {STATUS_LABELS[order.status] || order.status}
+                      </span>
+                      {order.attentionReason && (
+                        <p className="text-xs text-orange-700 mt-1">{order.attentionReason}</p>
+                      )}
+                      {order.attempts > 0 && order.status !== 'synced' && (
+                        <p className="text-xs text-gray-500 mt-1">{order.attempts} attempt(s)</p>
+                      )}
+                      {order.lastError && (
+                        <p className="text-xs text-red-600 mt-1">{order.lastError}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm">
+                      {order.status === 'failed' && (
+                        <button
+                          onClick={() => handleRetry(order)}
+                          className="px-3 py-1 bg-primary-500 hover:bg-primary-600 text-white rounded text-xs font-medium"
+                        >
+                          Retry
+                        </button>
+                      )}
+                      {order.status === 'needs_attention' && (
+                        <button
+                          onClick={() => handleResolve(order)}
+                          className="px-3 py-1 bg-orange-500 hover:bg-orange-600 text-white rounded text-xs font-medium"
+                        >
+                          Resolved
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {orders.length === 0 && (
+            <div className="text-center py-12">
+              <ShoppingBag className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+              <p className="text-gray-500">No {statusFilter === 'all' ? '' : STATUS_LABELS[statusFilter] || statusFilter} orders</p>
+            </div>
+          )}
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
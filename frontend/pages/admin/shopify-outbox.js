@@ -0,0 +1,209 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { UploadCloud, RefreshCw, RotateCcw } from 'lucide-react';
+import { inventoryAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  done: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-800',
+};
+
+const REASON_LABELS = {
+  sale: 'Sale',
+  return: 'Return',
+  sale_edit: 'Sale edited',
+  sale_delete: 'Sale deleted',
+  transfer_out: 'Transfer sent',
+  transfer_in: 'Transfer received',
+  transfer_cancel: 'Transfer cancelled',
+  purchase_receipt: 'Goods received',
+  stocktake: 'Stocktake',
+};
+
+export default function ShopifyOutbox() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [adjustments, setAdjustments] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loadingOutbox, setLoadingOutbox] = useState(true);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadOutbox();
+      }
+    }
+  }, [user, loading, isAdmin, router, statusFilter]);
+
+  const loadOutbox = async () => {
+    try {
+      setLoadingOutbox(true);
+      const response = await inventoryAPI.getShopifyOutbox({ status: statusFilter });
+      setAdjustments(response.data.adjustments);
+      setSummary(response.data.summary);
+    } catch (error) {
+      toast.error('Failed to load Shopify push queue');
+      console.error(error);
+    } finally {
+      setLoadingOutbox(false);
+    }
+  };
+
+  const handleRetry = async (adjustment) => {
+    try {
+      await inventoryAPI.retryShopifyAdjustment(adjustment.id);
+      toast.success('Queued for retry');
+      loadOutbox();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to retry');
+    }
+  };
+
+  const handleRetryAll = async () => {
+    try {
+      const response = await inventoryAPI.retryFailedShopifyAdjustments();
+      toast.success(response.data.message);
+      loadOutbox();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to retry');
+    }
+  };
+
+  if (loading || !user) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Shopify Push">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Shopify Stock Push Queue</h2>
+          <p className="text-sm text-gray-500">
+            Stock changes from sales, returns and edits waiting to reach Shopify.
+            {' '}{summary.pending || 0} pending, {summary.failed || 0} failed.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadOutbox}
+            className="px-3 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition flex items-center gap-2 text-sm"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+          <button
+            onClick={handleRetryAll}
+            disabled={!summary.failed && !summary.skipped}
+            className="px-3 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition flex items-center gap-2 text-sm disabled:opacity-50"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Retry Failed
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {['pending', 'failed', 'skipped', 'done', 'all'].map((status) => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-lg text-sm font-medium transition capitalize ${
+              statusFilter === status
+                ? 'bg-primary-500 text-white'
+                : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {status}
+            {status !== 'all' && summary[status] !== undefined && ` (${summary[status]})`}
+          </button>
+        ))}
+      </div>
+
+      {loadingOutbox ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Queued</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Store</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Change</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {adjustments.map((adjustment) => (
+                  <tr key={adjustment.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                      {new Date(adjustment.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <p className="text-gray-800">{adjustment.product?.name || '-'}</p>
+                      <p className="text-xs text-gray-500">{adjustment.product?.sku}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{adjustment.store?.name || '-'}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`font-medium ${adjustment.delta < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {adjustment.delta > 0 ? '+' : ''}{adjustment.delta}
+                      </span>
+                      <p className="text-xs text-gray-500">{REASON_LABELS[adjustment.reason] || adjustment.reason}</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-0.5 rounded text-xs capitalize ${STATUS_STYLES[adjustment.status]}`}>
+                        {adjustment.status}
+                      </span>
+                      {adjustment.attempts > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">{adjustment.attempts} attempt(s)</p>
+                      )}
+                      {adjustment.lastError && (
+                        <p className="text-xs text-red-600 mt-1">{adjustment.lastError}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm">
+                      {['failed', 'skipped'].includes(adjustment.status) && (
+                        <button
+                          onClick={() => handleRetry(adjustment)}
+                          className="px-3 py-1 bg-primary-500 hover:bg-primary-600 text-white rounded text-xs font-medium"
+                        >
+                          Retry
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {adjustments.length === 0 && (
+            <div className="text-center py-12">
+              <UploadCloud className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+              <p className="text-gray-500">No {statusFilter === 'all' ? '' : statusFilter} stock changes</p>
+            </div>
+          )}
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,654 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { Truck, Plus, Send, PackageCheck, XCircle, FileText, Trash2, Search } from 'lucide-react';
+import { stockTransferAPI, storeAPI, productAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  in_transit: 'bg-blue-100 text-blue-700',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-700',
+  cancelled: 'bg-red-100 text-red-700',
+};
+
+const emptyForm = {
+  fromStoreId: '',
+  toStoreId: '',
+  notes: '',
+  items: [],
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+}) : '-');
+
+export default function StockTransfersManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [transfers, setTransfers] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [stores, setStores] = useState([]);
+  const [filters, setFilters] = useState({ storeId: '', status: '' });
+  const [loadingTransfers, setLoadingTransfers] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [productSearch, setProductSearch] = useState('');
+  const [productResults, setProductResults] = useState([]);
+  const [receiving, setReceiving] = useState(null);
+  const [receiptLines, setReceiptLines] = useState({});
+  const [closeTransfer, setCloseTransfer] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadStores();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  useEffect(() => {
+    if (user && isAdmin) {
+      loadTransfers();
+    }
+  }, [user, isAdmin, filters]);
+
+  const loadStores = async () => {
+    try {
+      const response = await storeAPI.getAll();
+      setStores(response.data.stores);
+    } catch (error) {
+      console.error('Failed to load stores:', error);
+    }
+  };
+
+  const loadTransfers = async () => {
+    try {
+      setLoadingTransfers(true);
+      const params = {};
+      if (filters.storeId) params.storeId = filters.storeId;
+      if (filters.status) params.status = filters.status;
+      const response = await stockTransferAPI.getAll(params);
+      setTransfers(response.data.stockTransfers);
+      setStatuses(response.data.statuses);
+    } catch (error) {
+      toast.error('Failed to load stock transfers');
+      console.error(error);
+    } finally {
+      setLoadingTransfers(false);
+    }
+  };
+
+  const statusLabel = (status) => statuses.find((entry) => entry.value === status)?.label || status;
+
+  // ===== CREATE =====
+  const closeCreate = () => {
+    setShowCreate(false);
+    setFormData(emptyForm);
+    setProductSearch('');
+    setProductResults([]);
+  };
+
+  const searchProducts = async (e) => {
+    e.preventDefault();
+    if (!formData.fromStoreId) {
+      toast.error('Choose the sending store first');
+      return;
+    }
+    try {
+      const response = await productAPI.getAll({ search: productSearch, storeId: formData.fromStoreId, limit: 10 });
+      setProductResults(response.data.products);
+    } catch (error) {
+      toast.error('Failed to search products');
+    }
+  };
+
+  const addLine = (product) => {
+    if (formData.items.some((item) => item.productId === product.id)) {
+      toast.error(`${product.name} is already on the transfer`);
+      return;
+    }
+    setFormData({
+      ...formData,
+      items: [...formData.items, {
+        productId: product.id,
+        name: product.name,
+        sku: product.sku,
+        available: product.quantity,
+        quantity: '1',
+      }],
+    });
+  };
+
+  const updateLine = (productId, quantity) => {
+    setFormData({
+      ...formData,
+      items: formData.items.map((item) => (item.productId === productId ? { ...item, quantity } : item)),
+    });
+  };
+
+  const removeLine = (productId) => {
+    setFormData({ ...formData, items: formData.items.filter((item) => item.productId !== productId) });
+  };
+
+  const handleCreate = async (dispatch) => {
+    if (formData.items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    try {
+      setSaving(true);
+      const response = await stockTransferAPI.create({
+        fromStoreId: parseInt(formData.fromStoreId),
+        toStoreId: parseInt(formData.toStoreId),
+        notes: formData.notes,
+        items: formData.items.map((item) => ({ productId: item.productId, quantity: parseInt(item.quantity) })),
+        dispatch,
+      });
+      toast.success(`Transfer ${response.data.stockTransfer.transferNumber} ${dispatch ? 'dispatched' : 'saved as draft'}`);
+      closeCreate();
+      loadTransfers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create transfer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ===== ACTIONS =====
+  const handleDispatch = async (transfer) => {
+    if (!window.confirm(`Dispatch ${transfer.transferNumber}? Stock will leave ${transfer.fromStore.name}.`)) return;
+    try {
+      await stockTransferAPI.dispatch(transfer.id);
+      toast.success(`Transfer ${transfer.transferNumber} dispatched`);
+      loadTransfers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to dispatch transfer');
+    }
+  };
+
+  const handleCancel = async (transfer) => {
+    const restock = transfer.status === 'in_transit' ? ` The goods go back into ${transfer.fromStore.name}'s stock.` : '';
+    if (!window.confirm(`Cancel ${transfer.transferNumber}?${restock}`)) return;
+    try {
+      await stockTransferAPI.cancel(transfer.id);
+      toast.success(`Transfer ${transfer.transferNumber} cancelled`);
+      loadTransfers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel transfer');
+    }
+  };
+
+  const downloadChallan = async (transfer) => {
+    try {
+      const response = await stockTransferAPI.downloadChallan(transfer.id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${transfer.transferNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      console.error('❌ Delivery challan download error:', error);
+      toast.error('Failed to download delivery challan');
+    }
+  };
+
+  // ===== RECEIVE =====
+  const openReceive = (transfer) => {
+    setReceiving(transfer);
+    setCloseTransfer(false);
+    // Default to everything still outstanding having arrived
+    setReceiptLines(Object.fromEntries(transfer.items.map((item) => [item.id, {
+      quantity: String(item.quantity - item.receivedQuantity),
+      note: item.discrepancyNote || '',
+    }])));
+  };
+
+  const updateReceiptLine = (itemId, field, value) => {
+    setReceiptLines({ ...receiptLines, [itemId]: { ...receiptLines[itemId], [field]: value } });
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await stockTransferAPI.receive(receiving.id, {
+        items: receiving.items.map((item) => ({
+          itemId: item.id,
+          quantity: parseInt(receiptLines[item.id].quantity) || 0,
+          note: receiptLines[item.id].note,
+        })),
+        close: closeTransfer,
+      });
+      toast.success(response.data.message);
+      setReceiving(null);
+      loadTransfers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to receive transfer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !user || !isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Stock Transfers">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Inter-Store Stock Transfers</h2>
+          <p className="text-sm text-gray-500">
+            Stock leaves the sending store on dispatch and reaches the receiving store as it is booked in.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={filters.storeId}
+            onChange={(e) => setFilters({ ...filters, storeId: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+          >
+            <option value="">All stores</option>
+            {stores.map((store) => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+          >
+            <option value="">All statuses</option>
+            {statuses.map((status) => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowCreate(true)}
+            className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            New Transfer
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loadingTransfers ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner"></div>
+          </div>
+        ) : transfers.length === 0 ? (
+          <div className="text-center py-12">
+            <Truck className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">No stock transfers found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Transfer</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Route</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Items</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Dispatched</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {transfers.map((transfer) => {
+                  const sent = transfer.items.reduce((sum, item) => sum + item.quantity, 0);
+                  const received = transfer.items.reduce((sum, item) => sum + item.receivedQuantity, 0);
+                  const discrepancies = transfer.items.filter((item) => item.discrepancyNote);
+                  const isOpen = ['in_transit', 'partially_received'].includes(transfer.status);
+
+                  return (
+                    <tr key={transfer.id} className="hover:bg-gray-50 align-top">
+                      <td className="px-4 py-3 text-sm">
+                        <p className="font-medium text-gray-800">{transfer.transferNumber}</p>
+                        <p className="text-xs text-gray-500">Created {formatDate(transfer.createdAt)}</p>
+                        {transfer.notes && <p className="text-xs text-gray-500 mt-1">{transfer.notes}</p>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {transfer.fromStore?.name} → {transfer.toStore?.name}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        <p>{transfer.items.length} product(s), {sent} unit(s)</p>
+                        {transfer.status !== 'draft' && transfer.status !== 'cancelled' && (
+                          <p className="text-xs text-gray-500">{received} of {sent} received</p>
+                        )}
+                        {discrepancies.map((item) => (
+                          <p key={item.id} className="text-xs text-red-600">
+                            {item.name}: {item.quantity - item.receivedQuantity} short, {item.discrepancyNote}
+                          </p>
+                        ))}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[transfer.status]}`}>
+                          {statusLabel(transfer.status)}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {formatDate(transfer.dispatchedAt)}
+                        {transfer.receivedAt && (
+                          <p className="text-xs text-gray-500">Closed {formatDate(transfer.receivedAt)}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end gap-1 flex-wrap">
+                          {transfer.status === 'draft' && (
+                            <button
+                              onClick={() => handleDispatch(transfer)}
+                              className="px-2 py-1 bg-primary-500 text-white hover:bg-primary-600 rounded text-xs flex items-center gap-1"
+                            >
+                              <Send className="w-3 h-3" />
+                              Dispatch
+                            </button>
+                          )}
+                          {isOpen && (
+                            <button
+                              onClick={() => openReceive(transfer)}
+                              className="px-2 py-1 bg-green-600 text-white hover:bg-green-700 rounded text-xs flex items-center gap-1"
+                            >
+                              <PackageCheck className="w-3 h-3" />
+                              Receive
+                            </button>
+                          )}
+                          {transfer.status !== 'draft' && transfer.status !== 'cancelled' && (
+                            <button
+                              onClick={() => downloadChallan(transfer)}
+                              className="px-2 py-1 border border-gray-300 hover:bg-gray-50 rounded text-xs flex items-center gap-1"
+                              title="Download delivery challan"
+                            >
+                              <FileText className="w-3 h-3" />
+                              Challan
+                            </button>
+                          )}
+                          {(transfer.status === 'draft' || transfer.status === 'in_transit') && (
+                            <button
+                              onClick={() => handleCancel(transfer)}
+                              className="px-2 py-1 border border-red-300 text-red-600 hover:bg-red-50 rounded text-xs flex items-center gap-1"
+                            >
+                              <XCircle className="w-3 h-3" />
+                              Cancel
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create Modal */}
+      {showCreate && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">New Stock Transfer</h2>
+            </div>
+
+            <div className="p-4 space-y-4">
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From Store *</label>
+                  <select
+                    value={formData.fromStoreId}
+                    onChange={(e) => {
+                      setFormData({ ...formData, fromStoreId: e.target.value, items: [] });
+                      setProductResults([]);
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    <option value="">Select store</option>
+                    {stores.map((store) => (
+                      <option key={store.id} value={store.id}>{store.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">To Store *</label>
+                  <select
+                    value={formData.toStoreId}
+                    onChange={(e) => setFormData({ ...formData, toStoreId: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    <option value="">Select store</option>
+                    {stores.filter((store) => String(store.id) !== formData.fromStoreId).map((store) => (
+                      <option key={store.id} value={store.id}>{store.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <form onSubmit={searchProducts} className="flex gap-2">
+                <div className="relative flex-1">
+                  <Search className="w-4 h-4 absolute left-3 top-3 text-gray-400" />
+                  <input
+                    type="text"
+                    value={productSearch}
+                    onChange={(e) => setProductSearch(e.target.value)}
+                    placeholder="Search products by name, SKU or barcode"
+                    className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <button type="submit" className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+                  Search
+                </button>
+              </form>
+
+              {productResults.length > 0 && (
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-48 overflow-y-auto">
+                  {productResults.map((product) => (
+                    <button
+                      key={product.id}
+                      type="button"
+                      onClick={() => addLine(product)}
+                      disabled={product.quantity < 1}
+                      className="w-full px-3 py-2 text-left text-sm flex justify-between hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <span>
+                        {product.name}
+                        <span className="text-xs text-gray-500"> • {product.sku}</span>
+                      </span>
+                      <span className="text-xs text-gray-500">{product.quantity} in stock</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {formData.items.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">In Stock</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Quantity</th>
+                      <th className="px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {formData.items.map((item) => (
+                      <tr key={item.productId}>
+                        <td className="px-3 py-2">
+                          {item.name}
+                          <span className="block text-xs text-gray-500">{item.sku}</span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-600">{item.available}</td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="1"
+                            max={item.available}
+                            value={item.quantity}
+                            onChange={(e) => updateLine(item.productId, e.target.value)}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          <button type="button" onClick={() => removeLine(item.productId)} className="p-1 hover:bg-gray-100 rounded">
+                            <Trash2 className="w-4 h-4 text-red-500" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  rows={2}
+                  placeholder="Courier, vehicle number, reason for the transfer..."
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={closeCreate}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleCreate(false)}
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 border border-primary-500 text-primary-600 rounded-lg hover:bg-primary-50 transition disabled:opacity-50"
+                >
+                  Save Draft
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleCreate(true)}
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition disabled:opacity-50"
+                >
+                  Save & Dispatch
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Receive Modal */}
+      {receiving && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">Receive {receiving.transferNumber}</h2>
+              <p className="text-sm text-gray-500">
+                {receiving.fromStore?.name} → {receiving.toStore?.name}. Enter what arrived in this delivery.
+              </p>
+            </div>
+
+            <form onSubmit={handleReceive} className="p-4 space-y-4">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Sent</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Received</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Arrived Now</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-600 uppercase">Discrepancy Note</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {receiving.items.map((item) => {
+                    const outstanding = item.quantity - item.receivedQuantity;
+                    return (
+                      <tr key={item.id}>
+                        <td className="px-3 py-2">
+                          {item.name}
+                          <span className="block text-xs text-gray-500">{item.sku}</span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-600">{item.quantity}</td>
+                        <td className="px-3 py-2 text-gray-600">{item.receivedQuantity}</td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={outstanding}
+                            value={receiptLines[item.id].quantity}
+                            onChange={(e) => updateReceiptLine(item.id, 'quantity', e.target.value)}
+                            disabled={outstanding === 0}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none disabled:bg-gray-100"
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="text"
+                            value={receiptLines[item.id].note}
+                            onChange={(e) => updateReceiptLine(item.id, 'note', e.target.value)}
+                            placeholder="Damaged, missing..."
+                            className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              <label className="flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={closeTransfer}
+                  onChange={(e) => setCloseTransfer(e.target.checked)}
+                  className="mt-1"
+                />
+                <span>
+                  Close the transfer. Nothing more is coming; anything still short is recorded as a discrepancy.
+                </span>
+              </label>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setReceiving(null)}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                >
+                  Book In
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,601 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import StocktakeCounter from '../../components/StocktakeCounter';
+import { ClipboardCheck, Plus, ScanBarcode, BarChart3, XCircle, X } from 'lucide-react';
+import { stocktakeAPI, storeAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  counting: 'bg-yellow-100 text-yellow-800',
+  posted: 'bg-green-100 text-green-700',
+  cancelled: 'bg-red-100 text-red-700',
+};
+
+const CATEGORIES = ['frame', 'eyeglass', 'sunglass', 'accessory'];
+
+const emptyForm = {
+  storeId: '',
+  scope: 'full',
+  category: 'frame',
+  notes: '',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+}) : '-');
+
+const formatMoney = (value) => `₹${parseFloat(value || 0).toFixed(2)}`;
+
+const formatUnits = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const varianceClass = (value) => {
+  if (!value) return 'text-gray-600';
+  return value > 0 ? 'text-green-600' : 'text-red-600';
+};
+
+export default function StocktakesManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [stocktakes, setStocktakes] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [reasonCodes, setReasonCodes] = useState([]);
+  const [stores, setStores] = useState([]);
+  const [filters, setFilters] = useState({ storeId: '', status: '' });
+  const [loadingStocktakes, setLoadingStocktakes] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [countingId, setCountingId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [approvedIds, setApprovedIds] = useState([]);
+  const [defaultReason, setDefaultReason] = useState('');
+  const [differencesOnly, setDifferencesOnly] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/stocktake');
+      } else {
+        loadStores();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  useEffect(() => {
+    if (user && isAdmin) {
+      loadStocktakes();
+    }
+  }, [user, isAdmin, filters]);
+
+  const loadStores = async () => {
+    try {
+      const response = await storeAPI.getAll();
+      setStores(response.data.stores);
+    } catch (error) {
+      console.error('Failed to load stores:', error);
+    }
+  };
+
+  const loadStocktakes = async () => {
+    try {
+      setLoadingStocktakes(true);
+      const params = {};
+      if (filters.storeId) params.storeId = filters.storeId;
+      if (filters.status) params.status = filters.status;
+      const response = await stocktakeAPI.getAll(params);
+      setStocktakes(response.data.stocktakes);
+      setStatuses(response.data.statuses);
+      setReasonCodes(response.data.reasonCodes);
+    } catch (error) {
+      toast.error('Failed to load stocktakes');
+      console.error(error);
+    } finally {
+      setLoadingStocktakes(false);
+    }
+  };
+
+  const statusLabel = (status) => statuses.find((entry) => entry.value === status)?.label || status;
+  const reasonLabel = (code) => reasonCodes.find((entry) => entry.value === code)?.label || code;
+
+  // ===== START =====
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await stocktakeAPI.create({
+        storeId: parseInt(formData.storeId),
+        scope: formData.scope,
+        category: formData.scope === 'category' ? formData.category : null,
+        notes: formData.notes,
+      });
+      toast.success(response.data.message);
+      setShowCreate(false);
+      setFormData(emptyForm);
+      loadStocktakes();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start stocktake');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const closeCounter = () => {
+    setCountingId(null);
+    loadStocktakes();
+  };
+
+  // ===== VARIANCE =====
+  const openReport = async (stocktake) => {
+    try {
+      const response = await stocktakeAPI.getVariance(stocktake.id);
+      setReport(response.data);
+      setDefaultReason('');
+      setDifferencesOnly(true);
+      // Every counted line is approved until the admin unticks it
+      setApprovedIds(response.data.lines.filter((line) => line.variance !== null).map((line) => line.id));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load the variance report');
+    }
+  };
+
+  const toggleApproved = (itemId) => {
+    setApprovedIds(approvedIds.includes(itemId)
+      ? approvedIds.filter((id) => id !== itemId)
+      : [...approvedIds, itemId]);
+  };
+
+  const handleLineReason = async (line, reasonCode) => {
+    try {
+      await stocktakeAPI.updateCounts(report.stocktake.id, [{ itemId: line.id, reasonCode: reasonCode || null }]);
+      setReport({
+        ...report,
+        lines: report.lines.map((entry) => (entry.id === line.id ? { ...entry, reasonCode: reasonCode || null } : entry)),
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save the reason');
+    }
+  };
+
+  const handlePost = async () => {
+    const { stocktake, lines } = report;
+    const adjusting = lines.filter((line) => approvedIds.includes(line.id) && line.variance !== 0);
+    if (!window.confirm(`Post ${adjusting.length} adjustment(s) from ${stocktake.stocktakeNumber} to ${stocktake.store?.name}'s stock?`)) return;
+    try {
+      setSaving(true);
+      const response = await stocktakeAPI.post(stocktake.id, {
+        itemIds: approvedIds,
+        reasonCode: defaultReason || null,
+      });
+      toast.success(response.data.message);
+      setReport(null);
+      loadStocktakes();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to post stocktake');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (stocktake) => {
+    if (!window.confirm(`Cancel ${stocktake.stocktakeNumber}? Counts entered so far are kept but nothing is posted.`)) return;
+    try {
+      await stocktakeAPI.cancel(stocktake.id);
+      toast.success(`Stocktake ${stocktake.stocktakeNumber} cancelled`);
+      loadStocktakes();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel stocktake');
+    }
+  };
+
+  if (loading || !user || !isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const isPosting = report?.stocktake.status === 'counting';
+  const reportLines = (report?.lines || []).filter((line) => !differencesOnly || line.variance !== 0);
+
+  return (
+    <AdminLayout title="Stocktakes">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Stocktakes</h2>
+          <p className="text-sm text-gray-500">
+            Expected quantities are frozen when a count starts. Only the approved differences are posted, so sales made during the count are kept.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowCreate(true)}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Start Stocktake
+        </button>
+      </div>
+
+      <div className="mb-4 flex flex-wrap gap-2">
+        <select
+          value={filters.storeId}
+          onChange={(e) => setFilters({ ...filters, storeId: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+        >
+          <option value="">All stores</option>
+          {stores.map((store) => (
+            <option key={store.id} value={store.id}>{store.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+        >
+          <option value="">All statuses</option>
+          {statuses.map((status) => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loadingStocktakes ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner"></div>
+          </div>
+        ) : stocktakes.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardCheck className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">No stocktakes found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Stocktake</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Store</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Scope</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Counted</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {stocktakes.map((stocktake) => (
+                  <tr key={stocktake.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm">
+                      <p className="font-medium text-gray-800">{stocktake.stocktakeNumber}</p>
+                      <p className="text-xs text-gray-500">Started {formatDate(stocktake.createdAt)}</p>
+                      {stocktake.postedAt && <p className="text-xs text-gray-500">Posted {formatDate(stocktake.postedAt)}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{stocktake.store?.name}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700 capitalize">
+                      {stocktake.scope === 'category' ? `${stocktake.category}s` : 'All products'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {stocktake.countedCount} of {stocktake.itemCount} line(s)
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[stocktake.status]}`}>
+                        {statusLabel(stocktake.status)}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex justify-end gap-1 flex-wrap">
+                        {stocktake.status === 'counting' && (
+                          <button
+                            onClick={() => setCountingId(stocktake.id)}
+                            className="px-2 py-1 bg-primary-500 text-white hover:bg-primary-600 rounded text-xs flex items-center gap-1"
+                          >
+                            <ScanBarcode className="w-3 h-3" />
+                            Count
+                          </button>
+                        )}
+                        {stocktake.status !== 'cancelled' && (
+                          <button
+                            onClick={() => openReport(stocktake)}
+                            className={`px-2 py-1 rounded text-xs flex items-center gap-1 ${stocktake.status === 'counting'
+                              ? 'bg-green-600 text-white hover:bg-green-700'
+                              : 'border border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                          >
+                            <BarChart3 className="w-3 h-3" />
+                            {stocktake.status === 'counting' ? 'Review & Post' : 'Variance'}
+                          </button>
+                        )}
+                        {stocktake.status === 'counting' && (
+                          <button
+                            onClick={() => handleCancel(stocktake)}
+                            className="px-2 py-1 border border-red-300 text-red-600 hover:bg-red-50 rounded text-xs flex items-center gap-1"
+                          >
+                            <XCircle className="w-3 h-3" />
+                            Cancel
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Start Modal */}
+      {showCreate && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <form onSubmit={handleCreate} className="bg-white rounded-2xl shadow-xl w-full max-w-md">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">Start Stocktake</h2>
+            </div>
+
+            <div className="p-4 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Store *</label>
+                <select
+                  value={formData.storeId}
+                  onChange={(e) => setFormData({ ...formData, storeId: e.target.value })}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                >
+                  <option value="">Select store</option>
+                  {stores.map((store) => (
+                    <option key={store.id} value={store.id}>{store.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Count</label>
+                <div className="flex gap-4 text-sm text-gray-700">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      checked={formData.scope === 'full'}
+                      onChange={() => setFormData({ ...formData, scope: 'full' })}
+                    />
+                    Everything in the store
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      checked={formData.scope === 'category'}
+                      onChange={() => setFormData({ ...formData, scope: 'category' })}
+                    />
+                    One category
+                  </label>
+                </div>
+              </div>
+              {formData.scope === 'category' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Category *</label>
+                  <select
+                    value={formData.category}
+                    onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none capitalize"
+                  >
+                    {CATEGORIES.map((category) => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+            </div>
+
+            <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => {
+                  setShowCreate(false);
+                  setFormData(emptyForm);
+                }}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Close
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50"
+              >
+                {saving ? 'Starting...' : 'Start Count'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Count Modal */}
+      {countingId && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-50 rounded-2xl shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">Count</h2>
+              <button
+                onClick={closeCounter}
+                className="p-1 hover:bg-gray-100 rounded-lg transition"
+              >
+                <X className="w-5 h-5 text-gray-600" />
+              </button>
+            </div>
+            <div className="p-4 overflow-y-auto">
+              <StocktakeCounter stocktakeId={countingId} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Variance Modal */}
+      {report && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <div>
+                <h2 className="text-xl font-bold text-gray-800">Variance: {report.stocktake.stocktakeNumber}</h2>
+                <p className="text-xs text-gray-500">
+                  {report.stocktake.store?.name} • {statusLabel(report.stocktake.status)}
+                  {report.stocktake.postedBy && ` by ${report.stocktake.postedBy.name} on ${formatDate(report.stocktake.postedAt)}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setReport(null)}
+                className="p-1 hover:bg-gray-100 rounded-lg transition"
+              >
+                <X className="w-5 h-5 text-gray-600" />
+              </button>
+            </div>
+
+            <div className="p-4 border-b border-gray-200 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Counted</p>
+                <p className="font-bold text-gray-800">{report.summary.counted} of {report.summary.lines}</p>
+                {report.summary.uncounted > 0 && <p className="text-xs text-gray-500">{report.summary.uncounted} not counted (left as is)</p>}
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Units</p>
+                <p className={`font-bold ${varianceClass(report.summary.netUnits)}`}>{formatUnits(report.summary.netUnits)}</p>
+                <p className="text-xs text-gray-500">{report.summary.shortUnits} short, {report.summary.excessUnits} over</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">At cost</p>
+                <p className={`font-bold ${varianceClass(report.summary.netCost)}`}>{formatMoney(report.summary.netCost)}</p>
+                {report.summary.linesWithoutCost > 0 && <p className="text-xs text-gray-500">{report.summary.linesWithoutCost} line(s) have no cost price</p>}
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">At MRP</p>
+                <p className={`font-bold ${varianceClass(report.summary.netValueAtMrp)}`}>{formatMoney(report.summary.netValueAtMrp)}</p>
+              </div>
+            </div>
+
+            <div className="px-4 py-2 border-b border-gray-200">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={differencesOnly}
+                  onChange={(e) => setDifferencesOnly(e.target.checked)}
+                />
+                Only lines with a difference
+              </label>
+            </div>
+
+            <div className="overflow-y-auto flex-1">
+              <table className="w-full">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    {isPosting && <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">Post</th>}
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">Product</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-600 uppercase">Expected</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-600 uppercase">Counted</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-600 uppercase">Variance</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-600 uppercase">At Cost</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-600 uppercase">At MRP</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-600 uppercase">Reason</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {reportLines.map((line) => (
+                    <tr key={line.id} className="text-sm">
+                      {isPosting && (
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            checked={approvedIds.includes(line.id)}
+                            onChange={() => toggleApproved(line.id)}
+                            disabled={line.variance === null}
+                          />
+                        </td>
+                      )}
+                      <td className="px-4 py-2">
+                        <p className="text-gray-800">{line.name}</p>
+                        <p className="text-xs text-gray-500">{line.sku}</p>
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-700">
+                        {line.expectedAtCount ?? line.expectedQuantity}
+                        {!!line.movedBeforeCount && line.countedQuantity !== null && (
+                          <p className="text-xs text-gray-500">{line.expectedQuantity} at start, {formatUnits(line.movedBeforeCount)} before counted</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-700">{line.countedQuantity ?? '-'}</td>
+                      <td className={`px-4 py-2 text-right font-medium ${varianceClass(line.variance)}`}>
+                        {line.variance === null ? '-' : formatUnits(line.variance)}
+                        {!isPosting && !!line.variance && line.adjustedQuantity === null && (
+                          <p className="text-xs text-gray-500 font-normal">Not posted</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-700">
+                        {line.varianceCost === null ? '-' : formatMoney(line.varianceCost)}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-700">
+                        {line.varianceValueAtMrp === null ? '-' : formatMoney(line.varianceValueAtMrp)}
+                      </td>
+                      <td className="px-4 py-2">
+                        {isPosting && line.variance ? (
+                          <select
+                            value={line.reasonCode || ''}
+                            onChange={(e) => handleLineReason(line, e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-xs"
+                          >
+                            <option value="">{defaultReason ? `Default (${reasonLabel(defaultReason)})` : 'Choose reason'}</option>
+                            {reasonCodes.map((reason) => (
+                              <option key={reason.value} value={reason.value}>{reason.label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className="text-xs text-gray-600">{line.reasonCode ? reasonLabel(line.reasonCode) : '-'}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {reportLines.length === 0 && (
+                <p className="text-center text-gray-500 py-8">No differences</p>
+              )}
+            </div>
+
+            {isPosting && (
+              <div className="p-4 border-t border-gray-200 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                <div className="flex items-center gap-2 text-sm">
+                  <label className="text-gray-700">Reason for other lines</label>
+                  <select
+                    value={defaultReason}
+                    onChange={(e) => setDefaultReason(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    <option value="">None</option>
+                    {reasonCodes.map((reason) => (
+                      <option key={reason.value} value={reason.value}>{reason.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={handlePost}
+                  disabled={saving}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  {saving ? 'Posting...' : 'Post to Stock'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
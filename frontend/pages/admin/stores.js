@@ -17,6 +17,8 @@ export default function StoresManagement() {
   const [formData, setFormData] = useState({
     name: '',
     location: '',
+    code: '',
+    gstin: '',
     phone: '',
     email: '',
     street: '',
@@ -24,6 +26,11 @@ export default function StoresManagement() {
     state: '',
     zipCode: '',
     country: 'USA',
+    invoiceNumberFormat: '',
+    creditNoteNumberFormat: '',
+    shopifyOrderSync: false,
+    receiptFormat: 'pdf',
+    receiptPaperWidth: 80,
   });
 
   useEffect(() => {
@@ -57,6 +64,8 @@ export default function StoresManagement() {
       const storeData = {
         name: formData.name,
         location: formData.location,
+        code: formData.code.trim().toUpperCase() || null,
+        gstin: formData.gstin.trim().toUpperCase() || null,
         phone: formData.phone,
         email: formData.email,
         address: {
@@ -66,6 +75,11 @@ export default function StoresManagement() {
           zipCode: formData.zipCode,
           country: formData.country,
         },
+        invoiceNumberFormat: formData.invoiceNumberFormat || null,
+        creditNoteNumberFormat: formData.creditNoteNumberFormat || null,
+        shopifyOrderSync: formData.shopifyOrderSync,
+        receiptFormat: formData.receiptFormat,
+        receiptPaperWidth: parseInt(formData.receiptPaperWidth),
       };
 
       if (editingStore) {
@@ -90,6 +104,8 @@ export default function StoresManagement() {
     setFormData({
       name: store.name,
       location: store.location,
+      code: store.code || '',
+      gstin: store.gstin || '',
       phone: store.phone || '',
       email: store.email || '',
       street: store.address?.street || '',
@@ -97,6 +113,11 @@ export default function StoresManagement() {
       state: store.address?.state || '',
       zipCode: store.address?.zipCode || '',
       country: store.address?.country || 'USA',
+      invoiceNumberFormat: store.invoiceNumberFormat || '',
+      creditNoteNumberFormat: store.creditNoteNumberFormat || '',
+      shopifyOrderSync: !!store.shopifyOrderSync,
+      receiptFormat: store.receiptFormat || 'pdf',
+      receiptPaperWidth: store.receiptPaperWidth || 80,
     });
     setShowModal(true);
   };
@@ -117,6 +138,8 @@ export default function StoresManagement() {
     setFormData({
       name: '',
       location: '',
+      code: '',
+    gstin: '',
       phone: '',
       email: '',
       street: '',
@@ -124,6 +147,11 @@ export default function StoresManagement() {
       state: '',
       zipCode: '',
       country: 'USA',
+      invoiceNumberFormat: '',
+      creditNoteNumberFormat: '',
+      shopifyOrderSync: false,
+      receiptFormat: 'pdf',
+      receiptPaperWidth: 80,
     });
   };
 
@@ -233,6 +261,11 @@ export default function StoresManagement() {
                   <span>{store.email}</span>
                 </div>
               )}
+              {store.shopifyOrderSync && (
+                <span className="inline-block px-2 py-0.5 bg-green-100 text-green-800 rounded text-xs">
+                  Sales sent to Shopify
+                </span>
+              )}
             </div>
           </div>
         ))}
@@ -343,6 +376,107 @@ export default function StoresManagement() {
                 </div>
               </div>
 
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Store Code</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                    maxLength={4}
+                    placeholder={editingStore ? editingStore.id.toString().padStart(3, '0') : 'e.g. MAIN'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">GSTIN</label>
+                  <input
+                    type="text"
+                    value={formData.gstin}
+                    onChange={(e) => setFormData({ ...formData, gstin: e.target.value.toUpperCase() })}
+                    maxLength={15}
+                    placeholder="Leave blank for the default GSTIN"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Invoice Number Format
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.invoiceNumberFormat}
+                    onChange={(e) => setFormData({ ...formData, invoiceNumberFormat: e.target.value })}
+                    placeholder="{STORE}VOYA{FY}{SEQ}"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Credit Note Number Format
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.creditNoteNumberFormat}
+                    onChange={(e) => setFormData({ ...formData, creditNoteNumberFormat: e.target.value })}
+                    placeholder="{STORE}CN{FY}{SEQ}"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                Leave blank for the default. Tokens: {'{STORE}'} (the store code, or the store ID when there is none), {'{FY}'} (2526),
+                {'{FY_FULL}'} (2025-26), {'{SEQ}'} (0001). Every format needs {'{STORE}'}, {'{FY}'} and {'{SEQ}'}.
+                Numbers can be at most 16 characters (GST). Numbering restarts every April.
+              </p>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Receipt Printer
+                  </label>
+                  <select
+                    value={formData.receiptFormat}
+                    onChange={(e) => setFormData({ ...formData, receiptFormat: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    <option value="pdf">PDF (print dialog)</option>
+                    <option value="escpos">ESC/POS (USB / serial thermal printer)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Receipt Paper Width
+                  </label>
+                  <select
+                    value={formData.receiptPaperWidth}
+                    onChange={(e) => setFormData({ ...formData, receiptPaperWidth: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    <option value={80}>80 mm</option>
+                    <option value={58}>58 mm</option>
+                  </select>
+                </div>
+              </div>
+
+              <label className="flex items-start gap-2">
+                <input
+                  type="checkbox"
+                  checked={formData.shopifyOrderSync}
+                  onChange={(e) => setFormData({ ...formData, shopifyOrderSync: e.target.checked })}
+                  className="mt-1 w-4 h-4 text-primary-600 rounded"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-700">Record sales as Shopify orders</span>
+                  <span className="block text-xs text-gray-500">
+                    Each new sale at this store is copied to Shopify as a paid order at its Shopify location.
+                  </span>
+                </span>
+              </label>
+
               <div className="flex gap-2 pt-4">
                 <button
                   type="button"
@@ -0,0 +1,289 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { Factory, Plus, Edit } from 'lucide-react';
+import { supplierAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  contactName: '',
+  phone: '',
+  email: '',
+  gstNumber: '',
+  address: '',
+  paymentTerms: '',
+  isActive: true,
+};
+
+export default function SupplierManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [loadingSuppliers, setLoadingSuppliers] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadSuppliers();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const loadSuppliers = async () => {
+    try {
+      setLoadingSuppliers(true);
+      const response = await supplierAPI.getAll({ all: 'true' });
+      setSuppliers(response.data.suppliers);
+    } catch (error) {
+      toast.error('Failed to load suppliers');
+      console.error(error);
+    } finally {
+      setLoadingSuppliers(false);
+    }
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingSupplier(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingSupplier) {
+        await supplierAPI.update(editingSupplier.id, formData);
+        toast.success('Supplier updated successfully');
+      } else {
+        await supplierAPI.create(formData);
+        toast.success('Supplier created successfully');
+      }
+
+      closeModal();
+      loadSuppliers();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleEdit = (supplier) => {
+    setEditingSupplier(supplier);
+    setFormData({
+      name: supplier.name,
+      contactName: supplier.contactName || '',
+      phone: supplier.phone || '',
+      email: supplier.email || '',
+      gstNumber: supplier.gstNumber || '',
+      address: supplier.address || '',
+      paymentTerms: supplier.paymentTerms || '',
+      isActive: supplier.isActive,
+    });
+    setShowModal(true);
+  };
+
+  if (loading || !user || loadingSuppliers) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Suppliers">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Suppliers</h2>
+          <p className="text-sm text-gray-500">Vendors that purchase orders are raised against.</p>
+        </div>
+        <button
+          onClick={() => {
+            setFormData(emptyForm);
+            setEditingSupplier(null);
+            setShowModal(true);
+          }}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add Supplier
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {suppliers.length === 0 ? (
+          <div className="text-center py-12">
+            <Factory className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">No suppliers yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Contact</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">GSTIN</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Payment Terms</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {suppliers.map((supplier) => (
+                  <tr key={supplier.id} className={`hover:bg-gray-50 ${supplier.isActive ? '' : 'opacity-50'}`}>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                      {supplier.name}
+                      {!supplier.isActive && (
+                        <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs">Inactive</span>
+                      )}
+                      {supplier.address && <p className="text-xs font-normal text-gray-500">{supplier.address}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {supplier.contactName || '-'}
+                      {supplier.phone && <p className="text-xs text-gray-500">{supplier.phone}</p>}
+                      {supplier.email && <p className="text-xs text-gray-500">{supplier.email}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{supplier.gstNumber || '-'}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{supplier.paymentTerms || '-'}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => handleEdit(supplier)}
+                        className="p-1 hover:bg-gray-100 rounded"
+                      >
+                        <Edit className="w-4 h-4 text-gray-600" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">
+                {editingSupplier ? 'Edit Supplier' : 'Add Supplier'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-4 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Contact Person</label>
+                  <input
+                    type="text"
+                    value={formData.contactName}
+                    onChange={(e) => setFormData({ ...formData, contactName: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+                  <input
+                    type="tel"
+                    value={formData.phone}
+                    onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                  <input
+                    type="email"
+                    value={formData.email}
+                    onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">GSTIN</label>
+                  <input
+                    type="text"
+                    value={formData.gstNumber}
+                    onChange={(e) => setFormData({ ...formData, gstNumber: e.target.value.toUpperCase() })}
+                    maxLength={15}
+                    placeholder="07AAAAA0000A1Z5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <textarea
+                  value={formData.address}
+                  onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Payment Terms</label>
+                <input
+                  type="text"
+                  value={formData.paymentTerms}
+                  onChange={(e) => setFormData({ ...formData, paymentTerms: e.target.value })}
+                  placeholder="30 days credit"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                />
+                Active (new purchase orders can be raised)
+              </label>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition"
+                >
+                  {editingSupplier ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -1,17 +1,34 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../../contexts/AuthContext';
 import AdminLayout from '../../components/AdminLayout';
-import { RefreshCw, CheckCircle, XCircle, AlertCircle, Package } from 'lucide-react';
-import { productAPI } from '../../utils/api';
+import { RefreshCw, CheckCircle, XCircle, AlertCircle, Package, Store, Boxes } from 'lucide-react';
+import { syncAPI } from '../../utils/api';
 import toast from 'react-hot-toast';
 
+const POLL_INTERVAL_MS = 2000;
+
+const STAGES = [
+  { key: 'stores', label: 'Stores' },
+  { key: 'products', label: 'Products' },
+  { key: 'inventory', label: 'Stock' },
+];
+
+const STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
 export default function ShopifySync() {
   const router = useRouter();
   const { user, loading, isAdmin } = useAuth();
-  const [syncing, setSyncing] = useState(false);
-  const [syncResults, setSyncResults] = useState(null);
+  const [mode, setMode] = useState('incremental');
+  const [currentRun, setCurrentRun] = useState(null);
   const [syncHistory, setSyncHistory] = useState([]);
+  const pollTimer = useRef(null);
+
+  const syncing = currentRun?.status === 'running';
 
   useEffect(() => {
     if (!loading) {
@@ -19,40 +36,85 @@ export default function ShopifySync() {
         router.push('/login');
       } else if (!isAdmin) {
         router.push('/pos');
+      } else {
+        loadHistory(true);
       }
     }
   }, [user, loading, isAdmin, router]);
 
-  const handleSync = async () => {
-    setSyncing(true);
-    setSyncResults(null);
+  // Stop polling when leaving the page
+  useEffect(() => () => clearTimeout(pollTimer.current), []);
 
+  const loadHistory = async (attachToRunning = false) => {
     try {
-      const response = await productAPI.syncFromShopify();
-      const results = response.data.results;
-      
-      setSyncResults(results);
-      
-      // Add to sync history
-      const newHistory = {
-        timestamp: new Date().toISOString(),
-        ...results
-      };
-      setSyncHistory([newHistory, ...syncHistory].slice(0, 10)); // Keep last 10
-
-      if (results.created > 0 || results.updated > 0) {
-        toast.success(`Sync completed! ${results.created} created, ${results.updated} updated`);
-      } else {
-        toast.success('Sync completed! No changes needed');
+      const response = await syncAPI.getRuns({ limit: 10 });
+      const runs = response.data.syncRuns;
+      setSyncHistory(runs);
+
+      // Pick up a run started earlier (or by another admin) that is still going
+      if (attachToRunning) {
+        const running = runs.find((run) => run.status === 'running');
+        if (running) {
+          setCurrentRun(running);
+          pollRun(running.id);
+        }
       }
     } catch (error) {
-      toast.error(error.response?.data?.error || 'Failed to sync from Shopify');
+      console.error('Failed to load sync history:', error);
+    }
+  };
+
+  const pollRun = (runId) => {
+    clearTimeout(pollTimer.current);
+    pollTimer.current = setTimeout(async () => {
+      try {
+        const response = await syncAPI.getRun(runId);
+        const run = response.data.syncRun;
+        setCurrentRun(run);
+
+        if (run.status === 'running') {
+          pollRun(runId);
+        } else {
+          if (run.status === 'completed') {
+            toast.success(`Sync completed! ${run.productsCreated} created, ${run.productsUpdated} updated`);
+          } else {
+            toast.error('Sync stopped with an error, you can resume it');
+          }
+          loadHistory();
+        }
+      } catch (error) {
+        // Keep polling through brief network hiccups
+        pollRun(runId);
+      }
+    }, POLL_INTERVAL_MS);
+  };
+
+  const handleSync = async () => {
+    try {
+      const response = await syncAPI.start(mode);
+      setCurrentRun(response.data.syncRun);
+      if (response.data.alreadyRunning) {
+        toast('A sync is already running, showing its progress');
+      }
+      pollRun(response.data.syncRun.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start sync');
       console.error(error);
-    } finally {
-      setSyncing(false);
     }
   };
 
+  const handleResume = async (run) => {
+    try {
+      const response = await syncAPI.resume(run.id);
+      setCurrentRun(response.data.syncRun);
+      pollRun(run.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resume sync');
+    }
+  };
+
+  const stageIndex = currentRun ? STAGES.findIndex((stage) => stage.key === currentRun.stage) : -1;
+
   if (loading || !user) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -69,11 +131,11 @@ export default function ShopifySync() {
           <div className="flex items-start justify-between mb-4">
             <div>
               <h2 className="text-2xl font-bold text-gray-800 mb-2">
-                Sync Products from Shopify
+                Sync Catalog from Shopify
               </h2>
               <p className="text-gray-600">
-                Import and update products from your Shopify store. This will sync product
-                details, pricing, and categories.
+                Import stores, products and stock from your Shopify store. The sync runs on the
+                server, so you can leave this page and come back to check on it.
               </p>
             </div>
             <div className="bg-primary-100 p-3 rounded-lg">
@@ -81,37 +143,83 @@ export default function ShopifySync() {
             </div>
           </div>
 
-          <button
-            onClick={handleSync}
-            disabled={syncing}
-            className={`
-              w-full md:w-auto px-6 py-3 rounded-lg font-semibold transition
-              flex items-center justify-center gap-2
-              ${syncing
-                ? 'bg-gray-400 cursor-not-allowed'
-                : 'bg-primary-500 hover:bg-primary-600 text-white'
-              }
-            `}
-          >
-            <RefreshCw className={`w-5 h-5 ${syncing ? 'animate-spin' : ''}`} />
-            {syncing ? 'Syncing...' : 'Start Sync'}
-          </button>
+          <div className="flex flex-col md:flex-row gap-3 md:items-center">
+            <select
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              disabled={syncing}
+              className="px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+            >
+              <option value="incremental">Changes since last sync</option>
+              <option value="full">Full catalog</option>
+            </select>
+            <button
+              onClick={handleSync}
+              disabled={syncing}
+              className={`
+                w-full md:w-auto px-6 py-3 rounded-lg font-semibold transition
+                flex items-center justify-center gap-2
+                ${syncing
+                  ? 'bg-gray-400 cursor-not-allowed'
+                  : 'bg-primary-500 hover:bg-primary-600 text-white'
+                }
+              `}
+            >
+              <RefreshCw className={`w-5 h-5 ${syncing ? 'animate-spin' : ''}`} />
+              {syncing ? 'Syncing...' : 'Start Sync'}
+            </button>
+          </div>
         </div>
 
-        {/* Sync Results */}
-        {syncResults && (
+        {/* Current Run */}
+        {currentRun && (
           <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
-            <h3 className="text-lg font-semibold text-gray-800 mb-4">Sync Results</h3>
-            
-            <div className="grid grid-cols-3 gap-4 mb-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-800">
+                Sync #{currentRun.id} <span className="text-sm font-normal text-gray-500">({currentRun.mode})</span>
+              </h3>
+              <span className={`px-2 py-1 rounded text-xs font-medium capitalize ${STATUS_STYLES[currentRun.status]}`}>
+                {currentRun.status}
+              </span>
+            </div>
+
+            {/* Stage progress */}
+            <div className="flex gap-2 mb-4">
+              {STAGES.map((stage, index) => {
+                const done = currentRun.status === 'completed' || index < stageIndex;
+                const active = currentRun.status === 'running' && index === stageIndex;
+                return (
+                  <div
+                    key={stage.key}
+                    className={`flex-1 text-center text-xs font-medium py-2 rounded ${
+                      done
+                        ? 'bg-green-100 text-green-700'
+                        : active
+                          ? 'bg-blue-100 text-blue-700 animate-pulse'
+                          : 'bg-gray-100 text-gray-500'
+                    }`}
+                  >
+                    {stage.label}
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+              <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <div className="flex items-center gap-2 mb-2">
+                  <Store className="w-5 h-5 text-gray-600" />
+                  <span className="text-sm text-gray-600">Stores</span>
+                </div>
+                <p className="text-2xl font-bold text-gray-700">{currentRun.storesSynced}</p>
+              </div>
+
               <div className="bg-green-50 p-4 rounded-lg border border-green-200">
                 <div className="flex items-center gap-2 mb-2">
                   <CheckCircle className="w-5 h-5 text-green-600" />
                   <span className="text-sm text-gray-600">Created</span>
                 </div>
-                <p className="text-2xl font-bold text-green-700">
-                  {syncResults.created}
-                </p>
+                <p className="text-2xl font-bold text-green-700">{currentRun.productsCreated}</p>
               </div>
 
               <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
@@ -119,34 +227,42 @@ export default function ShopifySync() {
                   <RefreshCw className="w-5 h-5 text-blue-600" />
                   <span className="text-sm text-gray-600">Updated</span>
                 </div>
-                <p className="text-2xl font-bold text-blue-700">
-                  {syncResults.updated}
-                </p>
+                <p className="text-2xl font-bold text-blue-700">{currentRun.productsUpdated}</p>
               </div>
 
-              <div className="bg-red-50 p-4 rounded-lg border border-red-200">
+              <div className="bg-purple-50 p-4 rounded-lg border border-purple-200">
                 <div className="flex items-center gap-2 mb-2">
-                  <XCircle className="w-5 h-5 text-red-600" />
-                  <span className="text-sm text-gray-600">Errors</span>
+                  <Boxes className="w-5 h-5 text-purple-600" />
+                  <span className="text-sm text-gray-600">Stock Levels</span>
                 </div>
-                <p className="text-2xl font-bold text-red-700">
-                  {syncResults.errors?.length || 0}
-                </p>
+                <p className="text-2xl font-bold text-purple-700">{currentRun.inventoryUpdated}</p>
               </div>
             </div>
 
-            {syncResults.errors && syncResults.errors.length > 0 && (
+            {currentRun.errorCount > 0 && (
               <div className="bg-red-50 p-4 rounded-lg border border-red-200">
-                <h4 className="font-semibold text-red-800 mb-2">Errors:</h4>
+                <h4 className="font-semibold text-red-800 mb-2 flex items-center gap-2">
+                  <XCircle className="w-4 h-4" />
+                  {currentRun.errorCount} error(s)
+                </h4>
                 <ul className="space-y-1">
-                  {syncResults.errors.map((error, index) => (
+                  {(currentRun.errors || []).map((error, index) => (
                     <li key={index} className="text-sm text-red-700">
-                      <strong>{error.product}:</strong> {error.error}
+                      <strong>{error.item}:</strong> {error.error}
                     </li>
                   ))}
                 </ul>
               </div>
             )}
+
+            {currentRun.status === 'failed' && (
+              <button
+                onClick={() => handleResume(currentRun)}
+                className="mt-4 px-4 py-2 bg-primary-500 hover:bg-primary-600 text-white rounded-lg text-sm font-medium"
+              >
+                Resume from {currentRun.stage}
+              </button>
+            )}
           </div>
         )}
 
@@ -154,39 +270,43 @@ export default function ShopifySync() {
         {syncHistory.length > 0 && (
           <div className="bg-white rounded-lg shadow-sm p-6">
             <h3 className="text-lg font-semibold text-gray-800 mb-4">Recent Syncs</h3>
-            
+
             <div className="space-y-3">
-              {syncHistory.map((sync, index) => (
+              {syncHistory.map((sync) => (
                 <div
-                  key={index}
+                  key={sync.id}
                   className="flex items-center justify-between p-3 bg-gray-50 rounded-lg"
                 >
                   <div className="flex items-center gap-3">
                     <Package className="w-5 h-5 text-gray-400" />
                     <div>
                       <p className="text-sm font-medium text-gray-800">
-                        {new Date(sync.timestamp).toLocaleString()}
+                        {new Date(sync.startedAt).toLocaleString()}
+                        <span className="text-xs font-normal text-gray-500">
+                          {' '}• {sync.mode}{sync.triggeredBy ? ` by ${sync.triggeredBy.name}` : ''}
+                        </span>
                       </p>
                       <p className="text-xs text-gray-600">
-                        {sync.created} created, {sync.updated} updated
-                        {sync.errors && sync.errors.length > 0 && (
+                        {sync.productsCreated} created, {sync.productsUpdated} updated, {sync.inventoryUpdated} stock levels
+                        {sync.errorCount > 0 && (
                           <span className="text-red-600">
-                            {' '}• {sync.errors.length} errors
+                            {' '}• {sync.errorCount} errors
                           </span>
                         )}
                       </p>
                     </div>
                   </div>
-                  <div className="flex gap-1">
-                    {sync.created > 0 && (
-                      <span className="px-2 py-1 bg-green-100 text-green-700 rounded text-xs">
-                        +{sync.created}
-                      </span>
-                    )}
-                    {sync.updated > 0 && (
-                      <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs">
-                        ↻{sync.updated}
-                      </span>
+                  <div className="flex gap-1 items-center">
+                    <span className={`px-2 py-1 rounded text-xs capitalize ${STATUS_STYLES[sync.status]}`}>
+                      {sync.status}
+                    </span>
+                    {sync.status === 'failed' && !syncing && (
+                      <button
+                        onClick={() => handleResume(sync)}
+                        className="px-2 py-1 bg-primary-500 hover:bg-primary-600 text-white rounded text-xs"
+                      >
+                        Resume
+                      </button>
                     )}
                   </div>
                 </div>
@@ -202,11 +322,12 @@ export default function ShopifySync() {
             <div className="text-sm text-blue-800">
               <p className="font-semibold mb-1">How Sync Works:</p>
               <ul className="space-y-1 list-disc list-inside">
-                <li>Fetches all products from your Shopify store</li>
-                <li>Creates new products that don't exist in POS</li>
-                <li>Updates existing products with latest info</li>
-                <li>Categories are mapped based on product type/tags</li>
-                <li>Inventory levels are not synced (managed per store)</li>
+                <li>Updates stores from your Shopify locations</li>
+                <li>&quot;Changes since last sync&quot; only fetches products and stock changed since the last completed sync</li>
+                <li>&quot;Full catalog&quot; fetches everything (use it the first time or if something looks off)</li>
+                <li>Each Shopify variant becomes a POS product; HSN and GST come from product type/tags</li>
+                <li>Stock still waiting to be pushed to Shopify is kept, not overwritten</li>
+                <li>A sync interrupted by a server restart continues automatically</li>
               </ul>
             </div>
           </div>
@@ -215,4 +336,3 @@ export default function ShopifySync() {
     </AdminLayout>
   );
 }
-
@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../contexts/AuthContext';
+import AdminLayout from '../../components/AdminLayout';
+import { Percent, Plus, Edit, Trash2 } from 'lucide-react';
+import { taxSlabAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
+
+const TAX_RATES = [0, 3, 5, 12, 18, 28, 40];
+
+const emptyForm = {
+  hsnCode: '',
+  description: '',
+  taxRate: '18',
+  effectiveFrom: new Date().toISOString().split('T')[0],
+  matchTerms: '',
+};
+
+export default function TaxSlabsManagement() {
+  const router = useRouter();
+  const { user, loading, isAdmin } = useAuth();
+  const [slabs, setSlabs] = useState([]);
+  const [loadingSlabs, setLoadingSlabs] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingSlab, setEditingSlab] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    if (!loading) {
+      if (!user) {
+        router.push('/login');
+      } else if (!isAdmin) {
+        router.push('/pos');
+      } else {
+        loadSlabs();
+      }
+    }
+  }, [user, loading, isAdmin, router]);
+
+  const loadSlabs = async () => {
+    try {
+      setLoadingSlabs(true);
+      const response = await taxSlabAPI.getAll();
+      setSlabs(response.data.slabs);
+    } catch (error) {
+      toast.error('Failed to load tax slabs');
+      console.error(error);
+    } finally {
+      setLoadingSlabs(false);
+    }
+  };
+
+  // The slab in force today for each HSN (slabs arrive newest first per HSN)
+  const today = new Date().toISOString().split('T')[0];
+  const currentSlabIds = new Set(
+    Object.values(
+      slabs.reduce((current, slab) => {
+        if (slab.effectiveFrom <= today && !current[slab.hsnCode]) {
+          current[slab.hsnCode] = slab.id;
+        }
+        return current;
+      }, {})
+    )
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const slabData = {
+        ...formData,
+        taxRate: parseInt(formData.taxRate),
+      };
+
+      if (editingSlab) {
+        await taxSlabAPI.update(editingSlab.id, slabData);
+        toast.success('Tax slab updated successfully');
+      } else {
+        await taxSlabAPI.create(slabData);
+        toast.success('Tax slab created successfully');
+      }
+
+      setShowModal(false);
+      setEditingSlab(null);
+      setFormData(emptyForm);
+      loadSlabs();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleEdit = (slab) => {
+    setEditingSlab(slab);
+    setFormData({
+      hsnCode: slab.hsnCode,
+      description: slab.description || '',
+      taxRate: slab.taxRate.toString(),
+      effectiveFrom: slab.effectiveFrom,
+      matchTerms: (slab.matchTerms || []).join(', '),
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (slab) => {
+    if (window.confirm(`Delete the ${slab.taxRate}% slab for HSN ${slab.hsnCode} from ${slab.effectiveFrom}?`)) {
+      try {
+        await taxSlabAPI.delete(slab.id);
+        toast.success('Tax slab deleted successfully');
+        loadSlabs();
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to delete tax slab');
+      }
+    }
+  };
+
+  if (loading || !user || loadingSlabs) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <AdminLayout title="Tax Slabs">
+      <div className="mb-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">HSN Codes & GST Rates</h2>
+          <p className="text-sm text-gray-500">
+            To change a rate, add a new slab for the same HSN with the date it takes effect.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setFormData(emptyForm);
+            setEditingSlab(null);
+            setShowModal(true);
+          }}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add Slab
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">HSN</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Description</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">GST Rate</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Effective From</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-600 uppercase">Shopify Type / Tags</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-600 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {slabs.map((slab) => (
+                <tr key={slab.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm font-medium text-gray-800">{slab.hsnCode}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{slab.description}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className="font-medium text-gray-800">{slab.taxRate}%</span>
+                    {currentSlabIds.has(slab.id) && (
+                      <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 rounded text-xs">Current</span>
+                    )}
+                    {slab.effectiveFrom > today && (
+                      <span className="ml-2 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs">Upcoming</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{slab.effectiveFrom}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{(slab.matchTerms || []).join(', ')}</td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() => handleEdit(slab)}
+                      className="p-1 hover:bg-gray-100 rounded"
+                    >
+                      <Edit className="w-4 h-4 text-gray-600" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(slab)}
+                      className="p-1 hover:bg-red-50 rounded"
+                    >
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {slabs.length === 0 && (
+          <div className="text-center py-12">
+            <Percent className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+            <p className="text-gray-500">No tax slabs found</p>
+          </div>
+        )}
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-800">
+                {editingSlab ? 'Edit Tax Slab' : 'Add Tax Slab'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-4 space-y-4">
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">HSN Code *</label>
+                  <input
+                    type="text"
+                    value={formData.hsnCode}
+                    onChange={(e) => setFormData({ ...formData, hsnCode: e.target.value })}
+                    required
+                    placeholder="90031900"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">GST Rate *</label>
+                  <select
+                    value={formData.taxRate}
+                    onChange={(e) => setFormData({ ...formData, taxRate: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                  >
+                    {TAX_RATES.map((rate) => (
+                      <option key={rate} value={rate}>{rate}%</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  placeholder="Frames and mountings for spectacles"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Effective From *</label>
+                <input
+                  type="date"
+                  value={formData.effectiveFrom}
+                  onChange={(e) => setFormData({ ...formData, effectiveFrom: e.target.value })}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Shopify Product Types / Tags</label>
+                <input
+                  type="text"
+                  value={formData.matchTerms}
+                  onChange={(e) => setFormData({ ...formData, matchTerms: e.target.value })}
+                  placeholder="frame, eyeglass, spectacle"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Comma separated. Products whose type or tags contain one of these get this HSN on the next Shopify sync.
+                </p>
+              </div>
+
+              <div className="flex gap-2 pt-4">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowModal(false);
+                    setEditingSlab(null);
+                    setFormData(emptyForm);
+                  }}
+                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition"
+                >
+                  {editingSlab ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -20,6 +20,9 @@ export default function UsersManagement() {
     password: '',
     role: 'cashier',
     assignedStore: '',
+    maxDiscountPercent: '',
+    approvalPin: '',
+    removeApprovalPin: false,
   });
 
   useEffect(() => {
@@ -59,9 +62,15 @@ export default function UsersManagement() {
         email: formData.email,
         role: formData.role,
         assignedStoreId: formData.assignedStore ? parseInt(formData.assignedStore) : null, // FIX: Use assignedStoreId
+        maxDiscountPercent: formData.maxDiscountPercent === '' ? null : parseFloat(formData.maxDiscountPercent),
       };
+      if (formData.approvalPin) {
+        userData.approvalPin = formData.approvalPin;
+      } else if (formData.removeApprovalPin) {
+        userData.removeApprovalPin = true;
+      }
 
-      console.log('🔄 Submitting user data:', userData);
+      console.log('🔄 Submitting user data:', { ...userData, approvalPin: undefined });
 
       if (editingUser) {
         await authAPI.updateUser(editingUser.id, userData);
@@ -90,6 +99,9 @@ export default function UsersManagement() {
       password: '',
       role: user.role,
       assignedStore: user.assignedStore?.id || '',
+      maxDiscountPercent: user.maxDiscountPercent !== null && user.maxDiscountPercent !== undefined ? user.maxDiscountPercent : '',
+      approvalPin: '',
+      removeApprovalPin: false,
     });
     setShowModal(true);
   };
@@ -113,6 +125,9 @@ export default function UsersManagement() {
       password: '',
       role: 'cashier',
       assignedStore: '',
+      maxDiscountPercent: '',
+      approvalPin: '',
+      removeApprovalPin: false,
     });
   };
 
@@ -183,6 +198,16 @@ export default function UsersManagement() {
                     >
                       {usr.role}
                     </span>
+                    {usr.hasApprovalPin && (
+                      <span className="ml-1 px-2 py-1 rounded-full text-xs font-semibold bg-amber-100 text-amber-800">
+                        Approver
+                      </span>
+                    )}
+                    {usr.approvalPinLockedUntil && new Date(usr.approvalPinLockedUntil) > new Date() && (
+                      <span className="ml-1 px-2 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800">
+                        PIN locked
+                      </span>
+                    )}
                   </td>
                   <td className="px-4 py-3 text-sm text-gray-600">
                     {usr.assignedStore ? (
@@ -323,6 +348,53 @@ export default function UsersManagement() {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Max Discount %
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={formData.maxDiscountPercent}
+                  onChange={(e) => setFormData({ ...formData, maxDiscountPercent: e.target.value })}
+                  placeholder="Role limit"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Leave blank to use the limit set for the role under Discount Limits
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Approval PIN
+                </label>
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  pattern="[0-9]{4,8}"
+                  value={formData.approvalPin}
+                  onChange={(e) => setFormData({ ...formData, approvalPin: e.target.value.replace(/\D/g, '') })}
+                  placeholder={editingUser?.hasApprovalPin ? 'Leave blank to keep current PIN' : '4-8 digits'}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Lets this user approve discounts over a cashier's limit at the till. Setting a new PIN lifts a lockout.
+                </p>
+                {editingUser?.hasApprovalPin && !formData.approvalPin && (
+                  <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.removeApprovalPin}
+                      onChange={(e) => setFormData({ ...formData, removeApprovalPin: e.target.checked })}
+                    />
+                    Remove approval PIN
+                  </label>
+                )}
+              </div>
+
               <div className="flex gap-2 pt-4">
                 <button
                   type="button"
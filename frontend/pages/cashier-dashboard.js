@@ -2,7 +2,8 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../contexts/AuthContext';
 import { saleAPI } from '../utils/api';
-import { TrendingUp, DollarSign, ShoppingBag, Package, ArrowLeft, Calendar } from 'lucide-react';
+import ReturnModal from '../components/ReturnModal';
+import { TrendingUp, DollarSign, ShoppingBag, Package, ArrowLeft, Calendar, RotateCcw, Wrench, ClipboardCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 export default function CashierDashboard() {
@@ -11,6 +12,7 @@ export default function CashierDashboard() {
   const [stats, setStats] = useState(null);
   const [loadingStats, setLoadingStats] = useState(true);
   const [selectedPeriod, setSelectedPeriod] = useState('today');
+  const [returnSaleId, setReturnSaleId] = useState(null);
 
   useEffect(() => {
     if (!loading && !user) {
@@ -191,9 +193,18 @@ export default function CashierDashboard() {
                           })}
                         </p>
                       </div>
-                      <div className="text-right">
-                        <p className="font-bold text-gray-900">₹{parseFloat(sale.totalAmount).toLocaleString('en-IN')}</p>
-                        <p className="text-sm text-gray-500">{sale.items?.length || 0} items</p>
+                      <div className="flex items-center gap-3">
+                        <div className="text-right">
+                          <p className="font-bold text-gray-900">₹{parseFloat(sale.totalAmount).toLocaleString('en-IN')}</p>
+                          <p className="text-sm text-gray-500">{sale.items?.length || 0} items</p>
+                        </div>
+                        <button
+                          onClick={() => setReturnSaleId(sale.id)}
+                          className="p-2 hover:bg-orange-50 rounded-lg"
+                          title="Return Items"
+                        >
+                          <RotateCcw className="w-5 h-5 text-orange-600" />
+                        </button>
                       </div>
                     </div>
                   ))}
@@ -204,6 +215,14 @@ export default function CashierDashboard() {
         )}
       </div>
 
+      {/* Return Modal */}
+      <ReturnModal
+        isOpen={!!returnSaleId}
+        saleId={returnSaleId}
+        onClose={() => setReturnSaleId(null)}
+        onReturned={loadPerformanceData}
+      />
+
       {/* Bottom Navigation */}
       <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-200 shadow-lg">
         <div className="flex justify-around items-center h-16">
@@ -214,6 +233,20 @@ export default function CashierDashboard() {
             <ShoppingBag className="w-6 h-6 text-gray-400" />
             <span className="text-xs text-gray-600 mt-1">POS</span>
           </button>
+          <button
+            onClick={() => router.push('/job-orders')}
+            className="flex flex-col items-center justify-center flex-1 h-full hover:bg-gray-50"
+          >
+            <Wrench className="w-6 h-6 text-gray-400" />
+            <span className="text-xs text-gray-600 mt-1">Jobs</span>
+          </button>
+          <button
+            onClick={() => router.push('/stocktake')}
+            className="flex flex-col items-center justify-center flex-1 h-full hover:bg-gray-50"
+          >
+            <ClipboardCheck className="w-6 h-6 text-gray-400" />
+            <span className="text-xs text-gray-600 mt-1">Count</span>
+          </button>
           <button
             onClick={() => router.push('/cashier-dashboard')}
             className="flex flex-col items-center justify-center flex-1 h-full bg-blue-50"
@@ -0,0 +1,88 @@
+import { useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../contexts/AuthContext';
+import JobBoard from '../components/JobBoard';
+import { ArrowLeft, ShoppingBag, TrendingUp, Wrench, ClipboardCheck } from 'lucide-react';
+
+export default function CashierJobOrders() {
+  const router = useRouter();
+  const { user, loading } = useAuth();
+
+  useEffect(() => {
+    if (!loading && !user) {
+      router.push('/login');
+    } else if (user?.role === 'admin') {
+      router.push('/admin/job-orders');
+    }
+  }, [user, loading]);
+
+  if (loading || !user || user.role === 'admin') {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 pb-20">
+      {/* Header */}
+      <div className="bg-white shadow-md sticky top-0 z-10">
+        <div className="px-4 py-4">
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => router.push('/pos')}
+              className="flex items-center text-gray-600 hover:text-gray-900"
+            >
+              <ArrowLeft className="w-6 h-6 mr-2" />
+              <span className="font-medium">Back to POS</span>
+            </button>
+            <div className="text-sm text-gray-500">
+              {user.assignedStore?.name}
+            </div>
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mt-3">Job Orders</h1>
+          <p className="text-sm text-gray-600 mt-1">Spectacles at the lab and waiting for pickup</p>
+        </div>
+      </div>
+
+      <div className="px-4 py-6">
+        <JobBoard />
+      </div>
+
+      {/* Bottom Navigation */}
+      <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-200 shadow-lg">
+        <div className="flex justify-around items-center h-16">
+          <button
+            onClick={() => router.push('/pos')}
+            className="flex flex-col items-center justify-center flex-1 h-full hover:bg-gray-50"
+          >
+            <ShoppingBag className="w-6 h-6 text-gray-400" />
+            <span className="text-xs text-gray-600 mt-1">POS</span>
+          </button>
+          <button
+            onClick={() => router.push('/job-orders')}
+            className="flex flex-col items-center justify-center flex-1 h-full bg-blue-50"
+          >
+            <Wrench className="w-6 h-6 text-blue-600" />
+            <span className="text-xs text-blue-600 mt-1 font-medium">Jobs</span>
+          </button>
+          <button
+            onClick={() => router.push('/stocktake')}
+            className="flex flex-col items-center justify-center flex-1 h-full hover:bg-gray-50"
+          >
+            <ClipboardCheck className="w-6 h-6 text-gray-400" />
+            <span className="text-xs text-gray-600 mt-1">Count</span>
+          </button>
+          <button
+            onClick={() => router.push('/cashier-dashboard')}
+            className="flex flex-col items-center justify-center flex-1 h-full hover:bg-gray-50"
+          >
+            <TrendingUp className="w-6 h-6 text-gray-400" />
+            <span className="text-xs text-gray-600 mt-1">Dashboard</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,26 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../contexts/AuthContext';
 import Layout from '../components/Layout';
 import ProductCard from '../components/ProductCard';
 import CartItem from '../components/CartItem';
 import CustomerModal from '../components/CustomerModal';
-import { storeAPI, saleAPI, authAPI, productAPI } from '../utils/api';
-import { Search, ShoppingCart, CreditCard, Receipt, RefreshCw, X, TrendingUp } from 'lucide-react';
+import ManagerApprovalModal from '../components/ManagerApprovalModal';
+import LensConfigurator from '../components/LensConfigurator';
+import PaymentPanel, { getTenderAmounts, summarizePayments } from '../components/PaymentPanel';
+import { storeAPI, saleAPI, authAPI, productAPI, lensAPI } from '../utils/api';
+import { Search, ShoppingCart, CreditCard, Receipt, RefreshCw, X, TrendingUp, WifiOff, ScanBarcode, Printer, FileText, Tag } from 'lucide-react';
 import toast from 'react-hot-toast';
 import frontendCache from '../utils/cache';
+import offlineStore from '../utils/offlineStore';
+import { printReceipt } from '../utils/receiptPrinter';
+import { generateIdempotencyKey, isNetworkError, queueSale, syncOutbox } from '../utils/saleOutbox';
+import { configureLens } from '../utils/lens';
+import { priceLine, priceCart } from '../../shared/pricing';
 
 export default function POS() {
   const router = useRouter();
-  const { user, loading, refreshUser } = useAuth();
+  const { user, loading, refreshUser, logout } = useAuth();
   const [products, setProducts] = useState([]);
   const [selectedProducts, setSelectedProducts] = useState([]);
   const [cart, setCart] = useState([]);
@@ -21,13 +29,28 @@ export default function POS() {
   const [categoryFilter, setCategoryFilter] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
   const [showCustomerModal, setShowCustomerModal] = useState(false);
-  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [payments, setPayments] = useState([{ method: 'cash', amount: '', reference: '' }]);
   const [loadingProducts, setLoadingProducts] = useState(false);
   const [processing, setProcessing] = useState(false);
   const [syncStatus, setSyncStatus] = useState(null);
   const [backgroundLoading, setBackgroundLoading] = useState(false);
   const [bgLoadingPercent, setBgLoadingPercent] = useState(0);
   const [totalProductCount, setTotalProductCount] = useState(0);
+  const [isOnline, setIsOnline] = useState(true);
+  const [outbox, setOutbox] = useState([]);
+  const [outboxNeedsLogin, setOutboxNeedsLogin] = useState(false);
+  const [lensCatalog, setLensCatalog] = useState({ options: [], taxRates: {} });
+  const [lensItem, setLensItem] = useState(null);
+  const [scanMode, setScanMode] = useState(false);
+  const [scanCode, setScanCode] = useState('');
+  const scanInputRef = useRef(null);
+  const [lastSale, setLastSale] = useState(null);
+  const [printingReceipt, setPrintingReceipt] = useState(false);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [billDiscount, setBillDiscount] = useState({ type: 'amount', value: '' });
+  const [quote, setQuote] = useState(null);
+  const [pendingApproval, setPendingApproval] = useState(null);
   const ITEMS_PER_PAGE = 50; // Show 50 products per page
   const LOADING_TIMEOUT_MS = 15000;
 
@@ -50,9 +73,28 @@ export default function POS() {
       console.log('🚀 Loading products - SIMPLE approach!');
       loadProducts();
       checkSyncStatus();
+      loadLensCatalog();
     }
   }, [user, loading, router]);
 
+  // Lens catalog for the configurator, kept on the device for offline sales
+  const loadLensCatalog = async () => {
+    try {
+      const response = await lensAPI.getAll();
+      const catalog = { options: response.data.options, taxRates: response.data.taxRates };
+      setLensCatalog(catalog);
+      offlineStore.setMeta('lensCatalog', catalog);
+    } catch (error) {
+      const cached = await offlineStore.getMeta('lensCatalog').catch(() => null);
+      if (cached) setLensCatalog(cached);
+    }
+  };
+
+  // Scanner mode stays on for the counter once switched on
+  useEffect(() => {
+    setScanMode(localStorage.getItem('posScanMode') === 'on');
+  }, []);
+
   // Check sync status periodically
   useEffect(() => {
     if (!user) return;
@@ -117,6 +159,67 @@ export default function POS() {
     return () => clearInterval(autoSyncInterval);
   }, [user]);
 
+  // Offline mode: track connectivity and replay queued sales in the background
+  useEffect(() => {
+    if (!user || user.role !== 'cashier') return;
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueuedSales();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    setIsOnline(navigator.onLine);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    syncQueuedSales();
+    const outboxInterval = setInterval(syncQueuedSales, 30 * 1000);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(outboxInterval);
+    };
+  }, [user]);
+
+  const getStoreId = () => user.assignedStore?.id || user.assignedStore?._id;
+
+  const refreshOutbox = async () => {
+    setOutbox(await offlineStore.getOutbox());
+  };
+
+  const syncQueuedSales = async () => {
+    const summary = await syncOutbox();
+    if (summary) {
+      setOutboxNeedsLogin(summary.authRequired);
+    }
+
+    if (summary?.synced.length > 0) {
+      toast.success(`✅ ${summary.synced.length} offline sale(s) synced`, { duration: 3000 });
+      const withConflicts = summary.synced.filter((entry) => entry.conflicts > 0).length;
+      if (withConflicts > 0) {
+        toast(`⚠️ ${withConflicts} synced sale(s) sent to admin for review`, { duration: 5000 });
+      }
+      loadProducts();
+    }
+
+    summary?.failed.forEach((entry) => {
+      toast.error(`Offline sale ${entry.provisionalInvoiceNumber} rejected: ${entry.error}`, { duration: 6000 });
+    });
+
+    await refreshOutbox();
+  };
+
+  // Rejected sales are in the admin review list (or listed in the banner for the
+  // cashier to pass on), so the cashier can clear them here
+  const dismissFailedSales = async () => {
+    for (const entry of outbox.filter((item) => item.status === 'failed')) {
+      await offlineStore.removeFromOutbox(entry.idempotencyKey);
+    }
+    await refreshOutbox();
+  };
+
   const checkSyncStatus = async () => {
     try {
       const response = await authAPI.getSyncStatus();
@@ -174,6 +277,9 @@ export default function POS() {
       
       // Cache products
       frontendCache.set('products_all_stores', transformedProducts, 1800000);
+      if (user.assignedStore) {
+        offlineStore.saveProducts(getStoreId(), transformedProducts);
+      }
       
       if (transformedProducts.length === 0) {
         toast.error('No products found. Click "FORCE SYNC" to sync from Shopify.', { duration: 5000 });
@@ -220,6 +326,16 @@ export default function POS() {
       
     } catch (error) {
       console.error('❌ Error loading products:', error);
+
+      // Offline: fall back to the last product list saved on this device
+      const cached = user?.assignedStore ? await offlineStore.getProducts(getStoreId()) : null;
+      if (cached) {
+        setProducts(cached.products);
+        setTotalProductCount(cached.products.length);
+        toast(`📴 Offline: showing products saved ${new Date(cached.savedAt).toLocaleString()}`, { duration: 4000 });
+        return;
+      }
+
       setProducts([]);
       toast.error('Failed to load products. Try refreshing the page.', { duration: 5000 });
     }
@@ -256,6 +372,20 @@ export default function POS() {
     }
   };
 
+  const toCartItem = (product, id) => ({
+    id, // Unique ID for cart item
+    productId: product.id,
+    name: product.name,
+    sku: product.sku,
+    price: product.price,
+    taxRate: product.taxRate,
+    category: product.category,
+    discount: 0,
+    discountType: 'amount',
+    quantity: 1,
+    maxQuantity: product.quantity,
+  });
+
   const moveToCart = () => {
     if (selectedProducts.length === 0) {
       toast.error('Please select products first');
@@ -271,27 +401,66 @@ export default function POS() {
         hasProductData: !!selection.productData
       });
       
-      return {
-        id: selection.selectionId, // Unique ID for cart item
-        productId: selection.productId, // MongoDB ObjectId
-        name: selection.productData.name,
-        sku: selection.productData.sku,
-        price: selection.productData.price,
-        taxRate: selection.productData.taxRate,
-        discount: 0,
-        discountType: 'amount',
-        quantity: 1,
-        maxQuantity: selection.productData.quantity,
-      };
+      return toCartItem(selection.productData, selection.selectionId);
     });
 
     console.log('🛒 Cart Items Created:', cartItems);
 
-    setCart(cartItems);
+    // Keep anything already scanned into the cart
+    setCart([...cart, ...cartItems]);
     setShowCart(true);
     setSelectedProducts([]);
   };
 
+  // Scanner mode: USB/Bluetooth scanners type the code and press Enter. The
+  // product list already on the device is checked first so scanning stays
+  // instant; codes it doesn't know are looked up on the server.
+  const toggleScanMode = () => {
+    const enabled = !scanMode;
+    setScanMode(enabled);
+    localStorage.setItem('posScanMode', enabled ? 'on' : 'off');
+  };
+
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    setScanCode('');
+    if (!code) return;
+
+    let product = products.find((p) => p.barcode === code) || products.find((p) => p.sku === code);
+    if (!product) {
+      try {
+        const response = await productAPI.getByBarcode(code);
+        product = response.data.product;
+      } catch (error) {
+        toast.error(error.response?.data?.error || `No product with barcode ${code}`);
+        return;
+      }
+    }
+    addScannedProduct(product);
+  };
+
+  // A repeat scan adds one more to the product's plain cart line
+  const addScannedProduct = (product) => {
+    const inCart = cart
+      .filter((item) => item.productId === product.id)
+      .reduce((sum, item) => sum + item.quantity, 0);
+    if (product.quantity <= inCart) {
+      toast.error(`Not enough stock for ${product.name}`);
+      return;
+    }
+
+    const line = cart.find((item) => item.productId === product.id && !item.lens);
+    if (line) {
+      setCart(cart.map((item) => (item.id === line.id ? { ...item, quantity: item.quantity + 1 } : item)));
+      toast.success(`${product.name} × ${line.quantity + 1}`, { duration: 1000 });
+    } else {
+      setCart([...cart, toCartItem(product, `${product.id}_${Date.now()}_${Math.random()}`)]);
+      toast.success(`Added ${product.name}`, { duration: 1000 });
+    }
+    setShowCart(true);
+  };
+
   const updateQuantity = (id, quantity) => {
     setCart(cart.map((item) => (item.id === id ? { ...item, quantity } : item)));
   };
@@ -304,47 +473,131 @@ export default function POS() {
     ));
   };
 
+  // Attach (or with null, remove) a lens configuration on a frame line
+  const saveLens = (selection) => {
+    setCart(cart.map((item) =>
+      item.id === lensItem.id
+        ? {
+            ...item,
+            lens: selection,
+            lensDetails: selection ? configureLens(lensCatalog.options, lensCatalog.taxRates, selection) : null,
+          }
+        : item
+    ));
+    setLensItem(null);
+  };
+
   const removeFromCart = (id) => {
     setCart(cart.filter((item) => item.id !== id));
   };
 
-  const calculateTotals = () => {
-    let subtotal = 0;
-    let totalDiscount = 0;
-    let totalTax = 0;
+  // Bill-level discount as the server takes it, or null when none is entered
+  const toBillDiscount = () => (parseFloat(billDiscount.value) > 0
+    ? { type: billDiscount.type, value: parseFloat(billDiscount.value) }
+    : null);
 
+  // The cart priced by the same rules the server bills with (shared/pricing.js).
+  // Promotions need the server, so this is what the till shows without a quote.
+  const calculateTotals = () => {
+    const lines = [];
     cart.forEach((item) => {
-      // 🔥 TAX-INCLUSIVE PRICING: Price already includes tax (MRP)
-      const mrpPerItem = item.price; // MRP includes tax
-      const itemMRP = mrpPerItem * item.quantity;
-      
-      // Calculate discount based on type (on MRP)
-      let itemDiscount = 0;
-      if (item.discountType === 'percentage') {
-        itemDiscount = (mrpPerItem * item.discount / 100) * item.quantity;
-      } else {
-        itemDiscount = item.discount * item.quantity;
+      lines.push(priceLine({
+        unitPrice: item.price, // MRP includes tax
+        quantity: item.quantity,
+        discount: item.discount,
+        discountType: item.discountType,
+        taxRate: item.taxRate,
+      }));
+
+      // Lenses are their own line at the lens GST rate
+      if (item.lensDetails) {
+        lines.push(priceLine({
+          unitPrice: item.lensDetails.price,
+          quantity: item.quantity,
+          discount: 0,
+          taxRate: item.lensDetails.taxRate,
+        }));
       }
-      
-      // Final amount after discount (still tax-inclusive)
-      const discountedMRP = itemMRP - itemDiscount;
-      
-      // Extract tax from tax-inclusive price
-      // Formula: Base = Price / (1 + TaxRate/100)
-      // Tax = Price - Base
-      const taxMultiplier = 1 + (item.taxRate / 100);
-      const baseAmount = discountedMRP / taxMultiplier;
-      const itemTax = discountedMRP - baseAmount;
-
-      subtotal += itemMRP;
-      totalDiscount += itemDiscount;
-      totalTax += itemTax;
     });
 
-    // Total is simply subtotal - discount (tax already included)
-    const total = subtotal - totalDiscount;
+    const priced = priceCart(lines, { billDiscount: toBillDiscount() });
+    return {
+      subtotal: priced.subtotal,
+      totalDiscount: priced.totalDiscount,
+      billDiscount: priced.billDiscount,
+      totalTax: priced.totalTax,
+      roundOff: priced.roundOff,
+      total: priced.totalAmount,
+    };
+  };
+
+  // Cart lines as the server prices them (percentage discounts are worked out there)
+  const toSaleItems = () => cart.map((item) => ({
+    productId: item.productId, // Use product ID, not cart item id
+    quantity: item.quantity,
+    discount: item.discount,
+    discountType: item.discountType,
+    ...(item.lens && { lens: item.lens }), // Priced by the server
+  }));
+
+  // Promotions are worked out by the server; re-quote whenever the cart or coupon changes
+  const quoteKey = JSON.stringify({ items: toSaleItems(), couponCode, billDiscount: toBillDiscount() });
+  useEffect(() => {
+    if (cart.length === 0 || !isOnline || !user?.assignedStore) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await saleAPI.quote({
+          storeId: getStoreId(),
+          items: toSaleItems(),
+          couponCode: couponCode || undefined,
+          billDiscount: toBillDiscount() || undefined,
+        });
+        if (!cancelled) setQuote({ ...response.data, key: quoteKey });
+      } catch (error) {
+        // Offline or failed: the cart falls back to the local estimate
+        if (!cancelled) setQuote(null);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [quoteKey, isOnline]);
+
+  // What will be billed: the server quote for this exact cart, else the local estimate
+  const currentQuote = quote && quote.key === quoteKey ? quote : null;
+  const getTotals = () => (currentQuote
+    ? {
+      subtotal: currentQuote.subtotal,
+      totalDiscount: currentQuote.totalDiscount,
+      billDiscount: currentQuote.billDiscount,
+      totalTax: currentQuote.totalTax,
+      roundOff: currentQuote.roundOff,
+      total: currentQuote.totalAmount,
+    }
+    : calculateTotals());
+
+  const applyCoupon = (event) => {
+    event.preventDefault();
+    setCouponCode(couponInput.trim().toUpperCase());
+  };
+
+  const removeCoupon = () => {
+    setCouponInput('');
+    setCouponCode('');
+  };
 
-    return { subtotal, totalDiscount, totalTax, total };
+  const handleBillDiscountChange = (value) => {
+    const amount = parseFloat(value);
+    if (value === '' || (amount >= 0 && (billDiscount.type !== 'percentage' || amount <= 100))) {
+      setBillDiscount({ ...billDiscount, value });
+    }
   };
 
   const handleCheckout = () => {
@@ -352,67 +605,144 @@ export default function POS() {
       toast.error('Cart is empty');
       return;
     }
+    if (couponCode && currentQuote?.couponError) {
+      toast.error(currentQuote.couponError);
+      return;
+    }
+    if (!summarizePayments(payments, getTotals().total).isValid) {
+      toast.error('Payments must cover the total');
+      return;
+    }
     setShowCustomerModal(true);
   };
 
-  const handleCustomerSubmit = async (customerInfo) => {
+  // Server unreachable: keep the sale on this device and sync it later
+  const completeOfflineSale = async (saleData) => {
+    const { total } = getTotals();
+    const entry = await queueSale(saleData, Math.round(total * 100) / 100);
+
+    // Take the sold stock off the cached list so the till can't oversell
+    const remaining = products.map((product) => {
+      const sold = saleData.items
+        .filter((item) => item.productId === product.id)
+        .reduce((sum, item) => sum + item.quantity, 0);
+      return sold > 0 ? { ...product, quantity: product.quantity - sold } : product;
+    });
+    setProducts(remaining);
+    offlineStore.saveProducts(saleData.storeId, remaining);
+
+    toast.success(`📴 Offline: sale saved as ${entry.provisionalInvoiceNumber}. It will sync when back online.`, { duration: 6000 });
+    const { change } = summarizePayments(payments, total);
+    if (change > 0) {
+      toast.success(`Return change: ₹${change.toFixed(2)}`, { duration: 6000 });
+    }
+    setCart([]);
+    setPayments([{ method: 'cash', amount: '', reference: '' }]);
+    removeCoupon();
+    setBillDiscount({ type: 'amount', value: '' });
+    setShowCustomerModal(false);
+    await refreshOutbox();
+  };
+
+  // Eyeglasses and fitted lenses are made to the customer's prescription
+  const cartNeedsPrescription = cart.some((item) => (item.category || '').toLowerCase() === 'eyeglass' || item.lens);
+
+  // `approval` is the supervisor the cashier picked and their PIN ({ approverId, pin })
+  const handleCustomerSubmit = async (customerInfo, prescription, approval) => {
     setProcessing(true);
+    let saleData;
+    let saleRecorded = false;
     try {
-      const saleData = {
-        storeId: user.assignedStore.id || user.assignedStore._id,
-        items: cart.map((item) => {
-          // 🔥 FIX: Calculate discount amount per unit (not percentage value)
-          let discountPerUnit = 0;
-          if (item.discountType === 'percentage') {
-            // Convert percentage to actual amount per unit
-            discountPerUnit = (item.price * item.discount) / 100;
-          } else {
-            // Already a flat amount per unit
-            discountPerUnit = item.discount;
-          }
-          
-          return {
-            productId: item.productId, // Use product ID, not cart item id
-            quantity: item.quantity,
-            discount: discountPerUnit, // Send calculated discount amount per unit
-          };
-        }),
+      saleData = {
+        idempotencyKey: generateIdempotencyKey(),
+        storeId: getStoreId(),
+        items: toSaleItems(),
+        ...(currentQuote?.couponCode && { couponCode: currentQuote.couponCode }),
+        ...(toBillDiscount() && { billDiscount: toBillDiscount() }),
+        ...(approval && { approverId: approval.approverId, approvalPin: approval.pin }),
         customerInfo,
-        paymentMethod,
+        ...(prescription && { prescription }),
+        paymentMethod: payments[0].method,
+        payments: getTenderAmounts(payments, getTotals().total).map((amount, index) => ({
+          method: payments[index].method,
+          amount,
+          reference: payments[index].reference || undefined,
+        })),
       };
 
       console.log('%c🚀 SALE DATA BEING SENT:', 'background: #ff0; color: #000; font-size: 16px; padding: 5px;');
-      console.log(JSON.stringify(saleData, null, 2));
+      console.log(JSON.stringify({ ...saleData, approvalPin: undefined }, null, 2));
       console.log('%c🔍 FIRST ITEM PRODUCTID:', 'background: #0ff; color: #000; font-size: 16px; padding: 5px;', saleData.items[0]?.productId);
       console.log('%c📏 ProductId Length:', 'background: #f0f; color: #fff; font-size: 16px; padding: 5px;', saleData.items[0]?.productId?.length);
 
       const response = await saleAPI.create(saleData);
+      saleRecorded = true;
       
       toast.success('Sale completed successfully!');
+      const changeAmount = parseFloat(response.data.sale.changeAmount || 0);
+      if (changeAmount > 0) {
+        toast.success(`Return change: ₹${changeAmount.toFixed(2)}`, { duration: 6000 });
+      }
+      const { jobOrder } = response.data;
+      if (jobOrder) {
+        const dueDate = new Date(jobOrder.dueDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        toast.success(`Job ${jobOrder.jobNumber} opened, ready by ${dueDate}`, { duration: 6000 });
+      }
       setCart([]);
+      setPayments([{ method: 'cash', amount: '', reference: '' }]);
+      removeCoupon();
+      setBillDiscount({ type: 'amount', value: '' });
       setShowCustomerModal(false);
+      setPendingApproval(null);
       loadProducts(); // Refresh inventory
       
-      // Show option to download invoice
-      const downloadInvoice = window.confirm('Sale completed! Download invoice?');
-      if (downloadInvoice) {
-        const invoiceResponse = await saleAPI.downloadInvoice(response.data.sale.id || response.data.sale._id);
-        const url = window.URL.createObjectURL(new Blob([invoiceResponse.data]));
-        const link = document.createElement('a');
-        link.href = url;
-        link.setAttribute('download', `${response.data.sale.invoiceNumber}.pdf`);
-        document.body.appendChild(link);
-        link.click();
-        link.remove();
-      }
+      // Receipt and invoice stay on offer until the next sale
+      setLastSale(response.data.sale);
     } catch (error) {
-      toast.error(error.response?.data?.error || 'Failed to complete sale');
-      console.error(error);
+      if (saleData && !saleRecorded && isNetworkError(error)) {
+        setPendingApproval(null);
+        await completeOfflineSale(saleData);
+      } else if (error.response?.data?.approvalRequired) {
+        // Over the cashier's discount limit: ask for a PIN, then send the same sale again
+        setPendingApproval({ customerInfo, prescription, approval: error.response.data });
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to complete sale');
+        console.error(error);
+      }
     } finally {
       setProcessing(false);
     }
   };
 
+  const handlePrintReceipt = async () => {
+    try {
+      setPrintingReceipt(true);
+      const response = await saleAPI.downloadReceipt(lastSale.id);
+      await printReceipt(response);
+    } catch (error) {
+      console.error('❌ Receipt print error:', error);
+      toast.error(error.message || 'Failed to print receipt');
+    } finally {
+      setPrintingReceipt(false);
+    }
+  };
+
+  const handleDownloadInvoice = async () => {
+    try {
+      const invoiceResponse = await saleAPI.downloadInvoice(lastSale.id);
+      const url = window.URL.createObjectURL(new Blob([invoiceResponse.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${lastSale.invoiceNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      console.error('❌ Invoice download error:', error);
+      toast.error('Failed to download invoice');
+    }
+  };
+
   // Reset to page 1 when search or filter changes
   useEffect(() => {
     setCurrentPage(1);
@@ -421,7 +751,8 @@ export default function POS() {
   const filteredProducts = products.filter((product) => {
     const matchesSearch =
       product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      product.sku.toLowerCase().includes(searchTerm.toLowerCase());
+      product.sku.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (product.barcode || '') === searchTerm.trim();
     const matchesCategory =
       categoryFilter === 'all' || product.category === categoryFilter;
     return matchesSearch && matchesCategory;
@@ -438,7 +769,7 @@ export default function POS() {
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  const totals = calculateTotals();
+  const totals = getTotals();
 
   // Force sync function for emergency
   const forceFullSync = async () => {
@@ -616,6 +947,105 @@ export default function POS() {
         </div>
       )}
       
+      {/* Last completed sale: receipt and invoice */}
+      {lastSale && (
+        <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-4 rounded-r-lg">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <div className="flex items-center">
+              <Receipt className="w-5 h-5 text-green-600 mr-3" />
+              <p className="text-sm font-medium text-green-800">
+                Sale {lastSale.invoiceNumber} completed • ₹{parseFloat(lastSale.totalAmount).toFixed(2)}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handlePrintReceipt}
+                disabled={printingReceipt}
+                className="px-3 py-1 bg-green-500 hover:bg-green-600 text-white rounded text-sm font-medium flex items-center gap-1 disabled:opacity-50"
+              >
+                <Printer className="w-4 h-4" />
+                {printingReceipt ? 'Printing...' : 'Print Receipt'}
+              </button>
+              <button
+                onClick={handleDownloadInvoice}
+                className="px-3 py-1 border border-green-500 text-green-700 hover:bg-green-100 rounded text-sm font-medium flex items-center gap-1"
+              >
+                <FileText className="w-4 h-4" />
+                Invoice
+              </button>
+              <button
+                onClick={() => setLastSale(null)}
+                className="p-1 text-green-700 hover:bg-green-100 rounded"
+                title="Dismiss"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Offline / queued sales banner */}
+      {(!isOnline || outbox.length > 0) && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-500 p-4 mb-4 rounded-r-lg">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <div className="flex items-center">
+              <WifiOff className="w-5 h-5 text-yellow-600 mr-3" />
+              <div>
+                <p className="text-sm font-medium text-yellow-800">
+                  {isOnline ? 'Offline sales waiting to sync' : 'Offline mode: sales are saved on this device'}
+                </p>
+                <p className="text-xs text-yellow-700 mt-1">
+                  {outbox.filter((entry) => entry.status === 'pending').length} sale(s) queued
+                  {outbox.some((entry) => entry.status === 'failed' && entry.inReview !== false) &&
+                    ` • ${outbox.filter((entry) => entry.status === 'failed' && entry.inReview !== false).length} rejected and sent to admin for review`}
+                </p>
+                {outbox.some((entry) => entry.status === 'failed' && entry.inReview === false) && (
+                  <p className="text-xs font-medium text-yellow-800 mt-1">
+                    Refused by the server and not sent for review, so pass these on to an admin before dismissing:{' '}
+                    {outbox
+                      .filter((entry) => entry.status === 'failed' && entry.inReview === false)
+                      .map((entry) => `${entry.provisionalInvoiceNumber} (${entry.error})`)
+                      .join(', ')}
+                  </p>
+                )}
+                {outboxNeedsLogin && (
+                  <p className="text-xs font-medium text-yellow-800 mt-1">
+                    Your login has expired. Log in again to sync the queued sales; they stay saved on this device.
+                  </p>
+                )}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              {outboxNeedsLogin && (
+                <button
+                  onClick={logout}
+                  className="px-3 py-1 bg-yellow-500 hover:bg-yellow-600 text-white rounded text-sm font-medium"
+                >
+                  Log in again
+                </button>
+              )}
+              {isOnline && !outboxNeedsLogin && outbox.some((entry) => entry.status === 'pending') && (
+                <button
+                  onClick={syncQueuedSales}
+                  className="px-3 py-1 bg-yellow-500 hover:bg-yellow-600 text-white rounded text-sm font-medium"
+                >
+                  Sync now
+                </button>
+              )}
+              {outbox.some((entry) => entry.status === 'failed') && (
+                <button
+                  onClick={dismissFailedSales}
+                  className="px-3 py-1 border border-yellow-500 text-yellow-700 hover:bg-yellow-100 rounded text-sm font-medium"
+                >
+                  Dismiss rejected
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Sync Status Banner */}
       {syncStatus?.isSyncing && (
         <div className="bg-blue-50 border-l-4 border-blue-500 p-4 mb-4 rounded-r-lg">
@@ -649,6 +1079,16 @@ export default function POS() {
                   className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
                 />
               </div>
+              <button
+                onClick={toggleScanMode}
+                className={`px-4 py-2 rounded-lg transition flex items-center gap-2 font-medium ${
+                  scanMode ? 'bg-primary-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+                title="Scanner mode: scan a barcode to add the item to the cart"
+              >
+                <ScanBarcode className="w-5 h-5" />
+                <span className="hidden sm:inline">Scan</span>
+              </button>
               <button
                 onClick={async () => {
                   const toastId = toast.loading('🔄 Syncing real-time inventory from Shopify...');
@@ -683,6 +1123,27 @@ export default function POS() {
               </button>
             </div>
 
+            {scanMode && (
+              <form onSubmit={handleScan} className="relative mb-3">
+                <ScanBarcode className="absolute left-3 top-1/2 transform -translate-y-1/2 text-primary-500 w-5 h-5" />
+                <input
+                  ref={scanInputRef}
+                  type="text"
+                  value={scanCode}
+                  onChange={(e) => setScanCode(e.target.value)}
+                  onBlur={() => setTimeout(() => {
+                    // Take focus back for the next scan unless the cashier moved to another field
+                    if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement?.tagName)) {
+                      scanInputRef.current?.focus();
+                    }
+                  }, 100)}
+                  autoFocus
+                  placeholder="Scan a barcode (or type it and press Enter)"
+                  className="w-full pl-10 pr-4 py-2 border-2 border-primary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+                />
+              </form>
+            )}
+
             <div className="flex gap-2 overflow-x-auto pb-2 hide-scrollbar">
               {['all', 'frame', 'eyeglass', 'sunglass', 'accessory'].map((category) => (
                 <button
@@ -920,6 +1381,7 @@ export default function POS() {
                     onUpdateQuantity={updateQuantity}
                     onUpdateDiscount={updateDiscount}
                     onRemove={removeFromCart}
+                    onConfigureLens={setLensItem}
                   />
                 ))
               )}
@@ -927,6 +1389,64 @@ export default function POS() {
 
             {cart.length > 0 && (
               <>
+                {/* Coupon */}
+                <div className="border-t border-gray-200 pt-4 mb-2">
+                  {couponCode ? (
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="flex items-center gap-1 font-medium text-gray-700">
+                        <Tag className="w-4 h-4" />
+                        Coupon {couponCode}
+                      </span>
+                      <button onClick={removeCoupon} className="text-red-600 hover:text-red-700 text-xs">
+                        Remove
+                      </button>
+                    </div>
+                  ) : (
+                    <form onSubmit={applyCoupon} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={couponInput}
+                        onChange={(e) => setCouponInput(e.target.value)}
+                        placeholder={isOnline ? 'Coupon code' : 'Coupons need a connection'}
+                        disabled={!isOnline}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-sm uppercase disabled:bg-gray-100"
+                      />
+                      <button
+                        type="submit"
+                        disabled={!isOnline || !couponInput.trim()}
+                        className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 disabled:opacity-50"
+                      >
+                        Apply
+                      </button>
+                    </form>
+                  )}
+                  {couponCode && currentQuote?.couponError && (
+                    <p className="text-xs text-red-600 mt-1">{currentQuote.couponError}</p>
+                  )}
+                </div>
+
+                {/* Bill discount (spread over the lines when billed) */}
+                <div className="flex items-center gap-2 mb-2">
+                  <span className="flex-1 text-sm text-gray-600">Bill discount:</span>
+                  <select
+                    value={billDiscount.type}
+                    onChange={(e) => setBillDiscount({ type: e.target.value, value: '' })}
+                    className="px-2 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none bg-white"
+                  >
+                    <option value="amount">₹</option>
+                    <option value="percentage">%</option>
+                  </select>
+                  <input
+                    type="number"
+                    value={billDiscount.value}
+                    onChange={(e) => handleBillDiscountChange(e.target.value)}
+                    min="0"
+                    max={billDiscount.type === 'percentage' ? 100 : undefined}
+                    placeholder="0"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 outline-none text-sm"
+                  />
+                </div>
+
                 {/* Totals */}
                 <div className="border-t border-gray-200 pt-4 mb-4 space-y-2">
                   <div className="flex justify-between text-sm">
@@ -937,37 +1457,51 @@ export default function POS() {
                     <span className="text-gray-600">Discount:</span>
                     <span className="font-medium text-green-600">-₹{totals.totalDiscount.toFixed(2)}</span>
                   </div>
+                  {(currentQuote?.appliedPromotions || []).map((promotion) => (
+                    <div key={promotion.promotionId} className="flex justify-between text-xs text-green-700 pl-3">
+                      <span>{promotion.name}{promotion.couponCode ? ` (${promotion.couponCode})` : ''}</span>
+                      <span>-₹{promotion.amount.toFixed(2)}</span>
+                    </div>
+                  ))}
+                  {totals.billDiscount > 0 && (
+                    <div className="flex justify-between text-xs text-green-700 pl-3">
+                      <span>Bill discount</span>
+                      <span>-₹{totals.billDiscount.toFixed(2)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-600">Tax:</span>
                     <span className="font-medium">₹{totals.totalTax.toFixed(2)}</span>
                   </div>
+                  {totals.roundOff !== 0 && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Round off:</span>
+                      <span className="font-medium">{totals.roundOff > 0 ? '+' : '-'}₹{Math.abs(totals.roundOff).toFixed(2)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-lg font-bold border-t border-gray-200 pt-2">
                     <span>Total:</span>
                     <span className="text-primary-600">₹{totals.total.toFixed(2)}</span>
                   </div>
                 </div>
 
-                {/* Payment Method */}
-                <div className="mb-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Payment Method
-                  </label>
-                  <select
-                    value={paymentMethod}
-                    onChange={(e) => setPaymentMethod(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
-                  >
-                    <option value="cash">Cash</option>
-                    <option value="upi">UPI</option>
-                    <option value="card">Card</option>
-                    <option value="other">Other</option>
-                  </select>
-                </div>
+                {/* Payment */}
+                <PaymentPanel
+                  payments={payments}
+                  onChange={setPayments}
+                  total={totals.total}
+                />
+
+                {currentQuote?.requiresApproval && (
+                  <p className="text-xs text-amber-700 bg-amber-50 rounded-lg px-3 py-2">
+                    Discount is over your {currentQuote.maxDiscountPercent}% limit. A supervisor will need to enter their PIN.
+                  </p>
+                )}
 
                 {/* Checkout Button */}
                 <button
                   onClick={handleCheckout}
-                  disabled={processing}
+                  disabled={processing || (isOnline && !currentQuote && !!quote)}
                   className="w-full bg-primary-500 text-white py-3 rounded-lg font-semibold hover:bg-primary-600 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                 >
                   <Receipt className="w-5 h-5" />
@@ -986,6 +1520,27 @@ export default function POS() {
         isOpen={showCustomerModal}
         onClose={() => setShowCustomerModal(false)}
         onSubmit={handleCustomerSubmit}
+        requiresPrescription={cartNeedsPrescription}
+      />
+
+      {/* Supervisor PIN for discounts over the limit */}
+      <ManagerApprovalModal
+        isOpen={!!pendingApproval}
+        approval={pendingApproval?.approval}
+        processing={processing}
+        storeId={getStoreId()}
+        onSubmit={(approval) => handleCustomerSubmit(pendingApproval.customerInfo, pendingApproval.prescription, approval)}
+        onClose={() => setPendingApproval(null)}
+      />
+
+      {/* Lens Configurator */}
+      <LensConfigurator
+        isOpen={!!lensItem}
+        item={lensItem}
+        options={lensCatalog.options}
+        taxRates={lensCatalog.taxRates}
+        onSave={saveLens}
+        onClose={() => setLensItem(null)}
       />
 
       {/* Floating Dashboard Button - Hide when products are selected */}
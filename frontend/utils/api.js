@@ -61,16 +61,24 @@ export const storeAPI = {
 export const productAPI = {
   getAll: (params) => api.get('/products', { params }),
   getOne: (productId) => api.get(`/products/${productId}`),
+  getByBarcode: (code, params) => api.get(`/products/by-barcode/${encodeURIComponent(code)}`, { params }),
   create: (data) => api.post('/products', data),
   update: (productId, data) => api.put(`/products/${productId}`, data),
   delete: (productId) => api.delete(`/products/${productId}`),
   updateInventory: (productId, data) => api.put(`/products/${productId}/inventory`, data),
   syncFromShopify: () => api.post('/products/sync/shopify'),
+  printLabels: (data) => {
+    return api.post('/products/labels', data, {
+      responseType: 'blob',
+    });
+  },
 };
 
 // Sale APIs
 export const saleAPI = {
   create: (data) => api.post('/sales', data),
+  syncOffline: (data) => api.post('/sales/offline', data),
+  quote: (data) => api.post('/sales/quote', data),
   getAll: (params) => api.get('/sales', { params }),
   getOne: (saleId) => api.get(`/sales/${saleId}`),
   getStats: (params) => api.get('/sales/stats', { params }),
@@ -80,14 +88,170 @@ export const saleAPI = {
       responseType: 'blob',
     });
   },
+  downloadReceipt: (saleId, params) => {
+    return api.get(`/sales/${saleId}/receipt`, {
+      params,
+      responseType: 'blob',
+    });
+  },
   update: (saleId, data) => api.put(`/sales/${saleId}`, data),
   delete: (saleId) => api.delete(`/sales/${saleId}`),
+  createReturn: (saleId, data) => api.post(`/sales/${saleId}/returns`, data),
+  getReturns: (saleId) => api.get(`/sales/${saleId}/returns`),
+};
+
+// Return APIs
+export const returnAPI = {
+  getAll: (params) => api.get('/returns', { params }),
+  getOne: (returnId) => api.get(`/returns/${returnId}`),
+  downloadCreditNote: (returnId) => {
+    return api.get(`/returns/${returnId}/credit-note`, {
+      responseType: 'blob',
+    });
+  },
+};
+
+// Customer directory APIs
+export const customerAPI = {
+  getAll: (params) => api.get('/customers', { params }),
+  lookup: (phone) => api.get('/customers/lookup', { params: { phone } }),
+  getOne: (customerId) => api.get(`/customers/${customerId}`),
+  create: (data) => api.post('/customers', data),
+  update: (customerId, data) => api.put(`/customers/${customerId}`, data),
+  delete: (customerId) => api.delete(`/customers/${customerId}`),
+  getDuplicates: () => api.get('/customers/duplicates'),
+  merge: (customerId, duplicateIds) => api.post(`/customers/${customerId}/merge`, { duplicateIds }),
+};
+
+// Prescription APIs
+export const prescriptionAPI = {
+  getAll: (params) => api.get('/prescriptions', { params }),
+  getOne: (prescriptionId) => api.get(`/prescriptions/${prescriptionId}`),
+  create: (data) => api.post('/prescriptions', data),
+};
+
+// Lens catalog APIs
+export const lensAPI = {
+  getAll: (params) => api.get('/lenses', { params }),
+  create: (data) => api.post('/lenses', data),
+  update: (optionId, data) => api.put(`/lenses/${optionId}`, data),
+};
+
+// Job order APIs (lens fitting)
+export const jobOrderAPI = {
+  getAll: (params) => api.get('/job-orders', { params }),
+  getOne: (jobId) => api.get(`/job-orders/${jobId}`),
+  create: (data) => api.post('/job-orders', data),
+  update: (jobId, data) => api.put(`/job-orders/${jobId}`, data),
+  updateStatus: (jobId, data) => api.post(`/job-orders/${jobId}/status`, data),
+  downloadJobCard: (jobId) => {
+    return api.get(`/job-orders/${jobId}/job-card`, {
+      responseType: 'blob',
+    });
+  },
+};
+
+// Inter-store stock transfer APIs (admin)
+export const stockTransferAPI = {
+  getAll: (params) => api.get('/stock-transfers', { params }),
+  getOne: (transferId) => api.get(`/stock-transfers/${transferId}`),
+  create: (data) => api.post('/stock-transfers', data),
+  update: (transferId, data) => api.put(`/stock-transfers/${transferId}`, data),
+  dispatch: (transferId) => api.post(`/stock-transfers/${transferId}/dispatch`),
+  receive: (transferId, data) => api.post(`/stock-transfers/${transferId}/receive`, data),
+  cancel: (transferId) => api.post(`/stock-transfers/${transferId}/cancel`),
+  downloadChallan: (transferId) => {
+    return api.get(`/stock-transfers/${transferId}/challan`, {
+      responseType: 'blob',
+    });
+  },
+};
+
+// Supplier APIs (admin)
+export const supplierAPI = {
+  getAll: (params) => api.get('/suppliers', { params }),
+  create: (data) => api.post('/suppliers', data),
+  update: (supplierId, data) => api.put(`/suppliers/${supplierId}`, data),
+};
+
+// Purchase order and goods receipt APIs (admin)
+export const purchaseOrderAPI = {
+  getAll: (params) => api.get('/purchase-orders', { params }),
+  getOne: (orderId) => api.get(`/purchase-orders/${orderId}`),
+  create: (data) => api.post('/purchase-orders', data),
+  update: (orderId, data) => api.put(`/purchase-orders/${orderId}`, data),
+  approve: (orderId) => api.post(`/purchase-orders/${orderId}/approve`),
+  receive: (orderId, data) => api.post(`/purchase-orders/${orderId}/receive`, data),
+  cancel: (orderId) => api.post(`/purchase-orders/${orderId}/cancel`),
+};
+
+// Stocktake APIs (counting for the store's staff, start/review/post for admins)
+export const stocktakeAPI = {
+  getAll: (params) => api.get('/stocktakes', { params }),
+  getOne: (stocktakeId) => api.get(`/stocktakes/${stocktakeId}`),
+  create: (data) => api.post('/stocktakes', data),
+  updateCounts: (stocktakeId, counts) => api.put(`/stocktakes/${stocktakeId}/counts`, { counts }),
+  scan: (stocktakeId, data) => api.post(`/stocktakes/${stocktakeId}/scan`, data),
+  getVariance: (stocktakeId) => api.get(`/stocktakes/${stocktakeId}/variance`),
+  post: (stocktakeId, data) => api.post(`/stocktakes/${stocktakeId}/post`, data),
+  cancel: (stocktakeId) => api.post(`/stocktakes/${stocktakeId}/cancel`),
+};
+
+// Promotion and coupon APIs (admin)
+export const promotionAPI = {
+  getAll: (params) => api.get('/promotions', { params }),
+  create: (data) => api.post('/promotions', data),
+  update: (promotionId, data) => api.put(`/promotions/${promotionId}`, data),
+};
+
+// Discount limit APIs (admin)
+export const discountLimitAPI = {
+  getAll: () => api.get('/discount-limits'),
+  update: (limits) => api.put('/discount-limits', { limits }),
+  getApprovers: (params) => api.get('/discount-limits/approvers', { params }),
+};
+
+// Offline sale sync conflict APIs (admin review)
+export const saleConflictAPI = {
+  getAll: (params) => api.get('/sale-conflicts', { params }),
+  resolve: (conflictId, data) => api.put(`/sale-conflicts/${conflictId}/resolve`, data),
+};
+
+// Catalog Sync APIs (background Shopify sync runs)
+export const syncAPI = {
+  start: (mode) => api.post('/sync/runs', { mode }),
+  getRuns: (params) => api.get('/sync/runs', { params }),
+  getRun: (runId) => api.get(`/sync/runs/${runId}`),
+  resume: (runId) => api.post(`/sync/runs/${runId}/resume`),
+};
+
+// Shopify Order Sync APIs
+export const shopifyOrderAPI = {
+  getAll: (params) => api.get('/shopify-orders', { params }),
+  retry: (id) => api.post(`/shopify-orders/${id}/retry`),
+  retryFailed: () => api.post('/shopify-orders/retry-failed'),
+  resolve: (id) => api.post(`/shopify-orders/${id}/resolve`),
+};
+
+// Tax slab APIs
+export const taxSlabAPI = {
+  getAll: () => api.get('/tax-slabs'),
+  create: (data) => api.post('/tax-slabs', data),
+  update: (slabId, data) => api.put(`/tax-slabs/${slabId}`, data),
+  delete: (slabId) => api.delete(`/tax-slabs/${slabId}`),
 };
 
 // Inventory APIs
 export const inventoryAPI = {
   syncFromShopify: () => api.post('/inventory/sync/shopify'),
   getSummary: () => api.get('/inventory/summary'),
+  getMovements: (params) => api.get('/inventory/movements', { params }),
+  getLowStock: (params) => api.get('/inventory/low-stock', { params }),
+  getLowStockDigest: () => api.get('/inventory/low-stock/digest'),
+  updateReorderLevels: (levels) => api.put('/inventory/reorder-levels', { levels }),
+  getShopifyOutbox: (params) => api.get('/inventory/shopify-outbox', { params }),
+  retryShopifyAdjustment: (id) => api.post(`/inventory/shopify-outbox/${id}/retry`),
+  retryFailedShopifyAdjustments: () => api.post('/inventory/shopify-outbox/retry-failed'),
 };
 
 // Data Management APIs
@@ -0,0 +1,38 @@
+// Client-side mirror of the backend lens pricing (backend/utils/lensCatalog.js),
+// used to show the price in the cart. The sale is always re-priced on the server.
+
+export const LENS_HSN_CODE = '90015000';
+
+const LENS_CATEGORIES = ['frame', 'eyeglass'];
+
+export const canTakeLens = (item) => LENS_CATEGORIES.includes((item?.category || '').toLowerCase());
+
+// Whether an index or coating can be combined with a design
+export const isAvailableWith = (option, designCode) => !option.designs || option.designs.includes(designCode);
+
+// Price of an option with a design (some options cost more with some designs)
+export const optionPrice = (option, designCode) => {
+  const override = option.designPrices ? option.designPrices[designCode] : undefined;
+  return parseFloat(override !== undefined ? override : option.price) || 0;
+};
+
+// Price a selection ({ design, index, coatings } by code). Returns null if it isn't complete or valid.
+export const configureLens = (options, taxRates, selection) => {
+  const byCode = new Map(options.map((option) => [option.code, option]));
+  const design = byCode.get(selection?.design);
+  const index = byCode.get(selection?.index);
+  if (!design || !index || !isAvailableWith(index, design.code)) return null;
+
+  const coatings = (selection.coatings || []).map((code) => byCode.get(code));
+  if (coatings.some((coating) => !coating || !isAvailableWith(coating, design.code))) return null;
+
+  const price = [design, index, ...coatings].reduce((sum, option) => sum + optionPrice(option, design.code), 0);
+  const hsnCode = index.hsnCode || design.hsnCode || LENS_HSN_CODE;
+
+  return {
+    name: `${design.name}, ${index.name}${coatings.length > 0 ? ` + ${coatings.map((coating) => coating.name).join(', ')}` : ''}`,
+    price: Math.round(price * 100) / 100,
+    hsnCode,
+    taxRate: taxRates[hsnCode] !== undefined ? taxRates[hsnCode] : 5,
+  };
+};
@@ -0,0 +1,132 @@
+// IndexedDB storage that keeps the POS usable without a connection:
+// the last product/stock list per store and the outbox of queued sales.
+// Unlike FrontendCache (localStorage) it has no TTL and no 5MB limit.
+const DB_NAME = 'pos_offline';
+const DB_VERSION = 1;
+
+class OfflineStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  open() {
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('products')) {
+            db.createObjectStore('products', { keyPath: 'storeId' });
+          }
+          if (!db.objectStoreNames.contains('outbox')) {
+            db.createObjectStore('outbox', { keyPath: 'idempotencyKey' });
+          }
+          if (!db.objectStoreNames.contains('meta')) {
+            db.createObjectStore('meta', { keyPath: 'key' });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  // Run a callback against one object store and resolve when the transaction completes
+  async run(storeName, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const store = transaction.objectStore(storeName);
+      let result;
+
+      const request = callback(store);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Products and stock for a store
+  async saveProducts(storeId, products) {
+    try {
+      await this.run('products', 'readwrite', (store) => store.put({
+        storeId: String(storeId),
+        products,
+        savedAt: Date.now()
+      }));
+      console.log(`💾 Offline store: saved ${products.length} products for store ${storeId}`);
+    } catch (error) {
+      console.error('Error saving products offline:', error);
+    }
+  }
+
+  async getProducts(storeId) {
+    try {
+      return (await this.run('products', 'readonly', (store) => store.get(String(storeId)))) || null;
+    } catch (error) {
+      console.error('Error reading offline products:', error);
+      return null;
+    }
+  }
+
+  // Outbox of sales waiting to reach the server
+  async addToOutbox(entry) {
+    await this.run('outbox', 'readwrite', (store) => store.put(entry));
+  }
+
+  async getOutbox() {
+    try {
+      const entries = (await this.run('outbox', 'readonly', (store) => store.getAll())) || [];
+      return entries.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.error('Error reading offline outbox:', error);
+      return [];
+    }
+  }
+
+  async updateOutboxEntry(idempotencyKey, changes) {
+    const entry = await this.run('outbox', 'readonly', (store) => store.get(idempotencyKey));
+    if (!entry) return;
+    await this.run('outbox', 'readwrite', (store) => store.put({ ...entry, ...changes }));
+  }
+
+  async removeFromOutbox(idempotencyKey) {
+    await this.run('outbox', 'readwrite', (store) => store.delete(idempotencyKey));
+  }
+
+  // Small persistent values (device id, provisional invoice counter)
+  async getMeta(key) {
+    const record = await this.run('meta', 'readonly', (store) => store.get(key));
+    return record ? record.value : null;
+  }
+
+  async setMeta(key, value) {
+    await this.run('meta', 'readwrite', (store) => store.put({ key, value }));
+  }
+}
+
+// Export singleton instance
+const offlineStore = new OfflineStore();
+export default offlineStore;
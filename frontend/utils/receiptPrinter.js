@@ -0,0 +1,51 @@
+// Sending till receipts to the printer. PDF receipts go through the browser's
+// print dialog; ESC/POS receipts are written straight to a USB/serial thermal
+// printer with Web Serial (Chrome and Edge).
+
+// Most USB thermal printers ignore the rate; serial ones are usually set to 9600
+const SERIAL_BAUD_RATE = 9600;
+
+export const printPdf = (blob) => {
+  const url = window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+  const frame = document.createElement('iframe');
+  frame.style.display = 'none';
+  frame.src = url;
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Leave the frame long enough for the print dialog to take the document
+    setTimeout(() => {
+      frame.remove();
+      window.URL.revokeObjectURL(url);
+    }, 60000);
+  };
+  document.body.appendChild(frame);
+};
+
+// The browser remembers the port the cashier picks the first time
+export const printEscPos = async (blob) => {
+  if (!('serial' in navigator)) {
+    throw new Error('This browser cannot reach the receipt printer. Use Chrome or Edge.');
+  }
+
+  const [knownPort] = await navigator.serial.getPorts();
+  const port = knownPort || (await navigator.serial.requestPort());
+
+  await port.open({ baudRate: SERIAL_BAUD_RATE });
+  try {
+    const writer = port.writable.getWriter();
+    await writer.write(new Uint8Array(await blob.arrayBuffer()));
+    writer.releaseLock();
+  } finally {
+    await port.close();
+  }
+};
+
+// The server sends the store's format; pick the printer path from the response type
+export const printReceipt = async (response) => {
+  if ((response.headers['content-type'] || '').includes('pdf')) {
+    printPdf(response.data);
+  } else {
+    await printEscPos(response.data);
+  }
+};
@@ -0,0 +1,134 @@
+import { saleAPI } from './api';
+import offlineStore from './offlineStore';
+
+// No response at all means the server was never reached (offline, DNS, timeout)
+export const isNetworkError = (error) => !error.response;
+
+// Client-generated key sent with every sale; the server records each key once,
+// so a retried or re-synced checkout never creates a second sale
+export const generateIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Per-browser code so provisional numbers from different tills never clash
+const getDeviceCode = async () => {
+  let deviceCode = await offlineStore.getMeta('deviceCode');
+  if (!deviceCode) {
+    deviceCode = generateIdempotencyKey().replace(/-/g, '').substring(0, 4).toUpperCase();
+    await offlineStore.setMeta('deviceCode', deviceCode);
+  }
+  return deviceCode;
+};
+
+// Receipt number for an offline sale, e.g. OFF3-A1B2-0007. The real invoice
+// number is allocated when the sale syncs.
+export const nextProvisionalInvoiceNumber = async (storeId) => {
+  const deviceCode = await getDeviceCode();
+  const counterKey = `provisionalSeq_${storeId}`;
+  const sequence = ((await offlineStore.getMeta(counterKey)) || 0) + 1;
+  await offlineStore.setMeta(counterKey, sequence);
+  return `OFF${storeId}-${deviceCode}-${sequence.toString().padStart(4, '0')}`;
+};
+
+// Park a sale that could not reach the server. A supervisor's PIN is never stored on
+// the device, so an over-limit discount is turned away to admin review when it syncs.
+export const queueSale = async ({ approverId, approvalPin, ...saleData }, expectedTotal) => {
+  const provisionalInvoiceNumber = await nextProvisionalInvoiceNumber(saleData.storeId);
+  const createdAt = Date.now();
+
+  const entry = {
+    idempotencyKey: saleData.idempotencyKey,
+    provisionalInvoiceNumber,
+    createdAt,
+    status: 'pending',
+    error: null,
+    saleData: {
+      ...saleData,
+      provisionalInvoiceNumber,
+      offlineCreatedAt: new Date(createdAt).toISOString(),
+      expectedTotal,
+    },
+  };
+
+  await offlineStore.addToOutbox(entry);
+  console.log(`📥 Sale queued offline: ${provisionalInvoiceNumber}`);
+  return entry;
+};
+
+// How many syncs a sale the server keeps refusing with a 4xx gets before it is set aside
+const MAX_REFUSED_ATTEMPTS = 3;
+
+let syncInProgress = false;
+// Token the server turned away; syncing waits until the cashier logs in again
+let rejectedToken = null;
+
+// Replay queued sales in the order they were made. A sale the server refuses with a
+// conflict (it is waiting in the admin review), or keeps refusing with another 4xx,
+// is marked failed and skipped from then on so it can't hold up the sales behind it.
+// Anything else stops the sync with the sale still pending: a network or server
+// error is retried later, and a rejected login pauses syncing until the cashier
+// logs in again (summary.authRequired).
+export const syncOutbox = async () => {
+  if (syncInProgress || !navigator.onLine) return null;
+  if (rejectedToken && rejectedToken === localStorage.getItem('token')) {
+    return { synced: [], failed: [], authRequired: true };
+  }
+  syncInProgress = true;
+  rejectedToken = null;
+
+  const summary = { synced: [], failed: [], authRequired: false };
+
+  try {
+    const pending = (await offlineStore.getOutbox()).filter((entry) => entry.status === 'pending');
+
+    for (const entry of pending) {
+      try {
+        const response = await saleAPI.syncOffline(entry.saleData);
+        await offlineStore.removeFromOutbox(entry.idempotencyKey);
+        summary.synced.push({
+          ...entry,
+          invoiceNumber: response.data.sale.invoiceNumber,
+          conflicts: response.data.conflicts || 0,
+        });
+        console.log(`✅ Synced offline sale ${entry.provisionalInvoiceNumber} → ${response.data.sale.invoiceNumber}`);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          console.log('📴 Outbox sync paused, server not reachable');
+          break;
+        }
+
+        const { status, data } = error.response;
+
+        if (status === 401 || status === 403) {
+          rejectedToken = localStorage.getItem('token');
+          summary.authRequired = true;
+          console.log('🔒 Outbox sync paused until the cashier logs in again');
+          break;
+        }
+
+        const conflict = status === 409 && !!data?.conflict;
+        if (!conflict) {
+          const attempts = (entry.attempts || 0) + 1;
+          if (status >= 500 || attempts < MAX_REFUSED_ATTEMPTS) {
+            await offlineStore.updateOutboxEntry(entry.idempotencyKey, { attempts });
+            console.log(`⏸️ Outbox sync paused, server answered ${status}; will retry`);
+            break;
+          }
+        }
+
+        const message = data?.error || 'Sale rejected by server';
+        await offlineStore.updateOutboxEntry(entry.idempotencyKey, { status: 'failed', error: message, inReview: conflict });
+        summary.failed.push({ ...entry, error: message, inReview: conflict });
+        console.error(`❌ Offline sale ${entry.provisionalInvoiceNumber} rejected:`, message);
+      }
+    }
+  } finally {
+    syncInProgress = false;
+  }
+
+  return summary;
+};
@@ -0,0 +1,152 @@
+// Sale pricing shared by the backend (sales and quotes) and the POS (offline totals),
+// so the till shows exactly what the invoice bills. Prices are MRPs with GST included.
+// Plain CommonJS without dependencies so both Node and the Next.js bundle can load it.
+
+const DISCOUNT_TYPES = ['amount', 'percentage'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// GST inside a tax-inclusive amount: Base = Amount / (1 + Rate/100), Tax = Amount - Base
+const extractTax = (amount, taxRate) => amount - amount / (1 + (parseFloat(taxRate) || 0) / 100);
+
+// Split an amount across lines in proportion to their weights, to the paisa.
+// Whatever rounding leaves over goes on the heaviest line.
+function prorate(amount, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0 || amount <= 0) return weights.map(() => 0);
+
+  const shares = weights.map(weight => roundAmount(amount * weight / total));
+  const heaviest = weights.indexOf(Math.max(...weights));
+  shares[heaviest] = roundAmount(shares[heaviest] + amount - shares.reduce((sum, share) => sum + share, 0));
+  return shares;
+}
+
+// ₹ off one unit for a discount given as a percentage of MRP or a flat ₹ amount
+function getUnitDiscount(unitPrice, discount, discountType = 'amount') {
+  const value = parseFloat(discount) || 0;
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw new Error(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+  if (value < 0) {
+    throw new Error('Discount cannot be negative');
+  }
+  if (discountType === 'percentage') {
+    if (value > 100) throw new Error('Discount cannot be more than 100%');
+    return roundAmount(unitPrice * value / 100);
+  }
+  if (value > unitPrice) {
+    throw new Error(`Discount of ₹${value} is more than the MRP of ₹${unitPrice}`);
+  }
+  return value;
+}
+
+// Price one line ({ unitPrice, quantity, discount, discountType, taxRate }) at its MRP less
+// its per-unit discount. `discount` comes back as ₹ per unit, whatever type it was given in.
+function priceLine(line) {
+  const { discountType, ...rest } = line;
+  const unitPrice = parseFloat(line.unitPrice) || 0;
+  const discount = getUnitDiscount(unitPrice, line.discount, discountType || 'amount');
+  const totalAmount = roundAmount((unitPrice - discount) * line.quantity);
+
+  return {
+    ...rest,
+    unitPrice,
+    discount,
+    discountedPrice: unitPrice - discount,
+    taxAmount: extractTax(totalAmount, line.taxRate),
+    totalAmount
+  };
+}
+
+// Take more off a priced line (`promotionDiscount` or `billDiscount`, ₹ for the whole
+// line) and extract GST again from what is left
+function discountLine(line, field, amount) {
+  if (!(amount > 0)) return line;
+
+  const totalAmount = roundAmount(line.totalAmount - amount);
+  return {
+    ...line,
+    [field]: roundAmount((line[field] || 0) + amount),
+    discountedPrice: roundAmount(totalAmount / line.quantity),
+    taxAmount: extractTax(totalAmount, line.taxRate),
+    totalAmount
+  };
+}
+
+// ₹ off the bill for a bill-level discount ({ type, value }), never more than the bill
+function getBillDiscount(billDiscount, billAmount) {
+  if (!billDiscount || !(parseFloat(billDiscount.value) > 0)) return 0;
+
+  const type = billDiscount.type || 'amount';
+  const value = parseFloat(billDiscount.value);
+  if (!DISCOUNT_TYPES.includes(type)) {
+    throw new Error(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+  if (type === 'percentage' && value > 100) {
+    throw new Error('Bill discount cannot be more than 100%');
+  }
+
+  const amount = type === 'percentage' ? billAmount * value / 100 : value;
+  return roundAmount(Math.min(amount, billAmount));
+}
+
+// Spread the bill discount over the lines in proportion to what is left to pay on
+// each, so every line's GST is extracted from what the customer actually pays
+function applyBillDiscount(lines, billDiscount) {
+  const billAmount = roundAmount(lines.reduce((sum, line) => sum + line.totalAmount, 0));
+  const shares = prorate(getBillDiscount(billDiscount, billAmount), lines.map(line => line.totalAmount));
+  return lines.map((line, index) => discountLine(line, 'billDiscount', shares[index]));
+}
+
+// Bills are settled to the nearest rupee; the difference is shown as round off
+function roundOff(amount) {
+  const totalAmount = Math.round(roundAmount(amount));
+  return { roundOff: roundAmount(totalAmount - amount), totalAmount };
+}
+
+// Sale totals from its lines (discount is everything off MRP, tax already included in prices)
+function sumLines(lines) {
+  const totals = lines.reduce((sum, line) => {
+    const lineMRP = line.unitPrice * line.quantity;
+    return {
+      subtotal: sum.subtotal + lineMRP,
+      totalDiscount: sum.totalDiscount + lineMRP - line.totalAmount,
+      promotionDiscount: sum.promotionDiscount + (line.promotionDiscount || 0),
+      billDiscount: sum.billDiscount + (line.billDiscount || 0),
+      totalTax: sum.totalTax + line.taxAmount,
+      lineAmount: sum.lineAmount + line.totalAmount
+    };
+  }, { subtotal: 0, totalDiscount: 0, promotionDiscount: 0, billDiscount: 0, totalTax: 0, lineAmount: 0 });
+
+  return {
+    subtotal: roundAmount(totals.subtotal),
+    totalDiscount: roundAmount(totals.totalDiscount),
+    promotionDiscount: roundAmount(totals.promotionDiscount),
+    billDiscount: roundAmount(totals.billDiscount),
+    totalTax: roundAmount(totals.totalTax),
+    ...roundOff(totals.lineAmount)
+  };
+}
+
+// Price a cart of lines from priceLine: promotion discounts first (one ₹ amount per
+// line, worked out by the server), then the bill discount, then round off.
+function priceCart(lines, { promotionDiscounts = [], billDiscount = null } = {}) {
+  const promoted = lines.map((line, index) => discountLine(line, 'promotionDiscount', promotionDiscounts[index]));
+  const priced = applyBillDiscount(promoted, billDiscount);
+  return { lines: priced, ...sumLines(priced) };
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  roundAmount,
+  extractTax,
+  prorate,
+  getUnitDiscount,
+  priceLine,
+  discountLine,
+  getBillDiscount,
+  applyBillDiscount,
+  roundOff,
+  sumLines,
+  priceCart
+};